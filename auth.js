@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Room password hashing, signed room access tokens and role permissions.
+//
+// Passwords are stored as "scrypt$<salt>$<hash>" (hex). Tokens are
+// "<payload>.<signature>" where the payload is base64url JSON
+// { room, role, pv, exp } and the signature is an HMAC-SHA256 of the payload.
+// `pv` is the room's password version: changing the passwords bumps it,
+// which invalidates every token issued before the change.
+
+// Everything each role may do in a room. WebSocket message types and HTTP route
+// actions share this one allowlist; anything not listed is refused.
+const ROLE_PERMISSIONS = {
+    admin: new Set([
+        // WebSocket messages
+        'add', 'update', 'delete', 'clear', 'move',
+        'addLayer', 'deleteLayer', 'updateLayer', 'camera', 'roomPasswordChanged',
+        'addView', 'deleteView',
+        'addComment', 'replyComment', 'resolveComment', 'deleteComment',
+        'cursor', 'userInfo', 'shapeSelect', 'shapeRelease', 'presentation', 'viewport',
+        // HTTP routes
+        'loadRoom', 'readOperations', 'uploadImage', 'setPasswords',
+        'readSnapshots', 'createSnapshot', 'deleteSnapshot', 'restoreSnapshot', 'exportRoom',
+        'manageWebhooks'
+    ]),
+    readonly: new Set([
+        // WebSocket messages (presence and comments, nothing that changes the board)
+        'cursor', 'userInfo', 'shapeSelect', 'shapeRelease', 'presentation', 'viewport',
+        'addComment', 'replyComment', 'resolveComment',
+        // HTTP routes
+        'loadRoom', 'readOperations', 'readSnapshots', 'exportRoom'
+    ])
+};
+
+function canPerform(role, action) {
+    const permissions = ROLE_PERMISSIONS[role];
+    return Boolean(permissions && permissions.has(action));
+}
+
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Tokens are valid for TOKEN_TTL_HOURS (default 12 hours)
+const TOKEN_TTL_MS = (parseFloat(process.env.TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// Without a configured secret, tokens only survive until the server restarts
+const TOKEN_SECRET = process.env.TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.TOKEN_SECRET) {
+    console.warn('TOKEN_SECRET not set - using a random secret, room tokens will not survive a restart');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+    if (!password || typeof password !== 'string' || !storedHash) return false;
+
+    const [scheme, saltHex, hashHex] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+// Issue a token granting `role` in `roomName` until it expires or the passwords change
+function issueRoomToken(roomName, role, passwordVersion) {
+    const expiresAt = Date.now() + TOKEN_TTL_MS;
+    const payload = Buffer.from(JSON.stringify({
+        room: roomName,
+        role: role,
+        pv: passwordVersion || 0,
+        exp: expiresAt
+    })).toString('base64url');
+
+    return {
+        token: `${payload}.${sign(payload)}`,
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+// Returns the role granted by a token for this room, or null if it's invalid, expired or stale
+function verifyRoomToken(token, roomName, passwordVersion) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (claims.room !== roomName || claims.pv !== (passwordVersion || 0) || Date.now() > claims.exp) {
+        return null;
+    }
+    if (claims.role !== 'admin' && claims.role !== 'readonly') {
+        return null;
+    }
+
+    return claims.role;
+}
+
+// Work out a client's role in a room from a room token or a password.
+// Returns null when a protected room is accessed without valid credentials.
+async function resolveRoomRole(roomName, roomState, { token, password } = {}) {
+    if (!roomState.isPasswordProtected) {
+        return 'admin';
+    }
+
+    if (token) {
+        return verifyRoomToken(token, roomName, roomState.passwordVersion);
+    }
+
+    if (password) {
+        if (await verifyPassword(password, roomState.adminPasswordHash)) return 'admin';
+        if (await verifyPassword(password, roomState.readonlyPasswordHash)) return 'readonly';
+    }
+
+    return null;
+}
+
+// Token from an HTTP request: "Authorization: Bearer <token>", then body or query `token`
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return (req.body && req.body.token) || req.query.token || null;
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    canPerform,
+    resolveRoomRole,
+    hashPassword,
+    verifyPassword,
+    issueRoomToken,
+    verifyRoomToken,
+    getRequestToken
+};
@@ -0,0 +1,195 @@
+// Room export bundles: a gzipped tar archive holding the room (room.json) and the images
+// its elements reference (images/{filename}). Plain tar keeps bundles readable with
+// standard tools (tar -xzf room.tar.gz) without adding an archive dependency.
+
+const zlib = require('zlib');
+
+const BUNDLE_FORMAT = 'infinite-canvas-room';
+const BUNDLE_VERSION = 1;
+
+const BLOCK_SIZE = 512;
+
+// Most entries a bundle may hold (room.json plus one per image)
+const MAX_ENTRIES = 10001;
+
+// Errors caused by the bundle itself rather than the server (reported as 400s)
+function invalidBundle(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_BUNDLE';
+    return error;
+}
+
+// Write a NUL-terminated octal number into a header field
+function writeOctal(header, value, offset, length) {
+    header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+function readOctal(header, offset, length) {
+    const text = header.toString('ascii', offset, offset + length).replace(/\0.*$/, '').trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+function checksum(header) {
+    let sum = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        // The checksum field itself counts as spaces
+        sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    return sum;
+}
+
+// A ustar header for a regular file. Names longer than 100 bytes are split into prefix/name.
+function createHeader(name, size, mtime) {
+    let prefix = '';
+    if (Buffer.byteLength(name) > 100) {
+        const slash = name.lastIndexOf('/');
+        prefix = name.slice(0, slash);
+        name = name.slice(slash + 1);
+    }
+    if (Buffer.byteLength(name) > 100 || Buffer.byteLength(prefix) > 155) {
+        throw new Error(`Archive entry name too long: ${prefix}/${name}`);
+    }
+
+    const header = Buffer.alloc(BLOCK_SIZE);
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+    header.write(checksum(header).toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+    return header;
+}
+
+// Streams a gzipped tar into `output` (usually an HTTP response). Files are written one
+// at a time and writing waits whenever the receiver falls behind.
+class BundleWriter {
+    constructor(output) {
+        this.gzip = zlib.createGzip();
+        this.gzip.pipe(output);
+        this.closed = false;
+
+        // Stop early if the receiver goes away (e.g. the download was cancelled)
+        output.on('close', () => {
+            this.closed = true;
+            this.gzip.destroy();
+        });
+    }
+
+    async write(chunk) {
+        if (this.closed) {
+            throw new Error('Bundle output closed');
+        }
+        if (!this.gzip.write(chunk)) {
+            await new Promise((resolve, reject) => {
+                const onDrain = () => {
+                    this.gzip.off('close', onClose);
+                    resolve();
+                };
+                const onClose = () => {
+                    this.gzip.off('drain', onDrain);
+                    reject(new Error('Bundle output closed'));
+                };
+                this.gzip.once('drain', onDrain);
+                this.gzip.once('close', onClose);
+            });
+        }
+    }
+
+    async addFile(name, data, mtime = Date.now()) {
+        await this.write(createHeader(name, data.length, mtime));
+        await this.write(data);
+
+        const padding = (BLOCK_SIZE - data.length % BLOCK_SIZE) % BLOCK_SIZE;
+        if (padding > 0) {
+            await this.write(Buffer.alloc(padding));
+        }
+    }
+
+    // Two empty blocks end a tar archive
+    async finish() {
+        await this.write(Buffer.alloc(BLOCK_SIZE * 2));
+        this.gzip.end();
+    }
+}
+
+// Gunzip as a stream, off the event loop, giving up as soon as the output passes maxBytes
+function gunzip(buffer, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const stream = zlib.createGunzip();
+        const chunks = [];
+        let total = 0;
+        stream.on('data', chunk => {
+            total += chunk.length;
+            if (total > maxBytes) {
+                stream.destroy(invalidBundle('Room archive is too large once unpacked'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks, total)));
+        stream.on('error', error => {
+            reject(error.code === 'INVALID_BUNDLE' ? error : invalidBundle('Room archive is not a gzipped file'));
+        });
+        stream.end(buffer);
+    });
+}
+
+// Unpack a bundle into a Map of entry name -> Buffer. Only regular files are kept;
+// anything that doesn't parse as a gzipped tar, or unpacks to more than maxBytes, is rejected.
+async function readBundle(buffer, { maxBytes }) {
+    const tar = await gunzip(buffer, maxBytes);
+
+    const files = new Map();
+    let offset = 0;
+    while (offset + BLOCK_SIZE <= tar.length) {
+        const header = tar.subarray(offset, offset + BLOCK_SIZE);
+        if (header.every(byte => byte === 0)) break; // End of archive
+
+        if (readOctal(header, 148, 8) !== checksum(header)) {
+            throw invalidBundle('Room archive is not a valid tar file');
+        }
+
+        const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+        const prefix = header.toString('utf8', 345, 500).replace(/\0.*$/s, '');
+        const size = readOctal(header, 124, 12);
+        const type = String.fromCharCode(header[156]);
+        const dataStart = offset + BLOCK_SIZE;
+        if (dataStart + size > tar.length) {
+            throw invalidBundle('Room archive is truncated');
+        }
+
+        // Regular files only; directories, links and extended headers are skipped
+        if (type === '0' || type === '\0') {
+            if (files.size >= MAX_ENTRIES) {
+                throw invalidBundle('Room archive has too many files');
+            }
+            // Archives repacked with tar (tar -czf room.tar.gz -C dir .) name their entries ./room.json
+            const path = (prefix ? `${prefix}/${name}` : name).replace(/^\.\//, '');
+            files.set(path, tar.subarray(dataStart, dataStart + size));
+        }
+
+        offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+
+    return files;
+}
+
+// Whether the bytes really are a PNG or JPEG image, matching the file extension
+function isImageData(data, filename) {
+    const isPng = data.length > 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    const isJpeg = data.length > 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff;
+    return /\.png$/i.test(filename) ? isPng : isJpeg;
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    BundleWriter,
+    readBundle,
+    isImageData
+};
@@ -43,9 +43,26 @@ class InfiniteCanvas {
         this.isEditingText = false;
         this.editingTextElement = null;
         this.textCursorPosition = 0;
+        this.textSelectionAnchor = null; // Other end of the selected range, or null when nothing is selected
+        this.textTypingStyle = null; // Style for the next typed text, set by Ctrl+B/I/U with nothing selected
+        this.isSelectingText = false; // Dragging the mouse to select text
         this.textCursorVisible = true;
         this.textCursorInterval = null;
         
+        // Freehand drawing (pen tool)
+        this.penColor = '#333333';
+        this.penWidth = 4;
+        this.isErasing = false; // Eraser mode of the pen tool
+        this.penPointerId = null; // Pointer currently drawing or erasing
+        this.currentStroke = null; // Points [x, y, pressure] of the stroke being drawn, in world coordinates
+        this.erasedCount = 0;
+        
+        // Connectors
+        this.connectorRouting = 'straight'; // straight, elbow or curved
+        this.connectorStartArrow = 'none'; // none, arrow, triangle or circle
+        this.connectorEndArrow = 'arrow';
+        this.pendingConnector = null; // { startId, startAnchor } while a connector is being dragged out
+        
         // History management for undo/redo
         this.history = [];
         this.historyIndex = -1;
@@ -66,6 +83,12 @@ class InfiniteCanvas {
         this.isConnected = false;
         this.pendingUpdates = [];
         this.reconnectAttempts = 0;
+        
+        // Cursor/move messages are batched per animation frame, and sent as binary
+        // frames once the server agrees to the binary encoding in init/catchUp
+        this.wireEncoding = null;
+        this.outgoingBatch = new Map();
+        this.outgoingBatchFrame = null;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000;
         
@@ -79,6 +102,7 @@ class InfiniteCanvas {
         this.isJoiningRoom = false;
         this.roomPassword = null;
         this.isPasswordProtected = false;
+        this.roomVersion = null; // Last room version seen from the server (null until the room state is loaded)
         
         // Animation system
         this.isAnimating = false;
@@ -86,9 +110,74 @@ class InfiniteCanvas {
         this.animationDuration = 2000; // 2 seconds total
         this.animatedElements = new Map(); // Track animation state per element
         this.hasPlayedInitialAnimation = false; // Track if initial animation has been played
+        this.cameraAnimation = null; // Pending animation frame of a camera glide
+        
+        // Saved views and presentation mode
+        this.views = []; // Named world-space rectangles shared by the room
+        
+        // Comment threads pinned to elements or points on the board
+        this.comments = [];
+        this.activeComment = null; // { threadId } for an open thread, { threadId: null, elementId, x, y } for a new one
+        this.isCommenting = false; // Comment tool: the next click starts a thread
+        this.showResolvedComments = false;
+        this.commentPins = []; // Where the pins were drawn, for clicks
+        
+        // Version history: snapshots the server keeps of this room
+        this.snapshots = []; // Metadata, newest first
+        this.previewedSnapshot = null; // Full snapshot shown in the history dialog
+        this.presentation = null; // { slides, index, broadcast, cameraBefore } while presenting
+        this.followedPresenter = null; // userId of the presenter whose slides we follow
+        this.ignoredPresenter = null; // Presenter we stopped following
+        
+        // Collaborators' names and viewports, for the user list, follow mode and edge indicators
+        this.collaborators = new Map(); // userId -> { userName, color, viewport }
+        this.followedUser = null; // userId whose camera we track
+        this.lastViewportSent = null;
+        this.lastViewportSentAt = 0;
+        this.viewportTimer = null;
+        this.offscreenIndicators = []; // Where the edge indicators were drawn, for clicks
         
         this.userId = 'user_' + Math.random().toString(36).substr(2, 9);
         this.userName = this.generateRandomName();
+        
+        // Conflict-free state: every element/layer property is a register stamped with a Lamport clock
+        this.clock = new CanvasCRDT.LamportClock(this.userId);
+        this.syncedElements = new Map(); // Last merged value of each element, used to diff local edits
+        this.syncedLayers = new Map(); // Same for layers
+        
+        // Spatial index over element bounds, used for viewport culling and hit testing
+        this.spatialIndex = new QuadTree(element => this.getElementWorldBounds(element));
+        this.spatialIndex.onChange = (bounds, element) => {
+            this.invalidateMinimap(bounds);
+            this.invalidateConnectors(element);
+            this.invalidateFrameList(element);
+        };
+        
+        // Connectors are only rerouted when something they attach to has changed
+        this.connectorsByEnd = null; // Element id -> ids of the connectors attached to it (null: rebuild)
+        this.staleConnectorEnds = null; // Ids of elements changed since the last render (null: reroute all)
+        this.reroutingConnectors = false;
+        this.frameListStale = true; // Frames were added, removed, renamed or moved since the panel was built
+        
+        // Overview of the whole board; elements are cached and only changed areas are repainted
+        const minimapCache = document.createElement('canvas');
+        this.minimap = {
+            canvas: document.getElementById('minimap'),
+            ctx: document.getElementById('minimap').getContext('2d'),
+            cache: minimapCache,
+            cacheCtx: minimapCache.getContext('2d'),
+            visible: true,
+            bounds: null, // World-space area shown
+            scale: 1,
+            viewWidth: 0, // Our view's width when last fitted
+            layerKey: '',
+            dirty: [], // World-space areas to repaint
+            fullRedraw: true,
+            lastFullRedraw: 0,
+            dragging: false
+        };
+        minimapCache.width = this.minimap.canvas.width;
+        minimapCache.height = this.minimap.canvas.height;
         this.otherUsers = new Map();
         this.lastMouseUpdate = 0;
         this.shapeUsers = new Map(); // Track which user is manipulating which shape
@@ -269,10 +358,28 @@ class InfiniteCanvas {
         // Clear history
         this.history = [];
         this.historyIndex = -1;
+        this.saveToHistory('Initial state');
+        
+        // Forget the old room's version so the next join loads the full state
+        this.roomVersion = null;
+        this.syncedElements.clear();
+        this.syncedLayers.clear();
+        this.spatialIndex.clear();
         
         // Clear other users
         this.otherUsers.clear();
         this.shapeUsers.clear();
+        this.stopFollowingUser();
+        this.stopFollowingPresenter();
+        this.ignoredPresenter = null;
+        this.collaborators.clear();
+        this.updateUserList();
+        
+        // Comments and snapshots belong to the room
+        this.comments = [];
+        this.closeCommentPopup();
+        this.updateCommentList();
+        this.hideHistoryDialog();
         
         // Reset camera
         this.camera = { x: 0, y: 0, zoom: 1 };
@@ -310,10 +417,26 @@ class InfiniteCanvas {
         this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
         this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: false });
         
+        // Pointer events for the pen tool (mouse, touch and stylus with pressure)
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePenPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePenPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePenPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePenPointerUp(e));
+        
         document.querySelectorAll('.shape-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.selectShape(e.target.dataset.shape));
         });
         
+        // Pen options
+        document.getElementById('penColor').addEventListener('input', (e) => this.penColor = e.target.value);
+        document.getElementById('penWidth').addEventListener('input', (e) => this.penWidth = parseInt(e.target.value, 10));
+        document.getElementById('eraserToggle').addEventListener('click', () => this.toggleEraser());
+        
+        // Connector options (apply to new connectors and to selected ones)
+        document.getElementById('connectorRouting').addEventListener('change', (e) => this.setConnectorOption('routing', e.target.value));
+        document.getElementById('connectorStartArrow').addEventListener('change', (e) => this.setConnectorOption('startArrow', e.target.value));
+        document.getElementById('connectorEndArrow').addEventListener('change', (e) => this.setConnectorOption('endArrow', e.target.value));
+        
         document.getElementById('clearAll').addEventListener('click', () => this.clearAllElements());
         document.getElementById('username').addEventListener('click', () => this.editUsername());
         document.getElementById('roomName').addEventListener('click', () => this.editRoomName());
@@ -329,6 +452,39 @@ class InfiniteCanvas {
         
         // Export controls
         document.getElementById('exportBtn').addEventListener('click', () => this.showExportDialog());
+        document.getElementById('importRoomBtn').addEventListener('click', () => document.getElementById('roomImportInput').click());
+        document.getElementById('roomImportInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importRoomArchive(file);
+        });
+        
+        // Version history controls
+        document.getElementById('historyBtn').addEventListener('click', () => this.showHistoryDialog());
+        document.getElementById('saveCheckpointBtn').addEventListener('click', () => this.saveCheckpoint());
+        document.getElementById('restoreSnapshotBtn').addEventListener('click', () => this.restoreSnapshot());
+        document.getElementById('historyCloseBtn').addEventListener('click', () => this.hideHistoryDialog());
+        document.getElementById('checkpointName').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.saveCheckpoint();
+        });
+        
+        // Presentation controls
+        document.getElementById('presentBtn').addEventListener('click', () => this.showPresentDialog());
+        document.getElementById('saveViewBtn').addEventListener('click', () => this.saveCurrentView());
+        document.getElementById('presentPrevBtn').addEventListener('click', () => this.previousSlide());
+        document.getElementById('presentNextBtn').addEventListener('click', () => this.nextSlide());
+        document.getElementById('presentExitBtn').addEventListener('click', () => this.stopPresentation());
+        document.getElementById('stopFollowingBtn').addEventListener('click', () => {
+            this.stopFollowingPresenter();
+            this.stopFollowingUser();
+        });
+        document.getElementById('userCount').addEventListener('click', () => this.toggleUserList());
+        document.addEventListener('fullscreenchange', () => {
+            // Leaving full screen (e.g. with Esc) ends the presentation too
+            if (!document.fullscreenElement && this.presentation) {
+                this.stopPresentation();
+            }
+        });
         
         // Image upload controls
         document.getElementById('imageUploadBtn').addEventListener('click', () => this.triggerImageUpload());
@@ -336,6 +492,8 @@ class InfiniteCanvas {
         
         // Snap to grid toggle
         document.getElementById('snapToggle').addEventListener('click', () => this.toggleSnapToGrid());
+        this.setupMinimap();
+        this.setupComments();
         
         // Side panel toggle for mobile
         document.getElementById('sidePanelToggle').addEventListener('click', () => this.toggleSidePanel());
@@ -426,22 +584,29 @@ class InfiniteCanvas {
     }
     
     // History Management
+    // Each entry records this user's own changes as before/after copies of the elements and layers
+    // they touched. Remote changes are folded into historyBaseline as they arrive, so diffing
+    // against it only picks up local edits, and undo/redo never touches what others did.
     saveToHistory(description) {
         if (this.isUndoRedo) return;
         
-        const state = {
-            elements: JSON.parse(JSON.stringify(this.elements)),
-            layers: JSON.parse(JSON.stringify(this.layers)),
-            camera: JSON.parse(JSON.stringify(this.camera)),
+        const operations = this.diffAgainstHistoryBaseline();
+        this.captureHistoryBaseline();
+        
+        // The first entry is the starting point; after that, skip checkpoints where nothing changed
+        if (operations.length === 0 && this.history.length > 0) return;
+        
+        const entry = {
+            operations: operations,
             description: description,
             timestamp: Date.now()
         };
         
-        // Remove any states after current index
+        // Remove any entries after current index
         this.history = this.history.slice(0, this.historyIndex + 1);
         
-        // Add new state
-        this.history.push(state);
+        // Add new entry
+        this.history.push(entry);
         
         // Keep history size manageable
         if (this.history.length > this.maxHistorySize) {
@@ -455,30 +620,208 @@ class InfiniteCanvas {
     
     undo() {
         if (this.historyIndex > 0) {
+            const entry = this.history[this.historyIndex];
             this.historyIndex--;
-            this.restoreFromHistory();
-            console.log('Undo:', this.history[this.historyIndex].description);
+            this.applyHistoryOperations(entry.operations, 'undo');
+            console.log('Undo:', entry.description);
         }
     }
     
     redo() {
         if (this.historyIndex < this.history.length - 1) {
             this.historyIndex++;
-            this.restoreFromHistory();
-            console.log('Redo:', this.history[this.historyIndex].description);
+            const entry = this.history[this.historyIndex];
+            this.applyHistoryOperations(entry.operations, 'redo');
+            console.log('Redo:', entry.description);
+        }
+    }
+    
+    // Copy of the state that local changes are measured against
+    captureHistoryBaseline() {
+        const copy = object => JSON.parse(JSON.stringify(object));
+        this.historyBaseline = {
+            elements: new Map(this.elements.map(el => [el.id, copy(el)])),
+            layers: new Map(this.layers.map(layer => [layer.id, copy(layer)]))
+        };
+    }
+    
+    // Local changes since the last checkpoint, as { kind, id, before, after } (null = didn't exist)
+    diffAgainstHistoryBaseline() {
+        if (!this.historyBaseline) return [];
+        
+        const copy = object => JSON.parse(JSON.stringify(object));
+        const operations = [];
+        const collect = (kind, baseline, current, getIgnored) => {
+            const currentIds = new Set();
+            current.forEach(object => {
+                currentIds.add(object.id);
+                const before = baseline.get(object.id);
+                if (!before) {
+                    operations.push({ kind, id: object.id, before: null, after: copy(object) });
+                } else if (CanvasCRDT.diffProperties(before, object, getIgnored(object)).length > 0) {
+                    operations.push({ kind, id: object.id, before: copy(before), after: copy(object) });
+                }
+            });
+            baseline.forEach((before, id) => {
+                if (!currentIds.has(id)) {
+                    operations.push({ kind, id, before: copy(before), after: null });
+                }
+            });
+        };
+        
+        collect('layer', this.historyBaseline.layers, this.layers, () => ['elements']);
+        collect('element', this.historyBaseline.elements, this.elements, element => this.getDerivedProps(element));
+        return operations;
+    }
+    
+    // Fold a remote change into the baseline so it never ends up in our own history
+    syncHistoryBaseline(type, data) {
+        if (!this.historyBaseline || !data) return;
+        
+        const copy = object => JSON.parse(JSON.stringify(object));
+        const { elements, layers } = this.historyBaseline;
+        const syncProps = (baseline, live) => {
+            if (!baseline || !live) return;
+            Object.keys(data.clocks || data).forEach(prop => {
+                if (CanvasCRDT.TRANSIENT_FIELDS.includes(prop)) return;
+                if (prop in live) {
+                    baseline[prop] = copy(live[prop]);
+                } else {
+                    delete baseline[prop];
+                }
+            });
+        };
+        
+        switch (type) {
+            case 'add': {
+                const element = this.elements.find(el => el.id === data.id);
+                if (element) elements.set(element.id, copy(element));
+                break;
+            }
+            case 'update':
+                syncProps(elements.get(data.id), this.elements.find(el => el.id === data.id));
+                break;
+            case 'delete':
+                elements.delete(data.id);
+                break;
+            case 'clear':
+                elements.clear();
+                break;
+            case 'addLayer': {
+                const layer = this.layers.find(l => l.id === data.id);
+                if (layer) layers.set(layer.id, copy(layer));
+                break;
+            }
+            case 'updateLayer':
+                syncProps(layers.get(data.id), this.layers.find(l => l.id === data.id));
+                break;
+            case 'deleteLayer':
+                layers.delete(data.id);
+                elements.forEach((element, id) => {
+                    if (!this.elements.some(el => el.id === id)) elements.delete(id);
+                });
+                break;
+            case 'init':
+            case 'roomRestored':
+                this.captureHistoryBaseline();
+                break;
         }
     }
     
-    restoreFromHistory() {
+    // Replay a history entry on top of the current shared state. Only properties we changed are
+    // reverted, and only while they still hold our value - a later edit by someone else wins.
+    applyHistoryOperations(operations, direction) {
         this.isUndoRedo = true;
-        const state = this.history[this.historyIndex];
         
-        this.elements = JSON.parse(JSON.stringify(state.elements));
-        this.layers = JSON.parse(JSON.stringify(state.layers));
-        this.camera = JSON.parse(JSON.stringify(state.camera));
+        const isUndo = direction === 'undo';
+        const ordered = isUndo ? [...operations].reverse() : operations;
+        const from = operation => isUndo ? operation.after : operation.before;
+        const to = operation => isUndo ? operation.before : operation.after;
+        const copy = object => JSON.parse(JSON.stringify(object));
+        let skipped = 0;
+        
+        const revertProps = (object, operation, ignore) => {
+            const changed = CanvasCRDT.diffProperties(from(operation), to(operation), ignore);
+            changed.forEach(prop => {
+                const ours = from(operation)[prop];
+                if (JSON.stringify(object[prop]) !== JSON.stringify(ours)) {
+                    skipped++;
+                    return;
+                }
+                if (prop in to(operation)) {
+                    object[prop] = copy(to(operation)[prop]);
+                } else {
+                    delete object[prop];
+                }
+            });
+        };
+        
+        // Layers that come back go first so restored elements have somewhere to live
+        ordered.filter(op => op.kind === 'layer' && !from(op) && to(op)).forEach(operation => {
+            if (this.layers.some(l => l.id === operation.id)) return;
+            const layer = { ...copy(to(operation)), elements: [] };
+            this.layers.push(layer);
+            this.sendUpdate('addLayer', layer);
+        });
+        
+        ordered.filter(op => op.kind === 'layer' && from(op) && to(op)).forEach(operation => {
+            const layer = this.layers.find(l => l.id === operation.id);
+            if (!layer) {
+                skipped++;
+                return;
+            }
+            revertProps(layer, operation, ['elements']);
+            this.sendUpdate('updateLayer', layer);
+        });
+        
+        ordered.filter(op => op.kind === 'element').forEach(operation => {
+            const element = this.elements.find(el => el.id === operation.id);
+            if (!to(operation)) {
+                // Remove an element we added
+                if (!element) return;
+                this.elements = this.elements.filter(el => el.id !== operation.id);
+                this.removeElementFromLayer(element);
+                this.sendUpdate('delete', { id: operation.id });
+            } else if (!from(operation)) {
+                // Bring back an element we removed
+                if (element) return;
+                const restored = copy(to(operation));
+                this.elements.push(restored);
+                this.addElementToLayer(restored);
+                this.sendUpdate('add', restored);
+            } else {
+                if (!element) {
+                    skipped++;
+                    return;
+                }
+                const previousLayerId = element.layerId;
+                revertProps(element, operation, this.getDerivedProps(element));
+                if (element.layerId !== previousLayerId) {
+                    this.removeElementFromLayer(element);
+                    this.addElementToLayer(element);
+                }
+                this.sendUpdate('update', element);
+            }
+        });
+        
+        // Layers being removed go last, and only if nobody has put anything on them since
+        ordered.filter(op => op.kind === 'layer' && from(op) && !to(op)).forEach(operation => {
+            const layerIndex = this.layers.findIndex(l => l.id === operation.id);
+            if (layerIndex === -1) return;
+            if (this.layers.length <= 1 || this.layers[layerIndex].elements.length > 0) {
+                skipped++;
+                return;
+            }
+            this.layers.splice(layerIndex, 1);
+            this.sendUpdate('deleteLayer', { id: operation.id });
+        });
+        
+        CanvasCRDT.normalizeLayerOrder(this.layers);
+        if (!this.layers.some(l => l.id === this.activeLayerId)) {
+            this.activeLayerId = this.layers[0].id;
+        }
         
-        // Rebuild layer-element relationships
-        this.rebuildLayerElementRelationships();
+        this.captureHistoryBaseline();
         
         this.selectedElement = null;
         this.selectedElements.clear();
@@ -488,11 +831,9 @@ class InfiniteCanvas {
         this.updateHistoryUI();
         this.render();
         
-        // Send full state to server
-        this.sendUpdate('fullSync', {
-            elements: this.elements,
-            layers: this.layers
-        });
+        if (skipped > 0) {
+            this.showTemporaryMessage('Some changes were kept because another user edited them since');
+        }
         
         this.isUndoRedo = false;
     }
@@ -513,6 +854,33 @@ class InfiniteCanvas {
     handleMouseDown(e) {
         this.updateMousePosition(e);
         
+        // While presenting, clicks step through the slides
+        if (this.presentation) {
+            if (e.button === 0) this.nextSlide();
+            if (e.button === 2) this.previousSlide();
+            return;
+        }
+        
+        // Edge indicators jump to the collaborator they point at
+        const indicatedUser = e.button === 0 ? this.getOffscreenIndicatorAt(this.mouse.x, this.mouse.y) : null;
+        if (indicatedUser) {
+            this.goToUser(indicatedUser);
+            return;
+        }
+        
+        // Comment pins open their thread; the comment tool starts a new one
+        if (e.button === 0) {
+            const pinnedThread = this.getCommentPinAt(this.mouse.x, this.mouse.y);
+            if (pinnedThread) {
+                this.openCommentThread(pinnedThread);
+                return;
+            }
+            if (this.isCommenting) {
+                this.startNewComment(this.mouse.worldX, this.mouse.worldY);
+                return;
+            }
+        }
+        
         // Right-click for panning
         if (e.button === 2) {
             this.mouse.isDragging = true;
@@ -528,6 +896,14 @@ class InfiniteCanvas {
         // Left-click only for shape placement and interaction
         if (e.button !== 0) return;
         
+        // The pen tool is driven by pointer events
+        if (this.isPenActive()) return;
+        
+        if (this.isConnectorToolActive()) {
+            this.startConnector(this.mouse.worldX, this.mouse.worldY);
+            return;
+        }
+        
         if (this.isPlacing && this.selectedShape) {
             // Check if we're on mobile - use click-to-place instead of drag-to-size
             if (this.isMobileDevice()) {
@@ -590,7 +966,15 @@ class InfiniteCanvas {
             return;
         }
         
-        const clickedElement = this.getElementAtPosition(this.mouse.worldX, this.mouse.worldY);
+        // Frame name labels sit outside the frame but select it
+        const clickedElement = this.getFrameLabelAt(this.mouse.x, this.mouse.y) ||
+            this.getElementAtPosition(this.mouse.worldX, this.mouse.worldY);
+        
+        // Clicks inside the text being edited move the cursor instead of the element
+        if (this.isEditingText && clickedElement && clickedElement === this.editingTextElement) {
+            this.handleTextEditingMouseDown(e);
+            return;
+        }
         
         // If we're editing text and clicked somewhere else, finish editing
         if (this.isEditingText && (!clickedElement || clickedElement !== this.editingTextElement)) {
@@ -600,7 +984,7 @@ class InfiniteCanvas {
         
         if (clickedElement) {
             if (e.detail === 2) {
-                if (clickedElement.shape === 'text') {
+                if (this.isTextShape(clickedElement)) {
                     this.startInlineTextEdit(clickedElement);
                 } else {
                     this.startLabelEdit(clickedElement);
@@ -694,6 +1078,20 @@ class InfiniteCanvas {
             return;
         }
         
+        if (this.isSelectingText && this.isEditingText) {
+            // Extend the text selection to the mouse
+            this.textCursorPosition = this.getTextOffsetAtMouse();
+            this.textCursorVisible = true;
+            this.render();
+            return;
+        }
+        
+        if (this.isConnectorToolActive()) {
+            // Follow the pointer with the pending connector and anchor hints
+            this.render();
+            return;
+        }
+        
         if (this.isResizing && this.selectedElement && this.resizeHandle) {
             this.resizeElement(this.resizeHandle);
             // Send live resize update
@@ -728,6 +1126,7 @@ class InfiniteCanvas {
         if (this.mouse.isDragging) {
             if (this.mouse.dragButton === 2) {
                 // Right-click panning
+                this.stopFollowingUser();
                 const deltaX = (this.mouse.x - this.mouse.dragStartX) / this.camera.zoom;
                 const deltaY = (this.mouse.y - this.mouse.dragStartY) / this.camera.zoom;
                 this.camera.x = this.mouse.cameraStartX - deltaX;
@@ -742,15 +1141,16 @@ class InfiniteCanvas {
                 
                 console.log(`Moving ${this.selectedElements.size} elements by delta (${deltaX}, ${deltaY})`);
                 
-                // Move all selected elements by the same delta
-                this.selectedElements.forEach(element => {
+                // Move all selected elements (and the contents of selected frames) by the same delta
+                const movingElements = this.getMovingElements();
+                movingElements.forEach(element => {
                     element.x += deltaX;
                     element.y += deltaY;
                     console.log(`Element ${element.id} moved to (${element.x}, ${element.y})`);
                 });
                 
-                // Send live movement update for all selected elements
-                this.selectedElements.forEach(element => {
+                // Send live movement update for all moved elements
+                movingElements.forEach(element => {
                     this.sendUpdate('move', {
                         id: element.id,
                         x: element.x,
@@ -768,6 +1168,7 @@ class InfiniteCanvas {
                 };
             } else {
                 // Pan camera
+                this.stopFollowingUser();
                 const deltaX = (this.mouse.x - this.mouse.dragStartX) / this.camera.zoom;
                 const deltaY = (this.mouse.y - this.mouse.dragStartY) / this.camera.zoom;
                 this.camera.x = this.mouse.cameraStartX - deltaX;
@@ -778,11 +1179,24 @@ class InfiniteCanvas {
     }
     
     handleMouseUp(e) {
+        if (this.isSelectingText) {
+            this.isSelectingText = false;
+            if (this.textSelectionAnchor === this.textCursorPosition) {
+                this.textSelectionAnchor = null;
+            }
+            return;
+        }
+        
         if (this.isSizing && this.sizingShape) {
             this.completeShapeSizing();
             return;
         }
         
+        if (this.pendingConnector) {
+            this.completeConnector(this.mouse.worldX, this.mouse.worldY);
+            return;
+        }
+        
         if (this.isSelecting) {
             // Complete selection box
             this.completeSelection();
@@ -792,8 +1206,10 @@ class InfiniteCanvas {
         }
         
         if (this.mouse.isDragging && this.selectedElement) {
-            // Send update for all selected elements
-            this.selectedElements.forEach(element => {
+            // Send update for all moved elements, which may have been dropped into or out of a frame
+            const movedElements = this.getMovingElements();
+            this.updateFrameMembership(movedElements);
+            movedElements.forEach(element => {
                 this.sendUpdate('update', element);
                 this.sendUpdate('shapeRelease', { id: element.id });
             });
@@ -813,6 +1229,7 @@ class InfiniteCanvas {
                 this.initialElementRotations = null;
             } else {
                 // Resize only affects primary element
+                this.updateResizedFrameMembership(this.selectedElement);
                 this.sendUpdate('update', this.selectedElement);
                 this.sendUpdate('shapeRelease', { id: this.selectedElement.id });
                 this.saveToHistory('Resize element');
@@ -833,6 +1250,11 @@ class InfiniteCanvas {
         if (this.isPinching) return;
         
         e.preventDefault();
+        
+        // Slides stay put while presenting
+        if (this.presentation) return;
+        
+        this.stopFollowingUser();
         this.updateMousePosition(e);
         
         const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
@@ -878,29 +1300,49 @@ class InfiniteCanvas {
         
         this.drawGrid();
         
+        // Connectors follow the shapes they are attached to
+        this.refreshStaleConnectors();
+        this.updateConnectorOptionsVisibility();
+        
+        // Only draw the elements that intersect the viewport (loading animation slides them in from outside)
+        const viewport = this.getViewportBounds(this.isAnimating ? 300 : 0);
+        const visibleElements = this.queryElements(viewport.minX, viewport.minY, viewport.maxX, viewport.maxY);
+        
         // Sort elements by layer order and z-index within each layer, then render
-        const sortedElements = [...this.elements].sort((a, b) => {
-            // First sort by layer order
-            const layerAIndex = this.layers.findIndex(l => l.id === a.layerId);
-            const layerBIndex = this.layers.findIndex(l => l.id === b.layerId);
-            if (layerAIndex !== layerBIndex) {
-                return layerAIndex - layerBIndex;
-            }
-            
-            // Then sort by z-index within the same layer
-            const zIndexA = a.zIndex || 0;
-            const zIndexB = b.zIndex || 0;
-            return zIndexA - zIndexB;
-        });
+        const sortedElements = this.sortElementsByLayerOrder(visibleElements);
+        const origin = this.worldToScreen(0, 0);
         
-        // Only render visible elements (performance optimization)
         sortedElements.forEach(element => {
-            if (!this.isElementVisible(element) || !this.isElementInVisibleLayer(element)) return;
+            if (!this.isElementInVisibleLayer(element)) return;
             
             const screenPos = this.worldToScreen(element.x, element.y);
+            
+            // Frame contents are clipped to the frame (except while sliding in on load)
+            const frame = this.isAnimating ? null : this.getElementFrame(element);
+            if (frame) {
+                this.ctx.save();
+                this.clipToFrame(this.ctx, frame, this.camera.zoom, origin.x, origin.y);
+            }
             this.drawElement(element, screenPos);
+            if (frame) {
+                this.ctx.restore();
+            }
         });
         
+        this.drawFrameLabels(sortedElements);
+        if (this.frameListStale) {
+            this.updateFrameList();
+        }
+        
+        // Comment pins sit over the elements
+        this.drawCommentPins();
+        
+        // Draw the stroke being drawn and the eraser outline
+        this.drawPenPreview();
+        
+        // Draw anchor hints and the connector being dragged out
+        this.drawConnectorPreview();
+        
         // Draw user labels for manipulated shapes (one label per user)
         this.drawUserLabelsForShapes();
         
@@ -920,9 +1362,346 @@ class InfiniteCanvas {
         }
         
         this.drawOtherUsersCursors();
+        this.drawOffscreenIndicators();
         
         // Draw tooltip (last so it appears on top)
         this.drawTooltip();
+        
+        this.updateMinimap();
+        
+        // Let the room know if our view changed
+        this.broadcastViewport();
+    }
+    
+    // World-space rectangle covered by the canvas, optionally grown by a margin in world units
+    getViewportBounds(margin = 0) {
+        const topLeft = this.screenToWorld(0, 0);
+        const bottomRight = this.screenToWorld(this.canvas.width, this.canvas.height);
+        
+        return {
+            minX: Math.min(topLeft.x, bottomRight.x) - margin,
+            minY: Math.min(topLeft.y, bottomRight.y) - margin,
+            maxX: Math.max(topLeft.x, bottomRight.x) + margin,
+            maxY: Math.max(topLeft.y, bottomRight.y) + margin
+        };
+    }
+    
+    // Axis-aligned box around an element in world space, including rotation and stroke
+    getElementWorldBounds(element) {
+        const width = element.width || 0;
+        const height = element.height || 0;
+        const angle = element.rotation || 0;
+        const cos = Math.abs(Math.cos(angle));
+        const sin = Math.abs(Math.sin(angle));
+        const halfWidth = (width * cos + height * sin) / 2;
+        const halfHeight = (width * sin + height * cos) / 2;
+        const padding = (element.strokeWidth || 2) * 2;
+        
+        return {
+            minX: element.x - halfWidth - padding,
+            minY: element.y - halfHeight - padding,
+            maxX: element.x + halfWidth + padding,
+            maxY: element.y + halfHeight + padding
+        };
+    }
+    
+    // Elements whose bounds intersect a world-space rectangle (unsorted)
+    queryElements(minX, minY, maxX, maxY) {
+        this.syncSpatialIndex();
+        return this.spatialIndex.query(minX, minY, maxX, maxY);
+    }
+    
+    getElementById(id) {
+        return this.spatialIndex.get(id) || this.elements.find(el => el.id === id) || null;
+    }
+    
+    rebuildSpatialIndex() {
+        this.spatialIndex.rebuild(this.elements);
+    }
+    
+    // Bring the index up to date before it is queried
+    syncSpatialIndex() {
+        // Safety net for code paths that replace the element list wholesale
+        if (this.spatialIndex.size !== this.elements.length) {
+            this.rebuildSpatialIndex();
+            return;
+        }
+        
+        // Elements being dragged, resized or rotated locally change between updates
+        this.selectedElements.forEach(element => this.spatialIndex.update(element));
+    }
+    
+    // Keep the index in step with local edits as they are sent
+    updateSpatialIndex(type, data) {
+        switch (type) {
+            case 'add':
+                this.spatialIndex.insert(data);
+                break;
+            case 'update':
+            case 'move': {
+                const element = this.spatialIndex.get(data.id);
+                if (element) {
+                    this.spatialIndex.update(element);
+                }
+                break;
+            }
+            case 'delete':
+                this.spatialIndex.remove(data.id);
+                break;
+            case 'clear':
+                this.spatialIndex.clear();
+                break;
+        }
+        
+        // Recolors, restacking and re-pointed connectors leave the bounds alone, so the index doesn't report them
+        if (type === 'update') {
+            const element = this.spatialIndex.get(data.id);
+            if (element) {
+                this.invalidateMinimap(this.getElementWorldBounds(element));
+                this.invalidateConnectors(element);
+                this.invalidateFrameList(element);
+            }
+        }
+    }
+    
+    // Minimap
+    
+    // Note a world-space area whose minimap pixels are out of date (null redraws everything)
+    invalidateMinimap(bounds) {
+        const minimap = this.minimap;
+        if (!minimap || minimap.fullRedraw) return;
+        
+        if (!bounds || minimap.dirty.length >= 64) {
+            minimap.fullRedraw = true;
+            minimap.dirty = [];
+            return;
+        }
+        if (![bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(Number.isFinite)) return;
+        minimap.dirty.push(bounds);
+    }
+    
+    toggleMinimap() {
+        this.minimap.visible = !this.minimap.visible;
+        document.getElementById('minimap').style.display = this.minimap.visible ? 'block' : 'none';
+        document.getElementById('minimapToggle').classList.toggle('active', this.minimap.visible);
+        
+        // Nothing is drawn while hidden, so start over when it comes back
+        this.invalidateMinimap(null);
+        this.render();
+    }
+    
+    // Bring the cached element layer up to date, then draw the viewports over it
+    updateMinimap() {
+        const minimap = this.minimap;
+        if (!minimap.visible) return;
+        
+        const view = this.getViewportBounds();
+        const viewWidth = view.maxX - view.minX;
+        const layerKey = this.layers.map(layer => `${layer.id}:${layer.visible}`).join('|');
+        if (layerKey !== minimap.layerKey) {
+            minimap.layerKey = layerKey;
+            minimap.fullRedraw = true;
+        }
+        
+        // Rescale when our view wanders off the map or we zoom well into it (at most a few times a second)
+        const bounds = minimap.bounds;
+        const offMap = !bounds || view.minX < bounds.minX || view.minY < bounds.minY || view.maxX > bounds.maxX || view.maxY > bounds.maxY;
+        if ((offMap || viewWidth < minimap.viewWidth / 4) && Date.now() - minimap.lastFullRedraw > 250) {
+            minimap.fullRedraw = true;
+        }
+        
+        // Changes outside the mapped area need a new scale too
+        if (!minimap.fullRedraw && minimap.dirty.some(dirty =>
+            dirty.minX < bounds.minX || dirty.minY < bounds.minY || dirty.maxX > bounds.maxX || dirty.maxY > bounds.maxY)) {
+            minimap.fullRedraw = true;
+        }
+        
+        if (minimap.fullRedraw) {
+            this.rebuildMinimap(view);
+        } else if (minimap.dirty.length > 0) {
+            minimap.dirty.forEach(dirty => this.redrawMinimapArea(dirty));
+        }
+        minimap.dirty = [];
+        
+        this.drawMinimapOverlay(view);
+    }
+    
+    // Fit the elements and our view into the minimap and redraw the cached layer from scratch
+    rebuildMinimap(view) {
+        const minimap = this.minimap;
+        const { width, height } = minimap.canvas;
+        
+        // Room around our view so ordinary panning doesn't keep rescaling the map
+        const viewWidth = view.maxX - view.minX;
+        const viewHeight = view.maxY - view.minY;
+        let minX = view.minX - viewWidth / 2;
+        let minY = view.minY - viewHeight / 2;
+        let maxX = view.maxX + viewWidth / 2;
+        let maxY = view.maxY + viewHeight / 2;
+        
+        // Bounds come back infinite when every layer is hidden
+        const content = this.calculateElementsBounds();
+        if (Number.isFinite(content.width) && Number.isFinite(content.height)) {
+            const padding = Math.max(content.width, content.height) * 0.05;
+            minX = Math.min(minX, content.minX - padding);
+            minY = Math.min(minY, content.minY - padding);
+            maxX = Math.max(maxX, content.maxX + padding);
+            maxY = Math.max(maxY, content.maxY + padding);
+        }
+        
+        // Match the minimap's aspect ratio, centered
+        const scale = Math.min(width / (maxX - minX), height / (maxY - minY));
+        const extraX = (width / scale - (maxX - minX)) / 2;
+        const extraY = (height / scale - (maxY - minY)) / 2;
+        minX -= extraX;
+        maxX += extraX;
+        minY -= extraY;
+        maxY += extraY;
+        
+        minimap.bounds = { minX, minY, maxX, maxY };
+        minimap.scale = scale;
+        minimap.viewWidth = viewWidth;
+        minimap.fullRedraw = false;
+        minimap.lastFullRedraw = Date.now();
+        
+        this.redrawMinimapArea(minimap.bounds);
+    }
+    
+    // Repaint the cached layer inside a world-space area with whatever is there now
+    redrawMinimapArea(area) {
+        const minimap = this.minimap;
+        const ctx = minimap.cacheCtx;
+        const { minX, minY } = minimap.bounds;
+        const scale = minimap.scale;
+        
+        // Whole pixels, so neighbouring repaints don't leave seams
+        const left = Math.max(0, Math.floor((area.minX - minX) * scale) - 1);
+        const top = Math.max(0, Math.floor((area.minY - minY) * scale) - 1);
+        const right = Math.min(minimap.cache.width, Math.ceil((area.maxX - minX) * scale) + 1);
+        const bottom = Math.min(minimap.cache.height, Math.ceil((area.maxY - minY) * scale) + 1);
+        if (right <= left || bottom <= top) return;
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, right - left, bottom - top);
+        ctx.clip();
+        ctx.clearRect(left, top, right - left, bottom - top);
+        
+        const elements = this.spatialIndex.query(
+            minX + left / scale, minY + top / scale,
+            minX + right / scale, minY + bottom / scale
+        );
+        this.sortElementsByLayerOrder(elements).forEach(element => {
+            if (!this.isElementInVisibleLayer(element)) return;
+            this.drawMinimapElement(ctx, element);
+        });
+        ctx.restore();
+    }
+    
+    // Each element as a block of its color (frames as outlines; connectors are left out)
+    drawMinimapElement(ctx, element) {
+        if (element.shape === 'connector') return;
+        
+        const minimap = this.minimap;
+        const bounds = this.getElementWorldBounds(element);
+        const x = (bounds.minX - minimap.bounds.minX) * minimap.scale;
+        const y = (bounds.minY - minimap.bounds.minY) * minimap.scale;
+        const width = Math.max(1, (bounds.maxX - bounds.minX) * minimap.scale);
+        const height = Math.max(1, (bounds.maxY - bounds.minY) * minimap.scale);
+        
+        if (element.shape === 'frame') {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.fillRect(x, y, width, height);
+            ctx.strokeStyle = '#999';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+            return;
+        }
+        
+        ctx.globalAlpha = element.shape === 'text' || element.shape === 'path' ? 0.6 : 1;
+        ctx.fillStyle = element.shape === 'image' ? '#adb5bd' : (element.color || '#999');
+        ctx.fillRect(x, y, width, height);
+        ctx.globalAlpha = 1;
+    }
+    
+    // Cached elements, then everyone's viewports on top
+    drawMinimapOverlay(view) {
+        const minimap = this.minimap;
+        const ctx = minimap.ctx;
+        const toMinimap = (x, y) => ({
+            x: (x - minimap.bounds.minX) * minimap.scale,
+            y: (y - minimap.bounds.minY) * minimap.scale
+        });
+        
+        ctx.clearRect(0, 0, minimap.canvas.width, minimap.canvas.height);
+        ctx.drawImage(minimap.cache, 0, 0);
+        
+        this.collaborators.forEach(user => {
+            if (!user.viewport) return;
+            const topLeft = toMinimap(user.viewport.x - user.viewport.width / 2, user.viewport.y - user.viewport.height / 2);
+            ctx.strokeStyle = user.color;
+            ctx.lineWidth = 1;
+            ctx.strokeRect(topLeft.x, topLeft.y, Math.max(2, user.viewport.width * minimap.scale), Math.max(2, user.viewport.height * minimap.scale));
+        });
+        
+        const topLeft = toMinimap(view.minX, view.minY);
+        const width = Math.max(3, (view.maxX - view.minX) * minimap.scale);
+        const height = Math.max(3, (view.maxY - view.minY) * minimap.scale);
+        ctx.fillStyle = 'rgba(0, 123, 255, 0.12)';
+        ctx.fillRect(topLeft.x, topLeft.y, width, height);
+        ctx.strokeStyle = '#007bff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(topLeft.x, topLeft.y, width, height);
+    }
+    
+    // Center the camera on the world point under a spot on the minimap
+    moveCameraToMinimap(clientX, clientY) {
+        const minimap = this.minimap;
+        if (!minimap.bounds || this.presentation) return;
+        
+        const rect = minimap.canvas.getBoundingClientRect();
+        const x = (clientX - rect.left) * (minimap.canvas.width / rect.width);
+        const y = (clientY - rect.top) * (minimap.canvas.height / rect.height);
+        
+        this.stopFollowingUser();
+        if (this.cameraAnimation) {
+            cancelAnimationFrame(this.cameraAnimation);
+            this.cameraAnimation = null;
+        }
+        this.camera.x = minimap.bounds.minX + x / minimap.scale;
+        this.camera.y = minimap.bounds.minY + y / minimap.scale;
+        this.render();
+    }
+    
+    setupMinimap() {
+        const canvas = this.minimap.canvas;
+        
+        canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            this.minimap.dragging = true;
+            this.moveCameraToMinimap(e.clientX, e.clientY);
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (this.minimap.dragging) {
+                this.moveCameraToMinimap(e.clientX, e.clientY);
+            }
+        });
+        window.addEventListener('mouseup', () => {
+            this.minimap.dragging = false;
+        });
+        
+        const handleTouch = (e) => {
+            e.preventDefault();
+            const touch = e.touches[0];
+            if (touch) {
+                this.moveCameraToMinimap(touch.clientX, touch.clientY);
+            }
+        };
+        canvas.addEventListener('touchstart', handleTouch, { passive: false });
+        canvas.addEventListener('touchmove', handleTouch, { passive: false });
+        
+        document.getElementById('minimapToggle').addEventListener('click', () => this.toggleMinimap());
     }
     
     // Performance optimization - check if element is visible
@@ -1004,9 +1783,38 @@ class InfiniteCanvas {
     // Touch event handlers for mobile support
     handleTouchStart(e) {
         e.preventDefault();
-        this.touches = Array.from(e.touches);
         
-        if (this.touches.length === 1) {
+        // While presenting, taps step through the slides
+        if (this.presentation) {
+            this.nextSlide();
+            return;
+        }
+        
+        // The pen tool is driven by pointer events
+        if (this.isPenActive()) return;
+        
+        this.touches = Array.from(e.touches);
+        
+        if (this.isConnectorToolActive() && this.touches.length === 1) {
+            this.updateTouchPosition(e);
+            this.startConnector(this.mouse.worldX, this.mouse.worldY);
+            return;
+        }
+        
+        if (this.touches.length === 1) {
+            this.updateTouchPosition(e);
+            const pinnedThread = this.getCommentPinAt(this.mouse.x, this.mouse.y);
+            if (pinnedThread) {
+                this.openCommentThread(pinnedThread);
+                return;
+            }
+            if (this.isCommenting) {
+                this.startNewComment(this.mouse.worldX, this.mouse.worldY);
+                return;
+            }
+        }
+        
+        if (this.touches.length === 1) {
             // Single touch - handle as potential element selection or panning
             this.updateTouchPosition(e);
             
@@ -1102,8 +1910,8 @@ class InfiniteCanvas {
                     this.mouse.dragStartX = this.mouse.x;
                     this.mouse.dragStartY = this.mouse.y;
                     
-                    // Store initial positions for all selected elements
-                    this.selectedElements.forEach(element => {
+                    // Store initial positions for all selected elements (and frame contents)
+                    this.getMovingElements().forEach(element => {
                         if (!element.initialPosition) {
                             element.initialPosition = { x: element.x, y: element.y };
                         }
@@ -1178,8 +1986,16 @@ class InfiniteCanvas {
     
     handleTouchMove(e) {
         e.preventDefault();
+        if (this.isPenActive()) return;
+        
         this.touches = Array.from(e.touches);
         
+        if (this.pendingConnector && this.touches.length === 1) {
+            this.updateTouchPosition(e);
+            this.render();
+            return;
+        }
+        
         if (this.touches.length === 1) {
             this.updateTouchPosition(e);
             
@@ -1221,7 +2037,7 @@ class InfiniteCanvas {
                 const deltaX = (this.mouse.x - this.mouse.dragStartX) / this.camera.zoom;
                 const deltaY = (this.mouse.y - this.mouse.dragStartY) / this.camera.zoom;
                 
-                this.selectedElements.forEach(element => {
+                this.getMovingElements().forEach(element => {
                     if (element.initialPosition) {
                         element.x = element.initialPosition.x + deltaX;
                         element.y = element.initialPosition.y + deltaY;
@@ -1245,6 +2061,7 @@ class InfiniteCanvas {
                 this.render();
             } else if (this.mouse.isDragging) {
                 // Panning the canvas
+                this.stopFollowingUser();
                 const deltaX = (this.mouse.x - this.mouse.dragStartX) / this.camera.zoom;
                 const deltaY = (this.mouse.y - this.mouse.dragStartY) / this.camera.zoom;
                 this.camera.x = this.mouse.cameraStartX - deltaX;
@@ -1253,6 +2070,7 @@ class InfiniteCanvas {
             }
         } else if (this.touches.length === 2 && this.isPinching) {
             // Pinch zoom
+            this.stopFollowingUser();
             const currentDistance = this.getTouchDistance(this.touches[0], this.touches[1]);
             const currentCenter = this.getTouchCenter(this.touches[0], this.touches[1]);
             
@@ -1285,8 +2103,16 @@ class InfiniteCanvas {
     
     handleTouchEnd(e) {
         e.preventDefault();
+        if (this.isPenActive()) return;
+        
         this.touches = Array.from(e.touches);
         
+        if (this.pendingConnector) {
+            // Touch end has no position; use the last one from touchmove
+            this.completeConnector(this.mouse.worldX, this.mouse.worldY);
+            return;
+        }
+        
         if (this.touches.length === 0) {
             // All touches ended
             if (this.isResizing || this.isRotating) {
@@ -1303,6 +2129,7 @@ class InfiniteCanvas {
                 this.initialElementRotations = null;
                 } else if (this.selectedElement) {
                     // Resize only affects primary element
+                    this.updateResizedFrameMembership(this.selectedElement);
                     this.sendUpdate('update', this.selectedElement);
                     this.sendUpdate('shapeRelease', { id: this.selectedElement.id });
                     this.saveToHistory('Resize element');
@@ -1313,7 +2140,9 @@ class InfiniteCanvas {
                 this.canvas.className = '';
             } else if (this.selectedElement && this.mouse.isDragging) {
                 // Finish element movement - send final updates and save to history
-                this.selectedElements.forEach(element => {
+                const movedElements = this.getMovingElements();
+                this.updateFrameMembership(movedElements);
+                movedElements.forEach(element => {
                     this.sendUpdate('update', element);
                     this.sendUpdate('shapeRelease', { id: element.id });
                     // Clean up initial position
@@ -1419,10 +2248,27 @@ class InfiniteCanvas {
             case 'text':
                 this.drawText(element);
                 break;
+            case 'sticky':
+                this.drawSticky(element);
+                break;
+            case 'frame':
+                this.ctx.fillRect(-element.width/2, -element.height/2, element.width, element.height);
+                if (element !== this.selectedElement) {
+                    this.ctx.strokeStyle = '#ccc';
+                    this.ctx.lineWidth = 1 / this.camera.zoom;
+                }
+                this.ctx.strokeRect(-element.width/2, -element.height/2, element.width, element.height);
+                break;
+            case 'path':
+                this.drawPathOnContext(this.ctx, element);
+                break;
+            case 'connector':
+                this.drawConnectorOnContext(this.ctx, element);
+                break;
         }
         
         // Only render text labels for non-text elements
-        if (element.text && element.shape !== 'text') {
+        if (element.text && !this.isTextShape(element)) {
             this.ctx.fillStyle = '#333';
             this.ctx.font = '14px Arial';
             this.ctx.textAlign = 'center';
@@ -1483,47 +2329,105 @@ class InfiniteCanvas {
     }
     
     drawText(element) {
-        // Set font properties with new formatting support
-        const fontSize = element.fontSize || 20;
-        const fontFamily = element.fontFamily || 'Arial';
-        const fontWeight = element.fontWeight || 'normal';
-        const fontStyle = element.fontStyle || 'normal';
+        const isEditing = this.isEditingText && this.editingTextElement === element;
         
-        this.ctx.font = `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
+        if (!element.text && !isEditing) {
+            // Placeholder for empty text
+            this.ctx.font = `${element.fontSize || 20}px ${element.fontFamily || 'Arial'}`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillStyle = element.color;
+            this.ctx.fillText('Double-click to edit', 0, 0);
+        } else {
+            const layout = this.getTextLayout(this.ctx, element);
+            if (isEditing) {
+                this.drawTextSelection(layout);
+            }
+            RichText.draw(this.ctx, layout);
+            if (isEditing) {
+                this.drawTextCaret(layout, element.color);
+            }
+        }
         
-        const text = element.text || 'Double-click to edit';
-        const lines = text.split('\n');
-        const lineHeight = fontSize * 1.2; // Add some line spacing
+        // Draw border if selected
+        if (element === this.selectedElement) {
+            this.ctx.strokeStyle = element.groupId ? '#6f42c1' : '#007bff'; // Purple for grouped, blue for normal
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(-element.width/2, -element.height/2, element.width, element.height);
+        }
+    }
+    
+    // Rich text layout of a text element, cached until its content or formatting changes
+    getTextLayout(ctx, element) {
+        if (!this.textLayoutCache) {
+            this.textLayoutCache = new Map();
+        }
         
-        // Draw text with the element's color
-        this.ctx.fillStyle = element.color;
+        const key = [element.text || '', JSON.stringify(element.runs || null), JSON.stringify(element.listStyles || null),
+            element.wrap ? element.width : '', element.fontSize, element.fontFamily, element.fontWeight,
+            element.fontStyle, element.textDecoration, element.color].join('|');
+        const cached = this.textLayoutCache.get(element.id);
+        if (cached && cached.key === key) {
+            return cached.layout;
+        }
         
-        // Calculate starting Y position to center all lines
-        const totalHeight = lines.length * lineHeight;
-        const startY = -(totalHeight / 2) + (lineHeight / 2);
+        const layout = RichText.layout(ctx, element);
+        this.textLayoutCache.set(element.id, { key, layout });
+        return layout;
+    }
+    
+    // Text editing selection range as [start, end], or null when nothing is selected
+    getTextSelectionRange() {
+        if (this.textSelectionAnchor === null || this.textSelectionAnchor === this.textCursorPosition) {
+            return null;
+        }
+        return [
+            Math.min(this.textSelectionAnchor, this.textCursorPosition),
+            Math.max(this.textSelectionAnchor, this.textCursorPosition)
+        ];
+    }
+    
+    drawTextSelection(layout) {
+        const range = this.getTextSelectionRange();
+        if (!range) return;
         
-        // Draw each line
-        lines.forEach((line, index) => {
-            const y = startY + (index * lineHeight);
-            this.ctx.fillText(line, 0, y);
-            
-            // Draw strikethrough if enabled
-            if (element.textDecoration === 'line-through') {
-                const textWidth = this.ctx.measureText(line).width;
-                this.ctx.strokeStyle = element.color;
-                this.ctx.lineWidth = Math.max(1, fontSize * 0.05);
-                this.ctx.beginPath();
-                this.ctx.moveTo(-textWidth/2, y);
-                this.ctx.lineTo(textWidth/2, y);
-                this.ctx.stroke();
-            }
+        this.ctx.fillStyle = 'rgba(0, 123, 255, 0.3)';
+        RichText.selectionRects(this.ctx, layout, range[0], range[1]).forEach(rect => {
+            this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
         });
+    }
+    
+    drawTextCaret(layout, color) {
+        if (!this.textCursorVisible) return;
+        
+        const caret = RichText.caretPosition(this.ctx, layout, this.textCursorPosition);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(caret.x, caret.y - caret.height / 2);
+        this.ctx.lineTo(caret.x, caret.y + caret.height / 2);
+        this.ctx.stroke();
+    }
+    
+    drawSticky(element) {
+        this.drawStickyOnContext(this.ctx, element);
+        
+        const layout = this.getStickyLayout(this.ctx, element);
+        const isEditing = this.isEditingText && this.editingTextElement === element;
+        
+        // Placeholder on screen only, so exports of empty notes stay empty
+        if (!element.text && !isEditing) {
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+            this.ctx.font = `italic ${layout.fontSize}px ${element.fontFamily || 'Arial'}`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText('Double-click to edit', 0, layout.textTop + layout.textHeight / 2, element.width - layout.padding * 2);
+        }
         
-        // Draw cursor if this element is being edited
-        if (this.isEditingText && this.editingTextElement === element && this.textCursorVisible) {
-            this.drawTextCursor(element, text, lines, lineHeight, startY);
+        // Draw selection and cursor if this note is being edited
+        if (isEditing) {
+            this.drawTextSelection(layout);
+            this.drawTextCaret(layout, '#333');
         }
         
         // Draw border if selected
@@ -1534,57 +2438,155 @@ class InfiniteCanvas {
         }
     }
     
-    drawTextCursor(element, text, lines, lineHeight, startY) {
-        // Set font properties to match text
-        const fontSize = element.fontSize || 20;
-        const fontFamily = element.fontFamily || 'Arial';
+    // Sticky note paper, wrapped text and author, drawn around the element's center.
+    // Shared by the main render and the PNG/JPG/PDF exports.
+    drawStickyOnContext(ctx, element) {
+        const w = element.width;
+        const h = element.height;
+        
+        // Shadow offsets are in device pixels, so scale them with the current transform
+        const transform = ctx.getTransform ? ctx.getTransform() : null;
+        const scale = transform ? Math.hypot(transform.a, transform.b) : 1;
+        
+        ctx.save();
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.25)';
+        ctx.shadowBlur = 12 * scale;
+        ctx.shadowOffsetX = 2 * scale;
+        ctx.shadowOffsetY = 5 * scale;
+        ctx.fillStyle = element.color;
+        ctx.fillRect(-w/2, -h/2, w, h);
+        ctx.restore();
+        
+        const layout = this.getStickyLayout(ctx, element);
         const fontWeight = element.fontWeight || 'normal';
         const fontStyle = element.fontStyle || 'normal';
         
-        this.ctx.font = `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        
-        // Find which line the cursor is on
-        let currentPos = 0;
-        let currentLine = 0;
-        let cursorLinePos = 0;
-        
-        for (let i = 0; i < lines.length; i++) {
-            const lineLength = lines[i].length + 1; // +1 for newline character
-            if (currentPos + lineLength > this.textCursorPosition) {
-                currentLine = i;
-                cursorLinePos = this.textCursorPosition - currentPos;
-                break;
-            }
-            currentPos += lineLength;
-        }
+        ctx.fillStyle = '#333';
+        ctx.font = `${fontStyle} ${fontWeight} ${layout.fontSize}px ${element.fontFamily || 'Arial'}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        layout.lines.forEach((line, index) => {
+            ctx.fillText(line.text, 0, layout.startY + index * layout.lineHeight);
+        });
         
-        // Handle case where cursor is at the very end
-        if (currentLine >= lines.length) {
-            currentLine = lines.length - 1;
-            cursorLinePos = lines[currentLine].length;
+        if (element.authorName) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.font = `${layout.authorFontSize}px Arial`;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(element.authorName, w/2 - layout.padding, h/2 - layout.footerHeight / 2, w - layout.padding * 2);
+        }
+    }
+    
+    // Word-wrap the note's text to its width and shrink the font until it fits.
+    // Cached per element until the text, size or font changes.
+    getStickyLayout(ctx, element) {
+        if (!this.stickyLayoutCache) {
+            this.stickyLayoutCache = new Map();
         }
         
-        // Get text before cursor on current line
-        const currentLineText = lines[currentLine] || '';
-        const textBeforeCursor = currentLineText.slice(0, cursorLinePos);
+        const text = element.text || '';
+        const key = [text, element.width, element.height, element.fontSize, element.fontFamily,
+            element.fontWeight, element.fontStyle, Boolean(element.authorName)].join('|');
+        const cached = this.stickyLayoutCache.get(element.id);
+        if (cached && cached.key === key) {
+            return cached.layout;
+        }
         
-        // Measure text width to position cursor
-        const currentLineWidth = this.ctx.measureText(currentLineText).width;
-        const textBeforeWidth = this.ctx.measureText(textBeforeCursor).width;
+        const padding = Math.min(12, element.width * 0.08);
+        const authorFontSize = Math.max(8, Math.min(12, element.height * 0.07));
+        const footerHeight = element.authorName ? authorFontSize + 6 : 0;
+        const maxWidth = Math.max(1, element.width - padding * 2);
+        const textHeight = Math.max(1, element.height - padding * 2 - footerHeight);
+        const fontFamily = element.fontFamily || 'Arial';
+        const fontWeight = element.fontWeight || 'normal';
+        const fontStyle = element.fontStyle || 'normal';
+        const minFontSize = 6;
+        
+        let fontSize = element.fontSize || 24;
+        let lines;
+        ctx.save();
+        while (true) {
+            ctx.font = `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
+            lines = this.wrapTextLines(ctx, text, maxWidth);
+            if (lines.length * fontSize * 1.2 <= textHeight || fontSize <= minFontSize) break;
+            fontSize = Math.max(minFontSize, Math.floor(fontSize * 0.9));
+        }
+        
+        const lineHeight = fontSize * 1.2;
+        const textTop = -element.height / 2 + padding;
+        // Center the block of lines in the text area
+        const startY = textTop + textHeight / 2 - (lines.length * lineHeight) / 2 + lineHeight / 2;
+        
+        // Give the lines the same shape as rich text layouts, so the editing caret,
+        // selection and click-to-place code is shared with text elements
+        const font = ctx.font;
+        lines.forEach((line, index) => {
+            const width = ctx.measureText(line.text).width;
+            line.end = line.start + line.text.length;
+            line.x = -width / 2;
+            line.y = startY + index * lineHeight;
+            line.height = lineHeight;
+            line.size = fontSize;
+            line.fragments = line.text ? [{ text: line.text, start: line.start, x: line.x, width, font }] : [];
+        });
+        ctx.restore();
+        
+        const layout = {
+            lines,
+            fontSize,
+            lineHeight,
+            padding,
+            footerHeight,
+            authorFontSize,
+            textTop,
+            textHeight,
+            startY
+        };
+        this.stickyLayoutCache.set(element.id, { key, layout });
+        return layout;
+    }
+    
+    // Break text into lines no wider than maxWidth with the context's current font.
+    // Each line remembers where it starts in the text, for placing the edit cursor.
+    wrapTextLines(ctx, text, maxWidth) {
+        const lines = [];
+        let paragraphStart = 0;
         
-        // Calculate cursor position (adjust for center alignment)
-        const cursorX = -currentLineWidth / 2 + textBeforeWidth;
-        const cursorY = startY + (currentLine * lineHeight);
+        text.split('\n').forEach(paragraph => {
+            let lineStart = 0; // Offsets within the paragraph
+            let lineEnd = 0;
+            let position = 0;
+            
+            paragraph.split(' ').forEach((word, index) => {
+                const wordStart = position;
+                position += word.length + 1;
+                
+                const candidate = paragraph.slice(lineStart, wordStart + word.length);
+                if (index === 0 || ctx.measureText(candidate).width <= maxWidth) {
+                    lineEnd = wordStart + word.length;
+                } else {
+                    lines.push({ text: paragraph.slice(lineStart, lineEnd), start: paragraphStart + lineStart });
+                    lineStart = wordStart;
+                    lineEnd = wordStart + word.length;
+                }
+                
+                // Words wider than the note are broken between characters
+                while (ctx.measureText(paragraph.slice(lineStart, lineEnd)).width > maxWidth && lineEnd - lineStart > 1) {
+                    let fit = lineStart + 1;
+                    while (fit < lineEnd && ctx.measureText(paragraph.slice(lineStart, fit + 1)).width <= maxWidth) {
+                        fit++;
+                    }
+                    lines.push({ text: paragraph.slice(lineStart, fit), start: paragraphStart + lineStart });
+                    lineStart = fit;
+                }
+            });
+            
+            lines.push({ text: paragraph.slice(lineStart, lineEnd), start: paragraphStart + lineStart });
+            paragraphStart += paragraph.length + 1;
+        });
         
-        // Draw cursor line
-        this.ctx.strokeStyle = element.color;
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        this.ctx.moveTo(cursorX, cursorY - (element.fontSize || 20) / 2);
-        this.ctx.lineTo(cursorX, cursorY + (element.fontSize || 20) / 2);
-        this.ctx.stroke();
+        return lines;
     }
     
     drawSizingShape(element, screenPos) {
@@ -1603,6 +2605,8 @@ class InfiniteCanvas {
         switch (element.shape) {
             case 'square':
             case 'rectangle':
+            case 'sticky':
+            case 'frame':
                 this.ctx.fillRect(-element.width/2, -element.height/2, element.width, element.height);
                 this.ctx.strokeRect(-element.width/2, -element.height/2, element.width, element.height);
                 break;
@@ -1691,6 +2695,7 @@ class InfiniteCanvas {
             return;
         }
         
+        this.stopCommentTool();
         document.querySelectorAll('.shape-btn').forEach(btn => btn.classList.remove('active'));
         shapeBtn.classList.add('active');
         
@@ -1699,6 +2704,18 @@ class InfiniteCanvas {
         this.isPlacing = true;
         this.canvas.className = 'placing';
         
+        if (shape === 'path') {
+            document.getElementById('penOptions').style.display = 'flex';
+            this.updatePenInstruction();
+            return;
+        }
+        
+        if (shape === 'connector') {
+            this.updateConnectorOptionsVisibility();
+            document.getElementById('mode').textContent = 'Drag from one shape to another to connect them (click ↗ again to exit)';
+            return;
+        }
+        
         const instruction = this.isMobileDevice() ? 
             `Tap to place ${shape} (tap button again to exit)` : 
             `Click and drag to size ${shape}, or click to place default size (click button again to exit)`;
@@ -1728,11 +2745,25 @@ class InfiniteCanvas {
             element.fontFamily = 'Arial';
             element.width = 200;
             element.height = 30;
+        } else if (this.selectedShape === 'sticky') {
+            element.width = 200;
+            element.height = 200;
+            element.color = this.getStickyColor();
+            Object.assign(element, this.getStickyAuthorFields());
+        } else if (this.selectedShape === 'frame') {
+            element.width = 800;
+            element.height = 600;
+            element.color = '#ffffff';
+            element.name = this.getNextFrameName();
         }
         
+        this.assignFrame(element);
         this.elements.push(element);
         this.addElementToLayer(element);
         this.sendUpdate('add', element);
+        if (element.shape === 'frame') {
+            this.adoptElementsIntoFrame(element);
+        }
         this.saveToHistory(`Add ${this.selectedShape}`);
         
         // Exit placement mode and select the new element
@@ -1750,6 +2781,16 @@ class InfiniteCanvas {
         this.render();
     }
     
+    // Notes start at a large font size (shrunk to fit) and remember who wrote them
+    getStickyAuthorFields() {
+        return {
+            fontSize: 24,
+            fontFamily: 'Arial',
+            authorId: this.userId,
+            authorName: this.userName
+        };
+    }
+    
     startShapeSizing(x, y) {
         // Create a temporary shape that will be sized by dragging
         this.sizingShape = {
@@ -1761,7 +2802,8 @@ class InfiniteCanvas {
             width: 0, // Will be calculated based on drag
             height: 0, // Will be calculated based on drag
             rotation: 0,
-            color: this.getRandomColor(),
+            color: this.selectedShape === 'sticky' ? this.getStickyColor() :
+                (this.selectedShape === 'frame' ? '#ffffff' : this.getRandomColor()),
             shape: this.selectedShape,
             text: '',
             layerId: this.activeLayerId
@@ -1828,10 +2870,20 @@ class InfiniteCanvas {
             layerId: this.sizingShape.layerId
         };
         
+        if (element.shape === 'sticky') {
+            Object.assign(element, this.getStickyAuthorFields());
+        } else if (element.shape === 'frame') {
+            element.name = this.getNextFrameName();
+        }
+        
         // Add to elements and layer
+        this.assignFrame(element);
         this.elements.push(element);
         this.addElementToLayer(element);
         this.sendUpdate('add', element);
+        if (element.shape === 'frame') {
+            this.adoptElementsIntoFrame(element);
+        }
         this.saveToHistory(`Add ${this.selectedShape}`);
         
         // Clean up sizing state
@@ -1867,6 +2919,7 @@ class InfiniteCanvas {
     }
     
     exitPlacementMode() {
+        this.stopCommentTool();
         document.querySelectorAll('.shape-btn').forEach(btn => btn.classList.remove('active'));
         this.selectedShape = null;
         this.mode = 'select';
@@ -1875,3163 +2928,6362 @@ class InfiniteCanvas {
         this.sizingShape = null;
         this.canvas.className = '';
         document.getElementById('mode').textContent = 'Select a shape or click existing shapes to edit';
+        
+        document.getElementById('penOptions').style.display = 'none';
+        this.isErasing = false;
+        document.getElementById('eraserToggle').classList.remove('active');
+        this.currentStroke = null;
+        this.penPointerId = null;
+        
+        this.pendingConnector = null;
+        this.updateConnectorOptionsVisibility();
     }
     
-    getRandomColor() {
-        const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FECA57', '#FF9FF3', '#54A0FF'];
-        return colors[Math.floor(Math.random() * colors.length)];
+    // Freehand drawing
+    isPenActive() {
+        return this.isPlacing && this.selectedShape === 'path';
     }
     
-    getElementAtPosition(worldX, worldY) {
-        // Sort elements by layer order and z-index within each layer (same as rendering order)
-        const sortedElements = [...this.elements].sort((a, b) => {
-            // First sort by layer order
-            const layerAIndex = this.layers.findIndex(l => l.id === a.layerId);
-            const layerBIndex = this.layers.findIndex(l => l.id === b.layerId);
-            if (layerAIndex !== layerBIndex) {
-                return layerAIndex - layerBIndex;
+    updatePenInstruction() {
+        document.getElementById('mode').textContent = this.isErasing ?
+            'Drag over strokes to erase them (click ✏️ again to exit)' :
+            'Draw with the mouse, a finger or a pen (click ✏️ again to exit)';
+    }
+    
+    toggleEraser() {
+        this.isErasing = !this.isErasing;
+        document.getElementById('eraserToggle').classList.toggle('active', this.isErasing);
+        this.updatePenInstruction();
+        this.render();
+    }
+    
+    // World position of a pointer event (no snap to grid - strokes follow the hand)
+    getPointerWorldPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return this.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+    }
+    
+    // Mice report 0.5 while a button is down; some pens report 0 on the first contact
+    getPointerPressure(e) {
+        return e.pressure > 0 ? e.pressure : 0.5;
+    }
+    
+    handlePenPointerDown(e) {
+        if (!this.isPenActive() || e.button !== 0 || this.penPointerId !== null) return;
+        
+        e.preventDefault(); // Suppress the compatibility mouse events
+        this.canvas.setPointerCapture(e.pointerId);
+        this.penPointerId = e.pointerId;
+        this.updateMousePosition(e);
+        
+        const world = this.getPointerWorldPosition(e);
+        if (this.isErasing) {
+            this.erasedCount = 0;
+            this.eraseAt(world.x, world.y);
+        } else {
+            this.currentStroke = [[world.x, world.y, this.getPointerPressure(e)]];
+        }
+        this.render();
+    }
+    
+    handlePenPointerMove(e) {
+        if (!this.isPenActive()) return;
+        this.updateMousePosition(e);
+        
+        if (e.pointerId !== this.penPointerId) {
+            if (this.isErasing) this.render(); // Move the eraser outline
+            return;
+        }
+        
+        // Coalesced events keep fast strokes from turning into straight segments
+        const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (events.length > 0 ? events : [e]).forEach(event => {
+            const world = this.getPointerWorldPosition(event);
+            if (this.isErasing) {
+                this.eraseAt(world.x, world.y);
+            } else if (this.currentStroke) {
+                const last = this.currentStroke[this.currentStroke.length - 1];
+                if (Math.hypot(world.x - last[0], world.y - last[1]) * this.camera.zoom >= 1) {
+                    this.currentStroke.push([world.x, world.y, this.getPointerPressure(event)]);
+                }
             }
-            
-            // Then sort by z-index within the same layer
-            const zIndexA = a.zIndex || 0;
-            const zIndexB = b.zIndex || 0;
-            return zIndexA - zIndexB;
         });
+        this.render();
+    }
+    
+    handlePenPointerUp(e) {
+        if (e.pointerId !== this.penPointerId) return;
         
-        // Check elements from top to bottom (reverse order of rendering)
-        for (let i = sortedElements.length - 1; i >= 0; i--) {
-            const element = sortedElements[i];
-            
-            // Skip elements in hidden or locked layers
-            const layer = this.layers.find(l => l.id === element.layerId);
-            if (layer && (!layer.visible || layer.locked)) {
-                continue;
+        this.penPointerId = null;
+        if (this.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+        
+        if (this.isErasing) {
+            if (this.erasedCount > 0) {
+                this.saveToHistory('Erase strokes');
             }
+        } else if (this.currentStroke) {
+            const element = this.createPathElement(this.currentStroke);
+            this.currentStroke = null;
             
-            if (element.shape === 'circle') {
-                const dx = worldX - element.x;
-                const dy = worldY - element.y;
-                const radius = element.width / 2;
-                if (dx * dx + dy * dy <= radius * radius) {
-                    return element;
-                }
-            } else {
-                if (worldX >= element.x - element.width / 2 &&
-                    worldX <= element.x + element.width / 2 &&
-                    worldY >= element.y - element.height / 2 &&
-                    worldY <= element.y + element.height / 2) {
-                    return element;
-                }
-            }
+            this.assignFrame(element);
+            this.elements.push(element);
+            this.addElementToLayer(element);
+            this.sendUpdate('add', element);
+            this.saveToHistory('Draw path');
         }
-        return null;
+        this.render();
     }
     
-    drawResizeHandles() {
-        if (this.selectedElements.size === 0) return;
+    // Build a 'path' element from world points. Points are stored relative to the element's
+    // center as fractions of its width/height, so resizing scales the stroke like any shape.
+    createPathElement(worldPoints) {
+        let points = this.simplifyStroke(worldPoints, 0.75 / this.camera.zoom);
+        if (points.length === 1) {
+            // A single click leaves a dot
+            points = [points[0], [points[0][0] + 0.01, points[0][1], points[0][2]]];
+        }
         
-        // Don't draw resize handles if any selected element is being manipulated by other users
-        if (this.isSelectedElementsManipulatedByOthers()) return;
+        const halfWidth = this.penWidth / 2;
+        const minX = Math.min(...points.map(p => p[0])) - halfWidth;
+        const maxX = Math.max(...points.map(p => p[0])) + halfWidth;
+        const minY = Math.min(...points.map(p => p[1])) - halfWidth;
+        const maxY = Math.max(...points.map(p => p[1])) + halfWidth;
         
-        const isMobile = window.innerWidth <= 768;
-        const handleSize = isMobile ? 16 : 8;
-        const rotateRadius = isMobile ? 12 : 6;
-        const deleteSize = isMobile ? 20 : 12;
+        const width = maxX - minX;
+        const height = maxY - minY;
+        const x = (minX + maxX) / 2;
+        const y = (minY + maxY) / 2;
+        const round = (value, precision) => Math.round(value * precision) / precision;
         
-        if (this.selectedElements.size === 1) {
-            // Single element - draw resize handles, rotation handle, and delete handle
-            const element = this.selectedElement;
-            const screenPos = this.worldToScreen(element.x, element.y);
-            const w = element.width * this.camera.zoom;
-            const h = element.height * this.camera.zoom;
-            
-            const left = screenPos.x - w/2;
-            const right = screenPos.x + w/2;
-            const top = screenPos.y - h/2;
-            const bottom = screenPos.y + h/2;
-            
-            this.ctx.fillStyle = '#007bff';
-            this.ctx.strokeStyle = '#fff';
-            this.ctx.lineWidth = 1;
-            
-            // Draw corner handles
-            this.drawHandle(left - handleSize/2, top - handleSize/2, handleSize);
-            this.drawHandle(right - handleSize/2, top - handleSize/2, handleSize);
-            this.drawHandle(left - handleSize/2, bottom - handleSize/2, handleSize);
-            this.drawHandle(right - handleSize/2, bottom - handleSize/2, handleSize);
-            
-            // Draw rotation handle
-            const rotateY = top - (isMobile ? 30 : 20);
-            const isHoveringRotate = this.getRotateHandle(this.mouse.x, this.mouse.y);
-            
-            // Add glow effect when hovering
-            if (isHoveringRotate) {
-                this.ctx.shadowColor = '#28a745';
-                this.ctx.shadowBlur = 8;
-                this.ctx.shadowOffsetX = 0;
-                this.ctx.shadowOffsetY = 0;
+        return {
+            id: Date.now() + Math.random(), // Ensure uniqueness
+            x: x,
+            y: y,
+            width: width,
+            height: height,
+            rotation: 0,
+            color: this.penColor,
+            shape: 'path',
+            strokeWidth: this.penWidth,
+            points: points.map(p => [round((p[0] - x) / width, 10000), round((p[1] - y) / height, 10000), round(p[2], 100)]),
+            text: '',
+            layerId: this.activeLayerId
+        };
+    }
+    
+    // Ramer-Douglas-Peucker simplification; drops points closer than tolerance to the line
+    simplifyStroke(points, tolerance) {
+        if (points.length <= 2) return points;
+        
+        const first = points[0];
+        const last = points[points.length - 1];
+        let maxDistance = 0;
+        let index = 0;
+        for (let i = 1; i < points.length - 1; i++) {
+            const distance = this.distanceToSegment(points[i][0], points[i][1], first[0], first[1], last[0], last[1]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
             }
-            
-            this.ctx.fillStyle = isHoveringRotate ? '#34ce57' : '#28a745';
-            this.ctx.strokeStyle = '#fff';
-            this.ctx.lineWidth = 2;
-            this.ctx.beginPath();
-            this.ctx.arc(screenPos.x, rotateY, rotateRadius, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.stroke();
-            
-            // Reset shadow
-            this.ctx.shadowColor = 'transparent';
-            this.ctx.shadowBlur = 0;
-            
-            // Draw z-index and delete controls in a vertical column
-            const iconSize = isMobile ? 20 : 14;
-            const iconSpacing = isMobile ? 4 : 3;
-            const iconColumn = right + (isMobile ? 15 : 12);
-            
-            // Calculate positions for all icons (add text formatting for text elements)
-            const isTextElement = element.shape === 'text';
-            const iconCount = isTextElement ? 5 : 4;
-            const totalHeight = iconSize * iconCount + iconSpacing * (iconCount - 1);
-            const startY = top - (isMobile ? 5 : 2);
-            
-            const upArrowX = iconColumn;
-            const upArrowY = startY;
-            const colorPickerX = iconColumn;
-            const colorPickerY = startY + iconSize + iconSpacing;
-            
-            // Text formatting icon for text elements
-            let textFormatX, textFormatY, deleteX, deleteY, downArrowX, downArrowY;
-            if (isTextElement) {
-                textFormatX = iconColumn;
-                textFormatY = startY + (iconSize + iconSpacing) * 2;
-                deleteX = iconColumn;
-                deleteY = startY + (iconSize + iconSpacing) * 3;
-                downArrowX = iconColumn;
-                downArrowY = startY + (iconSize + iconSpacing) * 4;
-            } else {
-                deleteX = iconColumn;
-                deleteY = startY + (iconSize + iconSpacing) * 2;
-                downArrowX = iconColumn;
-                downArrowY = startY + (iconSize + iconSpacing) * 3;
-            }
-            
-            // Common styling
-            this.ctx.strokeStyle = '#fff';
-            this.ctx.lineWidth = 2;
-            
-            // Bring forward arrow (up) - Blue theme
-            this.ctx.fillStyle = '#007bff';
-            this.ctx.fillRect(upArrowX, upArrowY, iconSize, iconSize);
-            this.ctx.strokeRect(upArrowX, upArrowY, iconSize, iconSize);
-            
-            // Draw up arrow icon
-            this.ctx.fillStyle = '#fff';
-            this.ctx.font = `bold ${isMobile ? 12 : 10}px Arial`;
-            this.ctx.textAlign = 'center';
-            this.ctx.textBaseline = 'middle';
-            this.ctx.fillText('▲', upArrowX + iconSize/2, upArrowY + iconSize/2);
-            
-            // Color picker handle - Orange theme
-            this.ctx.fillStyle = '#fd7e14';
-            this.ctx.fillRect(colorPickerX, colorPickerY, iconSize, iconSize);
-            this.ctx.strokeRect(colorPickerX, colorPickerY, iconSize, iconSize);
-            
-            // Draw color picker icon (paint palette)
-            this.ctx.fillStyle = '#fff';
-            const colorScale = isMobile ? 1.2 : 0.8;
-            const colorCenterX = colorPickerX + iconSize/2;
-            const colorCenterY = colorPickerY + iconSize/2;
-            
-            // Draw palette outline (oval)
-            this.ctx.beginPath();
-            this.ctx.ellipse(colorCenterX, colorCenterY, 5 * colorScale, 4 * colorScale, 0, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            // Draw palette hole (thumb hole)
-            this.ctx.fillStyle = '#fd7e14';
-            this.ctx.beginPath();
-            this.ctx.arc(colorCenterX + 2 * colorScale, colorCenterY - 1 * colorScale, 1.5 * colorScale, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            // Draw small color dots on palette
-            this.ctx.fillStyle = '#fff';
-            const dotSize = 0.8 * colorScale;
-            this.ctx.beginPath();
-            this.ctx.arc(colorCenterX - 2 * colorScale, colorCenterY - 1 * colorScale, dotSize, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.beginPath();
-            this.ctx.arc(colorCenterX, colorCenterY + 1.5 * colorScale, dotSize, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.beginPath();
-            this.ctx.arc(colorCenterX - 1 * colorScale, colorCenterY + 1 * colorScale, dotSize, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            // Text formatting handle - Purple theme (only for text elements)
-            if (isTextElement) {
-                this.ctx.fillStyle = '#6f42c1';
-                this.ctx.fillRect(textFormatX, textFormatY, iconSize, iconSize);
-                this.ctx.strokeRect(textFormatX, textFormatY, iconSize, iconSize);
-                
-                // Draw "T" icon for text formatting
-                this.ctx.fillStyle = '#fff';
-                this.ctx.font = `bold ${isMobile ? 14 : 12}px Arial`;
-                this.ctx.textAlign = 'center';
-                this.ctx.textBaseline = 'middle';
-                this.ctx.fillText('T', textFormatX + iconSize/2, textFormatY + iconSize/2);
-            }
-            
-            // Delete handle (trash icon) - Red theme
-            this.ctx.fillStyle = '#dc3545';
-            this.ctx.fillRect(deleteX, deleteY, iconSize, iconSize);
-            this.ctx.strokeRect(deleteX, deleteY, iconSize, iconSize);
-            
-            // Draw trash icon with better proportions
-            this.ctx.fillStyle = '#fff';
-            const trashScale = isMobile ? 1.4 : 1.0;
-            const trashCenterX = deleteX + iconSize/2;
-            const trashCenterY = deleteY + iconSize/2;
-            
-            // Trash can body
-            const trashWidth = 8 * trashScale;
-            const trashHeight = 6 * trashScale;
-            const trashX = trashCenterX - trashWidth/2;
-            const trashY = trashCenterY - trashHeight/2 + 1 * trashScale;
-            this.ctx.fillRect(trashX, trashY, trashWidth, trashHeight);
-            
-            // Trash can lid
-            const lidWidth = 10 * trashScale;
-            const lidHeight = 2 * trashScale;
-            const lidX = trashCenterX - lidWidth/2;
-            const lidY = trashY - 1 * trashScale;
-            this.ctx.fillRect(lidX, lidY, lidWidth, lidHeight);
-            
-            // Trash can handle
-            const handleWidth = 4 * trashScale;
-            const handleHeight = 1 * trashScale;
-            const handleX = trashCenterX - handleWidth/2;
-            const handleY = lidY - 2 * trashScale;
-            this.ctx.fillRect(handleX, handleY, handleWidth, handleHeight);
-            
-            // Bring backward arrow (down) - Gray theme
-            this.ctx.fillStyle = '#6c757d';
-            this.ctx.fillRect(downArrowX, downArrowY, iconSize, iconSize);
-            this.ctx.strokeRect(downArrowX, downArrowY, iconSize, iconSize);
-            
-            // Draw down arrow icon
-            this.ctx.fillStyle = '#fff';
-            this.ctx.fillText('▼', downArrowX + iconSize/2, downArrowY + iconSize/2);
+        }
+        
+        if (maxDistance <= tolerance) {
+            return [first, last];
+        }
+        
+        const left = this.simplifyStroke(points.slice(0, index + 1), tolerance);
+        const right = this.simplifyStroke(points.slice(index), tolerance);
+        return left.slice(0, -1).concat(right);
+    }
+    
+    distanceToSegment(px, py, ax, ay, bx, by) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+        return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+    }
+    
+    // Smoothed stroke as Catmull-Rom curves converted to cubic Béziers, in local coordinates.
+    // Each segment carries its width, derived from the pressure at both ends.
+    getPathSegments(element, width = element.width, height = element.height, widthScale = 1) {
+        const baseWidth = (element.strokeWidth || 2) * widthScale;
+        const points = (element.points || []).map(p => ({
+            x: p[0] * width,
+            y: p[1] * height,
+            width: baseWidth * (0.5 + (p[2] !== undefined ? p[2] : 0.5)) // Pressure 0.5 = nominal width
+        }));
+        
+        const segments = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const p0 = points[Math.max(0, i - 1)];
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            const p3 = points[Math.min(points.length - 1, i + 2)];
+            segments.push({
+                start: p1,
+                cp1: { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+                cp2: { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+                end: p2,
+                width: (p1.width + p2.width) / 2
+            });
+        }
+        
+        const uniform = segments.every(segment => Math.abs(segment.width - segments[0].width) < 0.01);
+        return { segments, uniform };
+    }
+    
+    drawPathOnContext(ctx, element) {
+        const { segments, uniform } = this.getPathSegments(element);
+        if (segments.length === 0) return;
+        
+        ctx.strokeStyle = element.color;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        
+        if (uniform) {
+            ctx.lineWidth = segments[0].width;
+            ctx.beginPath();
+            ctx.moveTo(segments[0].start.x, segments[0].start.y);
+            segments.forEach(s => ctx.bezierCurveTo(s.cp1.x, s.cp1.y, s.cp2.x, s.cp2.y, s.end.x, s.end.y));
+            ctx.stroke();
         } else {
-            // Multi-element selection - draw rotation handle at selection center
-            const selectionBounds = this.getSelectionBounds();
-            const centerScreen = this.worldToScreen(selectionBounds.centerX, selectionBounds.centerY);
-            
-            // Draw rotation handle at selection center
-            const rotateDistance = isMobile ? 30 : 20;
-            const rotateX = centerScreen.x;
-            const rotateY = centerScreen.y - selectionBounds.height * this.camera.zoom / 2 - rotateDistance;
-            const isHoveringRotate = this.getRotateHandle(this.mouse.x, this.mouse.y);
-            
-            // Add glow effect when hovering
-            if (isHoveringRotate) {
-                this.ctx.shadowColor = '#28a745';
-                this.ctx.shadowBlur = 8;
-                this.ctx.shadowOffsetX = 0;
-                this.ctx.shadowOffsetY = 0;
+            // Pressure-sensitive strokes are drawn segment by segment; round caps hide the joins
+            segments.forEach(s => {
+                ctx.lineWidth = s.width;
+                ctx.beginPath();
+                ctx.moveTo(s.start.x, s.start.y);
+                ctx.bezierCurveTo(s.cp1.x, s.cp1.y, s.cp2.x, s.cp2.y, s.end.x, s.end.y);
+                ctx.stroke();
+            });
+        }
+    }
+    
+    drawPenPreview() {
+        if (!this.isPenActive()) return;
+        
+        if (this.currentStroke && this.currentStroke.length > 0) {
+            this.ctx.save();
+            this.ctx.strokeStyle = this.penColor;
+            this.ctx.lineCap = 'round';
+            this.ctx.lineJoin = 'round';
+            this.ctx.lineWidth = this.penWidth * this.camera.zoom;
+            this.ctx.beginPath();
+            this.currentStroke.forEach((point, index) => {
+                const screen = this.worldToScreen(point[0], point[1]);
+                if (index === 0) {
+                    this.ctx.moveTo(screen.x, screen.y);
+                } else {
+                    this.ctx.lineTo(screen.x, screen.y);
+                }
+            });
+            if (this.currentStroke.length === 1) {
+                const screen = this.worldToScreen(this.currentStroke[0][0], this.currentStroke[0][1]);
+                this.ctx.lineTo(screen.x + 0.01, screen.y);
             }
-            
-            this.ctx.fillStyle = isHoveringRotate ? '#34ce57' : '#28a745';
-            this.ctx.strokeStyle = '#fff';
-            this.ctx.lineWidth = 2;
-            
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+        
+        if (this.isErasing) {
+            this.ctx.save();
+            this.ctx.strokeStyle = '#dc3545';
+            this.ctx.setLineDash([4, 4]);
             this.ctx.beginPath();
-            this.ctx.arc(rotateX, rotateY, rotateRadius, 0, Math.PI * 2);
-            this.ctx.fill();
+            this.ctx.arc(this.mouse.x, this.mouse.y, this.getEraserRadius() * this.camera.zoom, 0, Math.PI * 2);
             this.ctx.stroke();
-            
-            // Reset shadow
-            this.ctx.shadowColor = 'transparent';
-            this.ctx.shadowBlur = 0;
-            
-            // Check if any selected elements are grouped
-            const hasGroupedElements = Array.from(this.selectedElements).some(element => element.groupId);
-            const allElementsGrouped = Array.from(this.selectedElements).every(element => element.groupId);
-            
-            // Draw group/ungroup handle for multi-selection
-            const groupIconSize = isMobile ? 20 : 14;
-            const groupX = centerScreen.x + selectionBounds.width * this.camera.zoom / 2 + (isMobile ? 20 : 15);
-            const groupY = centerScreen.y - selectionBounds.height * this.camera.zoom / 2 - (isMobile ? 10 : 5);
-            
-            // Group icon - Purple theme for group, Orange theme for ungroup
-            this.ctx.fillStyle = allElementsGrouped ? '#fd7e14' : '#6f42c1';
-            this.ctx.fillRect(groupX, groupY, groupIconSize, groupIconSize);
-            this.ctx.strokeStyle = '#fff';
-            this.ctx.lineWidth = 2;
-            this.ctx.strokeRect(groupX, groupY, groupIconSize, groupIconSize);
-            
-            // Draw group/ungroup icon
-            this.ctx.fillStyle = '#fff';
-            this.ctx.font = `bold ${isMobile ? 12 : 10}px Arial`;
-            this.ctx.textAlign = 'center';
-            this.ctx.textBaseline = 'middle';
-            
-            if (allElementsGrouped) {
-                // Draw ungroup icon (disconnected squares)
-                const iconScale = isMobile ? 1.2 : 0.8;
-                const centerX = groupX + groupIconSize/2;
-                const centerY = groupY + groupIconSize/2;
-                
-                // Draw two small squares
-                this.ctx.fillRect(centerX - 5 * iconScale, centerY - 3 * iconScale, 4 * iconScale, 4 * iconScale);
-                this.ctx.fillRect(centerX + 1 * iconScale, centerY - 1 * iconScale, 4 * iconScale, 4 * iconScale);
-            } else {
-                // Draw group icon (connected squares)
-                this.ctx.fillText('⊞', groupX + groupIconSize/2, groupY + groupIconSize/2);
-            }
-            
-            // Draw delete handle for multi-selection
-            this.ctx.fillStyle = '#dc3545';
-            const deleteX = groupX + groupIconSize + (isMobile ? 8 : 5);
-            const deleteY = groupY;
-            this.ctx.fillRect(deleteX, deleteY, deleteSize, deleteSize);
-            this.ctx.strokeRect(deleteX, deleteY, deleteSize, deleteSize);
-            
-            // Draw trash icon details
-            this.ctx.fillStyle = '#fff';
-            const iconScale = isMobile ? 1.6 : 1;
-            this.ctx.fillRect(deleteX + 2 * iconScale, deleteY + 3 * iconScale, 8 * iconScale, 1 * iconScale);
-            this.ctx.fillRect(deleteX + 3 * iconScale, deleteY + 5 * iconScale, 2 * iconScale, 5 * iconScale);
-            this.ctx.fillRect(deleteX + 7 * iconScale, deleteY + 5 * iconScale, 2 * iconScale, 5 * iconScale);
+            this.ctx.restore();
         }
     }
     
-    drawHandle(x, y, size) {
-        this.ctx.fillRect(x, y, size, size);
-        this.ctx.strokeRect(x, y, size, size);
-    }
-    
-    showResizeHandles() {
-        // This method is now handled by drawResizeHandles in render()
+    getEraserRadius() {
+        return Math.max(this.penWidth, 8) / this.camera.zoom;
     }
     
-    hideResizeHandles() {
-        // This method is now handled by the render() method
+    // Is the world point within tolerance of the drawn stroke (not just its bounding box)?
+    isPointOnPath(element, worldX, worldY, tolerance) {
+        // Move the point into the element's unrotated local frame
+        const angle = -(element.rotation || 0);
+        const dx = worldX - element.x;
+        const dy = worldY - element.y;
+        const localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+        const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+        
+        const reach = (element.strokeWidth || 2) / 2 + tolerance;
+        const points = (element.points || []).map(p => [p[0] * element.width, p[1] * element.height]);
+        for (let i = 0; i < points.length - 1; i++) {
+            if (this.distanceToSegment(localX, localY, points[i][0], points[i][1], points[i + 1][0], points[i + 1][1]) <= reach) {
+                return true;
+            }
+        }
+        return false;
     }
     
-    updateResizeHandles() {
-        // This method is now handled by the render() method
+    // Eraser removes whole strokes it touches; other shapes are left alone
+    eraseAt(worldX, worldY) {
+        const radius = this.getEraserRadius();
+        const erased = this.elements.filter(element => {
+            if (element.shape !== 'path') return false;
+            const layer = this.layers.find(l => l.id === element.layerId);
+            if (layer && (!layer.visible || layer.locked)) return false;
+            return this.isPointOnPath(element, worldX, worldY, radius);
+        });
+        
+        erased.forEach(element => {
+            this.elements = this.elements.filter(el => el !== element);
+            this.removeElementFromLayer(element);
+            this.selectedElements.delete(element);
+            if (this.selectedElement === element) {
+                this.selectedElement = null;
+            }
+            this.sendUpdate('delete', { id: element.id });
+            this.erasedCount++;
+        });
+        this.erasedCount += this.deleteAttachedConnectors(erased.map(element => element.id));
     }
-    
-    getResizeHandle(screenX, screenY) {
-        // Only allow resize for single, non-grouped elements
-        if (this.selectedElements.size !== 1) return null;
-        if (!this.selectedElement) return null;
+
+    // Connectors
+    isConnectorToolActive() {
+        return this.isPlacing && this.selectedShape === 'connector';
+    }
+    
+    // Connector geometry is derived from the shapes it joins, so it is never synced or undone
+    getDerivedProps(element) {
+        return element.shape === 'connector' ? ['x', 'y', 'width', 'height', 'rotation'] : [];
+    }
+    
+    // World position and outward direction of an anchor ('top', 'right', 'bottom', 'left' or 'auto')
+    getElementAnchor(element, anchor, towards) {
+        if (anchor === 'auto' || !anchor) {
+            // Use the side that faces the other end
+            const dx = towards.x - element.x;
+            const dy = towards.y - element.y;
+            const angle = Math.atan2(dy, dx) - (element.rotation || 0);
+            const localX = Math.cos(angle) / (element.width || 1);
+            const localY = Math.sin(angle) / (element.height || 1);
+            if (Math.abs(localX) > Math.abs(localY)) {
+                anchor = localX > 0 ? 'right' : 'left';
+            } else {
+                anchor = localY > 0 ? 'bottom' : 'top';
+            }
+        }
         
-        // Don't allow resize for grouped elements
-        if (this.selectedElement.groupId) return null;
+        const offsets = {
+            top: [0, -0.5],
+            right: [0.5, 0],
+            bottom: [0, 0.5],
+            left: [-0.5, 0]
+        };
+        const [fx, fy] = offsets[anchor] || [0, 0];
+        const rotation = element.rotation || 0;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const localX = fx * element.width;
+        const localY = fy * element.height;
         
-        // Don't allow resize handles if element is in hidden or locked layer
-        if (!this.isElementInVisibleLayer(this.selectedElement)) return null;
+        return {
+            x: element.x + localX * cos - localY * sin,
+            y: element.y + localX * sin + localY * cos,
+            nx: (fx * 2) * cos - (fy * 2) * sin, // Outward normal
+            ny: (fx * 2) * sin + (fy * 2) * cos
+        };
+    }
+    
+    // Anchor closest to a point on an element; near the middle means 'auto'
+    pickAnchor(element, worldX, worldY) {
+        let best = 'auto';
+        let bestDistance = Math.hypot(worldX - element.x, worldY - element.y);
+        ['top', 'right', 'bottom', 'left'].forEach(anchor => {
+            const point = this.getElementAnchor(element, anchor);
+            const distance = Math.hypot(worldX - point.x, worldY - point.y);
+            if (distance < bestDistance) {
+                best = anchor;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+    
+    // Route of a connector in world coordinates, or null when one of its ends is gone
+    getConnectorRoute(connector) {
+        const startElement = this.getElementById(connector.startId);
+        const endElement = this.getElementById(connector.endId);
+        if (!startElement || !endElement) return null;
+        
+        const start = this.getElementAnchor(startElement, connector.startAnchor, endElement);
+        const end = this.getElementAnchor(endElement, connector.endAnchor, startElement);
+        const distance = Math.hypot(end.x - start.x, end.y - start.y);
+        
+        switch (connector.routing) {
+            case 'curved': {
+                const reach = Math.max(40, distance / 3);
+                return {
+                    curved: true,
+                    points: [
+                        start,
+                        { x: start.x + start.nx * reach, y: start.y + start.ny * reach },
+                        { x: end.x + end.nx * reach, y: end.y + end.ny * reach },
+                        end
+                    ]
+                };
+            }
+            case 'elbow': {
+                // Leave each shape straight out of its anchor, then join with horizontal/vertical runs
+                const gap = 20;
+                const from = { x: start.x + start.nx * gap, y: start.y + start.ny * gap };
+                const to = { x: end.x + end.nx * gap, y: end.y + end.ny * gap };
+                const startHorizontal = Math.abs(start.nx) >= Math.abs(start.ny);
+                const endHorizontal = Math.abs(end.nx) >= Math.abs(end.ny);
+                const points = [start, from];
+                
+                if (startHorizontal && endHorizontal) {
+                    const midX = (from.x + to.x) / 2;
+                    points.push({ x: midX, y: from.y }, { x: midX, y: to.y });
+                } else if (!startHorizontal && !endHorizontal) {
+                    const midY = (from.y + to.y) / 2;
+                    points.push({ x: from.x, y: midY }, { x: to.x, y: midY });
+                } else if (startHorizontal) {
+                    points.push({ x: to.x, y: from.y });
+                } else {
+                    points.push({ x: from.x, y: to.y });
+                }
+                
+                points.push(to, end);
+                return { curved: false, points };
+            }
+            default:
+                return { curved: false, points: [start, end] };
+        }
+    }
+    
+    // Points along the route, with curves flattened (for hit testing and bounds)
+    flattenConnectorRoute(route) {
+        if (!route.curved) return route.points;
         
-        const layer = this.layers.find(l => l.id === this.selectedElement.layerId);
-        if (layer && layer.locked) return null;
+        const [p0, p1, p2, p3] = route.points;
+        const points = [];
+        for (let i = 0; i <= 24; i++) {
+            const t = i / 24;
+            const u = 1 - t;
+            points.push({
+                x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+                y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y
+            });
+        }
+        return points;
+    }
+    
+    // Note an element that was added, removed, moved or edited (null: everything changed);
+    // the connectors attached to it, or the connector itself, are rerouted on the next render
+    invalidateConnectors(element) {
+        // Rerouting moves the connectors' own boxes, which changes nothing they depend on
+        if (this.reroutingConnectors) return;
         
-        const screenPos = this.worldToScreen(this.selectedElement.x, this.selectedElement.y);
-        const w = this.selectedElement.width * this.camera.zoom;
-        const h = this.selectedElement.height * this.camera.zoom;
+        // A connector that came, went or was re-pointed changes who is attached to what
+        if (!element || element.shape === 'connector') {
+            this.connectorsByEnd = null;
+        }
+        if (!element) {
+            this.staleConnectorEnds = null;
+        } else if (this.staleConnectorEnds) {
+            this.staleConnectorEnds.add(element.id);
+        }
+    }
+    
+    // Reroute the connectors whose ends changed since the last render
+    refreshStaleConnectors() {
+        // Picks up shapes dragged, resized or rotated locally since the last frame
+        this.syncSpatialIndex();
         
-        // Larger handles for mobile
-        const isMobile = window.innerWidth <= 768;
-        const handleSize = isMobile ? 16 : 8;
-        const left = screenPos.x - w/2;
-        const right = screenPos.x + w/2;
-        const top = screenPos.y - h/2;
-        const bottom = screenPos.y + h/2;
+        const changed = this.staleConnectorEnds;
+        if (changed && changed.size === 0) return;
+        this.staleConnectorEnds = new Set();
         
-        // Check each corner handle
-        if (this.isPointInRect(screenX, screenY, left - handleSize/2, top - handleSize/2, handleSize, handleSize)) return 'nw';
-        if (this.isPointInRect(screenX, screenY, right - handleSize/2, top - handleSize/2, handleSize, handleSize)) return 'ne';
-        if (this.isPointInRect(screenX, screenY, left - handleSize/2, bottom - handleSize/2, handleSize, handleSize)) return 'sw';
-        if (this.isPointInRect(screenX, screenY, right - handleSize/2, bottom - handleSize/2, handleSize, handleSize)) return 'se';
+        if (!this.connectorsByEnd) {
+            this.connectorsByEnd = new Map();
+            this.elements.forEach(element => {
+                if (element.shape !== 'connector') return;
+                [element.startId, element.endId].forEach(id => {
+                    if (!this.connectorsByEnd.has(id)) {
+                        this.connectorsByEnd.set(id, new Set());
+                    }
+                    this.connectorsByEnd.get(id).add(element.id);
+                });
+            });
+        }
         
-        return null;
+        if (!changed) {
+            this.refreshConnectors(this.elements.filter(element => element.shape === 'connector'));
+            return;
+        }
+        
+        const ids = new Set();
+        changed.forEach(id => {
+            ids.add(id);
+            (this.connectorsByEnd.get(id) || []).forEach(connectorId => ids.add(connectorId));
+        });
+        const connectors = [...ids].map(id => this.spatialIndex.get(id))
+            .filter(element => element && element.shape === 'connector');
+        this.refreshConnectors(connectors);
     }
     
-    getRotateHandle(screenX, screenY) {
-        if (this.selectedElements.size === 0) return null;
-        
-        const isMobile = window.innerWidth <= 768;
-        const rotateRadius = isMobile ? 12 : 6;
-        const rotateHitRadius = isMobile ? 20 : 15; // Larger hit area for easier clicking
-        const rotateDistance = isMobile ? 30 : 20;
-        
-        if (this.selectedElements.size === 1) {
-            // Single element rotation handle
-            const element = this.selectedElement;
-            if (!this.isElementInVisibleLayer(element)) return null;
-            
-            const layer = this.layers.find(l => l.id === element.layerId);
-            if (layer && layer.locked) return null;
-            
-            const screenPos = this.worldToScreen(element.x, element.y);
-            const w = element.width * this.camera.zoom;
-            
-            const rotateX = screenPos.x;
-            const rotateY = screenPos.y - w/2 - rotateDistance;
-            
-            const dx = screenX - rotateX;
-            const dy = screenY - rotateY;
-            
-            return (dx * dx + dy * dy <= rotateHitRadius * rotateHitRadius);
-        } else {
-            // Multi-element rotation handle (at selection center)
-            const selectionBounds = this.getSelectionBounds();
-            const centerScreen = this.worldToScreen(selectionBounds.centerX, selectionBounds.centerY);
-            
-            const rotateX = centerScreen.x;
-            const rotateY = centerScreen.y - selectionBounds.height * this.camera.zoom / 2 - rotateDistance;
-            
-            const dx = screenX - rotateX;
-            const dy = screenY - rotateY;
-            
-            return (dx * dx + dy * dy <= rotateHitRadius * rotateHitRadius);
+    // Keep each connector's box around its route so culling, selection and export bounds work
+    refreshConnectors(connectors) {
+        this.reroutingConnectors = true;
+        try {
+            connectors.forEach(element => {
+                const route = this.getConnectorRoute(element);
+                if (!route) return;
+                
+                const points = this.flattenConnectorRoute(route);
+                const padding = this.getArrowheadSize(element);
+                const minX = Math.min(...points.map(p => p.x)) - padding;
+                const maxX = Math.max(...points.map(p => p.x)) + padding;
+                const minY = Math.min(...points.map(p => p.y)) - padding;
+                const maxY = Math.max(...points.map(p => p.y)) + padding;
+                
+                element.x = (minX + maxX) / 2;
+                element.y = (minY + maxY) / 2;
+                element.width = maxX - minX;
+                element.height = maxY - minY;
+                element.rotation = 0;
+                this.spatialIndex.update(element);
+            });
+        } finally {
+            this.reroutingConnectors = false;
         }
     }
     
-    isPointInRect(px, py, x, y, w, h) {
-        return px >= x && px <= x + w && py >= y && py <= y + h;
+    getArrowheadSize(connector) {
+        return 8 + (connector.strokeWidth || 2) * 2;
     }
     
-    getBringForwardHandle(screenX, screenY) {
-        if (this.selectedElements.size !== 1) return null;
+    // Draws relative to the connector's center (the context is already translated there)
+    drawConnectorOnContext(ctx, connector) {
+        const route = this.getConnectorRoute(connector);
+        if (!route) return;
         
-        const element = this.selectedElement;
-        if (!this.isElementInVisibleLayer(element)) return null;
+        const points = route.points.map(p => ({ x: p.x - connector.x, y: p.y - connector.y }));
         
-        const layer = this.layers.find(l => l.id === element.layerId);
-        if (layer && layer.locked) return null;
+        ctx.strokeStyle = connector.color;
+        ctx.fillStyle = connector.color;
+        ctx.lineWidth = connector.strokeWidth || 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
         
-        const screenPos = this.worldToScreen(element.x, element.y);
-        const w = element.width * this.camera.zoom;
-        const h = element.height * this.camera.zoom;
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        if (route.curved) {
+            ctx.bezierCurveTo(points[1].x, points[1].y, points[2].x, points[2].y, points[3].x, points[3].y);
+        } else {
+            points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+        }
+        ctx.stroke();
         
-        const isMobile = window.innerWidth <= 768;
-        const iconSize = isMobile ? 20 : 14;
-        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
-        const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
+        const size = this.getArrowheadSize(connector);
+        this.drawArrowhead(ctx, points[points.length - 1], points[points.length - 2], connector.endArrow, size);
+        this.drawArrowhead(ctx, points[0], points[1], connector.startArrow, size);
+    }
+    
+    // Arrowhead at tip, pointing away from the previous point on the route
+    drawArrowhead(ctx, tip, from, style, size) {
+        if (!style || style === 'none') return;
         
-        const upArrowX = iconColumn;
-        const upArrowY = startY;
+        const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+        const left = { x: tip.x - size * Math.cos(angle - Math.PI / 7), y: tip.y - size * Math.sin(angle - Math.PI / 7) };
+        const right = { x: tip.x - size * Math.cos(angle + Math.PI / 7), y: tip.y - size * Math.sin(angle + Math.PI / 7) };
         
-        return this.isPointInRect(screenX, screenY, upArrowX, upArrowY, iconSize, iconSize);
+        ctx.beginPath();
+        switch (style) {
+            case 'arrow':
+                ctx.moveTo(left.x, left.y);
+                ctx.lineTo(tip.x, tip.y);
+                ctx.lineTo(right.x, right.y);
+                ctx.stroke();
+                break;
+            case 'triangle':
+                ctx.moveTo(tip.x, tip.y);
+                ctx.lineTo(left.x, left.y);
+                ctx.lineTo(right.x, right.y);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            case 'circle':
+                ctx.arc(tip.x, tip.y, size / 3, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+        }
     }
     
-    getBringBackwardHandle(screenX, screenY) {
-        if (this.selectedElements.size !== 1) return null;
+    // Connector as SVG, relative to its (scaled) center like the other shapes
+    connectorToSVG(connector, scale) {
+        const route = this.getConnectorRoute(connector);
+        if (!route) return '';
         
-        const element = this.selectedElement;
-        if (!this.isElementInVisibleLayer(element)) return null;
-        
-        const layer = this.layers.find(l => l.id === element.layerId);
-        if (layer && layer.locked) return null;
+        const points = route.points.map(p => ({ x: (p.x - connector.x) * scale, y: (p.y - connector.y) * scale }));
+        const strokeWidth = (connector.strokeWidth || 2) * scale;
+        const stroke = `stroke="${connector.color}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round"`;
         
-        const screenPos = this.worldToScreen(element.x, element.y);
-        const w = element.width * this.camera.zoom;
-        const h = element.height * this.camera.zoom;
+        let d = `M ${points[0].x} ${points[0].y} `;
+        if (route.curved) {
+            d += `C ${points[1].x} ${points[1].y} ${points[2].x} ${points[2].y} ${points[3].x} ${points[3].y}`;
+        } else {
+            d += points.slice(1).map(p => `L ${p.x} ${p.y}`).join(' ');
+        }
         
-        const isMobile = window.innerWidth <= 768;
-        const iconSize = isMobile ? 20 : 14;
-        const iconSpacing = isMobile ? 4 : 3;
-        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
-        const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
+        let svg = `<path d="${d}" fill="none" ${stroke}/>`;
+        const size = this.getArrowheadSize(connector) * scale;
+        svg += this.arrowheadToSVG(points[points.length - 1], points[points.length - 2], connector.endArrow, size, connector.color, stroke);
+        svg += this.arrowheadToSVG(points[0], points[1], connector.startArrow, size, connector.color, stroke);
+        return svg;
+    }
+    
+    arrowheadToSVG(tip, from, style, size, color, stroke) {
+        if (!style || style === 'none') return '';
         
-        const downArrowX = iconColumn;
-        const isTextElement = element.shape === 'text';
-        const downArrowY = startY + (iconSize + iconSpacing) * (isTextElement ? 4 : 3);
+        const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+        const left = `${tip.x - size * Math.cos(angle - Math.PI / 7)},${tip.y - size * Math.sin(angle - Math.PI / 7)}`;
+        const right = `${tip.x - size * Math.cos(angle + Math.PI / 7)},${tip.y - size * Math.sin(angle + Math.PI / 7)}`;
         
-        return this.isPointInRect(screenX, screenY, downArrowX, downArrowY, iconSize, iconSize);
+        switch (style) {
+            case 'arrow':
+                return `<polyline points="${left} ${tip.x},${tip.y} ${right}" fill="none" ${stroke}/>`;
+            case 'triangle':
+                return `<polygon points="${tip.x},${tip.y} ${left} ${right}" fill="${color}"/>`;
+            case 'circle':
+                return `<circle cx="${tip.x}" cy="${tip.y}" r="${size / 3}" fill="${color}"/>`;
+            default:
+                return '';
+        }
     }
     
-    getColorPickerHandle(screenX, screenY) {
-        if (this.selectedElements.size !== 1) return null;
-        
-        const element = this.selectedElement;
-        if (!this.isElementInVisibleLayer(element)) return null;
+    isPointOnConnector(connector, worldX, worldY, tolerance) {
+        const route = this.getConnectorRoute(connector);
+        if (!route) return false;
         
-        const layer = this.layers.find(l => l.id === element.layerId);
-        if (layer && layer.locked) return null;
+        const points = this.flattenConnectorRoute(route);
+        const reach = (connector.strokeWidth || 2) / 2 + tolerance;
+        for (let i = 0; i < points.length - 1; i++) {
+            if (this.distanceToSegment(worldX, worldY, points[i].x, points[i].y, points[i + 1].x, points[i + 1].y) <= reach) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    startConnector(worldX, worldY) {
+        const element = this.getElementAtPosition(worldX, worldY);
+        if (!element || element.shape === 'connector') {
+            this.showTemporaryMessage('Start a connector on a shape');
+            return;
+        }
         
-        const screenPos = this.worldToScreen(element.x, element.y);
-        const w = element.width * this.camera.zoom;
-        const h = element.height * this.camera.zoom;
+        this.pendingConnector = {
+            startId: element.id,
+            startAnchor: this.pickAnchor(element, worldX, worldY)
+        };
+        this.render();
+    }
+    
+    completeConnector(worldX, worldY) {
+        const pending = this.pendingConnector;
+        this.pendingConnector = null;
         
-        const isMobile = window.innerWidth <= 768;
-        const iconSize = isMobile ? 20 : 14;
-        const iconSpacing = isMobile ? 4 : 3;
-        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
-        const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
+        const endElement = this.getElementAtPosition(worldX, worldY);
+        if (!endElement || endElement.shape === 'connector' || endElement.id === pending.startId) {
+            this.render();
+            return;
+        }
         
-        const colorPickerX = iconColumn;
-        const colorPickerY = startY + iconSize + iconSpacing;
+        const connector = {
+            id: Date.now() + Math.random(), // Ensure uniqueness
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+            rotation: 0,
+            color: '#333333',
+            shape: 'connector',
+            strokeWidth: 2,
+            startId: pending.startId,
+            startAnchor: pending.startAnchor,
+            endId: endElement.id,
+            endAnchor: this.pickAnchor(endElement, worldX, worldY),
+            routing: this.connectorRouting,
+            startArrow: this.connectorStartArrow,
+            endArrow: this.connectorEndArrow,
+            text: '',
+            layerId: this.activeLayerId
+        };
         
-        return this.isPointInRect(screenX, screenY, colorPickerX, colorPickerY, iconSize, iconSize);
+        this.elements.push(connector);
+        this.refreshConnectors([connector]);
+        this.addElementToLayer(connector);
+        this.sendUpdate('add', connector);
+        this.saveToHistory('Add connector');
+        this.render();
     }
-
-    getTextFormatHandle(screenX, screenY) {
-        if (this.selectedElements.size !== 1) return null;
-        
-        const element = this.selectedElement;
-        if (!this.isElementInVisibleLayer(element)) return null;
-        if (element.shape !== 'text') return null;
+    
+    drawConnectorPreview() {
+        if (!this.isConnectorToolActive()) return;
         
-        const layer = this.layers.find(l => l.id === element.layerId);
-        if (layer && layer.locked) return null;
+        const drawAnchors = element => {
+            ['top', 'right', 'bottom', 'left'].forEach(anchor => {
+                const point = this.getElementAnchor(element, anchor);
+                const screen = this.worldToScreen(point.x, point.y);
+                this.ctx.beginPath();
+                this.ctx.arc(screen.x, screen.y, 4, 0, Math.PI * 2);
+                this.ctx.fill();
+                this.ctx.stroke();
+            });
+        };
         
-        const screenPos = this.worldToScreen(element.x, element.y);
-        const w = element.width * this.camera.zoom;
-        const h = element.height * this.camera.zoom;
+        this.ctx.save();
+        this.ctx.fillStyle = '#fff';
+        this.ctx.strokeStyle = '#007bff';
+        this.ctx.lineWidth = 2;
         
-        const isMobile = window.innerWidth <= 768;
-        const iconSize = isMobile ? 20 : 14;
-        const iconSpacing = isMobile ? 4 : 3;
-        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
-        const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
+        const hovered = this.getElementAtPosition(this.mouse.worldX, this.mouse.worldY);
+        if (hovered && hovered.shape !== 'connector') {
+            drawAnchors(hovered);
+        }
         
-        const textFormatX = iconColumn;
-        const textFormatY = startY + (iconSize + iconSpacing) * 2;
+        if (this.pendingConnector) {
+            const startElement = this.elements.find(el => el.id === this.pendingConnector.startId);
+            if (startElement) {
+                drawAnchors(startElement);
+                const start = this.getElementAnchor(startElement, this.pendingConnector.startAnchor, { x: this.mouse.worldX, y: this.mouse.worldY });
+                const startScreen = this.worldToScreen(start.x, start.y);
+                this.ctx.setLineDash([6, 4]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(startScreen.x, startScreen.y);
+                this.ctx.lineTo(this.mouse.x, this.mouse.y);
+                this.ctx.stroke();
+            }
+        }
         
-        return this.isPointInRect(screenX, screenY, textFormatX, textFormatY, iconSize, iconSize);
+        this.ctx.restore();
     }
-
-    getGroupHandle(screenX, screenY) {
-        if (this.selectedElements.size <= 1) return null;
+    
+    // Remove connectors attached to deleted elements; returns how many were removed
+    deleteAttachedConnectors(elementIds) {
+        const ids = new Set(elementIds);
+        const attached = this.elements.filter(element =>
+            element.shape === 'connector' && (ids.has(element.startId) || ids.has(element.endId))
+        );
         
-        const isMobile = window.innerWidth <= 768;
-        const groupIconSize = isMobile ? 20 : 14;
-        const selectionBounds = this.getSelectionBounds();
-        const centerScreen = this.worldToScreen(selectionBounds.centerX, selectionBounds.centerY);
-        
-        const groupX = centerScreen.x + selectionBounds.width * this.camera.zoom / 2 + (isMobile ? 20 : 15);
-        const groupY = centerScreen.y - selectionBounds.height * this.camera.zoom / 2 - (isMobile ? 10 : 5);
+        attached.forEach(connector => {
+            this.elements = this.elements.filter(el => el !== connector);
+            this.removeElementFromLayer(connector);
+            this.selectedElements.delete(connector);
+            if (this.selectedElement === connector) {
+                this.selectedElement = null;
+            }
+            this.sendUpdate('delete', { id: connector.id });
+        });
         
-        return this.isPointInRect(screenX, screenY, groupX, groupY, groupIconSize, groupIconSize);
+        return attached.length;
     }
-
-    getDeleteHandle(screenX, screenY) {
-        if (this.selectedElements.size === 0) return null;
+    
+    // The options bar shows while the tool is active or a connector is selected
+    updateConnectorOptionsVisibility() {
+        const options = document.getElementById('connectorOptions');
+        if (!options) return;
         
-        const isMobile = window.innerWidth <= 768;
-        const deleteSize = isMobile ? 20 : 12;
-        const deleteDistance = isMobile ? 20 : 15;
-        const deleteOffset = isMobile ? 10 : 5;
+        const selectedConnector = Array.from(this.selectedElements).find(el => el.shape === 'connector');
+        const visible = this.isConnectorToolActive() || !!selectedConnector;
+        options.style.display = visible ? 'flex' : 'none';
         
-        if (this.selectedElements.size === 1) {
-            // Single element delete handle
-            const element = this.selectedElement;
-            if (!this.isElementInVisibleLayer(element)) return null;
-            
-            const layer = this.layers.find(l => l.id === element.layerId);
-            if (layer && layer.locked) return null;
-            
-            const screenPos = this.worldToScreen(element.x, element.y);
-            const w = element.width * this.camera.zoom;
-            const h = element.height * this.camera.zoom;
-            
-            const iconSize = isMobile ? 20 : 14;
-            const iconSpacing = isMobile ? 4 : 3;
-            const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
-            const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
-            
-            const deleteX = iconColumn;
-            const isTextElement = element.shape === 'text';
-            const deleteY = startY + (iconSize + iconSpacing) * (isTextElement ? 3 : 2);
-            
-            return this.isPointInRect(screenX, screenY, deleteX, deleteY, iconSize, iconSize);
-        } else {
-            // Multi-element delete handle (adjusted for group button)
-            const selectionBounds = this.getSelectionBounds();
-            const centerScreen = this.worldToScreen(selectionBounds.centerX, selectionBounds.centerY);
-            
-            const groupIconSize = isMobile ? 20 : 14;
-            const groupX = centerScreen.x + selectionBounds.width * this.camera.zoom / 2 + (isMobile ? 20 : 15);
-            const deleteX = groupX + groupIconSize + (isMobile ? 8 : 5);
-            const deleteY = centerScreen.y - selectionBounds.height * this.camera.zoom / 2 - deleteOffset;
-            
-            return this.isPointInRect(screenX, screenY, deleteX, deleteY, deleteSize, deleteSize);
+        // Reflect the selected connector's settings
+        if (selectedConnector && !this.isConnectorToolActive()) {
+            document.getElementById('connectorRouting').value = selectedConnector.routing || 'straight';
+            document.getElementById('connectorStartArrow').value = selectedConnector.startArrow || 'none';
+            document.getElementById('connectorEndArrow').value = selectedConnector.endArrow || 'none';
         }
     }
     
-    bringForward() {
-        if (!this.selectedElement) return;
-        
-        // Initialize zIndex if not present
-        if (this.selectedElement.zIndex === undefined) {
-            this.selectedElement.zIndex = 0;
-        }
-        
-        // Find other elements that might be at the same layer position
-        const sameLayerElements = this.elements.filter(el => 
-            el.layerId === this.selectedElement.layerId && el.id !== this.selectedElement.id
-        );
+    setConnectorOption(option, value) {
+        const defaults = { routing: 'connectorRouting', startArrow: 'connectorStartArrow', endArrow: 'connectorEndArrow' };
+        this[defaults[option]] = value;
         
-        // Find the highest zIndex in the same layer
-        const maxZIndex = Math.max(0, ...sameLayerElements.map(el => el.zIndex || 0));
+        const connectors = Array.from(this.selectedElements).filter(el => el.shape === 'connector');
+        if (connectors.length === 0) return;
         
-        // Bring forward by setting zIndex higher than the current max
-        this.selectedElement.zIndex = maxZIndex + 1;
+        if (!this.canUserWrite()) {
+            this.showReadOnlyError();
+            return;
+        }
         
-        // Send update
-        this.sendUpdate('update', this.selectedElement);
-        this.saveToHistory('Bring forward');
+        connectors.forEach(connector => {
+            connector[option] = value;
+            this.sendUpdate('update', connector);
+        });
+        this.saveToHistory('Change connector');
         this.render();
     }
     
-    bringBackward() {
-        if (!this.selectedElement) return;
+    getRandomColor() {
+        const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FECA57', '#FF9FF3', '#54A0FF'];
+        return colors[Math.floor(Math.random() * colors.length)];
+    }
+    
+    // Paper colors for sticky notes
+    getStickyColor() {
+        const colors = ['#FFF59D', '#FFCC80', '#F8BBD0', '#B3E5FC', '#C5E1A5', '#E1BEE7'];
+        return colors[Math.floor(Math.random() * colors.length)];
+    }
+    
+    // Shapes whose text is their content rather than a label
+    isTextShape(element) {
+        return element.shape === 'text' || element.shape === 'sticky';
+    }
+    
+    // Frames, sorted top to bottom and then left to right (the order they are listed and presented in)
+    getFrames() {
+        return this.elements
+            .filter(element => element.shape === 'frame')
+            .sort((a, b) => (a.y - a.height / 2) - (b.y - b.height / 2) || (a.x - a.width / 2) - (b.x - b.width / 2));
+    }
+    
+    getFrameChildren(frame) {
+        return this.elements.filter(element => element.frameId === frame.id);
+    }
+    
+    // The frame an element belongs to, if it still exists
+    getElementFrame(element) {
+        if (element.frameId === undefined || element.frameId === null) return null;
+        const frame = this.getElementById(element.frameId);
+        return frame && frame.shape === 'frame' ? frame : null;
+    }
+    
+    // Frames can't hold other frames, and connectors follow the shapes they join
+    canBeInFrame(element) {
+        return element.shape !== 'frame' && element.shape !== 'connector';
+    }
+    
+    // Topmost frame whose box contains a world point
+    findFrameAt(worldX, worldY) {
+        const frames = this.sortElementsByLayerOrder(this.queryElements(worldX, worldY, worldX, worldY)
+            .filter(element => element.shape === 'frame' && this.isElementInVisibleLayer(element)));
         
-        // Initialize zIndex if not present
-        if (this.selectedElement.zIndex === undefined) {
-            this.selectedElement.zIndex = 0;
+        for (let i = frames.length - 1; i >= 0; i--) {
+            const frame = frames[i];
+            if (Math.abs(worldX - frame.x) <= frame.width / 2 && Math.abs(worldY - frame.y) <= frame.height / 2) {
+                return frame;
+            }
         }
-        
-        // Find other elements that might be at the same layer position
-        const sameLayerElements = this.elements.filter(el => 
-            el.layerId === this.selectedElement.layerId && el.id !== this.selectedElement.id
-        );
-        
-        // Find the lowest zIndex in the same layer
-        const minZIndex = Math.min(0, ...sameLayerElements.map(el => el.zIndex || 0));
-        
-        // Bring backward by setting zIndex lower than the current min
-        this.selectedElement.zIndex = minZIndex - 1;
-        
-        // Send update
-        this.sendUpdate('update', this.selectedElement);
-        this.saveToHistory('Send backward');
-        this.render();
+        return null;
     }
     
-    openColorPicker() {
-        if (!this.selectedElement) return;
-        
-        // Hide any existing color picker
-        this.hideColorPicker();
-        this.hideTextFormatPopup();
+    // Put an element in the frame under its center (or take it out of its frame).
+    // Returns true when its frame changed.
+    assignFrame(element) {
+        if (!this.canBeInFrame(element)) return false;
         
-        // Create color palette container
-        const colorPalette = document.createElement('div');
-        colorPalette.id = 'colorPalette';
-        colorPalette.style.cssText = `
-            position: fixed;
-            background: white;
-            border: 2px solid #007bff;
-            border-radius: 8px;
-            padding: 12px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            z-index: 2000;
-            width: 240px;
-        `;
+        const frame = this.findFrameAt(element.x, element.y);
+        const frameId = frame ? frame.id : undefined;
+        if (element.frameId === frameId || (frameId === undefined && element.frameId === null)) return false;
         
-        // Create header with title and close button
-        const header = document.createElement('div');
-        header.style.cssText = `
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 8px;
-            padding-bottom: 8px;
-            border-bottom: 1px solid #eee;
-        `;
+        if (frame) {
+            element.frameId = frame.id;
+        } else {
+            delete element.frameId;
+        }
+        return true;
+    }
+    
+    // A new frame drawn around existing content takes ownership of it
+    adoptElementsIntoFrame(frame) {
+        this.queryElements(frame.x - frame.width / 2, frame.y - frame.height / 2, frame.x + frame.width / 2, frame.y + frame.height / 2)
+            .forEach(element => {
+                if (element === frame || this.getElementFrame(element)) return;
+                if (this.assignFrame(element)) {
+                    this.sendUpdate('update', element);
+                }
+            });
+    }
+    
+    // Deleting a frame leaves its contents on the board
+    releaseFrameChildren(frameIds) {
+        this.elements.forEach(element => {
+            if (element.frameId !== undefined && frameIds.includes(element.frameId)) {
+                delete element.frameId;
+                this.sendUpdate('update', element);
+            }
+        });
+    }
+    
+    // Selected elements plus the contents of selected frames, which move with them
+    getMovingElements() {
+        const moving = new Set(this.selectedElements);
+        this.selectedElements.forEach(element => {
+            if (element.shape === 'frame') {
+                this.getFrameChildren(element).forEach(child => moving.add(child));
+            }
+        });
+        return moving;
+    }
+    
+    // Elements dropped after a move join the frame they landed in; contents carried
+    // along by their frame stay where they are
+    updateFrameMembership(elements) {
+        elements.forEach(element => {
+            if (this.selectedElements.has(element) || !this.getElementFrame(element)) {
+                this.assignFrame(element);
+            }
+        });
+    }
+    
+    // A resized frame gains what is now inside it and lets go of what is now outside;
+    // any other resized element may have moved its center into or out of a frame
+    updateResizedFrameMembership(element) {
+        if (element.shape !== 'frame') {
+            this.assignFrame(element);
+            return;
+        }
+        this.getFrameChildren(element).forEach(child => {
+            if (this.assignFrame(child)) {
+                this.sendUpdate('update', child);
+            }
+        });
+        this.adoptElementsIntoFrame(element);
+    }
+    
+    // Clip drawing to a frame's box, given the world-to-target scale and offset
+    clipToFrame(ctx, frame, scale, offsetX, offsetY) {
+        ctx.beginPath();
+        ctx.rect(
+            (frame.x - frame.width / 2) * scale + offsetX,
+            (frame.y - frame.height / 2) * scale + offsetY,
+            frame.width * scale,
+            frame.height * scale
+        );
+        ctx.clip();
+    }
+    
+    getNextFrameName() {
+        const frames = this.elements.filter(element => element.shape === 'frame');
+        const names = new Set(frames.map(frame => frame.name));
+        let number = frames.length + 1;
+        while (names.has(`Frame ${number}`)) number++;
+        return `Frame ${number}`;
+    }
+    
+    // Frame names sit above their top-left corner at a fixed screen size
+    drawFrameLabels(elements) {
+        this.ctx.save();
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
         
-        const title = document.createElement('div');
-        title.textContent = 'Choose Color';
-        title.style.cssText = `
-            font-weight: bold;
-            color: #333;
-            font-size: 14px;
-        `;
+        elements.forEach(frame => {
+            if (frame.shape !== 'frame' || !this.isElementInVisibleLayer(frame)) return;
+            
+            const topLeft = this.worldToScreen(frame.x - frame.width / 2, frame.y - frame.height / 2);
+            const width = frame.width * this.camera.zoom;
+            if (width < 30) return;
+            
+            this.ctx.fillStyle = this.selectedElements.has(frame) ? '#007bff' : '#666';
+            this.ctx.fillText(frame.name || 'Frame', topLeft.x, topLeft.y - 4, width);
+        });
         
-        const closeButton = document.createElement('button');
-        closeButton.innerHTML = '×';
-        closeButton.style.cssText = `
-            background: #dc3545;
-            border: none;
-            border-radius: 50%;
-            width: 20px;
-            height: 20px;
-            color: white;
-            font-size: 14px;
-            font-weight: bold;
-            cursor: pointer;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            line-height: 1;
-        `;
+        this.ctx.restore();
+    }
+    
+    // Is a screen point on a frame's name label? Returns the frame.
+    getFrameLabelAt(screenX, screenY) {
+        const frames = this.getFrames().filter(frame => this.isElementInVisibleLayer(frame));
         
-        closeButton.addEventListener('mouseenter', () => {
-            closeButton.style.background = '#c82333';
+        this.ctx.save();
+        this.ctx.font = '12px Arial';
+        const hit = frames.find(frame => {
+            const topLeft = this.worldToScreen(frame.x - frame.width / 2, frame.y - frame.height / 2);
+            const width = Math.min(frame.width * this.camera.zoom, this.ctx.measureText(frame.name || 'Frame').width);
+            return frame.width * this.camera.zoom >= 30 && this.isPointInRect(screenX, screenY, topLeft.x, topLeft.y - 18, width, 16);
         });
+        this.ctx.restore();
+        return hit || null;
+    }
+    
+    // Rebuild the side panel frame list when frames are added, removed, renamed or reordered
+    // Note an element that was added, removed, moved or edited (null: everything changed);
+    // the frames panel is rebuilt on the next render if it was a frame
+    invalidateFrameList(element) {
+        if (!element || element.shape === 'frame') {
+            this.frameListStale = true;
+        }
+    }
+    
+    updateFrameList() {
+        this.frameListStale = false;
+        const framesList = document.getElementById('framesList');
+        if (!framesList) return;
         
-        closeButton.addEventListener('mouseleave', () => {
-            closeButton.style.background = '#dc3545';
-        });
+        const frames = this.getFrames();
+        const key = frames.map(frame => `${frame.id}:${frame.name}`).join('|');
+        if (key === this.frameListKey) return;
+        this.frameListKey = key;
         
-        closeButton.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.hideColorPicker();
-        this.hideTextFormatPopup();
-        });
+        framesList.innerHTML = '';
+        if (frames.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'frames-empty';
+            empty.textContent = 'No frames yet. Use the ⬚ tool to add one.';
+            framesList.appendChild(empty);
+            return;
+        }
         
-        header.appendChild(title);
-        header.appendChild(closeButton);
-        colorPalette.appendChild(header);
+        frames.forEach(frame => {
+            const item = document.createElement('div');
+            item.className = 'layer-item frame-item';
+            
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = frame.name || 'Frame';
+            name.title = 'Click to go to this frame, double-click to rename';
+            name.addEventListener('click', () => this.focusFrame(frame.id));
+            name.addEventListener('dblclick', () => {
+                this.focusFrame(frame.id);
+                this.startLabelEdit(frame);
+            });
+            
+            const exportButton = document.createElement('button');
+            exportButton.className = 'layer-lock';
+            exportButton.textContent = '💾';
+            exportButton.title = 'Export this frame';
+            exportButton.addEventListener('click', () => this.showExportDialog(frame.id));
+            
+            item.appendChild(name);
+            item.appendChild(exportButton);
+            framesList.appendChild(item);
+        });
+    }
+    
+    // Center the camera on a frame and zoom so it fills most of the screen
+    focusFrame(frameId) {
+        const frame = this.getFrames().find(element => element.id === frameId);
+        if (!frame) return;
         
-        // Create color grid container
-        const colorGrid = document.createElement('div');
-        colorGrid.style.cssText = `
-            display: grid;
-            grid-template-columns: repeat(8, 1fr);
-            gap: 4px;
-        `;
+        this.selectedElements.clear();
+        this.selectedElements.add(frame);
+        this.selectedElement = frame;
+        this.animateCameraTo(this.getCameraForRect(frame, 0.9));
+    }
+    
+    getElementAtPosition(worldX, worldY) {
+        // Only test the elements around the point, in rendering order
+        const tolerance = 6 / this.camera.zoom;
+        const candidates = this.queryElements(worldX - tolerance, worldY - tolerance, worldX + tolerance, worldY + tolerance);
+        const sortedElements = this.sortElementsByLayerOrder(candidates);
         
-        // Color palette with 32 colors
-        const colors = [
-            '#FF0000', '#FF4500', '#FF8C00', '#FFD700',
-            '#ADFF2F', '#00FF00', '#00FF7F', '#00FFFF',
-            '#0080FF', '#0000FF', '#4169E1', '#8A2BE2',
-            '#FF1493', '#FF69B4', '#DC143C', '#B22222',
-            '#800000', '#A0522D', '#D2691E', '#CD853F',
-            '#DAA520', '#808000', '#556B2F', '#006400',
-            '#008080', '#4682B4', '#191970', '#800080',
-            '#000000', '#404040', '#808080', '#FFFFFF'
-        ];
-        
-        // Add color swatches
-        colors.forEach(color => {
-            const swatch = document.createElement('div');
-            swatch.style.cssText = `
-                width: 24px;
-                height: 24px;
-                background-color: ${color};
-                border: 2px solid ${color === this.selectedElement.color ? '#007bff' : '#ccc'};
-                border-radius: 4px;
-                cursor: pointer;
-                transition: all 0.2s;
-            `;
-            
-            swatch.addEventListener('mouseenter', () => {
-                swatch.style.transform = 'scale(1.1)';
-                swatch.style.boxShadow = '0 2px 4px rgba(0,0,0,0.2)';
-            });
+        // Check elements from top to bottom (reverse order of rendering)
+        for (let i = sortedElements.length - 1; i >= 0; i--) {
+            const element = sortedElements[i];
             
-            swatch.addEventListener('mouseleave', () => {
-                swatch.style.transform = 'scale(1)';
-                swatch.style.boxShadow = 'none';
-            });
+            // Skip elements in hidden or locked layers
+            const layer = this.layers.find(l => l.id === element.layerId);
+            if (layer && (!layer.visible || layer.locked)) {
+                continue;
+            }
             
-            swatch.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.applyColor(color);
-                // Update the border to show current selection
-                this.updateColorSwatchSelection(colorGrid, color);
-            });
+            // Parts of a frame's contents outside the frame are clipped away
+            const frame = this.getElementFrame(element);
+            if (frame && (Math.abs(worldX - frame.x) > frame.width / 2 || Math.abs(worldY - frame.y) > frame.height / 2)) {
+                continue;
+            }
             
-            colorGrid.appendChild(swatch);
-        });
-        
-        // Add the color grid to the palette
-        colorPalette.appendChild(colorGrid);
-        
-        // Position the palette near the color picker icon
-        const element = this.selectedElement;
-        const screenPos = this.worldToScreen(element.x, element.y);
-        const w = element.width * this.camera.zoom;
-        const h = element.height * this.camera.zoom;
-        
-        const isMobile = window.innerWidth <= 768;
-        const iconSize = isMobile ? 20 : 14;
-        const iconSpacing = isMobile ? 4 : 3;
-        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
-        const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
-        const colorPickerY = startY + iconSize + iconSpacing;
-        
-        let paletteX = iconColumn + iconSize + 10;
-        let paletteY = colorPickerY;
-        
-        // Adjust position to keep palette on screen
-        const paletteWidth = 240;
-        const paletteHeight = 160; // Increased height for header + close button
-        
-        if (paletteX + paletteWidth > window.innerWidth) {
-            paletteX = iconColumn - paletteWidth - 10;
-        }
-        if (paletteY + paletteHeight > window.innerHeight) {
-            paletteY = window.innerHeight - paletteHeight - 10;
+            if (element.shape === 'circle') {
+                const dx = worldX - element.x;
+                const dy = worldY - element.y;
+                const radius = element.width / 2;
+                if (dx * dx + dy * dy <= radius * radius) {
+                    return element;
+                }
+            } else if (element.shape === 'path') {
+                // Strokes are only grabbed on the ink, so shapes behind a loop stay clickable
+                if (this.isPointOnPath(element, worldX, worldY, 6 / this.camera.zoom)) {
+                    return element;
+                }
+            } else if (element.shape === 'connector') {
+                if (this.isPointOnConnector(element, worldX, worldY, 6 / this.camera.zoom)) {
+                    return element;
+                }
+            } else {
+                if (worldX >= element.x - element.width / 2 &&
+                    worldX <= element.x + element.width / 2 &&
+                    worldY >= element.y - element.height / 2 &&
+                    worldY <= element.y + element.height / 2) {
+                    return element;
+                }
+            }
         }
-        if (paletteX < 10) paletteX = 10;
-        if (paletteY < 10) paletteY = 10;
-        
-        colorPalette.style.left = paletteX + 'px';
-        colorPalette.style.top = paletteY + 'px';
-        
-        // Add to document
-        document.body.appendChild(colorPalette);
+        return null;
     }
     
-    openTextFormatPopup() {
-        if (!this.selectedElement || this.selectedElement.shape !== 'text') return;
-        
-        // Hide any existing text format popup
-        this.hideTextFormatPopup();
-        
-        // Create text format popup container
-        const textFormatPopup = document.createElement('div');
-        textFormatPopup.id = 'textFormatPopup';
-        textFormatPopup.style.cssText = `
-            position: fixed;
-            background: white;
-            border: 2px solid #6f42c1;
-            border-radius: 8px;
-            padding: 16px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            z-index: 2000;
-            width: 280px;
-            font-family: Arial, sans-serif;
-        `;
-        
-        // Create header with title and close button
-        const header = document.createElement('div');
-        header.style.cssText = `
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 16px;
-            padding-bottom: 8px;
-            border-bottom: 1px solid #eee;
-        `;
-        
-        const title = document.createElement('div');
-        title.textContent = 'Text Formatting';
-        title.style.cssText = `
-            font-weight: bold;
-            color: #333;
-            font-size: 16px;
-        `;
-        
-        const closeButton = document.createElement('button');
-        closeButton.textContent = '×';
-        closeButton.style.cssText = `
-            background: none;
-            border: none;
-            font-size: 20px;
-            cursor: pointer;
-            color: #666;
-            padding: 0;
-            width: 24px;
-            height: 24px;
-        `;
-        closeButton.addEventListener('click', () => this.hideTextFormatPopup());
-        
-        header.appendChild(title);
-        header.appendChild(closeButton);
-        textFormatPopup.appendChild(header);
-        
-        // Font size section
-        const fontSizeSection = document.createElement('div');
-        fontSizeSection.style.cssText = `margin-bottom: 16px;`;
-        
-        const fontSizeLabel = document.createElement('label');
-        fontSizeLabel.textContent = 'Font Size:';
-        fontSizeLabel.style.cssText = `
-            display: block;
-            margin-bottom: 8px;
-            font-weight: bold;
-            color: #333;
-        `;
-        
-        const fontSizeInput = document.createElement('input');
-        fontSizeInput.type = 'range';
-        fontSizeInput.min = '8';
-        fontSizeInput.max = '72';
-        fontSizeInput.value = this.selectedElement.fontSize || 20;
-        fontSizeInput.style.cssText = `
-            width: 100%;
-            margin-bottom: 8px;
-        `;
-        
-        const fontSizeDisplay = document.createElement('span');
-        fontSizeDisplay.textContent = `${this.selectedElement.fontSize || 20}px`;
-        fontSizeDisplay.style.cssText = `
-            font-size: 12px;
-            color: #666;
-        `;
-        
-        fontSizeInput.addEventListener('input', (e) => {
-            const newSize = parseInt(e.target.value);
-            fontSizeDisplay.textContent = `${newSize}px`;
-            this.selectedElement.fontSize = newSize;
-            this.sendUpdate('update', this.selectedElement);
-            this.render();
-        });
-        
-        fontSizeSection.appendChild(fontSizeLabel);
-        fontSizeSection.appendChild(fontSizeInput);
-        fontSizeSection.appendChild(fontSizeDisplay);
-        textFormatPopup.appendChild(fontSizeSection);
-        
-        // Font family section
-        const fontFamilySection = document.createElement('div');
-        fontFamilySection.style.cssText = `margin-bottom: 16px;`;
-        
-        const fontFamilyLabel = document.createElement('label');
-        fontFamilyLabel.textContent = 'Font Family:';
-        fontFamilyLabel.style.cssText = `
-            display: block;
-            margin-bottom: 8px;
-            font-weight: bold;
-            color: #333;
-        `;
+    drawResizeHandles() {
+        if (this.selectedElements.size === 0) return;
         
-        const fontFamilySelect = document.createElement('select');
-        fontFamilySelect.style.cssText = `
-            width: 100%;
-            padding: 8px;
-            border: 1px solid #ddd;
-            border-radius: 4px;
-            font-size: 14px;
-        `;
+        // Don't draw resize handles if any selected element is being manipulated by other users
+        if (this.isSelectedElementsManipulatedByOthers()) return;
         
-        const fontFamilies = [
-            { value: 'Arial', label: 'Arial' },
-            { value: 'Helvetica', label: 'Helvetica' },
-            { value: 'Times New Roman', label: 'Times New Roman' },
-            { value: 'Courier New', label: 'Courier New' },
-            { value: 'Georgia', label: 'Georgia' },
-            { value: 'Verdana', label: 'Verdana' },
-            { value: 'Comic Sans MS', label: 'Comic Sans MS' },
-            { value: 'Impact', label: 'Impact' },
-            { value: 'Trebuchet MS', label: 'Trebuchet MS' }
-        ];
+        const isMobile = window.innerWidth <= 768;
+        const handleSize = isMobile ? 16 : 8;
+        const rotateRadius = isMobile ? 12 : 6;
+        const deleteSize = isMobile ? 20 : 12;
         
-        fontFamilies.forEach(font => {
-            const option = document.createElement('option');
-            option.value = font.value;
-            option.textContent = font.label;
-            option.style.fontFamily = font.value;
-            if (font.value === (this.selectedElement.fontFamily || 'Arial')) {
-                option.selected = true;
-            }
-            fontFamilySelect.appendChild(option);
-        });
-        
-        fontFamilySelect.addEventListener('change', (e) => {
-            this.selectedElement.fontFamily = e.target.value;
-            this.sendUpdate('update', this.selectedElement);
-            this.render();
-        });
-        
-        fontFamilySection.appendChild(fontFamilyLabel);
-        fontFamilySection.appendChild(fontFamilySelect);
-        textFormatPopup.appendChild(fontFamilySection);
-        
-        // Font style section
-        const fontStyleSection = document.createElement('div');
-        fontStyleSection.style.cssText = `margin-bottom: 16px;`;
-        
-        const fontStyleLabel = document.createElement('label');
-        fontStyleLabel.textContent = 'Font Style:';
-        fontStyleLabel.style.cssText = `
-            display: block;
-            margin-bottom: 8px;
-            font-weight: bold;
-            color: #333;
-        `;
-        
-        const fontStyleButtons = document.createElement('div');
-        fontStyleButtons.style.cssText = `
-            display: flex;
-            gap: 8px;
-        `;
-        
-        // Bold button
-        const boldButton = document.createElement('button');
-        boldButton.textContent = 'B';
-        boldButton.style.cssText = `
-            padding: 8px 12px;
-            border: 1px solid #ddd;
-            border-radius: 4px;
-            background: ${this.selectedElement.fontWeight === 'bold' ? '#6f42c1' : 'white'};
-            color: ${this.selectedElement.fontWeight === 'bold' ? 'white' : '#333'};
-            font-weight: bold;
-            cursor: pointer;
-            flex: 1;
-        `;
-        
-        boldButton.addEventListener('click', () => {
-            this.selectedElement.fontWeight = this.selectedElement.fontWeight === 'bold' ? 'normal' : 'bold';
-            boldButton.style.background = this.selectedElement.fontWeight === 'bold' ? '#6f42c1' : 'white';
-            boldButton.style.color = this.selectedElement.fontWeight === 'bold' ? 'white' : '#333';
-            this.sendUpdate('update', this.selectedElement);
-            this.render();
-        });
-        
-        // Italic button
-        const italicButton = document.createElement('button');
-        italicButton.textContent = 'I';
-        italicButton.style.cssText = `
-            padding: 8px 12px;
-            border: 1px solid #ddd;
-            border-radius: 4px;
-            background: ${this.selectedElement.fontStyle === 'italic' ? '#6f42c1' : 'white'};
-            color: ${this.selectedElement.fontStyle === 'italic' ? 'white' : '#333'};
-            font-style: italic;
-            cursor: pointer;
-            flex: 1;
-        `;
-        
-        italicButton.addEventListener('click', () => {
-            this.selectedElement.fontStyle = this.selectedElement.fontStyle === 'italic' ? 'normal' : 'italic';
-            italicButton.style.background = this.selectedElement.fontStyle === 'italic' ? '#6f42c1' : 'white';
-            italicButton.style.color = this.selectedElement.fontStyle === 'italic' ? 'white' : '#333';
-            this.sendUpdate('update', this.selectedElement);
-            this.render();
-        });
-        
-        // Strikethrough button
-        const strikeButton = document.createElement('button');
-        strikeButton.textContent = 'S';
-        strikeButton.style.cssText = `
-            padding: 8px 12px;
-            border: 1px solid #ddd;
-            border-radius: 4px;
-            background: ${this.selectedElement.textDecoration === 'line-through' ? '#6f42c1' : 'white'};
-            color: ${this.selectedElement.textDecoration === 'line-through' ? 'white' : '#333'};
-            text-decoration: line-through;
-            cursor: pointer;
-            flex: 1;
-        `;
-        
-        strikeButton.addEventListener('click', () => {
-            this.selectedElement.textDecoration = this.selectedElement.textDecoration === 'line-through' ? 'none' : 'line-through';
-            strikeButton.style.background = this.selectedElement.textDecoration === 'line-through' ? '#6f42c1' : 'white';
-            strikeButton.style.color = this.selectedElement.textDecoration === 'line-through' ? 'white' : '#333';
-            this.sendUpdate('update', this.selectedElement);
-            this.render();
-        });
-        
-        fontStyleButtons.appendChild(boldButton);
-        fontStyleButtons.appendChild(italicButton);
-        fontStyleButtons.appendChild(strikeButton);
-        
-        fontStyleSection.appendChild(fontStyleLabel);
-        fontStyleSection.appendChild(fontStyleButtons);
-        textFormatPopup.appendChild(fontStyleSection);
-        
-        // Position popup near the text format handle
-        const screenPos = this.worldToScreen(this.selectedElement.x, this.selectedElement.y);
-        const w = this.selectedElement.width * this.camera.zoom;
-        const h = this.selectedElement.height * this.camera.zoom;
-        
-        const isMobile = window.innerWidth <= 768;
-        const iconSize = isMobile ? 20 : 14;
-        const iconSpacing = isMobile ? 4 : 3;
-        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
-        const textFormatY = screenPos.y - h/2 - (isMobile ? 5 : 2) + (iconSize + iconSpacing) * 2;
-        
-        let popupX = iconColumn + 30;
-        let popupY = textFormatY;
-        
-        // Ensure popup stays within viewport
-        if (popupX + 280 > window.innerWidth) {
-            popupX = iconColumn - 280 - 30;
-        }
-        if (popupY + 300 > window.innerHeight) {
-            popupY = window.innerHeight - 300;
-        }
-        if (popupY < 0) {
-            popupY = 10;
-        }
-        
-        textFormatPopup.style.left = popupX + 'px';
-        textFormatPopup.style.top = popupY + 'px';
-        
-        // Add to document
-        document.body.appendChild(textFormatPopup);
-    }
-    
-    hideTextFormatPopup() {
-        const popup = document.getElementById('textFormatPopup');
-        if (popup) {
-            popup.remove();
-        }
-    }
-    
-    toggleGroupSelection() {
-        if (this.selectedElements.size <= 1) return;
-        
-        const allElementsGrouped = Array.from(this.selectedElements).every(element => element.groupId);
-        
-        if (allElementsGrouped) {
-            this.ungroupSelectedElements();
-        } else {
-            this.groupSelectedElements();
-        }
-    }
-    
-    groupSelectedElements() {
-        if (!this.canUserWrite()) {
-            this.showReadOnlyError();
-            return;
-        }
-        
-        if (this.selectedElements.size <= 1) return;
-        
-        // Generate a unique group ID
-        const groupId = 'group_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        
-        // Apply group ID to all selected elements
-        this.selectedElements.forEach(element => {
-            element.groupId = groupId;
-            this.sendUpdate('update', element);
-        });
-        
-        this.saveToHistory('Group shapes');
-        this.render();
-        
-        console.log(`Grouped ${this.selectedElements.size} elements with groupId: ${groupId}`);
-    }
-    
-    ungroupSelectedElements() {
-        if (!this.canUserWrite()) {
-            this.showReadOnlyError();
-            return;
-        }
-        
-        if (this.selectedElements.size === 0) return;
-        
-        // Get all group IDs from selected elements
-        const groupIds = new Set();
-        this.selectedElements.forEach(element => {
-            if (element.groupId) {
-                groupIds.add(element.groupId);
+        if (this.selectedElements.size === 1) {
+            // Single element - draw resize handles, rotation handle, and delete handle
+            const element = this.selectedElement;
+            const screenPos = this.worldToScreen(element.x, element.y);
+            const w = element.width * this.camera.zoom;
+            const h = element.height * this.camera.zoom;
+            
+            const left = screenPos.x - w/2;
+            const right = screenPos.x + w/2;
+            const top = screenPos.y - h/2;
+            const bottom = screenPos.y + h/2;
+            
+            this.ctx.fillStyle = '#007bff';
+            this.ctx.strokeStyle = '#fff';
+            this.ctx.lineWidth = 1;
+            
+            // Connectors take their shape from the elements they join: no resize or rotation.
+            // Frames stay axis-aligned, so they resize but don't rotate.
+            if (element.shape !== 'connector') {
+                // Draw corner handles
+                this.drawHandle(left - handleSize/2, top - handleSize/2, handleSize);
+                this.drawHandle(right - handleSize/2, top - handleSize/2, handleSize);
+                this.drawHandle(left - handleSize/2, bottom - handleSize/2, handleSize);
+                this.drawHandle(right - handleSize/2, bottom - handleSize/2, handleSize);
             }
-        });
-        
-        // Remove group ID from all elements that belong to these groups
-        this.elements.forEach(element => {
-            if (element.groupId && groupIds.has(element.groupId)) {
-                delete element.groupId;
-                this.sendUpdate('update', element);
+            
+            if (element.shape !== 'connector' && element.shape !== 'frame') {
+                // Draw rotation handle
+                const rotateY = top - (isMobile ? 30 : 20);
+                const isHoveringRotate = this.getRotateHandle(this.mouse.x, this.mouse.y);
+                
+                // Add glow effect when hovering
+                if (isHoveringRotate) {
+                    this.ctx.shadowColor = '#28a745';
+                    this.ctx.shadowBlur = 8;
+                    this.ctx.shadowOffsetX = 0;
+                    this.ctx.shadowOffsetY = 0;
+                }
+                
+                this.ctx.fillStyle = isHoveringRotate ? '#34ce57' : '#28a745';
+                this.ctx.strokeStyle = '#fff';
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.arc(screenPos.x, rotateY, rotateRadius, 0, Math.PI * 2);
+                this.ctx.fill();
+                this.ctx.stroke();
+                
+                // Reset shadow
+                this.ctx.shadowColor = 'transparent';
+                this.ctx.shadowBlur = 0;
             }
-        });
-        
-        this.saveToHistory('Ungroup shapes');
-        this.render();
-        
-        console.log(`Ungrouped elements from ${groupIds.size} group(s)`);
-    }
-    
-    updateColorSwatchSelection(colorGrid, selectedColor) {
-        // Update all swatches to show the new selection
-        const swatches = colorGrid.children;
-        for (let swatch of swatches) {
-            const swatchColor = swatch.style.backgroundColor;
-            // Convert RGB to hex to compare
-            const hexColor = this.rgbToHex(swatchColor);
-            if (hexColor.toUpperCase() === selectedColor.toUpperCase()) {
-                swatch.style.border = '2px solid #007bff';
-                swatch.style.boxShadow = '0 0 0 1px #007bff';
+            
+            // Draw z-index and delete controls in a vertical column
+            const iconSize = isMobile ? 20 : 14;
+            const iconSpacing = isMobile ? 4 : 3;
+            const iconColumn = right + (isMobile ? 15 : 12);
+            
+            // Calculate positions for all icons (add text formatting for text elements)
+            const isTextElement = element.shape === 'text';
+            const iconCount = isTextElement ? 5 : 4;
+            const totalHeight = iconSize * iconCount + iconSpacing * (iconCount - 1);
+            const startY = top - (isMobile ? 5 : 2);
+            
+            const upArrowX = iconColumn;
+            const upArrowY = startY;
+            const colorPickerX = iconColumn;
+            const colorPickerY = startY + iconSize + iconSpacing;
+            
+            // Text formatting icon for text elements
+            let textFormatX, textFormatY, deleteX, deleteY, downArrowX, downArrowY;
+            if (isTextElement) {
+                textFormatX = iconColumn;
+                textFormatY = startY + (iconSize + iconSpacing) * 2;
+                deleteX = iconColumn;
+                deleteY = startY + (iconSize + iconSpacing) * 3;
+                downArrowX = iconColumn;
+                downArrowY = startY + (iconSize + iconSpacing) * 4;
             } else {
-                swatch.style.border = '2px solid #ccc';
-                swatch.style.boxShadow = 'none';
+                deleteX = iconColumn;
+                deleteY = startY + (iconSize + iconSpacing) * 2;
+                downArrowX = iconColumn;
+                downArrowY = startY + (iconSize + iconSpacing) * 3;
             }
+            
+            // Common styling
+            this.ctx.strokeStyle = '#fff';
+            this.ctx.lineWidth = 2;
+            
+            // Bring forward arrow (up) - Blue theme
+            this.ctx.fillStyle = '#007bff';
+            this.ctx.fillRect(upArrowX, upArrowY, iconSize, iconSize);
+            this.ctx.strokeRect(upArrowX, upArrowY, iconSize, iconSize);
+            
+            // Draw up arrow icon
+            this.ctx.fillStyle = '#fff';
+            this.ctx.font = `bold ${isMobile ? 12 : 10}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText('▲', upArrowX + iconSize/2, upArrowY + iconSize/2);
+            
+            // Color picker handle - Orange theme
+            this.ctx.fillStyle = '#fd7e14';
+            this.ctx.fillRect(colorPickerX, colorPickerY, iconSize, iconSize);
+            this.ctx.strokeRect(colorPickerX, colorPickerY, iconSize, iconSize);
+            
+            // Draw color picker icon (paint palette)
+            this.ctx.fillStyle = '#fff';
+            const colorScale = isMobile ? 1.2 : 0.8;
+            const colorCenterX = colorPickerX + iconSize/2;
+            const colorCenterY = colorPickerY + iconSize/2;
+            
+            // Draw palette outline (oval)
+            this.ctx.beginPath();
+            this.ctx.ellipse(colorCenterX, colorCenterY, 5 * colorScale, 4 * colorScale, 0, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            // Draw palette hole (thumb hole)
+            this.ctx.fillStyle = '#fd7e14';
+            this.ctx.beginPath();
+            this.ctx.arc(colorCenterX + 2 * colorScale, colorCenterY - 1 * colorScale, 1.5 * colorScale, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            // Draw small color dots on palette
+            this.ctx.fillStyle = '#fff';
+            const dotSize = 0.8 * colorScale;
+            this.ctx.beginPath();
+            this.ctx.arc(colorCenterX - 2 * colorScale, colorCenterY - 1 * colorScale, dotSize, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.beginPath();
+            this.ctx.arc(colorCenterX, colorCenterY + 1.5 * colorScale, dotSize, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.beginPath();
+            this.ctx.arc(colorCenterX - 1 * colorScale, colorCenterY + 1 * colorScale, dotSize, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            // Text formatting handle - Purple theme (only for text elements)
+            if (isTextElement) {
+                this.ctx.fillStyle = '#6f42c1';
+                this.ctx.fillRect(textFormatX, textFormatY, iconSize, iconSize);
+                this.ctx.strokeRect(textFormatX, textFormatY, iconSize, iconSize);
+                
+                // Draw "T" icon for text formatting
+                this.ctx.fillStyle = '#fff';
+                this.ctx.font = `bold ${isMobile ? 14 : 12}px Arial`;
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText('T', textFormatX + iconSize/2, textFormatY + iconSize/2);
+            }
+            
+            // Delete handle (trash icon) - Red theme
+            this.ctx.fillStyle = '#dc3545';
+            this.ctx.fillRect(deleteX, deleteY, iconSize, iconSize);
+            this.ctx.strokeRect(deleteX, deleteY, iconSize, iconSize);
+            
+            // Draw trash icon with better proportions
+            this.ctx.fillStyle = '#fff';
+            const trashScale = isMobile ? 1.4 : 1.0;
+            const trashCenterX = deleteX + iconSize/2;
+            const trashCenterY = deleteY + iconSize/2;
+            
+            // Trash can body
+            const trashWidth = 8 * trashScale;
+            const trashHeight = 6 * trashScale;
+            const trashX = trashCenterX - trashWidth/2;
+            const trashY = trashCenterY - trashHeight/2 + 1 * trashScale;
+            this.ctx.fillRect(trashX, trashY, trashWidth, trashHeight);
+            
+            // Trash can lid
+            const lidWidth = 10 * trashScale;
+            const lidHeight = 2 * trashScale;
+            const lidX = trashCenterX - lidWidth/2;
+            const lidY = trashY - 1 * trashScale;
+            this.ctx.fillRect(lidX, lidY, lidWidth, lidHeight);
+            
+            // Trash can handle
+            const handleWidth = 4 * trashScale;
+            const handleHeight = 1 * trashScale;
+            const handleX = trashCenterX - handleWidth/2;
+            const handleY = lidY - 2 * trashScale;
+            this.ctx.fillRect(handleX, handleY, handleWidth, handleHeight);
+            
+            // Bring backward arrow (down) - Gray theme
+            this.ctx.fillStyle = '#6c757d';
+            this.ctx.fillRect(downArrowX, downArrowY, iconSize, iconSize);
+            this.ctx.strokeRect(downArrowX, downArrowY, iconSize, iconSize);
+            
+            // Draw down arrow icon
+            this.ctx.fillStyle = '#fff';
+            this.ctx.fillText('▼', downArrowX + iconSize/2, downArrowY + iconSize/2);
+        } else {
+            // Multi-element selection - draw rotation handle at selection center
+            const selectionBounds = this.getSelectionBounds();
+            const centerScreen = this.worldToScreen(selectionBounds.centerX, selectionBounds.centerY);
+            
+            // Draw rotation handle at selection center
+            const rotateDistance = isMobile ? 30 : 20;
+            const rotateX = centerScreen.x;
+            const rotateY = centerScreen.y - selectionBounds.height * this.camera.zoom / 2 - rotateDistance;
+            const isHoveringRotate = this.getRotateHandle(this.mouse.x, this.mouse.y);
+            
+            // Add glow effect when hovering
+            if (isHoveringRotate) {
+                this.ctx.shadowColor = '#28a745';
+                this.ctx.shadowBlur = 8;
+                this.ctx.shadowOffsetX = 0;
+                this.ctx.shadowOffsetY = 0;
+            }
+            
+            this.ctx.fillStyle = isHoveringRotate ? '#34ce57' : '#28a745';
+            this.ctx.strokeStyle = '#fff';
+            this.ctx.lineWidth = 2;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(rotateX, rotateY, rotateRadius, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+            
+            // Reset shadow
+            this.ctx.shadowColor = 'transparent';
+            this.ctx.shadowBlur = 0;
+            
+            // Check if any selected elements are grouped
+            const hasGroupedElements = Array.from(this.selectedElements).some(element => element.groupId);
+            const allElementsGrouped = Array.from(this.selectedElements).every(element => element.groupId);
+            
+            // Draw group/ungroup handle for multi-selection
+            const groupIconSize = isMobile ? 20 : 14;
+            const groupX = centerScreen.x + selectionBounds.width * this.camera.zoom / 2 + (isMobile ? 20 : 15);
+            const groupY = centerScreen.y - selectionBounds.height * this.camera.zoom / 2 - (isMobile ? 10 : 5);
+            
+            // Group icon - Purple theme for group, Orange theme for ungroup
+            this.ctx.fillStyle = allElementsGrouped ? '#fd7e14' : '#6f42c1';
+            this.ctx.fillRect(groupX, groupY, groupIconSize, groupIconSize);
+            this.ctx.strokeStyle = '#fff';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(groupX, groupY, groupIconSize, groupIconSize);
+            
+            // Draw group/ungroup icon
+            this.ctx.fillStyle = '#fff';
+            this.ctx.font = `bold ${isMobile ? 12 : 10}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            
+            if (allElementsGrouped) {
+                // Draw ungroup icon (disconnected squares)
+                const iconScale = isMobile ? 1.2 : 0.8;
+                const centerX = groupX + groupIconSize/2;
+                const centerY = groupY + groupIconSize/2;
+                
+                // Draw two small squares
+                this.ctx.fillRect(centerX - 5 * iconScale, centerY - 3 * iconScale, 4 * iconScale, 4 * iconScale);
+                this.ctx.fillRect(centerX + 1 * iconScale, centerY - 1 * iconScale, 4 * iconScale, 4 * iconScale);
+            } else {
+                // Draw group icon (connected squares)
+                this.ctx.fillText('⊞', groupX + groupIconSize/2, groupY + groupIconSize/2);
+            }
+            
+            // Draw delete handle for multi-selection
+            this.ctx.fillStyle = '#dc3545';
+            const deleteX = groupX + groupIconSize + (isMobile ? 8 : 5);
+            const deleteY = groupY;
+            this.ctx.fillRect(deleteX, deleteY, deleteSize, deleteSize);
+            this.ctx.strokeRect(deleteX, deleteY, deleteSize, deleteSize);
+            
+            // Draw trash icon details
+            this.ctx.fillStyle = '#fff';
+            const iconScale = isMobile ? 1.6 : 1;
+            this.ctx.fillRect(deleteX + 2 * iconScale, deleteY + 3 * iconScale, 8 * iconScale, 1 * iconScale);
+            this.ctx.fillRect(deleteX + 3 * iconScale, deleteY + 5 * iconScale, 2 * iconScale, 5 * iconScale);
+            this.ctx.fillRect(deleteX + 7 * iconScale, deleteY + 5 * iconScale, 2 * iconScale, 5 * iconScale);
         }
     }
     
-    rgbToHex(rgb) {
-        // Convert rgb(r, g, b) to hex
-        const result = rgb.match(/\d+/g);
-        if (!result) return rgb;
-        const [r, g, b] = result.map(Number);
-        return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
+    drawHandle(x, y, size) {
+        this.ctx.fillRect(x, y, size, size);
+        this.ctx.strokeRect(x, y, size, size);
     }
     
-    hideColorPicker() {
-        const existingPalette = document.getElementById('colorPalette');
-        if (existingPalette) {
-            document.body.removeChild(existingPalette);
-        }
+    showResizeHandles() {
+        // This method is now handled by drawResizeHandles in render()
     }
     
-    applyColor(color) {
-        if (!this.selectedElement) return;
+    hideResizeHandles() {
+        // This method is now handled by the render() method
+    }
+    
+    updateResizeHandles() {
+        // This method is now handled by the render() method
+    }
+    
+    getResizeHandle(screenX, screenY) {
+        // Only allow resize for single, non-grouped elements
+        if (this.selectedElements.size !== 1) return null;
+        if (!this.selectedElement) return null;
         
-        // Update element color
-        this.selectedElement.color = color;
+        // Don't allow resize for grouped elements or connectors (their ends follow shapes)
+        if (this.selectedElement.groupId || this.selectedElement.shape === 'connector') return null;
         
-        // Send update to server
-        this.sendUpdate('update', this.selectedElement);
-        this.saveToHistory(`Change color to ${color}`);
-        this.render();
-    }
-
-    deleteSelectedElements() {
-        if (!this.canUserWrite()) {
-            this.showReadOnlyError();
-            return;
-        }
+        // Don't allow resize handles if element is in hidden or locked layer
+        if (!this.isElementInVisibleLayer(this.selectedElement)) return null;
         
-        if (this.selectedElements.size === 0) return;
+        const layer = this.layers.find(l => l.id === this.selectedElement.layerId);
+        if (layer && layer.locked) return null;
         
-        const elementsToDelete = Array.from(this.selectedElements);
+        const screenPos = this.worldToScreen(this.selectedElement.x, this.selectedElement.y);
+        const w = this.selectedElement.width * this.camera.zoom;
+        const h = this.selectedElement.height * this.camera.zoom;
         
-        elementsToDelete.forEach(element => {
-            const index = this.elements.indexOf(element);
-            if (index > -1) {
-                this.elements.splice(index, 1);
-                this.removeElementFromLayer(element);
-                this.sendUpdate('delete', { id: element.id });
-            }
-        });
+        // Larger handles for mobile
+        const isMobile = window.innerWidth <= 768;
+        const handleSize = isMobile ? 16 : 8;
+        const left = screenPos.x - w/2;
+        const right = screenPos.x + w/2;
+        const top = screenPos.y - h/2;
+        const bottom = screenPos.y + h/2;
         
-        this.selectedElements.clear();
-        this.selectedElement = null;
-        this.saveToHistory('Delete elements');
-        this.render();
-    }
-    
-    clearAllElements() {
-        if (!this.canUserWrite()) {
-            this.showReadOnlyError();
-            return;
-        }
-        
-        if (this.elements.length === 0) {
-            alert('Canvas is already empty!');
-            return;
-        }
-        
-        const confirmation = confirm(`Are you sure you want to clear all ${this.elements.length} shapes? This action can be undone.`);
+        // Check each corner handle
+        if (this.isPointInRect(screenX, screenY, left - handleSize/2, top - handleSize/2, handleSize, handleSize)) return 'nw';
+        if (this.isPointInRect(screenX, screenY, right - handleSize/2, top - handleSize/2, handleSize, handleSize)) return 'ne';
+        if (this.isPointInRect(screenX, screenY, left - handleSize/2, bottom - handleSize/2, handleSize, handleSize)) return 'sw';
+        if (this.isPointInRect(screenX, screenY, right - handleSize/2, bottom - handleSize/2, handleSize, handleSize)) return 'se';
         
-        if (confirmation) {
-            this.elements = [];
-            this.selectedElement = null;
-            this.selectedElements.clear();
-            this.layers.forEach(layer => layer.elements = []);
-            this.sendUpdate('clear', {});
-            this.saveToHistory('Clear canvas');
-            this.render();
-            console.log('All elements cleared');
-        }
+        return null;
     }
     
-    resizeElement(handle) {
-        const element = this.selectedElement;
-        const worldPos = this.screenToWorld(this.mouse.x, this.mouse.y);
-        
-        // Store original bounds
-        const originalLeft = element.x - element.width / 2;
-        const originalRight = element.x + element.width / 2;
-        const originalTop = element.y - element.height / 2;
-        const originalBottom = element.y + element.height / 2;
-        
-        let newLeft = originalLeft;
-        let newRight = originalRight;
-        let newTop = originalTop;
-        let newBottom = originalBottom;
-        
-        switch (handle) {
-            case 'nw':
-                newLeft = worldPos.x;
-                newTop = worldPos.y;
-                break;
-            case 'ne':
-                newRight = worldPos.x;
-                newTop = worldPos.y;
-                break;
-            case 'sw':
-                newLeft = worldPos.x;
-                newBottom = worldPos.y;
-                break;
-            case 'se':
-                newRight = worldPos.x;
-                newBottom = worldPos.y;
-                break;
-        }
+    getRotateHandle(screenX, screenY) {
+        if (this.selectedElements.size === 0) return null;
         
-        // Calculate new dimensions
-        let newWidth = Math.max(20, Math.abs(newRight - newLeft));
-        let newHeight = Math.max(20, Math.abs(newBottom - newTop));
+        const isMobile = window.innerWidth <= 768;
+        const rotateRadius = isMobile ? 12 : 6;
+        const rotateHitRadius = isMobile ? 20 : 15; // Larger hit area for easier clicking
+        const rotateDistance = isMobile ? 30 : 20;
         
-        // For images, preserve aspect ratio
-        if (element.shape === 'image') {
-            const originalAspectRatio = element.width / element.height;
+        if (this.selectedElements.size === 1) {
+            // Single element rotation handle
+            const element = this.selectedElement;
+            if (!this.isElementInVisibleLayer(element)) return null;
+            if (element.shape === 'connector' || element.shape === 'frame') return null;
             
-            // Determine which dimension to constrain based on the handle being dragged
-            if (handle === 'nw' || handle === 'se') {
-                // Diagonal resize - use the dimension that changed more
-                const widthChange = Math.abs(newWidth - element.width);
-                const heightChange = Math.abs(newHeight - element.height);
-                
-                if (widthChange > heightChange) {
-                    newHeight = newWidth / originalAspectRatio;
-                } else {
-                    newWidth = newHeight * originalAspectRatio;
-                }
-            } else if (handle === 'ne' || handle === 'sw') {
-                // Diagonal resize - use the dimension that changed more
-                const widthChange = Math.abs(newWidth - element.width);
-                const heightChange = Math.abs(newHeight - element.height);
-                
-                if (widthChange > heightChange) {
-                    newHeight = newWidth / originalAspectRatio;
-                } else {
-                    newWidth = newHeight * originalAspectRatio;
-                }
-            }
+            const layer = this.layers.find(l => l.id === element.layerId);
+            if (layer && layer.locked) return null;
             
-            // Ensure minimum size is respected while maintaining aspect ratio
-            const minSize = 20;
-            if (newWidth < minSize) {
-                newWidth = minSize;
-                newHeight = newWidth / originalAspectRatio;
-            }
-            if (newHeight < minSize) {
-                newHeight = minSize;
-                newWidth = newHeight * originalAspectRatio;
-            }
+            const screenPos = this.worldToScreen(element.x, element.y);
+            const w = element.width * this.camera.zoom;
             
-            // Recalculate bounds based on constrained dimensions
-            const centerX = (newLeft + newRight) / 2;
-            const centerY = (newTop + newBottom) / 2;
+            const rotateX = screenPos.x;
+            const rotateY = screenPos.y - w/2 - rotateDistance;
             
-            newLeft = centerX - newWidth / 2;
-            newRight = centerX + newWidth / 2;
-            newTop = centerY - newHeight / 2;
-            newBottom = centerY + newHeight / 2;
-        }
-        
-        // Update element
-        element.width = newWidth;
-        element.height = newHeight;
-        element.x = (newLeft + newRight) / 2;
-        element.y = (newTop + newBottom) / 2;
-    }
-    
-    rotateElements() {
-        if (this.selectedElements.size === 1) {
-            // Single element rotation (around its center)
-            const element = this.selectedElement;
-            const centerScreen = this.worldToScreen(element.x, element.y);
-            const angle = Math.atan2(this.mouse.y - centerScreen.y, this.mouse.x - centerScreen.x);
-            element.rotation = angle + Math.PI/2;
+            const dx = screenX - rotateX;
+            const dy = screenY - rotateY;
+            
+            return (dx * dx + dy * dy <= rotateHitRadius * rotateHitRadius);
         } else {
-            // Multi-element rotation (around selection center)
-            const selectionCenter = this.getSelectionCenter();
-            const centerScreen = this.worldToScreen(selectionCenter.x, selectionCenter.y);
-            const currentAngle = Math.atan2(this.mouse.y - centerScreen.y, this.mouse.x - centerScreen.x);
+            // Multi-element rotation handle (at selection center)
+            const selectionBounds = this.getSelectionBounds();
+            const centerScreen = this.worldToScreen(selectionBounds.centerX, selectionBounds.centerY);
             
-            // Initialize rotation tracking on first call
-            if (this.lastRotationAngle === null) {
-                this.lastRotationAngle = currentAngle;
-                // Store initial positions and rotations
-                this.initialElementPositions = new Map();
-                this.initialElementRotations = new Map();
-                
-                this.selectedElements.forEach(element => {
-                    this.initialElementPositions.set(element.id, { x: element.x, y: element.y });
-                    this.initialElementRotations.set(element.id, element.rotation || 0);
-                });
-                return;
-            }
+            const rotateX = centerScreen.x;
+            const rotateY = centerScreen.y - selectionBounds.height * this.camera.zoom / 2 - rotateDistance;
             
-            const deltaAngle = currentAngle - this.lastRotationAngle;
+            const dx = screenX - rotateX;
+            const dy = screenY - rotateY;
             
-            // Apply rotation to all selected elements
-            this.selectedElements.forEach(element => {
-                const initialPos = this.initialElementPositions.get(element.id);
-                const initialRot = this.initialElementRotations.get(element.id);
-                
-                if (initialPos) {
-                    // Rotate position around selection center
-                    const dx = initialPos.x - selectionCenter.x;
-                    const dy = initialPos.y - selectionCenter.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    const initialAngle = Math.atan2(dy, dx);
-                    const totalRotation = currentAngle - this.lastRotationAngle;
-                    const newAngle = initialAngle + totalRotation;
-                    
-                    element.x = selectionCenter.x + Math.cos(newAngle) * distance;
-                    element.y = selectionCenter.y + Math.sin(newAngle) * distance;
-                    element.rotation = initialRot + totalRotation;
-                }
-            });
+            return (dx * dx + dy * dy <= rotateHitRadius * rotateHitRadius);
         }
     }
     
-    getSelectionCenter() {
-        if (this.selectedElements.size === 0) return { x: 0, y: 0 };
+    isPointInRect(px, py, x, y, w, h) {
+        return px >= x && px <= x + w && py >= y && py <= y + h;
+    }
+    
+    getBringForwardHandle(screenX, screenY) {
+        if (this.selectedElements.size !== 1) return null;
         
-        let totalX = 0;
-        let totalY = 0;
+        const element = this.selectedElement;
+        if (!this.isElementInVisibleLayer(element)) return null;
         
-        this.selectedElements.forEach(element => {
-            totalX += element.x;
-            totalY += element.y;
-        });
+        const layer = this.layers.find(l => l.id === element.layerId);
+        if (layer && layer.locked) return null;
         
-        return {
-            x: totalX / this.selectedElements.size,
-            y: totalY / this.selectedElements.size
-        };
+        const screenPos = this.worldToScreen(element.x, element.y);
+        const w = element.width * this.camera.zoom;
+        const h = element.height * this.camera.zoom;
+        
+        const isMobile = window.innerWidth <= 768;
+        const iconSize = isMobile ? 20 : 14;
+        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
+        const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
+        
+        const upArrowX = iconColumn;
+        const upArrowY = startY;
+        
+        return this.isPointInRect(screenX, screenY, upArrowX, upArrowY, iconSize, iconSize);
     }
     
-    getSelectionBounds() {
-        if (this.selectedElements.size === 0) return { x: 0, y: 0, width: 0, height: 0, centerX: 0, centerY: 0 };
+    getBringBackwardHandle(screenX, screenY) {
+        if (this.selectedElements.size !== 1) return null;
         
-        let minX = Infinity;
-        let maxX = -Infinity;
-        let minY = Infinity;
-        let maxY = -Infinity;
+        const element = this.selectedElement;
+        if (!this.isElementInVisibleLayer(element)) return null;
         
-        this.selectedElements.forEach(element => {
-            const halfWidth = element.width / 2;
-            const halfHeight = element.height / 2;
-            
-            minX = Math.min(minX, element.x - halfWidth);
-            maxX = Math.max(maxX, element.x + halfWidth);
-            minY = Math.min(minY, element.y - halfHeight);
-            maxY = Math.max(maxY, element.y + halfHeight);
-        });
+        const layer = this.layers.find(l => l.id === element.layerId);
+        if (layer && layer.locked) return null;
         
-        const width = maxX - minX;
-        const height = maxY - minY;
-        const centerX = (minX + maxX) / 2;
-        const centerY = (minY + maxY) / 2;
+        const screenPos = this.worldToScreen(element.x, element.y);
+        const w = element.width * this.camera.zoom;
+        const h = element.height * this.camera.zoom;
         
-        return {
-            x: minX,
-            y: minY,
-            width: width,
-            height: height,
-            centerX: centerX,
-            centerY: centerY
-        };
+        const isMobile = window.innerWidth <= 768;
+        const iconSize = isMobile ? 20 : 14;
+        const iconSpacing = isMobile ? 4 : 3;
+        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
+        const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
+        
+        const downArrowX = iconColumn;
+        const isTextElement = element.shape === 'text';
+        const downArrowY = startY + (iconSize + iconSpacing) * (isTextElement ? 4 : 3);
+        
+        return this.isPointInRect(screenX, screenY, downArrowX, downArrowY, iconSize, iconSize);
     }
     
-    startLabelEdit(element) {
-        this.isEditingLabel = true;
-        const input = document.getElementById('labelInput');
+    getColorPickerHandle(screenX, screenY) {
+        if (this.selectedElements.size !== 1) return null;
+        
+        const element = this.selectedElement;
+        if (!this.isElementInVisibleLayer(element)) return null;
+        
+        const layer = this.layers.find(l => l.id === element.layerId);
+        if (layer && layer.locked) return null;
+        
         const screenPos = this.worldToScreen(element.x, element.y);
+        const w = element.width * this.camera.zoom;
+        const h = element.height * this.camera.zoom;
         
-        input.style.display = 'block';
-        input.style.left = (screenPos.x - 50) + 'px';
-        input.style.top = (screenPos.y + 30) + 'px';
-        input.value = element.text || '';
+        const isMobile = window.innerWidth <= 768;
+        const iconSize = isMobile ? 20 : 14;
+        const iconSpacing = isMobile ? 4 : 3;
+        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
+        const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
         
-        input.focus();
-        input.select();
+        const colorPickerX = iconColumn;
+        const colorPickerY = startY + iconSize + iconSpacing;
         
-        this.editingElement = element;
+        return this.isPointInRect(screenX, screenY, colorPickerX, colorPickerY, iconSize, iconSize);
     }
-    
-    finishLabelEdit() {
-        if (!this.isEditingLabel) return;
+
+    getTextFormatHandle(screenX, screenY) {
+        if (this.selectedElements.size !== 1) return null;
         
-        const input = document.getElementById('labelInput');
-        if (this.editingElement) {
-            this.editingElement.text = input.value;
-            this.sendUpdate('update', this.editingElement);
-            this.saveToHistory('Edit label');
-        }
+        const element = this.selectedElement;
+        if (!this.isElementInVisibleLayer(element)) return null;
+        if (element.shape !== 'text') return null;
         
-        input.style.display = 'none';
-        this.isEditingLabel = false;
-        this.editingElement = null;
-        this.render();
-    }
-    
-    cancelLabelEdit() {
-        const input = document.getElementById('labelInput');
-        input.style.display = 'none';
-        this.isEditingLabel = false;
-        this.editingElement = null;
+        const layer = this.layers.find(l => l.id === element.layerId);
+        if (layer && layer.locked) return null;
+        
+        const screenPos = this.worldToScreen(element.x, element.y);
+        const w = element.width * this.camera.zoom;
+        const h = element.height * this.camera.zoom;
+        
+        const isMobile = window.innerWidth <= 768;
+        const iconSize = isMobile ? 20 : 14;
+        const iconSpacing = isMobile ? 4 : 3;
+        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
+        const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
+        
+        const textFormatX = iconColumn;
+        const textFormatY = startY + (iconSize + iconSpacing) * 2;
+        
+        return this.isPointInRect(screenX, screenY, textFormatX, textFormatY, iconSize, iconSize);
     }
-    
-    // Inline text editing functions
-    startInlineTextEdit(element) {
-        this.isEditingText = true;
-        this.editingTextElement = element;
-        this.textCursorPosition = element.text ? element.text.length : 0;
-        this.textCursorVisible = true;
+
+    getGroupHandle(screenX, screenY) {
+        if (this.selectedElements.size <= 1) return null;
         
-        // Start cursor blinking
-        this.textCursorInterval = setInterval(() => {
-            this.textCursorVisible = !this.textCursorVisible;
-            this.render();
-        }, 500);
+        const isMobile = window.innerWidth <= 768;
+        const groupIconSize = isMobile ? 20 : 14;
+        const selectionBounds = this.getSelectionBounds();
+        const centerScreen = this.worldToScreen(selectionBounds.centerX, selectionBounds.centerY);
         
-        // Select the text element
-        this.selectedElements.clear();
-        this.selectedElements.add(element);
-        this.selectedElement = element;
+        const groupX = centerScreen.x + selectionBounds.width * this.camera.zoom / 2 + (isMobile ? 20 : 15);
+        const groupY = centerScreen.y - selectionBounds.height * this.camera.zoom / 2 - (isMobile ? 10 : 5);
         
-        this.render();
+        return this.isPointInRect(screenX, screenY, groupX, groupY, groupIconSize, groupIconSize);
+    }
+
+    getDeleteHandle(screenX, screenY) {
+        if (this.selectedElements.size === 0) return null;
+        
+        const isMobile = window.innerWidth <= 768;
+        const deleteSize = isMobile ? 20 : 12;
+        const deleteDistance = isMobile ? 20 : 15;
+        const deleteOffset = isMobile ? 10 : 5;
+        
+        if (this.selectedElements.size === 1) {
+            // Single element delete handle
+            const element = this.selectedElement;
+            if (!this.isElementInVisibleLayer(element)) return null;
+            
+            const layer = this.layers.find(l => l.id === element.layerId);
+            if (layer && layer.locked) return null;
+            
+            const screenPos = this.worldToScreen(element.x, element.y);
+            const w = element.width * this.camera.zoom;
+            const h = element.height * this.camera.zoom;
+            
+            const iconSize = isMobile ? 20 : 14;
+            const iconSpacing = isMobile ? 4 : 3;
+            const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
+            const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
+            
+            const deleteX = iconColumn;
+            const isTextElement = element.shape === 'text';
+            const deleteY = startY + (iconSize + iconSpacing) * (isTextElement ? 3 : 2);
+            
+            return this.isPointInRect(screenX, screenY, deleteX, deleteY, iconSize, iconSize);
+        } else {
+            // Multi-element delete handle (adjusted for group button)
+            const selectionBounds = this.getSelectionBounds();
+            const centerScreen = this.worldToScreen(selectionBounds.centerX, selectionBounds.centerY);
+            
+            const groupIconSize = isMobile ? 20 : 14;
+            const groupX = centerScreen.x + selectionBounds.width * this.camera.zoom / 2 + (isMobile ? 20 : 15);
+            const deleteX = groupX + groupIconSize + (isMobile ? 8 : 5);
+            const deleteY = centerScreen.y - selectionBounds.height * this.camera.zoom / 2 - deleteOffset;
+            
+            return this.isPointInRect(screenX, screenY, deleteX, deleteY, deleteSize, deleteSize);
+        }
     }
     
-    finishInlineTextEdit() {
-        if (!this.isEditingText || !this.editingTextElement) return;
+    bringForward() {
+        if (!this.selectedElement) return;
         
-        // Stop cursor blinking
-        if (this.textCursorInterval) {
-            clearInterval(this.textCursorInterval);
-            this.textCursorInterval = null;
+        // Initialize zIndex if not present
+        if (this.selectedElement.zIndex === undefined) {
+            this.selectedElement.zIndex = 0;
         }
         
-        // Send update to server
-        this.sendUpdate('update', this.editingTextElement);
-        this.saveToHistory('Edit text');
+        // Find other elements that might be at the same layer position
+        const sameLayerElements = this.elements.filter(el => 
+            el.layerId === this.selectedElement.layerId && el.id !== this.selectedElement.id
+        );
         
-        this.isEditingText = false;
-        this.editingTextElement = null;
-        this.textCursorPosition = 0;
-        this.textCursorVisible = true;
+        // Find the highest zIndex in the same layer
+        const maxZIndex = Math.max(0, ...sameLayerElements.map(el => el.zIndex || 0));
+        
+        // Bring forward by setting zIndex higher than the current max
+        this.selectedElement.zIndex = maxZIndex + 1;
         
+        // Send update
+        this.sendUpdate('update', this.selectedElement);
+        this.saveToHistory('Bring forward');
         this.render();
     }
     
-    handleTextEditingKeyDown(e) {
-        if (!this.editingTextElement) return;
+    bringBackward() {
+        if (!this.selectedElement) return;
         
-        e.preventDefault();
+        // Initialize zIndex if not present
+        if (this.selectedElement.zIndex === undefined) {
+            this.selectedElement.zIndex = 0;
+        }
         
-        let text = this.editingTextElement.text || '';
-        const cursorPos = this.textCursorPosition;
+        // Find other elements that might be at the same layer position
+        const sameLayerElements = this.elements.filter(el => 
+            el.layerId === this.selectedElement.layerId && el.id !== this.selectedElement.id
+        );
         
-        switch (e.key) {
-            case 'Escape':
-                this.finishInlineTextEdit();
-                break;
-                
-            case 'Enter':
-                if (e.shiftKey) {
-                    // Shift+Enter finishes editing
-                    this.finishInlineTextEdit();
-                } else {
-                    // Regular Enter adds line break
-                    text = text.slice(0, cursorPos) + '\n' + text.slice(cursorPos);
-                    this.editingTextElement.text = text;
-                    this.textCursorPosition++;
-                }
-                break;
-                
-            case 'Backspace':
-                if (cursorPos > 0) {
-                    text = text.slice(0, cursorPos - 1) + text.slice(cursorPos);
-                    this.textCursorPosition--;
-                    this.editingTextElement.text = text;
-                }
-                break;
-                
-            case 'Delete':
-                if (cursorPos < text.length) {
-                    text = text.slice(0, cursorPos) + text.slice(cursorPos + 1);
-                    this.editingTextElement.text = text;
-                }
-                break;
-                
-            case 'ArrowLeft':
-                if (cursorPos > 0) {
-                    this.textCursorPosition--;
-                }
-                break;
-                
-            case 'ArrowRight':
-                if (cursorPos < text.length) {
-                    this.textCursorPosition++;
-                }
-                break;
-                
-            case 'Home':
-                this.textCursorPosition = 0;
-                break;
-                
-            case 'End':
-                this.textCursorPosition = text.length;
-                break;
-                
-            default:
-                // Handle regular character input
-                if (e.key.length === 1) {
-                    text = text.slice(0, cursorPos) + e.key + text.slice(cursorPos);
-                    this.editingTextElement.text = text;
-                    this.textCursorPosition++;
-                }
-                break;
-        }
+        // Find the lowest zIndex in the same layer
+        const minZIndex = Math.min(0, ...sameLayerElements.map(el => el.zIndex || 0));
+        
+        // Bring backward by setting zIndex lower than the current min
+        this.selectedElement.zIndex = minZIndex - 1;
         
+        // Send update
+        this.sendUpdate('update', this.selectedElement);
+        this.saveToHistory('Send backward');
         this.render();
     }
     
-    // Keyboard shortcuts handler
-    handleKeyDown(e) {
-        // Handle inline text editing
-        if (this.isEditingText) {
-            this.handleTextEditingKeyDown(e);
-            return;
-        }
+    openColorPicker() {
+        if (!this.selectedElement) return;
         
-        // Don't handle shortcuts when editing labels
-        if (this.isEditingLabel) return;
-        
-        // Handle escape key
-        if (e.key === 'Escape') {
-            if (this.isEditingText) {
-                this.finishInlineTextEdit();
-            } else if (this.isSizing) {
-                this.cancelShapeSizing();
-            } else if (this.isPlacing) {
-                this.exitPlacementMode();
-            } else {
-                this.selectedElements.clear();
-                this.selectedElement = null;
-                this.hideColorPicker();
+        // Hide any existing color picker
+        this.hideColorPicker();
         this.hideTextFormatPopup();
-                this.render();
-            }
-            return;
-        }
         
-        // Handle delete/backspace
-        if (e.key === 'Delete' || e.key === 'Backspace') {
-            this.deleteSelectedElements();
-            return;
-        }
+        // Create color palette container
+        const colorPalette = document.createElement('div');
+        colorPalette.id = 'colorPalette';
+        colorPalette.style.cssText = `
+            position: fixed;
+            background: white;
+            border: 2px solid #007bff;
+            border-radius: 8px;
+            padding: 12px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+            z-index: 2000;
+            width: 240px;
+        `;
         
-        // Handle Ctrl/Cmd combinations
-        if (e.ctrlKey || e.metaKey) {
-            switch (e.key.toLowerCase()) {
-                case 'z':
-                    if (e.shiftKey) {
-                        this.redo();
-                    } else {
-                        this.undo();
-                    }
-                    e.preventDefault();
-                    break;
-                case 'y':
-                    this.redo();
-                    e.preventDefault();
-                    break;
-                case 'c':
-                    this.copySelectedElements();
-                    e.preventDefault();
-                    break;
-                case 'v':
-                    // Regular Ctrl+V for pasting elements (images handled by paste event)
-                    this.pasteElements();
-                    e.preventDefault();
-                    break;
-                case 'x':
-                    this.cutSelectedElements();
-                    e.preventDefault();
-                    break;
-                case 'a':
-                    this.selectAllElements();
-                    e.preventDefault();
-                    break;
-                case 'd':
-                    this.duplicateSelectedElements();
-                    e.preventDefault();
-                    break;
-                case 'g':
-                    this.toggleSnapToGrid();
-                    e.preventDefault();
-                    break;
-            }
-        }
+        // Create header with title and close button
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 8px;
+            padding-bottom: 8px;
+            border-bottom: 1px solid #eee;
+        `;
         
-        // Handle arrow keys for nudging
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
-            this.nudgeSelectedElements(e.key, e.shiftKey ? 10 : 1);
-            e.preventDefault();
-        }
-    }
-    
-    // Selection methods
-    completeSelection() {
-        if (!this.selectionBox) return;
+        const title = document.createElement('div');
+        title.textContent = 'Choose Color';
+        title.style.cssText = `
+            font-weight: bold;
+            color: #333;
+            font-size: 14px;
+        `;
         
-        this.selectedElements.clear();
+        const closeButton = document.createElement('button');
+        closeButton.innerHTML = '×';
+        closeButton.style.cssText = `
+            background: #dc3545;
+            border: none;
+            border-radius: 50%;
+            width: 20px;
+            height: 20px;
+            color: white;
+            font-size: 14px;
+            font-weight: bold;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            line-height: 1;
+        `;
         
-        this.elements.forEach(element => {
-            // Only select elements in visible, unlocked layers
-            const layer = this.layers.find(l => l.id === element.layerId);
-            if (layer && layer.visible && !layer.locked && this.isElementInSelectionBox(element)) {
-                this.selectedElements.add(element);
-                
-                // If this element is grouped, select all elements in the same group
-                if (element.groupId) {
-                    this.elements.forEach(groupedElement => {
-                        if (groupedElement.groupId === element.groupId) {
-                            this.selectedElements.add(groupedElement);
-                        }
-                    });
-                }
-                
-                // Send shape selection to others
-                this.sendUpdate('shapeSelect', { 
-                    id: element.id,
-                    action: 'selected'
-                });
-            }
+        closeButton.addEventListener('mouseenter', () => {
+            closeButton.style.background = '#c82333';
         });
         
-        this.selectedElement = this.selectedElements.size > 0 ? 
-            Array.from(this.selectedElements)[0] : null;
+        closeButton.addEventListener('mouseleave', () => {
+            closeButton.style.background = '#dc3545';
+        });
         
-        console.log(`Selected ${this.selectedElements.size} elements via selection box`);
+        closeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.hideColorPicker();
+        this.hideTextFormatPopup();
+        });
         
-        this.render();
-    }
-    
-    isElementInSelectionBox(element) {
-        const box = this.selectionBox;
+        header.appendChild(title);
+        header.appendChild(closeButton);
+        colorPalette.appendChild(header);
         
-        // Calculate element bounds
-        const elementLeft = element.x - element.width / 2;
-        const elementRight = element.x + element.width / 2;
-        const elementTop = element.y - element.height / 2;
-        const elementBottom = element.y + element.height / 2;
+        // Create color grid container
+        const colorGrid = document.createElement('div');
+        colorGrid.style.cssText = `
+            display: grid;
+            grid-template-columns: repeat(8, 1fr);
+            gap: 4px;
+        `;
         
-        // Calculate selection box bounds
-        const boxLeft = box.x;
-        const boxRight = box.x + box.width;
-        const boxTop = box.y;
-        const boxBottom = box.y + box.height;
+        // Color palette with 32 colors
+        const colors = [
+            '#FF0000', '#FF4500', '#FF8C00', '#FFD700',
+            '#ADFF2F', '#00FF00', '#00FF7F', '#00FFFF',
+            '#0080FF', '#0000FF', '#4169E1', '#8A2BE2',
+            '#FF1493', '#FF69B4', '#DC143C', '#B22222',
+            '#800000', '#A0522D', '#D2691E', '#CD853F',
+            '#DAA520', '#808000', '#556B2F', '#006400',
+            '#008080', '#4682B4', '#191970', '#800080',
+            '#000000', '#404040', '#808080', '#FFFFFF'
+        ];
         
-        // Check if selection box intersects with element bounds
-        return !(elementRight < boxLeft || 
-                 elementLeft > boxRight || 
-                 elementBottom < boxTop || 
-                 elementTop > boxBottom);
-    }
-    
-    selectAllElements() {
-        this.selectedElements.clear();
-        this.elements.forEach(element => {
-            // Only select elements in visible, unlocked layers
-            const layer = this.layers.find(l => l.id === element.layerId);
-            if (layer && layer.visible && !layer.locked) {
-                this.selectedElements.add(element);
-            }
+        // Add color swatches
+        colors.forEach(color => {
+            const swatch = document.createElement('div');
+            swatch.style.cssText = `
+                width: 24px;
+                height: 24px;
+                background-color: ${color};
+                border: 2px solid ${color === this.selectedElement.color ? '#007bff' : '#ccc'};
+                border-radius: 4px;
+                cursor: pointer;
+                transition: all 0.2s;
+            `;
+            
+            swatch.addEventListener('mouseenter', () => {
+                swatch.style.transform = 'scale(1.1)';
+                swatch.style.boxShadow = '0 2px 4px rgba(0,0,0,0.2)';
+            });
+            
+            swatch.addEventListener('mouseleave', () => {
+                swatch.style.transform = 'scale(1)';
+                swatch.style.boxShadow = 'none';
+            });
+            
+            swatch.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.applyColor(color);
+                // Update the border to show current selection
+                this.updateColorSwatchSelection(colorGrid, color);
+            });
+            
+            colorGrid.appendChild(swatch);
         });
-        this.selectedElement = this.selectedElements.size > 0 ? 
-            Array.from(this.selectedElements)[0] : null;
-        this.render();
-    }
-    
-    // Clipboard operations
-    copySelectedElements() {
-        if (this.selectedElements.size === 0) return;
         
-        this.clipboard = Array.from(this.selectedElements).map(element => 
-            JSON.parse(JSON.stringify(element))
-        );
+        // Add the color grid to the palette
+        colorPalette.appendChild(colorGrid);
         
-        console.log(`Copied ${this.clipboard.length} elements`);
-    }
-    
-    cutSelectedElements() {
-        this.copySelectedElements();
-        this.deleteSelectedElements();
-    }
-    
-    pasteElements() {
-        if (this.clipboard.length === 0) return;
-        
-        this.selectedElements.clear();
-        const offset = 20; // Paste offset
-        
-        this.clipboard.forEach((element, index) => {
-            const newElement = {
-                ...element,
-                id: Date.now() + Math.random() + index, // Ensure uniqueness
-                x: element.x + offset,
-                y: element.y + offset,
-                layerId: this.activeLayerId
-            };
-            
-            this.elements.push(newElement);
-            this.addElementToLayer(newElement);
-            this.selectedElements.add(newElement);
-            this.sendUpdate('add', newElement);
-        });
+        // Position the palette near the color picker icon
+        const element = this.selectedElement;
+        const screenPos = this.worldToScreen(element.x, element.y);
+        const w = element.width * this.camera.zoom;
+        const h = element.height * this.camera.zoom;
         
-        this.selectedElement = Array.from(this.selectedElements)[0];
-        this.saveToHistory('Paste elements');
-        this.render();
+        const isMobile = window.innerWidth <= 768;
+        const iconSize = isMobile ? 20 : 14;
+        const iconSpacing = isMobile ? 4 : 3;
+        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
+        const startY = screenPos.y - h/2 - (isMobile ? 5 : 2);
+        const colorPickerY = startY + iconSize + iconSpacing;
         
-        console.log(`Pasted ${this.clipboard.length} elements`);
-    }
-    
-    // Image handling methods
-    triggerImageUpload() {
-        document.getElementById('imageInput').click();
-    }
-    
-    async handleImageUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        let paletteX = iconColumn + iconSize + 10;
+        let paletteY = colorPickerY;
         
-        // Only allow JPG and PNG files for security reasons
-        const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png'];
-        const allowedExtensions = ['.jpg', '.jpeg', '.png'];
-        const fileExtension = file.name.toLowerCase().split('.').pop();
+        // Adjust position to keep palette on screen
+        const paletteWidth = 240;
+        const paletteHeight = 160; // Increased height for header + close button
         
-        if (!allowedMimeTypes.includes(file.type) || !allowedExtensions.includes('.' + fileExtension)) {
-            alert('Only JPG and PNG image files are allowed.');
-            return;
+        if (paletteX + paletteWidth > window.innerWidth) {
+            paletteX = iconColumn - paletteWidth - 10;
         }
-        
-        // Check file size (max 3MB)
-        if (file.size > 3 * 1024 * 1024) {
-            alert('Image file is too large. Maximum size is 3MB.');
-            return;
+        if (paletteY + paletteHeight > window.innerHeight) {
+            paletteY = window.innerHeight - paletteHeight - 10;
         }
+        if (paletteX < 10) paletteX = 10;
+        if (paletteY < 10) paletteY = 10;
         
-        await this.processImageFile(file);
+        colorPalette.style.left = paletteX + 'px';
+        colorPalette.style.top = paletteY + 'px';
         
-        // Clear the input so the same file can be uploaded again
-        event.target.value = '';
+        // Add to document
+        document.body.appendChild(colorPalette);
     }
     
-    async handlePaste(event) {
-        // Only handle paste if not editing a label
-        if (this.isEditingLabel) return;
-        
-        const items = event.clipboardData?.items;
-        if (!items) return;
+    openTextFormatPopup() {
+        if (!this.selectedElement || this.selectedElement.shape !== 'text') return;
         
-        for (let item of items) {
-            // Only allow JPG and PNG files for security reasons
-            const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png'];
-            
-            if (allowedMimeTypes.includes(item.type)) {
-                event.preventDefault();
-                const file = item.getAsFile();
-                if (file) {
-                    await this.processImageFile(file);
-                }
-                break;
-            }
-        }
-    }
-    
-    async processImageFile(file) {
-        try {
-            // Create FormData for file upload
-            const formData = new FormData();
-            formData.append('image', file);
-            formData.append('roomName', this.roomName);
-            
-            // Upload file to server
-            const response = await fetch('/api/upload/image', {
-                method: 'POST',
-                body: formData
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to upload image');
-            }
-            
-            const data = await response.json();
-            
-            // Create image element on canvas
-            await this.createImageElement(data.filename, data.originalName);
-            
-        } catch (error) {
-            console.error('Error processing image:', error);
-            alert('Failed to upload image. Please try again.');
-        }
-    }
-    
-    async createImageElement(filename, originalName) {
-        // Create an HTML Image to get dimensions
-        const img = new Image();
+        // Hide any existing text format popup
+        this.hideTextFormatPopup();
         
-        return new Promise((resolve, reject) => {
-            img.onload = () => {
-                // Calculate scaled dimensions (max 400px on either side)
-                const maxSize = 400;
-                let width = img.width;
-                let height = img.height;
-                
-                if (width > maxSize || height > maxSize) {
-                    const scale = Math.min(maxSize / width, maxSize / height);
-                    width = width * scale;
-                    height = height * scale;
-                }
-                
-                // Create the image element
-                const element = {
-                    id: Date.now() + Math.random(),
-                    x: this.camera.x, // Place at camera center
-                    y: this.camera.y,
-                    width: width,
-                    height: height,
-                    rotation: 0,
-                    shape: 'image',
-                    filename: filename,
-                    originalName: originalName,
-                    text: '',
-                    layerId: this.activeLayerId
-                };
-                
-                // Add to canvas
-                this.elements.push(element);
-                this.addElementToLayer(element);
-                this.sendUpdate('add', element);
-                this.saveToHistory(`Add image: ${originalName}`);
-                
-                // Select the new image
-                this.selectedElements.clear();
-                this.selectedElements.add(element);
-                this.selectedElement = element;
-                
-                this.render();
-                console.log(`Added image: ${originalName} (${width}x${height})`);
-                resolve();
-            };
-            
-            img.onerror = () => {
-                reject(new Error('Failed to load image'));
-            };
-            
-            img.src = `/api/uploads/${this.roomName}/${filename}`;
-        });
-    }
-    
-    duplicateSelectedElements() {
-        this.copySelectedElements();
-        this.pasteElements();
-    }
-    
-    // Loading animation system
-    startLoadingAnimation() {
-        this.isAnimating = true;
-        this.animationStartTime = Date.now();
-        this.animatedElements.clear();
+        // Create text format popup container
+        const textFormatPopup = document.createElement('div');
+        textFormatPopup.id = 'textFormatPopup';
+        textFormatPopup.style.cssText = `
+            position: fixed;
+            background: white;
+            border: 2px solid #6f42c1;
+            border-radius: 8px;
+            padding: 16px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+            z-index: 2000;
+            width: 280px;
+            font-family: Arial, sans-serif;
+        `;
         
-        // Calculate animation delays for each element based on distance from center
-        const centerX = this.camera.x;
-        const centerY = this.camera.y;
+        // Create header with title and close button
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 16px;
+            padding-bottom: 8px;
+            border-bottom: 1px solid #eee;
+        `;
         
-        this.elements.forEach((element, index) => {
-            // Calculate distance from center for delay calculation
-            const distance = Math.sqrt(
-                Math.pow(element.x - centerX, 2) + 
-                Math.pow(element.y - centerY, 2)
-            );
-            
-            // Calculate angle from center to determine slide direction
-            const angle = Math.atan2(element.y - centerY, element.x - centerX);
-            
-            // Stagger animation based on distance and index
-            const baseDelay = (index * 80) + (distance * 0.1);
-            const animationDelay = Math.min(baseDelay, 1500); // Max 1.5s delay
-            
-            // Store animation data
-            this.animatedElements.set(element.id, {
-                element: element,
-                startTime: this.animationStartTime + animationDelay,
-                duration: 600, // Individual animation duration
-                startAngle: angle,
-                originalX: element.x,
-                originalY: element.y,
-                slideDistance: 300 // Distance to slide from
-            });
-        });
+        const title = document.createElement('div');
+        title.textContent = 'Text Formatting';
+        title.style.cssText = `
+            font-weight: bold;
+            color: #333;
+            font-size: 16px;
+        `;
         
-        console.log(`Starting loading animation for ${this.elements.length} elements`);
-        this.animateLoadingFrame();
-    }
-    
-    animateLoadingFrame() {
-        if (!this.isAnimating) return;
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '×';
+        closeButton.style.cssText = `
+            background: none;
+            border: none;
+            font-size: 20px;
+            cursor: pointer;
+            color: #666;
+            padding: 0;
+            width: 24px;
+            height: 24px;
+        `;
+        closeButton.addEventListener('click', () => this.hideTextFormatPopup());
         
-        const currentTime = Date.now();
-        const totalElapsed = currentTime - this.animationStartTime;
+        header.appendChild(title);
+        header.appendChild(closeButton);
+        textFormatPopup.appendChild(header);
         
-        // Check if animation is complete
-        let allAnimationsComplete = true;
-        this.animatedElements.forEach(animData => {
-            if (currentTime < animData.startTime + animData.duration) {
-                allAnimationsComplete = false;
-            }
-        });
+        // Font size section
+        const fontSizeSection = document.createElement('div');
+        fontSizeSection.style.cssText = `margin-bottom: 16px;`;
         
-        if (allAnimationsComplete && totalElapsed > 500) {
-            // Animation complete
-            this.isAnimating = false;
-            this.animatedElements.clear();
-            this.render();
-            console.log('Loading animation completed');
-            return;
-        }
+        const fontSizeLabel = document.createElement('label');
+        fontSizeLabel.textContent = 'Font Size:';
+        fontSizeLabel.style.cssText = `
+            display: block;
+            margin-bottom: 8px;
+            font-weight: bold;
+            color: #333;
+        `;
         
-        // Continue animation
-        this.render();
-        requestAnimationFrame(() => this.animateLoadingFrame());
-    }
-    
-    getElementAnimationState(element) {
-        if (!this.isAnimating) return null;
+        const fontSizeInput = document.createElement('input');
+        fontSizeInput.type = 'range';
+        fontSizeInput.min = '8';
+        fontSizeInput.max = '72';
+        fontSizeInput.value = this.selectedElement.fontSize || 20;
+        fontSizeInput.style.cssText = `
+            width: 100%;
+            margin-bottom: 8px;
+        `;
         
-        const animData = this.animatedElements.get(element.id);
-        if (!animData) return null;
+        const fontSizeDisplay = document.createElement('span');
+        fontSizeDisplay.textContent = `${this.selectedElement.fontSize || 20}px`;
+        fontSizeDisplay.style.cssText = `
+            font-size: 12px;
+            color: #666;
+        `;
         
-        const currentTime = Date.now();
-        const elapsed = currentTime - animData.startTime;
+        fontSizeInput.addEventListener('input', (e) => {
+            const newSize = parseInt(e.target.value);
+            fontSizeDisplay.textContent = `${newSize}px`;
+            this.applyTextFormat(this.selectedElement, 'size', newSize, 'fontSize', newSize);
+        });
         
-        // Not started yet
-        if (elapsed < 0) {
-            return {
-                opacity: 0,
-                scale: 0,
-                offsetX: 0,
-                offsetY: 0,
-                visible: false
-            };
-        }
+        fontSizeSection.appendChild(fontSizeLabel);
+        fontSizeSection.appendChild(fontSizeInput);
+        fontSizeSection.appendChild(fontSizeDisplay);
+        textFormatPopup.appendChild(fontSizeSection);
         
-        // Animation in progress
-        if (elapsed < animData.duration) {
-            const progress = elapsed / animData.duration;
-            const easeProgress = this.easeOutCubic(progress);
-            
-            // Calculate slide-in effect
-            const slideDistance = animData.slideDistance * (1 - easeProgress);
-            const offsetX = Math.cos(animData.startAngle) * slideDistance;
-            const offsetY = Math.sin(animData.startAngle) * slideDistance;
-            
-            return {
-                opacity: easeProgress,
-                scale: 0.3 + (0.7 * easeProgress), // Scale from 30% to 100%
-                offsetX: offsetX,
-                offsetY: offsetY,
-                visible: true
-            };
-        }
+        // Font family section
+        const fontFamilySection = document.createElement('div');
+        fontFamilySection.style.cssText = `margin-bottom: 16px;`;
         
-        // Animation complete
-        return {
-            opacity: 1,
-            scale: 1,
-            offsetX: 0,
-            offsetY: 0,
-            visible: true
-        };
-    }
-    
-    easeOutCubic(t) {
-        return 1 - Math.pow(1 - t, 3);
-    }
-    
-    easeInOutQuart(t) {
-        return t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2;
-    }
-    
-    // Element nudging
-    nudgeSelectedElements(direction, distance) {
-        if (this.selectedElements.size === 0) return;
+        const fontFamilyLabel = document.createElement('label');
+        fontFamilyLabel.textContent = 'Font Family:';
+        fontFamilyLabel.style.cssText = `
+            display: block;
+            margin-bottom: 8px;
+            font-weight: bold;
+            color: #333;
+        `;
         
-        const dx = direction === 'ArrowLeft' ? -distance : 
-                  direction === 'ArrowRight' ? distance : 0;
-        const dy = direction === 'ArrowUp' ? -distance : 
-                  direction === 'ArrowDown' ? distance : 0;
+        const fontFamilySelect = document.createElement('select');
+        fontFamilySelect.style.cssText = `
+            width: 100%;
+            padding: 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-size: 14px;
+        `;
         
-        this.selectedElements.forEach(element => {
-            element.x += dx;
-            element.y += dy;
-            this.sendUpdate('update', element);
-        });
+        const fontFamilies = [
+            { value: 'Arial', label: 'Arial' },
+            { value: 'Helvetica', label: 'Helvetica' },
+            { value: 'Times New Roman', label: 'Times New Roman' },
+            { value: 'Courier New', label: 'Courier New' },
+            { value: 'Georgia', label: 'Georgia' },
+            { value: 'Verdana', label: 'Verdana' },
+            { value: 'Comic Sans MS', label: 'Comic Sans MS' },
+            { value: 'Impact', label: 'Impact' },
+            { value: 'Trebuchet MS', label: 'Trebuchet MS' }
+        ];
         
-        this.saveToHistory('Nudge elements');
-        this.render();
-    }
-    
-    // Snap to grid
-    toggleSnapToGrid() {
-        this.snapToGrid = !this.snapToGrid;
-        const toggle = document.getElementById('snapToggle');
-        toggle.classList.toggle('active', this.snapToGrid);
-        toggle.textContent = this.snapToGrid ? '✓ Snap' : 'Snap';
-        console.log('Snap to grid:', this.snapToGrid);
-    }
-    
-    // Mobile side panel toggle
-    toggleSidePanel() {
-        const sidePanel = document.getElementById('sidePanel');
-        const toggle = document.getElementById('sidePanelToggle');
+        fontFamilies.forEach(font => {
+            const option = document.createElement('option');
+            option.value = font.value;
+            option.textContent = font.label;
+            option.style.fontFamily = font.value;
+            if (font.value === (this.selectedElement.fontFamily || 'Arial')) {
+                option.selected = true;
+            }
+            fontFamilySelect.appendChild(option);
+        });
         
-        if (sidePanel.classList.contains('expanded')) {
-            sidePanel.classList.remove('expanded');
-            toggle.textContent = '📋';
-        } else {
-            sidePanel.classList.add('expanded');
-            toggle.textContent = '✖';
-        }
-    }
-    
-    setupWebSocket() {
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsUrl = `${protocol}//${window.location.host}`;
+        fontFamilySelect.addEventListener('change', (e) => {
+            this.selectedElement.fontFamily = e.target.value;
+            this.sendUpdate('update', this.selectedElement);
+            this.render();
+        });
         
-        this.ws = new WebSocket(wsUrl);
+        fontFamilySection.appendChild(fontFamilyLabel);
+        fontFamilySection.appendChild(fontFamilySelect);
+        textFormatPopup.appendChild(fontFamilySection);
         
-        this.ws.onopen = () => {
-            console.log('WebSocket connected');
-            this.isConnected = true;
-            this.reconnectAttempts = 0;
-            this.lastHeartbeat = Date.now();
-            this.updateConnectionStatus('Connected');
-            
-            // Start connection monitoring
-            this.startConnectionMonitoring();
-            
-            // Join room first
-            if (this.ws.readyState === WebSocket.OPEN && this.roomName) {
-                this.joinRoomWithPassword();
+        // With text selected while editing, the style buttons show and change the selection
+        const isActive = key => {
+            const element = this.selectedElement;
+            const range = this.isEditingText && this.editingTextElement === element ? this.getTextSelectionRange() : null;
+            if (range) {
+                return RichText.rangeHasStyle(element, RichText.getDocument(element), range[0], range[1], key);
             }
+            return Boolean(RichText.effectiveStyle(element, {})[key]);
         };
         
-        // Handle ping from server - respond with pong
-        // This will be handled in the message handler now
+        // Font style section
+        const fontStyleSection = document.createElement('div');
+        fontStyleSection.style.cssText = `margin-bottom: 16px;`;
         
-        this.ws.onmessage = (event) => {
-            try {
-                const message = JSON.parse(event.data);
-                this.handleServerMessage(message);
-            } catch (error) {
-                console.error('Error parsing WebSocket message:', error);
-            }
-        };
+        const fontStyleLabel = document.createElement('label');
+        fontStyleLabel.textContent = 'Font Style:';
+        fontStyleLabel.style.cssText = `
+            display: block;
+            margin-bottom: 8px;
+            font-weight: bold;
+            color: #333;
+        `;
         
-        this.ws.onclose = (event) => {
-            console.log('WebSocket disconnected:', event.code, event.reason);
-            this.isConnected = false;
-            this.updateConnectionStatus('Disconnected');
-            
-            // Stop connection monitoring
-            this.stopConnectionMonitoring();
-            
-            // Implement exponential backoff for reconnection
-            if (this.reconnectAttempts < this.maxReconnectAttempts) {
-                const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts);
-                this.reconnectAttempts++;
-                
-                console.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
-                setTimeout(() => {
-                    this.setupWebSocket();
-                }, delay);
+        const fontStyleButtons = document.createElement('div');
+        fontStyleButtons.style.cssText = `
+            display: flex;
+            gap: 8px;
+        `;
+        
+        // Bold button
+        const boldButton = document.createElement('button');
+        boldButton.textContent = 'B';
+        boldButton.style.cssText = `
+            padding: 8px 12px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            background: ${isActive('bold') ? '#6f42c1' : 'white'};
+            color: ${isActive('bold') ? 'white' : '#333'};
+            font-weight: bold;
+            cursor: pointer;
+            flex: 1;
+        `;
+        
+        boldButton.addEventListener('click', () => {
+            const active = isActive('bold');
+            this.applyTextFormat(this.selectedElement, 'bold', !active, 'fontWeight', active ? 'normal' : 'bold');
+            boldButton.style.background = !active ? '#6f42c1' : 'white';
+            boldButton.style.color = !active ? 'white' : '#333';
+        });
+        
+        // Italic button
+        const italicButton = document.createElement('button');
+        italicButton.textContent = 'I';
+        italicButton.style.cssText = `
+            padding: 8px 12px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            background: ${isActive('italic') ? '#6f42c1' : 'white'};
+            color: ${isActive('italic') ? 'white' : '#333'};
+            font-style: italic;
+            cursor: pointer;
+            flex: 1;
+        `;
+        
+        italicButton.addEventListener('click', () => {
+            const active = isActive('italic');
+            this.applyTextFormat(this.selectedElement, 'italic', !active, 'fontStyle', active ? 'normal' : 'italic');
+            italicButton.style.background = !active ? '#6f42c1' : 'white';
+            italicButton.style.color = !active ? 'white' : '#333';
+        });
+        
+        // Strikethrough button
+        const strikeButton = document.createElement('button');
+        strikeButton.textContent = 'S';
+        strikeButton.style.cssText = `
+            padding: 8px 12px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            background: ${isActive('strike') ? '#6f42c1' : 'white'};
+            color: ${isActive('strike') ? 'white' : '#333'};
+            text-decoration: line-through;
+            cursor: pointer;
+            flex: 1;
+        `;
+        
+        strikeButton.addEventListener('click', () => {
+            const active = isActive('strike');
+            this.applyTextFormat(this.selectedElement, 'strike', !active, 'textDecoration', active ? 'none' : 'line-through');
+            strikeButton.style.background = !active ? '#6f42c1' : 'white';
+            strikeButton.style.color = !active ? 'white' : '#333';
+        });
+        
+        fontStyleButtons.appendChild(boldButton);
+        fontStyleButtons.appendChild(italicButton);
+        fontStyleButtons.appendChild(strikeButton);
+        
+        fontStyleSection.appendChild(fontStyleLabel);
+        fontStyleSection.appendChild(fontStyleButtons);
+        textFormatPopup.appendChild(fontStyleSection);
+        
+        const createLabel = text => {
+            const label = document.createElement('label');
+            label.textContent = text;
+            label.style.cssText = `
+                display: block;
+                margin-bottom: 8px;
+                font-weight: bold;
+                color: #333;
+            `;
+            return label;
+        };
+        const createButton = text => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = `
+                padding: 6px 8px;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                background: white;
+                color: #333;
+                cursor: pointer;
+                flex: 1;
+            `;
+            return button;
+        };
+        
+        // Text color section
+        const colorSection = document.createElement('div');
+        colorSection.style.cssText = `margin-bottom: 16px;`;
+        
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = /^#[0-9a-f]{6}$/i.test(this.selectedElement.color) ? this.selectedElement.color : '#333333';
+        colorInput.style.cssText = `
+            width: 100%;
+            height: 32px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            cursor: pointer;
+        `;
+        colorInput.addEventListener('input', (e) => {
+            this.applyTextFormat(this.selectedElement, 'color', e.target.value, 'color', e.target.value);
+        });
+        
+        colorSection.appendChild(createLabel('Text Color:'));
+        colorSection.appendChild(colorInput);
+        textFormatPopup.appendChild(colorSection);
+        
+        // List section
+        const listSection = document.createElement('div');
+        listSection.style.cssText = `margin-bottom: 16px;`;
+        
+        const listButtons = document.createElement('div');
+        listButtons.style.cssText = `
+            display: flex;
+            gap: 8px;
+        `;
+        
+        [['• Bullets', 'bullet'], ['1. Numbers', 'number'], ['None', null]].forEach(([text, listStyle]) => {
+            const button = createButton(text);
+            button.addEventListener('click', () => {
+                this.setTextListStyle(this.selectedElement, listStyle);
+                this.sendUpdate('update', this.selectedElement);
+                this.render();
+            });
+            listButtons.appendChild(button);
+        });
+        
+        listSection.appendChild(createLabel('List:'));
+        listSection.appendChild(listButtons);
+        textFormatPopup.appendChild(listSection);
+        
+        // Link section
+        const linkSection = document.createElement('div');
+        linkSection.style.cssText = `margin-bottom: 16px;`;
+        
+        const linkInput = document.createElement('input');
+        linkInput.type = 'url';
+        linkInput.placeholder = 'https://example.com';
+        linkInput.style.cssText = `
+            width: 100%;
+            padding: 6px 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-size: 14px;
+            box-sizing: border-box;
+            margin-bottom: 8px;
+        `;
+        if (this.isEditingText && this.editingTextElement === this.selectedElement) {
+            linkInput.value = RichText.linkAt(RichText.getRuns(this.selectedElement), this.textCursorPosition) || '';
+        }
+        
+        const linkButtons = document.createElement('div');
+        linkButtons.style.cssText = `
+            display: flex;
+            gap: 8px;
+        `;
+        
+        const applyLinkButton = createButton('Apply link');
+        applyLinkButton.addEventListener('click', () => {
+            const url = linkInput.value.trim();
+            if (!/^(https?:\/\/|mailto:)/i.test(url)) {
+                this.showTemporaryMessage('Links must start with http://, https:// or mailto:');
+                return;
+            }
+            this.applyTextFormat(this.selectedElement, 'link', url);
+        });
+        
+        const removeLinkButton = createButton('Remove link');
+        removeLinkButton.addEventListener('click', () => {
+            linkInput.value = '';
+            this.applyTextFormat(this.selectedElement, 'link', null);
+        });
+        
+        linkButtons.appendChild(applyLinkButton);
+        linkButtons.appendChild(removeLinkButton);
+        linkSection.appendChild(createLabel('Link:'));
+        linkSection.appendChild(linkInput);
+        linkSection.appendChild(linkButtons);
+        textFormatPopup.appendChild(linkSection);
+        
+        // Wrap section
+        const wrapLabel = document.createElement('label');
+        wrapLabel.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            color: #333;
+            cursor: pointer;
+        `;
+        
+        const wrapCheckbox = document.createElement('input');
+        wrapCheckbox.type = 'checkbox';
+        wrapCheckbox.checked = Boolean(this.selectedElement.wrap);
+        wrapCheckbox.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.selectedElement.wrap = true;
             } else {
-                console.error('Max reconnection attempts reached');
-                this.updateConnectionStatus('Failed');
+                delete this.selectedElement.wrap;
             }
-        };
+            this.fitTextElementToContent(this.selectedElement);
+            this.sendUpdate('update', this.selectedElement);
+            this.render();
+        });
         
-        this.ws.onerror = (error) => {
-            console.error('WebSocket error:', error);
-            this.updateConnectionStatus('Error');
-        };
+        wrapLabel.appendChild(wrapCheckbox);
+        wrapLabel.appendChild(document.createTextNode('Wrap text to box width'));
+        textFormatPopup.appendChild(wrapLabel);
+        
+        // Position popup near the text format handle
+        const screenPos = this.worldToScreen(this.selectedElement.x, this.selectedElement.y);
+        const w = this.selectedElement.width * this.camera.zoom;
+        const h = this.selectedElement.height * this.camera.zoom;
+        
+        const isMobile = window.innerWidth <= 768;
+        const iconSize = isMobile ? 20 : 14;
+        const iconSpacing = isMobile ? 4 : 3;
+        const iconColumn = screenPos.x + w/2 + (isMobile ? 15 : 12);
+        const textFormatY = screenPos.y - h/2 - (isMobile ? 5 : 2) + (iconSize + iconSpacing) * 2;
+        
+        let popupX = iconColumn + 30;
+        let popupY = textFormatY;
+        
+        // Ensure popup stays within viewport
+        if (popupX + 280 > window.innerWidth) {
+            popupX = iconColumn - 280 - 30;
+        }
+        if (popupY + 560 > window.innerHeight) {
+            popupY = window.innerHeight - 560;
+        }
+        if (popupY < 0) {
+            popupY = 10;
+        }
+        
+        textFormatPopup.style.left = popupX + 'px';
+        textFormatPopup.style.top = popupY + 'px';
+        
+        // Add to document
+        document.body.appendChild(textFormatPopup);
     }
     
-    handleServerMessage(message) {
-        const { type, data } = message;
+    // Formatting from the text popup: applies to the selected text while editing, otherwise
+    // to the whole element, dropping per-run overrides of the same style
+    applyTextFormat(element, runKey, runValue, elementProperty, elementValue) {
+        const range = this.isEditingText && this.editingTextElement === element ? this.getTextSelectionRange() : null;
+        if (range || !elementProperty) {
+            this.applyTextStyle(element, { [runKey]: runValue });
+        } else {
+            element[elementProperty] = elementValue;
+            this.applyTextStyle(element, { [runKey]: null });
+            this.fitTextElementToContent(element);
+        }
+        this.sendUpdate('update', element);
+        this.render();
+    }
+    
+    hideTextFormatPopup() {
+        const popup = document.getElementById('textFormatPopup');
+        if (popup) {
+            popup.remove();
+        }
+    }
+    
+    toggleGroupSelection() {
+        if (this.selectedElements.size <= 1) return;
         
-        switch (type) {
-            case 'ping':
-                // Respond to server ping with pong
-                this.lastHeartbeat = Date.now();
-                if (this.ws.readyState === WebSocket.OPEN) {
-                    this.ws.send(JSON.stringify({
-                        type: 'pong',
-                        timestamp: Date.now()
-                    }));
-                }
-                break;
-                
-            case 'error':
-                console.error('Server error:', data.message);
-                this.updateConnectionStatus('Error: ' + data.message);
-                
-                // Handle password authentication errors
-                if (data.message && data.message.includes('password')) {
-                    this.isJoiningRoom = false;
-                    // Remove stored password since it's incorrect
-                    localStorage.removeItem(`room_password_${this.roomName}`);
-                    
-                    alert('Incorrect password. Please try again.');
-                    
-                    // Re-attempt to join with new password
-                    setTimeout(() => {
-                        this.joinRoomWithPassword();
-                    }, 100);
-                }
-                break;
-                
-            case 'init':
-                // Room joined successfully and initial state received
-                if (this.isJoiningRoom) {
-                    this.isJoiningRoom = false;
-                    console.log(`Successfully joined room: ${this.roomName}`);
-                    
-                    // Send user info after joining room
-                    if (this.ws.readyState === WebSocket.OPEN) {
-                        this.ws.send(JSON.stringify({
-                            type: 'userInfo',
-                            data: {
-                                userId: this.userId,
-                                userName: this.userName
-                            }
-                        }));
-                    }
-                    
-                    // Send any pending updates
-                    while (this.pendingUpdates.length > 0) {
-                        const update = this.pendingUpdates.shift();
-                        this.ws.send(JSON.stringify(update));
-                    }
-                }
-                
-                // Initial state from server
-                this.elements = data.elements || [];
-                this.camera = data.camera || { x: 0, y: 0, zoom: 1 };
-                this.layers = data.layers || [{
-                    id: 'layer_0',
-                    name: 'Layer 1',
-                    visible: true,
-                    locked: false,
-                    elements: []
-                }];
-                this.activeLayerId = this.layers[0].id;
-                
-                // Update password protection status and user role
-                this.isPasswordProtected = data.isPasswordProtected || false;
-                this.userRole = data.userRole || 'admin';
-                this.updateLockIcon();
-                
-                // Show user role in UI
-                this.updateUserRoleDisplay();
-                
-                // Rebuild layer-element relationships
-                this.rebuildLayerElementRelationships();
-                
-                this.updateLayerUI();
-                
-                // Start loading animation only if there are elements AND this is the first time
-                if (this.elements.length > 0 && !this.hasPlayedInitialAnimation) {
-                    this.hasPlayedInitialAnimation = true;
-                    this.startLoadingAnimation();
-                } else {
-                    this.render();
-                }
-                
-                console.log(`Loaded ${this.elements.length} elements and ${this.layers.length} layers from room ${this.roomName}`);
-                break;
-                
-            case 'add':
-                // Another user added an element
-                const existingAdd = this.elements.find(el => el.id === data.id);
-                if (!existingAdd) {
-                    this.elements.push(data);
-                    this.addElementToLayer(data);
-                    this.render();
-                    console.log(`${data.userName} added element:`, data.id);
-                }
+        const allElementsGrouped = Array.from(this.selectedElements).every(element => element.groupId);
+        
+        if (allElementsGrouped) {
+            this.ungroupSelectedElements();
+        } else {
+            this.groupSelectedElements();
+        }
+    }
+    
+    groupSelectedElements() {
+        if (!this.canUserWrite()) {
+            this.showReadOnlyError();
+            return;
+        }
+        
+        if (this.selectedElements.size <= 1) return;
+        
+        // Generate a unique group ID
+        const groupId = 'group_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        
+        // Apply group ID to all selected elements
+        this.selectedElements.forEach(element => {
+            element.groupId = groupId;
+            this.sendUpdate('update', element);
+        });
+        
+        this.saveToHistory('Group shapes');
+        this.render();
+        
+        console.log(`Grouped ${this.selectedElements.size} elements with groupId: ${groupId}`);
+    }
+    
+    ungroupSelectedElements() {
+        if (!this.canUserWrite()) {
+            this.showReadOnlyError();
+            return;
+        }
+        
+        if (this.selectedElements.size === 0) return;
+        
+        // Get all group IDs from selected elements
+        const groupIds = new Set();
+        this.selectedElements.forEach(element => {
+            if (element.groupId) {
+                groupIds.add(element.groupId);
+            }
+        });
+        
+        // Remove group ID from all elements that belong to these groups
+        this.elements.forEach(element => {
+            if (element.groupId && groupIds.has(element.groupId)) {
+                delete element.groupId;
+                this.sendUpdate('update', element);
+            }
+        });
+        
+        this.saveToHistory('Ungroup shapes');
+        this.render();
+        
+        console.log(`Ungrouped elements from ${groupIds.size} group(s)`);
+    }
+    
+    updateColorSwatchSelection(colorGrid, selectedColor) {
+        // Update all swatches to show the new selection
+        const swatches = colorGrid.children;
+        for (let swatch of swatches) {
+            const swatchColor = swatch.style.backgroundColor;
+            // Convert RGB to hex to compare
+            const hexColor = this.rgbToHex(swatchColor);
+            if (hexColor.toUpperCase() === selectedColor.toUpperCase()) {
+                swatch.style.border = '2px solid #007bff';
+                swatch.style.boxShadow = '0 0 0 1px #007bff';
+            } else {
+                swatch.style.border = '2px solid #ccc';
+                swatch.style.boxShadow = 'none';
+            }
+        }
+    }
+    
+    rgbToHex(rgb) {
+        // Convert rgb(r, g, b) to hex
+        const result = rgb.match(/\d+/g);
+        if (!result) return rgb;
+        const [r, g, b] = result.map(Number);
+        return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
+    }
+    
+    hideColorPicker() {
+        const existingPalette = document.getElementById('colorPalette');
+        if (existingPalette) {
+            document.body.removeChild(existingPalette);
+        }
+    }
+    
+    applyColor(color) {
+        if (!this.selectedElement) return;
+        
+        // Update element color
+        this.selectedElement.color = color;
+        
+        // Send update to server
+        this.sendUpdate('update', this.selectedElement);
+        this.saveToHistory(`Change color to ${color}`);
+        this.render();
+    }
+
+    deleteSelectedElements() {
+        if (!this.canUserWrite()) {
+            this.showReadOnlyError();
+            return;
+        }
+        
+        if (this.selectedElements.size === 0) return;
+        
+        const elementsToDelete = Array.from(this.selectedElements);
+        
+        elementsToDelete.forEach(element => {
+            const index = this.elements.indexOf(element);
+            if (index > -1) {
+                this.elements.splice(index, 1);
+                this.removeElementFromLayer(element);
+                this.sendUpdate('delete', { id: element.id });
+            }
+        });
+        this.deleteAttachedConnectors(elementsToDelete.map(element => element.id));
+        this.releaseFrameChildren(elementsToDelete.filter(element => element.shape === 'frame').map(frame => frame.id));
+        
+        this.selectedElements.clear();
+        this.selectedElement = null;
+        this.saveToHistory('Delete elements');
+        this.render();
+    }
+    
+    clearAllElements() {
+        if (!this.canUserWrite()) {
+            this.showReadOnlyError();
+            return;
+        }
+        
+        if (this.elements.length === 0) {
+            alert('Canvas is already empty!');
+            return;
+        }
+        
+        const confirmation = confirm(`Are you sure you want to clear all ${this.elements.length} shapes? This action can be undone.`);
+        
+        if (confirmation) {
+            this.elements = [];
+            this.selectedElement = null;
+            this.selectedElements.clear();
+            this.layers.forEach(layer => layer.elements = []);
+            this.sendUpdate('clear', {});
+            this.saveToHistory('Clear canvas');
+            this.render();
+            console.log('All elements cleared');
+        }
+    }
+    
+    resizeElement(handle) {
+        const element = this.selectedElement;
+        const worldPos = this.screenToWorld(this.mouse.x, this.mouse.y);
+        
+        // Store original bounds
+        const originalLeft = element.x - element.width / 2;
+        const originalRight = element.x + element.width / 2;
+        const originalTop = element.y - element.height / 2;
+        const originalBottom = element.y + element.height / 2;
+        
+        let newLeft = originalLeft;
+        let newRight = originalRight;
+        let newTop = originalTop;
+        let newBottom = originalBottom;
+        
+        switch (handle) {
+            case 'nw':
+                newLeft = worldPos.x;
+                newTop = worldPos.y;
                 break;
-                
-            case 'update':
-                // Another user updated an element
-                const updateIndex = this.elements.findIndex(el => el.id === data.id);
-                if (updateIndex !== -1) {
-                    this.elements[updateIndex] = { ...this.elements[updateIndex], ...data };
-                    
-                    // If another user updated the shape I have selected, clear my selection
-                    if (this.selectedElement && this.selectedElement.id === data.id && data.userId !== this.userId) {
-                        this.selectedElement = null;
-                        this.hideResizeHandles();
-                        this.showTemporaryMessage(`${data.userName} modified your selected shape`);
-                    }
-                    
-                    this.render();
-                    console.log(`${data.userName} updated element:`, data.id);
-                }
+            case 'ne':
+                newRight = worldPos.x;
+                newTop = worldPos.y;
                 break;
-                
-            case 'delete':
-                // Another user deleted an element
-                const deleteIndex = this.elements.findIndex(el => el.id === data.id);
-                if (deleteIndex !== -1) {
-                    const elementToDelete = this.elements[deleteIndex];
-                    this.elements.splice(deleteIndex, 1);
-                    this.removeElementFromLayer(elementToDelete);
-                    
-                    // Clear selection if deleted element was selected
-                    if (this.selectedElement && this.selectedElement.id === data.id) {
-                        this.selectedElement = null;
-                    }
-                    this.selectedElements.delete(elementToDelete);
-                    
-                    // Clear shape user tracking
-                    this.shapeUsers.delete(data.id);
-                    this.render();
-                    console.log(`${data.userName} deleted element:`, data.id);
-                }
+            case 'sw':
+                newLeft = worldPos.x;
+                newBottom = worldPos.y;
                 break;
-                
-            case 'clear':
-                // Another user cleared all elements
-                this.elements = [];
-                this.selectedElement = null;
-                this.selectedElements.clear();
-                this.layers.forEach(layer => layer.elements = []);
-                this.shapeUsers.clear(); // Clear all shape user tracking
-                this.updateLayerUI();
-                this.render();
-                console.log(`${data.userName} cleared all elements`);
+            case 'se':
+                newRight = worldPos.x;
+                newBottom = worldPos.y;
                 break;
+        }
+        
+        // Calculate new dimensions
+        let newWidth = Math.max(20, Math.abs(newRight - newLeft));
+        let newHeight = Math.max(20, Math.abs(newBottom - newTop));
+        
+        // For images, preserve aspect ratio
+        if (element.shape === 'image') {
+            const originalAspectRatio = element.width / element.height;
+            
+            // Determine which dimension to constrain based on the handle being dragged
+            if (handle === 'nw' || handle === 'se') {
+                // Diagonal resize - use the dimension that changed more
+                const widthChange = Math.abs(newWidth - element.width);
+                const heightChange = Math.abs(newHeight - element.height);
                 
-            case 'move':
-                // Another user is moving/resizing/rotating an element (live update)
-                const moveIndex = this.elements.findIndex(el => el.id === data.id);
-                if (moveIndex !== -1) {
-                    this.elements[moveIndex].x = data.x;
-                    this.elements[moveIndex].y = data.y;
-                    if (data.width !== undefined) this.elements[moveIndex].width = data.width;
-                    if (data.height !== undefined) this.elements[moveIndex].height = data.height;
-                    if (data.rotation !== undefined) this.elements[moveIndex].rotation = data.rotation;
-                    
-                    // Track which user is manipulating this shape
-                    this.shapeUsers.set(data.id, {
-                        userName: data.userName,
-                        userId: data.userId,
-                        action: data.action || 'moving',
-                        color: this.getUserColor(data.userId)
-                    });
-                    
-                    // If another user is manipulating the shape I have selected, clear my selection
-                    if (this.selectedElement && this.selectedElement.id === data.id && data.userId !== this.userId) {
-                        this.selectedElement = null;
-                        this.hideResizeHandles();
-                        this.showTemporaryMessage(`${data.userName} took control of your selected shape`);
-                    }
-                    
-                    this.render();
-                }
-                break;
-                
-            case 'shapeSelect':
-                // Another user selected a shape
-                this.shapeUsers.set(data.id, {
-                    userName: data.userName,
-                    userId: data.userId,
-                    action: data.action || 'selected',
-                    color: this.getUserColor(data.userId)
-                });
-                
-                // If another user selected the shape I have selected, clear my selection
-                if (this.selectedElement && this.selectedElement.id === data.id && data.userId !== this.userId) {
-                    this.selectedElement = null;
-                    this.hideResizeHandles();
-                    this.showTemporaryMessage(`${data.userName} selected your shape`);
+                if (widthChange > heightChange) {
+                    newHeight = newWidth / originalAspectRatio;
+                } else {
+                    newWidth = newHeight * originalAspectRatio;
                 }
+            } else if (handle === 'ne' || handle === 'sw') {
+                // Diagonal resize - use the dimension that changed more
+                const widthChange = Math.abs(newWidth - element.width);
+                const heightChange = Math.abs(newHeight - element.height);
                 
-                this.render();
-                break;
-                
-            case 'shapeRelease':
-                // Another user released a shape
-                this.shapeUsers.delete(data.id);
-                this.render();
-                break;
-                
-            case 'cursor':
-                // Another user's cursor position
-                this.updateOtherUserCursor(data);
-                break;
-                
-            case 'userJoined':
-                // New user joined
-                this.updateUserCount(data.userCount);
-                console.log(`User ${data.userName} joined`);
-                break;
-                
-            case 'userLeft':
-                // User left
-                this.otherUsers.delete(data.userId);
-                this.updateUserCount(data.userCount);
-                this.render();
-                console.log(`User ${data.userName} left`);
-                break;
-                
-            case 'fullSync':
-                // Full state synchronization for undo/redo
-                if (data.elements) {
-                    this.elements = data.elements;
-                }
-                if (data.layers) {
-                    this.layers = data.layers;
-                    this.updateLayerUI();
+                if (widthChange > heightChange) {
+                    newHeight = newWidth / originalAspectRatio;
+                } else {
+                    newWidth = newHeight * originalAspectRatio;
                 }
-                this.selectedElement = null;
-                this.selectedElements.clear();
-                this.render();
-                console.log(`${data.userName} synchronized full state`);
-                break;
+            }
+            
+            // Ensure minimum size is respected while maintaining aspect ratio
+            const minSize = 20;
+            if (newWidth < minSize) {
+                newWidth = minSize;
+                newHeight = newWidth / originalAspectRatio;
+            }
+            if (newHeight < minSize) {
+                newHeight = minSize;
+                newWidth = newHeight * originalAspectRatio;
+            }
+            
+            // Recalculate bounds based on constrained dimensions
+            const centerX = (newLeft + newRight) / 2;
+            const centerY = (newTop + newBottom) / 2;
+            
+            newLeft = centerX - newWidth / 2;
+            newRight = centerX + newWidth / 2;
+            newTop = centerY - newHeight / 2;
+            newBottom = centerY + newHeight / 2;
+        }
+        
+        // Update element
+        element.width = newWidth;
+        element.height = newHeight;
+        element.x = (newLeft + newRight) / 2;
+        element.y = (newTop + newBottom) / 2;
+    }
+    
+    rotateElements() {
+        if (this.selectedElements.size === 1) {
+            // Single element rotation (around its center)
+            const element = this.selectedElement;
+            const centerScreen = this.worldToScreen(element.x, element.y);
+            const angle = Math.atan2(this.mouse.y - centerScreen.y, this.mouse.x - centerScreen.x);
+            element.rotation = angle + Math.PI/2;
+        } else {
+            // Multi-element rotation (around selection center)
+            const selectionCenter = this.getSelectionCenter();
+            const centerScreen = this.worldToScreen(selectionCenter.x, selectionCenter.y);
+            const currentAngle = Math.atan2(this.mouse.y - centerScreen.y, this.mouse.x - centerScreen.x);
+            
+            // Initialize rotation tracking on first call
+            if (this.lastRotationAngle === null) {
+                this.lastRotationAngle = currentAngle;
+                // Store initial positions and rotations
+                this.initialElementPositions = new Map();
+                this.initialElementRotations = new Map();
                 
-            case 'addLayer':
-                // Another user added a layer
-                const existingLayer = this.layers.find(l => l.id === data.id);
-                if (!existingLayer) {
-                    this.layers.push(data);
-                    this.updateLayerUI();
-                    console.log(`${data.userName} added layer:`, data.name);
-                }
-                break;
+                this.selectedElements.forEach(element => {
+                    this.initialElementPositions.set(element.id, { x: element.x, y: element.y });
+                    this.initialElementRotations.set(element.id, element.rotation || 0);
+                });
+                return;
+            }
+            
+            const deltaAngle = currentAngle - this.lastRotationAngle;
+            
+            // Apply rotation to all selected elements
+            this.selectedElements.forEach(element => {
+                const initialPos = this.initialElementPositions.get(element.id);
+                const initialRot = this.initialElementRotations.get(element.id);
                 
-            case 'deleteLayer':
-                // Another user deleted a layer
-                const layerIndex = this.layers.findIndex(l => l.id === data.id);
-                if (layerIndex !== -1) {
-                    const layer = this.layers[layerIndex];
-                    
-                    // Remove elements from this layer
-                    layer.elements.forEach(elementId => {
-                        const elementIndex = this.elements.findIndex(el => el.id === elementId);
-                        if (elementIndex !== -1) {
-                            this.elements.splice(elementIndex, 1);
-                        }
-                    });
-                    
-                    // Remove layer
-                    this.layers.splice(layerIndex, 1);
-                    
-                    // Update active layer if needed
-                    if (this.activeLayerId === data.id) {
-                        this.activeLayerId = this.layers[0]?.id || 'layer_0';
-                    }
+                if (initialPos) {
+                    // Rotate position around selection center
+                    const dx = initialPos.x - selectionCenter.x;
+                    const dy = initialPos.y - selectionCenter.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    const initialAngle = Math.atan2(dy, dx);
+                    const totalRotation = currentAngle - this.lastRotationAngle;
+                    const newAngle = initialAngle + totalRotation;
                     
-                    this.updateLayerUI();
-                    this.render();
-                    console.log(`${data.userName} deleted layer:`, layer.name);
+                    element.x = selectionCenter.x + Math.cos(newAngle) * distance;
+                    element.y = selectionCenter.y + Math.sin(newAngle) * distance;
+                    // Frames stay axis-aligned
+                    element.rotation = element.shape === 'frame' ? 0 : initialRot + totalRotation;
                 }
-                break;
+            });
+        }
+    }
+    
+    getSelectionCenter() {
+        if (this.selectedElements.size === 0) return { x: 0, y: 0 };
+        
+        let totalX = 0;
+        let totalY = 0;
+        
+        this.selectedElements.forEach(element => {
+            totalX += element.x;
+            totalY += element.y;
+        });
+        
+        return {
+            x: totalX / this.selectedElements.size,
+            y: totalY / this.selectedElements.size
+        };
+    }
+    
+    getSelectionBounds() {
+        if (this.selectedElements.size === 0) return { x: 0, y: 0, width: 0, height: 0, centerX: 0, centerY: 0 };
+        
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let minY = Infinity;
+        let maxY = -Infinity;
+        
+        this.selectedElements.forEach(element => {
+            const halfWidth = element.width / 2;
+            const halfHeight = element.height / 2;
+            
+            minX = Math.min(minX, element.x - halfWidth);
+            maxX = Math.max(maxX, element.x + halfWidth);
+            minY = Math.min(minY, element.y - halfHeight);
+            maxY = Math.max(maxY, element.y + halfHeight);
+        });
+        
+        const width = maxX - minX;
+        const height = maxY - minY;
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        
+        return {
+            x: minX,
+            y: minY,
+            width: width,
+            height: height,
+            centerX: centerX,
+            centerY: centerY
+        };
+    }
+    
+    startLabelEdit(element) {
+        this.isEditingLabel = true;
+        const input = document.getElementById('labelInput');
+        
+        input.style.display = 'block';
+        if (element.shape === 'frame') {
+            // Frames are renamed over their name label
+            const topLeft = this.worldToScreen(element.x - element.width / 2, element.y - element.height / 2);
+            input.style.left = topLeft.x + 'px';
+            input.style.top = (topLeft.y - 30) + 'px';
+            input.value = element.name || '';
+        } else {
+            const screenPos = this.worldToScreen(element.x, element.y);
+            input.style.left = (screenPos.x - 50) + 'px';
+            input.style.top = (screenPos.y + 30) + 'px';
+            input.value = element.text || '';
+        }
+        
+        input.focus();
+        input.select();
+        
+        this.editingElement = element;
+    }
+    
+    finishLabelEdit() {
+        if (!this.isEditingLabel) return;
+        
+        const input = document.getElementById('labelInput');
+        if (this.editingElement && this.editingElement.shape === 'frame') {
+            this.editingElement.name = input.value.trim().slice(0, 100) || this.editingElement.name;
+            this.sendUpdate('update', this.editingElement);
+            this.saveToHistory('Rename frame');
+        } else if (this.editingElement) {
+            this.editingElement.text = input.value;
+            this.sendUpdate('update', this.editingElement);
+            this.saveToHistory('Edit label');
+        }
+        
+        input.style.display = 'none';
+        this.isEditingLabel = false;
+        this.editingElement = null;
+        this.render();
+    }
+    
+    cancelLabelEdit() {
+        const input = document.getElementById('labelInput');
+        input.style.display = 'none';
+        this.isEditingLabel = false;
+        this.editingElement = null;
+    }
+    
+    // Inline text editing functions
+    startInlineTextEdit(element) {
+        this.isEditingText = true;
+        this.editingTextElement = element;
+        this.textCursorPosition = element.text ? element.text.length : 0;
+        this.textSelectionAnchor = null;
+        this.textTypingStyle = null;
+        this.textCursorVisible = true;
+        
+        // Start cursor blinking
+        this.textCursorInterval = setInterval(() => {
+            this.textCursorVisible = !this.textCursorVisible;
+            this.render();
+        }, 500);
+        
+        // Select the text element
+        this.selectedElements.clear();
+        this.selectedElements.add(element);
+        this.selectedElement = element;
+        
+        this.render();
+    }
+    
+    finishInlineTextEdit() {
+        if (!this.isEditingText || !this.editingTextElement) return;
+        
+        // Stop cursor blinking
+        if (this.textCursorInterval) {
+            clearInterval(this.textCursorInterval);
+            this.textCursorInterval = null;
+        }
+        
+        // Send update to server
+        this.sendUpdate('update', this.editingTextElement);
+        this.saveToHistory('Edit text');
+        
+        this.isEditingText = false;
+        this.isSelectingText = false;
+        this.editingTextElement = null;
+        this.textCursorPosition = 0;
+        this.textSelectionAnchor = null;
+        this.textTypingStyle = null;
+        this.textCursorVisible = true;
+        
+        this.render();
+    }
+    
+    // Layout of the element being edited, in its local coordinates
+    getEditingTextLayout() {
+        const element = this.editingTextElement;
+        return element.shape === 'sticky' ?
+            this.getStickyLayout(this.ctx, element) :
+            this.getTextLayout(this.ctx, element);
+    }
+    
+    // Move the cursor, extending the selection when `extend` is set
+    setTextCursor(position, extend = false) {
+        if (extend) {
+            if (this.textSelectionAnchor === null) {
+                this.textSelectionAnchor = this.textCursorPosition;
+            }
+        } else {
+            this.textSelectionAnchor = null;
+        }
+        this.textCursorPosition = position;
+        this.textTypingStyle = null;
+        this.textCursorVisible = true;
+    }
+    
+    // Store an edited document on the element being edited and grow its box to fit
+    commitTextDocument(doc) {
+        RichText.writeDocument(this.editingTextElement, doc);
+        this.fitTextElementToContent(this.editingTextElement);
+    }
+    
+    // Grow a text element's box so its text stays inside (it never shrinks while typing)
+    fitTextElementToContent(element) {
+        if (element.shape !== 'text') return;
+        
+        const layout = this.getTextLayout(this.ctx, element);
+        const padding = RichText.PADDING * 2;
+        if (!element.wrap) {
+            element.width = Math.max(element.width, Math.ceil(layout.width + padding));
+        }
+        element.height = Math.max(element.height, Math.ceil(layout.height + padding));
+    }
+    
+    // Replace the selection (or insert at the cursor) with typed or pasted text
+    insertTextAtCursor(text) {
+        let doc = RichText.getDocument(this.editingTextElement);
+        let position = this.textCursorPosition;
+        const range = this.getTextSelectionRange();
+        
+        // Typed text takes the style of the text it replaces or follows
+        const style = this.textTypingStyle || RichText.styleAt(doc.runs, range ? range[0] + 1 : position);
+        if (range) {
+            doc = RichText.remove(doc, range[0], range[1]);
+            position = range[0];
+        }
+        
+        const typingStyle = this.textTypingStyle;
+        doc = RichText.insert(doc, position, text, style);
+        this.commitTextDocument(doc);
+        this.setTextCursor(position + text.length);
+        // Keep a style picked with nothing selected (e.g. Ctrl+B) for the rest of the word
+        this.textTypingStyle = typingStyle;
+    }
+    
+    deleteTextRange(start, end) {
+        const doc = RichText.remove(RichText.getDocument(this.editingTextElement), start, end);
+        this.commitTextDocument(doc);
+        this.setTextCursor(start);
+    }
+    
+    // Toggle bold/italic/underline/strike on the selection, or for the text typed next
+    toggleTextStyle(key) {
+        const element = this.editingTextElement;
+        if (!element || element.shape !== 'text') return;
+        
+        const doc = RichText.getDocument(element);
+        const range = this.getTextSelectionRange();
+        
+        if (range) {
+            this.applyTextStyle(element, { [key]: !RichText.rangeHasStyle(element, doc, range[0], range[1], key) });
+        } else {
+            const style = { ...(this.textTypingStyle || RichText.styleAt(doc.runs, this.textCursorPosition)) };
+            const enabled = !RichText.effectiveStyle(element, style)[key];
+            if (enabled === RichText.effectiveStyle(element, {})[key]) {
+                delete style[key];
+            } else {
+                style[key] = enabled;
+            }
+            this.textTypingStyle = style;
+        }
+    }
+    
+    // Apply a style patch to the current selection, or to the whole element's text when
+    // nothing is selected. Returns false when there was no text to style.
+    applyTextStyle(element, patch) {
+        const doc = RichText.getDocument(element);
+        const length = RichText.plainText(doc.runs).length;
+        const range = this.isEditingText && this.editingTextElement === element ? this.getTextSelectionRange() : null;
+        const [start, end] = range || [0, length];
+        if (start === end) return false;
+        
+        // Values that match the element's own formatting don't need an override
+        const base = RichText.effectiveStyle(element, {});
+        const overrides = {};
+        Object.keys(patch).forEach(key => {
+            overrides[key] = key !== 'link' && patch[key] === base[key] ? null : patch[key];
+        });
+        
+        RichText.writeDocument(element, RichText.applyStyle(doc, start, end, overrides));
+        this.fitTextElementToContent(element);
+        return true;
+    }
+    
+    // Set the list style of the paragraphs touched by the selection (or the cursor)
+    setTextListStyle(element, listStyle) {
+        const doc = RichText.getDocument(element);
+        const text = RichText.plainText(doc.runs);
+        const editing = this.isEditingText && this.editingTextElement === element;
+        const range = editing ? (this.getTextSelectionRange() || [this.textCursorPosition, this.textCursorPosition]) : [0, text.length];
+        
+        const first = RichText.paragraphIndexAt(text, range[0]);
+        const last = RichText.paragraphIndexAt(text, range[1]);
+        for (let i = first; i <= last; i++) {
+            doc.lists[i] = listStyle;
+        }
+        
+        RichText.writeDocument(element, doc);
+        this.fitTextElementToContent(element);
+    }
+    
+    // Cursor position one line up or down from the current one, keeping its x position
+    getVerticalTextCursorPosition(direction) {
+        const layout = this.getEditingTextLayout();
+        const caret = RichText.caretPosition(this.ctx, layout, this.textCursorPosition);
+        const target = layout.lines[caret.line + direction];
+        
+        if (!target) {
+            return direction < 0 ? 0 : (this.editingTextElement.text || '').length;
+        }
+        return RichText.offsetAt(this.ctx, layout, caret.x, target.y);
+    }
+    
+    // Start or end of the line the cursor is on
+    getTextLineBoundary(toEnd) {
+        const layout = this.getEditingTextLayout();
+        const text = this.editingTextElement.text || '';
+        const line = layout.lines[RichText.lineIndexAt(layout, this.textCursorPosition)];
+        
+        if (!toEnd) return line.start;
+        // Stop before the space a wrapped line ends with, which belongs to the line break
+        return text[line.end - 1] === ' ' && line.end > line.start ? line.end - 1 : line.end;
+    }
+    
+    handleTextEditingKeyDown(e) {
+        if (!this.editingTextElement) return;
+        
+        const element = this.editingTextElement;
+        const text = element.text || '';
+        const cursorPos = this.textCursorPosition;
+        const range = this.getTextSelectionRange();
+        
+        // Clipboard shortcuts use the browser's copy/cut/paste events
+        if ((e.ctrlKey || e.metaKey) && ['c', 'x', 'v'].includes(e.key.toLowerCase())) {
+            if (range && e.key.toLowerCase() !== 'v' && navigator.clipboard) {
+                navigator.clipboard.writeText(text.slice(range[0], range[1])).catch(() => {});
+                if (e.key.toLowerCase() === 'x') {
+                    this.deleteTextRange(range[0], range[1]);
+                    this.render();
+                }
+            }
+            return;
+        }
+        
+        e.preventDefault();
+        
+        if (e.ctrlKey || e.metaKey) {
+            switch (e.key.toLowerCase()) {
+                case 'a':
+                    this.textSelectionAnchor = 0;
+                    this.textCursorPosition = text.length;
+                    break;
+                case 'b':
+                    this.toggleTextStyle('bold');
+                    break;
+                case 'i':
+                    this.toggleTextStyle('italic');
+                    break;
+                case 'u':
+                    this.toggleTextStyle('underline');
+                    break;
+                case 'home':
+                    this.setTextCursor(0, e.shiftKey);
+                    break;
+                case 'end':
+                    this.setTextCursor(text.length, e.shiftKey);
+                    break;
+            }
+            this.render();
+            return;
+        }
+        
+        switch (e.key) {
+            case 'Escape':
+                this.finishInlineTextEdit();
+                break;
+                
+            case 'Enter':
+                if (e.shiftKey) {
+                    // Shift+Enter finishes editing
+                    this.finishInlineTextEdit();
+                } else {
+                    const doc = RichText.getDocument(element);
+                    const paragraph = RichText.paragraphIndexAt(text, cursorPos);
+                    const bounds = RichText.paragraphBounds(text)[paragraph];
+                    
+                    if (!range && doc.lists[paragraph] && bounds.start === bounds.end) {
+                        // Enter on an empty list item ends the list
+                        doc.lists[paragraph] = null;
+                        this.commitTextDocument(doc);
+                    } else {
+                        // Regular Enter adds line break (continuing the list, if any)
+                        this.insertTextAtCursor('\n');
+                    }
+                }
+                break;
+                
+            case 'Backspace':
+                if (range) {
+                    this.deleteTextRange(range[0], range[1]);
+                } else if (cursorPos > 0 || text.length === 0) {
+                    const doc = RichText.getDocument(element);
+                    const paragraph = RichText.paragraphIndexAt(text, cursorPos);
+                    
+                    if (doc.lists[paragraph] && RichText.paragraphBounds(text)[paragraph].start === cursorPos) {
+                        // Backspace at the start of a list item turns it back into a plain paragraph
+                        doc.lists[paragraph] = null;
+                        this.commitTextDocument(doc);
+                    } else if (cursorPos > 0) {
+                        this.deleteTextRange(cursorPos - 1, cursorPos);
+                    }
+                }
+                break;
+                
+            case 'Delete':
+                if (range) {
+                    this.deleteTextRange(range[0], range[1]);
+                } else if (cursorPos < text.length) {
+                    this.deleteTextRange(cursorPos, cursorPos + 1);
+                }
+                break;
+                
+            case 'ArrowLeft':
+                if (range && !e.shiftKey) {
+                    this.setTextCursor(range[0]);
+                } else {
+                    this.setTextCursor(Math.max(0, cursorPos - 1), e.shiftKey);
+                }
+                break;
+                
+            case 'ArrowRight':
+                if (range && !e.shiftKey) {
+                    this.setTextCursor(range[1]);
+                } else {
+                    this.setTextCursor(Math.min(text.length, cursorPos + 1), e.shiftKey);
+                }
+                break;
+                
+            case 'ArrowUp':
+                this.setTextCursor(this.getVerticalTextCursorPosition(-1), e.shiftKey);
+                break;
+                
+            case 'ArrowDown':
+                this.setTextCursor(this.getVerticalTextCursorPosition(1), e.shiftKey);
+                break;
+                
+            case 'Home':
+                this.setTextCursor(this.getTextLineBoundary(false), e.shiftKey);
+                break;
+                
+            case 'End':
+                this.setTextCursor(this.getTextLineBoundary(true), e.shiftKey);
+                break;
+                
+            default:
+                // Handle regular character input
+                if (e.key.length === 1) {
+                    this.insertTextAtCursor(e.key);
+                }
+                break;
+        }
+        
+        this.render();
+    }
+    
+    // Element-local coordinates of a world point, undoing the element's rotation
+    worldToElementLocal(element, worldX, worldY) {
+        const dx = worldX - element.x;
+        const dy = worldY - element.y;
+        const angle = -(element.rotation || 0);
+        return {
+            x: dx * Math.cos(angle) - dy * Math.sin(angle),
+            y: dx * Math.sin(angle) + dy * Math.cos(angle)
+        };
+    }
+    
+    // Text offset under the mouse in the element being edited
+    getTextOffsetAtMouse() {
+        const local = this.worldToElementLocal(this.editingTextElement, this.mouse.worldX, this.mouse.worldY);
+        return RichText.offsetAt(this.ctx, this.getEditingTextLayout(), local.x, local.y);
+    }
+    
+    // Clicks inside the text being edited place the cursor, select or open links
+    handleTextEditingMouseDown(e) {
+        const element = this.editingTextElement;
+        const text = element.text || '';
+        const offset = this.getTextOffsetAtMouse();
+        
+        // Ctrl/Cmd+click follows links
+        if ((e.ctrlKey || e.metaKey) && element.shape === 'text') {
+            const link = RichText.linkAt(RichText.getRuns(element), offset) ||
+                RichText.linkAt(RichText.getRuns(element), Math.max(0, offset - 1));
+            if (link && /^(https?:|mailto:)/i.test(link)) {
+                window.open(link, '_blank', 'noopener');
+                return;
+            }
+        }
+        
+        if (e.detail === 2) {
+            // Double-click selects the word under the mouse
+            let start = offset;
+            let end = offset;
+            while (start > 0 && /\S/.test(text[start - 1])) start--;
+            while (end < text.length && /\S/.test(text[end])) end++;
+            this.textSelectionAnchor = start;
+            this.setTextCursor(end, true);
+        } else {
+            this.setTextCursor(offset, e.shiftKey);
+            if (this.textSelectionAnchor === null) {
+                this.textSelectionAnchor = offset; // Dragging from here selects
+            }
+            this.isSelectingText = true;
+        }
+        
+        this.render();
+    }
+    
+    // Keyboard shortcuts handler
+    handleKeyDown(e) {
+        if (this.presentation) {
+            this.handlePresentationKeyDown(e);
+            return;
+        }
+        
+        // Handle inline text editing (but not typing into the formatting popup)
+        if (this.isEditingText) {
+            if (e.target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            this.handleTextEditingKeyDown(e);
+            return;
+        }
+        
+        // Don't handle shortcuts when editing labels
+        if (this.isEditingLabel) return;
+        
+        // Or while writing a comment (the comment box handles its own keys)
+        if (e.target && e.target.closest && e.target.closest('#commentPopup')) return;
+        
+        if (e.key === 'Escape' && this.isCommenting) {
+            this.stopCommentTool();
+            return;
+        }
+        
+        // Handle escape key
+        if (e.key === 'Escape') {
+            if (this.isEditingText) {
+                this.finishInlineTextEdit();
+            } else if (this.isSizing) {
+                this.cancelShapeSizing();
+            } else if (this.isPlacing) {
+                this.exitPlacementMode();
+            } else {
+                this.selectedElements.clear();
+                this.selectedElement = null;
+                this.hideColorPicker();
+        this.hideTextFormatPopup();
+                this.render();
+            }
+            return;
+        }
+        
+        // Handle delete/backspace
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            this.deleteSelectedElements();
+            return;
+        }
+        
+        // Handle Ctrl/Cmd combinations
+        if (e.ctrlKey || e.metaKey) {
+            switch (e.key.toLowerCase()) {
+                case 'z':
+                    if (e.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                    e.preventDefault();
+                    break;
+                case 'y':
+                    this.redo();
+                    e.preventDefault();
+                    break;
+                case 'c':
+                    this.copySelectedElements();
+                    e.preventDefault();
+                    break;
+                case 'v':
+                    // Regular Ctrl+V for pasting elements (images handled by paste event)
+                    this.pasteElements();
+                    e.preventDefault();
+                    break;
+                case 'x':
+                    this.cutSelectedElements();
+                    e.preventDefault();
+                    break;
+                case 'a':
+                    this.selectAllElements();
+                    e.preventDefault();
+                    break;
+                case 'd':
+                    this.duplicateSelectedElements();
+                    e.preventDefault();
+                    break;
+                case 'g':
+                    this.toggleSnapToGrid();
+                    e.preventDefault();
+                    break;
+            }
+        }
+        
+        // Handle arrow keys for nudging
+        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+            this.nudgeSelectedElements(e.key, e.shiftKey ? 10 : 1);
+            e.preventDefault();
+        }
+    }
+    
+    // Selection methods
+    completeSelection() {
+        if (!this.selectionBox) return;
+        
+        this.selectedElements.clear();
+        
+        const box = this.selectionBox;
+        const candidates = this.queryElements(box.x, box.y, box.x + box.width, box.y + box.height);
+        
+        candidates.forEach(element => {
+            // Only select elements in visible, unlocked layers
+            const layer = this.layers.find(l => l.id === element.layerId);
+            if (layer && layer.visible && !layer.locked && this.isElementInSelectionBox(element)) {
+                this.selectedElements.add(element);
+                
+                // If this element is grouped, select all elements in the same group
+                if (element.groupId) {
+                    this.elements.forEach(groupedElement => {
+                        if (groupedElement.groupId === element.groupId) {
+                            this.selectedElements.add(groupedElement);
+                        }
+                    });
+                }
+                
+                // Send shape selection to others
+                this.sendUpdate('shapeSelect', { 
+                    id: element.id,
+                    action: 'selected'
+                });
+            }
+        });
+        
+        this.selectedElement = this.selectedElements.size > 0 ? 
+            Array.from(this.selectedElements)[0] : null;
+        
+        console.log(`Selected ${this.selectedElements.size} elements via selection box`);
+        
+        this.render();
+    }
+    
+    isElementInSelectionBox(element) {
+        const box = this.selectionBox;
+        
+        // Calculate element bounds
+        const elementLeft = element.x - element.width / 2;
+        const elementRight = element.x + element.width / 2;
+        const elementTop = element.y - element.height / 2;
+        const elementBottom = element.y + element.height / 2;
+        
+        // Calculate selection box bounds
+        const boxLeft = box.x;
+        const boxRight = box.x + box.width;
+        const boxTop = box.y;
+        const boxBottom = box.y + box.height;
+        
+        // Check if selection box intersects with element bounds
+        return !(elementRight < boxLeft || 
+                 elementLeft > boxRight || 
+                 elementBottom < boxTop || 
+                 elementTop > boxBottom);
+    }
+    
+    selectAllElements() {
+        this.selectedElements.clear();
+        this.elements.forEach(element => {
+            // Only select elements in visible, unlocked layers
+            const layer = this.layers.find(l => l.id === element.layerId);
+            if (layer && layer.visible && !layer.locked) {
+                this.selectedElements.add(element);
+            }
+        });
+        this.selectedElement = this.selectedElements.size > 0 ? 
+            Array.from(this.selectedElements)[0] : null;
+        this.render();
+    }
+    
+    // Clipboard operations
+    copySelectedElements() {
+        if (this.selectedElements.size === 0) return;
+        
+        // Frames are copied with their contents
+        this.clipboard = Array.from(this.getMovingElements()).map(element => 
+            JSON.parse(JSON.stringify(element))
+        );
+        
+        console.log(`Copied ${this.clipboard.length} elements`);
+    }
+    
+    cutSelectedElements() {
+        this.copySelectedElements();
+        this.deleteSelectedElements();
+    }
+    
+    pasteElements() {
+        if (this.clipboard.length === 0) return;
+        
+        this.selectedElements.clear();
+        const offset = 20; // Paste offset
+        
+        const newIds = new Map(this.clipboard.map((element, index) => [element.id, Date.now() + Math.random() + index])); // Ensure uniqueness
+        
+        this.clipboard.forEach(element => {
+            // Connectors are only pasted together with both shapes they connect
+            if (element.shape === 'connector' && !(newIds.has(element.startId) && newIds.has(element.endId))) return;
+            
+            const newElement = {
+                ...element,
+                id: newIds.get(element.id),
+                x: element.x + offset,
+                y: element.y + offset,
+                layerId: this.activeLayerId
+            };
+            if (element.shape === 'connector') {
+                newElement.startId = newIds.get(element.startId);
+                newElement.endId = newIds.get(element.endId);
+            }
+            
+            // Contents pasted with their frame stay in the copy; anything else joins the frame it lands in
+            if (newIds.has(element.frameId)) {
+                newElement.frameId = newIds.get(element.frameId);
+            } else {
+                this.assignFrame(newElement);
+            }
+            
+            this.elements.push(newElement);
+            this.addElementToLayer(newElement);
+            this.selectedElements.add(newElement);
+            this.sendUpdate('add', newElement);
+        });
+        
+        this.selectedElement = Array.from(this.selectedElements)[0];
+        this.saveToHistory('Paste elements');
+        this.render();
+        
+        console.log(`Pasted ${this.selectedElements.size} elements`);
+    }
+    
+    // Image handling methods
+    triggerImageUpload() {
+        document.getElementById('imageInput').click();
+    }
+    
+    async handleImageUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        // Only allow JPG and PNG files for security reasons
+        const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png'];
+        const allowedExtensions = ['.jpg', '.jpeg', '.png'];
+        const fileExtension = file.name.toLowerCase().split('.').pop();
+        
+        if (!allowedMimeTypes.includes(file.type) || !allowedExtensions.includes('.' + fileExtension)) {
+            alert('Only JPG and PNG image files are allowed.');
+            return;
+        }
+        
+        // Check file size (max 3MB)
+        if (file.size > 3 * 1024 * 1024) {
+            alert('Image file is too large. Maximum size is 3MB.');
+            return;
+        }
+        
+        await this.processImageFile(file);
+        
+        // Clear the input so the same file can be uploaded again
+        event.target.value = '';
+    }
+    
+    async handlePaste(event) {
+        // Only handle paste if not editing a label
+        if (this.isEditingLabel) return;
+        
+        // Pasting while editing text inserts the clipboard's plain text
+        if (this.isEditingText && this.editingTextElement) {
+            if (event.target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            const pasted = event.clipboardData?.getData('text/plain');
+            if (pasted) {
+                event.preventDefault();
+                this.insertTextAtCursor(pasted.replace(/\r\n?/g, '\n'));
+                this.render();
+            }
+            return;
+        }
+        
+        const items = event.clipboardData?.items;
+        if (!items) return;
+        
+        for (let item of items) {
+            // Only allow JPG and PNG files for security reasons
+            const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png'];
+            
+            if (allowedMimeTypes.includes(item.type)) {
+                event.preventDefault();
+                const file = item.getAsFile();
+                if (file) {
+                    await this.processImageFile(file);
+                }
+                break;
+            }
+        }
+    }
+    
+    async processImageFile(file) {
+        try {
+            // Create FormData for file upload
+            const formData = new FormData();
+            formData.append('image', file);
+            formData.append('roomName', this.roomName);
+            
+            // Upload file to server
+            const response = await fetch('/api/upload/image', {
+                method: 'POST',
+                headers: this.getRoomAuthHeaders(),
+                body: formData
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to upload image');
+            }
+            
+            const data = await response.json();
+            
+            // Create image element on canvas
+            await this.createImageElement(data.filename, data.originalName);
+            
+        } catch (error) {
+            console.error('Error processing image:', error);
+            alert('Failed to upload image. Please try again.');
+        }
+    }
+    
+    async createImageElement(filename, originalName) {
+        // Create an HTML Image to get dimensions
+        const img = new Image();
+        
+        return new Promise((resolve, reject) => {
+            img.onload = () => {
+                // Calculate scaled dimensions (max 400px on either side)
+                const maxSize = 400;
+                let width = img.width;
+                let height = img.height;
+                
+                if (width > maxSize || height > maxSize) {
+                    const scale = Math.min(maxSize / width, maxSize / height);
+                    width = width * scale;
+                    height = height * scale;
+                }
+                
+                // Create the image element
+                const element = {
+                    id: Date.now() + Math.random(),
+                    x: this.camera.x, // Place at camera center
+                    y: this.camera.y,
+                    width: width,
+                    height: height,
+                    rotation: 0,
+                    shape: 'image',
+                    filename: filename,
+                    originalName: originalName,
+                    text: '',
+                    layerId: this.activeLayerId
+                };
+                
+                // Add to canvas
+                this.assignFrame(element);
+                this.elements.push(element);
+                this.addElementToLayer(element);
+                this.sendUpdate('add', element);
+                this.saveToHistory(`Add image: ${originalName}`);
+                
+                // Select the new image
+                this.selectedElements.clear();
+                this.selectedElements.add(element);
+                this.selectedElement = element;
+                
+                this.render();
+                console.log(`Added image: ${originalName} (${width}x${height})`);
+                resolve();
+            };
+            
+            img.onerror = () => {
+                reject(new Error('Failed to load image'));
+            };
+            
+            img.src = `/api/uploads/${this.roomName}/${filename}`;
+        });
+    }
+    
+    duplicateSelectedElements() {
+        this.copySelectedElements();
+        this.pasteElements();
+    }
+    
+    // Loading animation system
+    startLoadingAnimation() {
+        this.isAnimating = true;
+        this.animationStartTime = Date.now();
+        this.animatedElements.clear();
+        
+        // Calculate animation delays for each element based on distance from center
+        const centerX = this.camera.x;
+        const centerY = this.camera.y;
+        
+        this.elements.forEach((element, index) => {
+            // Calculate distance from center for delay calculation
+            const distance = Math.sqrt(
+                Math.pow(element.x - centerX, 2) + 
+                Math.pow(element.y - centerY, 2)
+            );
+            
+            // Calculate angle from center to determine slide direction
+            const angle = Math.atan2(element.y - centerY, element.x - centerX);
+            
+            // Stagger animation based on distance and index
+            const baseDelay = (index * 80) + (distance * 0.1);
+            const animationDelay = Math.min(baseDelay, 1500); // Max 1.5s delay
+            
+            // Store animation data
+            this.animatedElements.set(element.id, {
+                element: element,
+                startTime: this.animationStartTime + animationDelay,
+                duration: 600, // Individual animation duration
+                startAngle: angle,
+                originalX: element.x,
+                originalY: element.y,
+                slideDistance: 300 // Distance to slide from
+            });
+        });
+        
+        console.log(`Starting loading animation for ${this.elements.length} elements`);
+        this.animateLoadingFrame();
+    }
+    
+    animateLoadingFrame() {
+        if (!this.isAnimating) return;
+        
+        const currentTime = Date.now();
+        const totalElapsed = currentTime - this.animationStartTime;
+        
+        // Check if animation is complete
+        let allAnimationsComplete = true;
+        this.animatedElements.forEach(animData => {
+            if (currentTime < animData.startTime + animData.duration) {
+                allAnimationsComplete = false;
+            }
+        });
+        
+        if (allAnimationsComplete && totalElapsed > 500) {
+            // Animation complete
+            this.isAnimating = false;
+            this.animatedElements.clear();
+            this.render();
+            console.log('Loading animation completed');
+            return;
+        }
+        
+        // Continue animation
+        this.render();
+        requestAnimationFrame(() => this.animateLoadingFrame());
+    }
+    
+    getElementAnimationState(element) {
+        if (!this.isAnimating) return null;
+        
+        const animData = this.animatedElements.get(element.id);
+        if (!animData) return null;
+        
+        const currentTime = Date.now();
+        const elapsed = currentTime - animData.startTime;
+        
+        // Not started yet
+        if (elapsed < 0) {
+            return {
+                opacity: 0,
+                scale: 0,
+                offsetX: 0,
+                offsetY: 0,
+                visible: false
+            };
+        }
+        
+        // Animation in progress
+        if (elapsed < animData.duration) {
+            const progress = elapsed / animData.duration;
+            const easeProgress = this.easeOutCubic(progress);
+            
+            // Calculate slide-in effect
+            const slideDistance = animData.slideDistance * (1 - easeProgress);
+            const offsetX = Math.cos(animData.startAngle) * slideDistance;
+            const offsetY = Math.sin(animData.startAngle) * slideDistance;
+            
+            return {
+                opacity: easeProgress,
+                scale: 0.3 + (0.7 * easeProgress), // Scale from 30% to 100%
+                offsetX: offsetX,
+                offsetY: offsetY,
+                visible: true
+            };
+        }
+        
+        // Animation complete
+        return {
+            opacity: 1,
+            scale: 1,
+            offsetX: 0,
+            offsetY: 0,
+            visible: true
+        };
+    }
+    
+    easeOutCubic(t) {
+        return 1 - Math.pow(1 - t, 3);
+    }
+    
+    easeInOutQuart(t) {
+        return t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2;
+    }
+    
+    // Saved views and presentation mode
+    
+    // The world-space rectangle currently on screen
+    getViewRect() {
+        return {
+            x: this.camera.x,
+            y: this.camera.y,
+            width: this.canvas.width / this.camera.zoom,
+            height: this.canvas.height / this.camera.zoom
+        };
+    }
+    
+    // Camera that fits a world-space rectangle (centered at x/y) on this screen
+    getCameraForRect(rect, fill = 1) {
+        return {
+            x: rect.x,
+            y: rect.y,
+            zoom: Math.max(0.1, Math.min(5,
+                (this.canvas.width * fill) / rect.width,
+                (this.canvas.height * fill) / rect.height
+            ))
+        };
+    }
+    
+    // Glide the camera to a new position
+    animateCameraTo(target, duration = 800) {
+        if (this.cameraAnimation) {
+            cancelAnimationFrame(this.cameraAnimation);
+        }
+        
+        const start = { x: this.camera.x, y: this.camera.y, zoom: this.camera.zoom };
+        const startTime = Date.now();
+        
+        const step = () => {
+            const progress = Math.min(1, (Date.now() - startTime) / duration);
+            const eased = this.easeInOutQuart(progress);
+            
+            this.camera.x = start.x + (target.x - start.x) * eased;
+            this.camera.y = start.y + (target.y - start.y) * eased;
+            // Zoom changes geometrically so zooming in and out feel equally fast
+            this.camera.zoom = start.zoom * Math.pow(target.zoom / start.zoom, eased);
+            this.render();
+            
+            this.cameraAnimation = progress < 1 ? requestAnimationFrame(step) : null;
+        };
+        this.cameraAnimation = requestAnimationFrame(step);
+    }
+    
+    saveCurrentView() {
+        if (!this.canUserWrite()) {
+            this.showReadOnlyError();
+            return;
+        }
+        
+        const name = prompt('Name this view:', `View ${this.views.length + 1}`);
+        if (name === null) return;
+        
+        const view = {
+            id: 'view_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            name: name.trim().slice(0, 100) || `View ${this.views.length + 1}`,
+            ...this.getViewRect()
+        };
+        this.views.push(view);
+        this.sendUpdate('addView', view);
+        this.updateViewList();
+    }
+    
+    deleteView(viewId) {
+        if (!this.canUserWrite()) {
+            this.showReadOnlyError();
+            return;
+        }
+        
+        this.views = this.views.filter(view => view.id !== viewId);
+        this.sendUpdate('deleteView', { id: viewId });
+        this.updateViewList();
+    }
+    
+    goToView(viewId) {
+        const view = this.views.find(v => v.id === viewId);
+        if (view) {
+            this.animateCameraTo(this.getCameraForRect(view));
+        }
+    }
+    
+    updateViewList() {
+        const viewsList = document.getElementById('viewsList');
+        if (!viewsList) return;
+        
+        viewsList.innerHTML = '';
+        if (this.views.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'frames-empty';
+            empty.textContent = 'No saved views yet.';
+            viewsList.appendChild(empty);
+            return;
+        }
+        
+        this.views.forEach(view => {
+            const item = document.createElement('div');
+            item.className = 'layer-item view-item';
+            
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = view.name;
+            name.title = 'Click to go to this view';
+            name.addEventListener('click', () => this.goToView(view.id));
+            item.appendChild(name);
+            
+            if (this.canUserWrite()) {
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'layer-lock';
+                deleteButton.textContent = '✕';
+                deleteButton.title = 'Delete this view';
+                deleteButton.addEventListener('click', () => this.deleteView(view.id));
+                item.appendChild(deleteButton);
+            }
+            
+            viewsList.appendChild(item);
+        });
+    }
+    
+    // Slides are world-space rectangles: frames in reading order, or the saved views in the order they were saved
+    getPresentationSlides(source) {
+        if (source === 'views') {
+            return this.views.map(view => ({ name: view.name, x: view.x, y: view.y, width: view.width, height: view.height, fill: 1 }));
+        }
+        return this.getFrames()
+            .filter(frame => this.isElementInVisibleLayer(frame))
+            .map(frame => ({ name: frame.name || 'Frame', x: frame.x, y: frame.y, width: frame.width, height: frame.height, fill: 0.95 }));
+    }
+    
+    showPresentDialog() {
+        const dialog = document.getElementById('presentDialog');
+        if (!dialog) return;
+        
+        // Default to frames when there are any
+        const source = document.getElementById('presentSource');
+        if (source) {
+            source.value = this.getPresentationSlides('frames').length > 0 ? 'frames' : 'views';
+        }
+        dialog.style.display = 'block';
+    }
+    
+    hidePresentDialog() {
+        const dialog = document.getElementById('presentDialog');
+        if (dialog) {
+            dialog.style.display = 'none';
+        }
+    }
+    
+    startPresentation(source = 'frames', broadcast = false) {
+        this.hidePresentDialog();
+        
+        const slides = this.getPresentationSlides(source);
+        if (slides.length === 0) {
+            alert(source === 'views' ?
+                'There are no saved views to present. Save some views from the side panel first.' :
+                'There are no frames to present. Add frames with the ⬚ tool first.');
+            return;
+        }
+        
+        // Presenting replaces whatever we were doing or following
+        if (this.isEditingText) this.finishInlineTextEdit();
+        if (this.isEditingLabel) this.finishLabelEdit();
+        this.exitPlacementMode();
+        this.stopFollowingPresenter();
+        this.stopFollowingUser();
+        this.selectedElements.clear();
+        this.selectedElement = null;
+        this.hideColorPicker();
+        this.hideTextFormatPopup();
+        
+        this.presentation = { slides, index: 0, broadcast, cameraBefore: { ...this.camera } };
+        document.body.classList.add('presenting');
+        if (document.documentElement.requestFullscreen && !document.fullscreenElement) {
+            document.documentElement.requestFullscreen().catch(() => {});
+        }
+        
+        console.log(`Presenting ${slides.length} ${source}${broadcast ? ' to the room' : ''}`);
+        this.goToSlide(0);
+    }
+    
+    stopPresentation() {
+        if (!this.presentation) return;
+        
+        const { broadcast, cameraBefore } = this.presentation;
+        this.presentation = null;
+        document.body.classList.remove('presenting');
+        document.getElementById('presentationBar').style.display = 'none';
+        if (document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+        
+        if (broadcast) {
+            this.sendUpdate('presentation', { active: false });
+        }
+        
+        this.animateCameraTo(cameraBefore);
+    }
+    
+    goToSlide(index) {
+        if (!this.presentation) return;
+        
+        const { slides } = this.presentation;
+        this.presentation.index = Math.max(0, Math.min(slides.length - 1, index));
+        const slide = slides[this.presentation.index];
+        
+        this.animateCameraTo(this.getCameraForRect(slide, slide.fill));
+        this.updatePresentationBar();
+        
+        if (this.presentation.broadcast) {
+            this.sendUpdate('presentation', {
+                active: true,
+                x: slide.x,
+                y: slide.y,
+                width: slide.width,
+                height: slide.height,
+                index: this.presentation.index,
+                total: slides.length
+            });
+        }
+    }
+    
+    nextSlide() {
+        if (this.presentation && this.presentation.index < this.presentation.slides.length - 1) {
+            this.goToSlide(this.presentation.index + 1);
+        }
+    }
+    
+    previousSlide() {
+        if (this.presentation && this.presentation.index > 0) {
+            this.goToSlide(this.presentation.index - 1);
+        }
+    }
+    
+    updatePresentationBar() {
+        const bar = document.getElementById('presentationBar');
+        if (!bar || !this.presentation) return;
+        
+        const { slides, index, broadcast } = this.presentation;
+        bar.style.display = 'flex';
+        document.getElementById('presentationCounter').textContent =
+            `${slides[index].name} · ${index + 1} / ${slides.length}` + (broadcast ? ' · 📡 Shared' : '');
+    }
+    
+    // Keyboard and presentation clicker navigation (clickers send Page Up/Down)
+    handlePresentationKeyDown(e) {
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+            case 'PageDown':
+            case ' ':
+            case 'Enter':
+            case 'n':
+                this.nextSlide();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+            case 'PageUp':
+            case 'Backspace':
+            case 'p':
+                this.previousSlide();
+                break;
+            case 'Home':
+                this.goToSlide(0);
+                break;
+            case 'End':
+                this.goToSlide(this.presentation.slides.length - 1);
+                break;
+            case 'Escape':
+                this.stopPresentation();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+    
+    // Another user's presentation: follow it unless we opted out
+    handlePresentationMessage(data) {
+        if (!data.active) {
+            if (this.followedPresenter === data.userId) {
+                this.stopFollowingPresenter();
+                this.showTemporaryMessage(`${data.userName} ended the presentation`);
+            }
+            if (this.ignoredPresenter === data.userId) {
+                this.ignoredPresenter = null;
+            }
+            return;
+        }
+        
+        if (this.presentation || this.ignoredPresenter === data.userId) return;
+        
+        this.stopFollowingUser();
+        this.followedPresenter = data.userId;
+        this.animateCameraTo(this.getCameraForRect(data, 0.95));
+        
+        const banner = document.getElementById('followBanner');
+        if (banner) {
+            document.getElementById('followText').textContent =
+                `Following ${data.userName}'s presentation (${data.index + 1} / ${data.total})`;
+            banner.style.display = 'flex';
+        }
+    }
+    
+    // Stop following the presenter until they start a new presentation
+    stopFollowingPresenter() {
+        if (this.followedPresenter === null) return;
+        
+        this.ignoredPresenter = this.followedPresenter;
+        this.followedPresenter = null;
+        const banner = document.getElementById('followBanner');
+        if (banner) {
+            banner.style.display = 'none';
+        }
+    }
+    
+    // Element nudging
+    nudgeSelectedElements(direction, distance) {
+        if (this.selectedElements.size === 0) return;
+        
+        const dx = direction === 'ArrowLeft' ? -distance : 
+                  direction === 'ArrowRight' ? distance : 0;
+        const dy = direction === 'ArrowUp' ? -distance : 
+                  direction === 'ArrowDown' ? distance : 0;
+        
+        const movingElements = this.getMovingElements();
+        movingElements.forEach(element => {
+            element.x += dx;
+            element.y += dy;
+        });
+        this.updateFrameMembership(movingElements);
+        movingElements.forEach(element => this.sendUpdate('update', element));
+        
+        this.saveToHistory('Nudge elements');
+        this.render();
+    }
+    
+    // Snap to grid
+    toggleSnapToGrid() {
+        this.snapToGrid = !this.snapToGrid;
+        const toggle = document.getElementById('snapToggle');
+        toggle.classList.toggle('active', this.snapToGrid);
+        toggle.textContent = this.snapToGrid ? '✓ Snap' : 'Snap';
+        console.log('Snap to grid:', this.snapToGrid);
+    }
+    
+    // Mobile side panel toggle
+    toggleSidePanel() {
+        const sidePanel = document.getElementById('sidePanel');
+        const toggle = document.getElementById('sidePanelToggle');
+        
+        if (sidePanel.classList.contains('expanded')) {
+            sidePanel.classList.remove('expanded');
+            toggle.textContent = '📋';
+        } else {
+            sidePanel.classList.add('expanded');
+            toggle.textContent = '✖';
+        }
+    }
+    
+    setupWebSocket() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const wsUrl = `${protocol}//${window.location.host}`;
+        
+        this.ws = new WebSocket(wsUrl);
+        this.ws.binaryType = 'arraybuffer';
+        this.wireEncoding = null; // JSON until the server confirms the binary encoding
+        
+        this.ws.onopen = () => {
+            console.log('WebSocket connected');
+            this.isConnected = true;
+            this.reconnectAttempts = 0;
+            this.lastHeartbeat = Date.now();
+            this.updateConnectionStatus('Connected');
+            
+            // Start connection monitoring
+            this.startConnectionMonitoring();
+            
+            // Join room first
+            if (this.ws.readyState === WebSocket.OPEN && this.roomName) {
+                this.joinRoomWithPassword();
+            }
+        };
+        
+        // Handle ping from server - respond with pong
+        // This will be handled in the message handler now
+        
+        this.ws.onmessage = (event) => {
+            try {
+                // Binary frames carry a batch of cursor/move messages
+                if (event.data instanceof ArrayBuffer) {
+                    CanvasWire.decodeBatch(event.data).forEach(message => this.handleServerMessage(message));
+                    return;
+                }
+                
+                const message = JSON.parse(event.data);
+                this.handleServerMessage(message);
+            } catch (error) {
+                console.error('Error parsing WebSocket message:', error);
+            }
+        };
+        
+        this.ws.onclose = (event) => {
+            console.log('WebSocket disconnected:', event.code, event.reason);
+            this.isConnected = false;
+            this.updateConnectionStatus('Disconnected');
+            
+            // Stop connection monitoring
+            this.stopConnectionMonitoring();
+            
+            // Implement exponential backoff for reconnection
+            if (this.reconnectAttempts < this.maxReconnectAttempts) {
+                const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts);
+                this.reconnectAttempts++;
+                
+                console.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+                setTimeout(() => {
+                    this.setupWebSocket();
+                }, delay);
+            } else {
+                console.error('Max reconnection attempts reached');
+                this.updateConnectionStatus('Failed');
+            }
+        };
+        
+        this.ws.onerror = (error) => {
+            console.error('WebSocket error:', error);
+            this.updateConnectionStatus('Error');
+        };
+    }
+    
+    handleServerMessage(message) {
+        const { type, data } = message;
+        
+        // Track the room version carried by state-changing messages
+        if (typeof message.version === 'number') {
+            this.roomVersion = Math.max(this.roomVersion || 0, message.version);
+        }
+        
+        switch (type) {
+            case 'ping':
+                // Respond to server ping with pong
+                this.lastHeartbeat = Date.now();
+                if (this.ws.readyState === WebSocket.OPEN) {
+                    this.ws.send(JSON.stringify({
+                        type: 'pong',
+                        timestamp: Date.now()
+                    }));
+                }
+                break;
+                
+            case 'error':
+                console.error('Server error:', data.message);
+                this.updateConnectionStatus('Error: ' + data.message);
+                
+                // Handle password authentication errors
+                if (data.message && data.message.includes('password')) {
+                    this.isJoiningRoom = false;
+                    // Remove stored token since it's no longer accepted
+                    localStorage.removeItem(`room_token_${this.roomName}`);
+                    
+                    alert(data.message + '. Please try again.');
+                    
+                    // Re-attempt to join with new password
+                    setTimeout(() => {
+                        this.joinRoomWithPassword();
+                    }, 100);
+                }
+                
+                // Someone else is already presenting: carry on, but only on this screen
+                if (data.code === 'PRESENTATION_IN_PROGRESS' && this.presentation) {
+                    this.presentation.broadcast = false;
+                    this.updatePresentationBar();
+                }
+                break;
+                
+            case 'ack':
+                // Server applied one of our updates (version tracked above)
+                break;
+                
+            case 'init':
+                // Room joined successfully and initial state received
+                this.wireEncoding = data.encoding || null;
+                this.completeRoomJoin();
+                
+                // Initial state from server
+                this.roomVersion = data.version || 0;
+                this.elements = data.elements || [];
+                this.camera = data.camera || { x: 0, y: 0, zoom: 1 };
+                this.layers = data.layers || [{
+                    id: 'layer_0',
+                    name: 'Layer 1',
+                    visible: true,
+                    locked: false,
+                    elements: []
+                }];
+                this.views = data.views || [];
+                this.comments = data.comments || [];
+                CanvasCRDT.normalizeLayerOrder(this.layers);
+                this.activeLayerId = this.layers[0].id;
+                this.resetSyncedState();
+                this.rebuildSpatialIndex();
+                
+                // Update password protection status and user role
+                this.isPasswordProtected = data.isPasswordProtected || false;
+                this.userRole = data.userRole || 'admin';
+                this.updateLockIcon();
+                
+                // Show user role in UI
+                this.updateUserRoleDisplay();
+                
+                // Rebuild layer-element relationships
+                this.rebuildLayerElementRelationships();
+                
+                this.updateLayerUI();
+                this.updateViewList();
+                this.updateCommentList();
+                
+                // Start loading animation only if there are elements AND this is the first time
+                if (this.elements.length > 0 && !this.hasPlayedInitialAnimation) {
+                    this.hasPlayedInitialAnimation = true;
+                    this.startLoadingAnimation();
+                } else {
+                    this.render();
+                }
+                
+                console.log(`Loaded ${this.elements.length} elements and ${this.layers.length} layers from room ${this.roomName}`);
+                break;
+                
+            case 'catchUp':
+                // Rejoined after a reconnect - replay only the operations we missed
+                data.operations.forEach(operation => {
+                    this.handleServerMessage(operation);
+                });
+                this.roomVersion = data.version;
+                
+                this.isPasswordProtected = data.isPasswordProtected || false;
+                this.userRole = data.userRole || 'admin';
+                this.wireEncoding = data.encoding || null;
+                this.updateLockIcon();
+                this.updateUserRoleDisplay();
+                
+                // Send our own pending edits on top of the caught-up state
+                this.completeRoomJoin();
+                
+                this.updateLayerUI();
+                this.updateViewList();
+                this.updateCommentList();
+                this.render();
+                
+                console.log(`Caught up on ${data.operations.length} operations in room ${this.roomName} (version ${this.roomVersion})`);
+                break;
+                
+            case 'add':
+                // Another user added an element
+                const existingAdd = this.elements.find(el => el.id === data.id);
+                if (!existingAdd) {
+                    this.clock.observe(data.clocks);
+                    this.elements.push(data);
+                    this.rememberSynced(this.syncedElements, data);
+                    this.spatialIndex.insert(data);
+                    this.addElementToLayer(data);
+                    this.render();
+                    console.log(`${data.userName} added element:`, data.id);
+                }
+                break;
+                
+            case 'update':
+                // Another user updated an element
+                // Updates to elements we no longer have are dropped, so a concurrent delete wins
+                const updatedElement = this.elements.find(el => el.id === data.id);
+                if (updatedElement) {
+                    const previousLayerId = updatedElement.layerId;
+                    this.applyRegisterPatch(this.syncedElements, updatedElement, data);
+                    this.spatialIndex.update(updatedElement);
+                    this.invalidateMinimap(this.getElementWorldBounds(updatedElement));
+                    this.invalidateConnectors(updatedElement);
+                    this.invalidateFrameList(updatedElement);
+                    if (updatedElement.layerId !== previousLayerId) {
+                        this.removeElementFromLayer(updatedElement);
+                        this.addElementToLayer(updatedElement);
+                    }
+                    
+                    // If another user updated the shape I have selected, clear my selection
+                    if (this.selectedElement && this.selectedElement.id === data.id && data.userId !== this.userId) {
+                        this.selectedElement = null;
+                        this.hideResizeHandles();
+                        this.showTemporaryMessage(`${data.userName} modified your selected shape`);
+                    }
+                    
+                    this.render();
+                    console.log(`${data.userName} updated element:`, data.id);
+                }
+                break;
+                
+            case 'delete':
+                // Another user deleted an element
+                const deleteIndex = this.elements.findIndex(el => el.id === data.id);
+                if (deleteIndex !== -1) {
+                    const elementToDelete = this.elements[deleteIndex];
+                    this.elements.splice(deleteIndex, 1);
+                    this.syncedElements.delete(data.id);
+                    this.spatialIndex.remove(data.id);
+                    this.removeElementFromLayer(elementToDelete);
+                    
+                    // Clear selection if deleted element was selected
+                    if (this.selectedElement && this.selectedElement.id === data.id) {
+                        this.selectedElement = null;
+                    }
+                    this.selectedElements.delete(elementToDelete);
+                    
+                    // Clear shape user tracking
+                    this.shapeUsers.delete(data.id);
+                    this.render();
+                    console.log(`${data.userName} deleted element:`, data.id);
+                }
+                break;
+                
+            case 'clear':
+                // Another user cleared all elements
+                this.elements = [];
+                this.syncedElements.clear();
+                this.spatialIndex.clear();
+                this.selectedElement = null;
+                this.selectedElements.clear();
+                this.layers.forEach(layer => layer.elements = []);
+                this.shapeUsers.clear(); // Clear all shape user tracking
+                this.updateLayerUI();
+                this.render();
+                console.log(`${data.userName} cleared all elements`);
+                break;
+                
+            case 'move':
+                // Another user is moving/resizing/rotating an element (live update)
+                const moveIndex = this.elements.findIndex(el => el.id === data.id);
+                if (moveIndex !== -1) {
+                    this.elements[moveIndex].x = data.x;
+                    this.elements[moveIndex].y = data.y;
+                    if (data.width !== undefined) this.elements[moveIndex].width = data.width;
+                    if (data.height !== undefined) this.elements[moveIndex].height = data.height;
+                    if (data.rotation !== undefined) this.elements[moveIndex].rotation = data.rotation;
+                    this.spatialIndex.update(this.elements[moveIndex]);
+                    
+                    // Track which user is manipulating this shape
+                    this.shapeUsers.set(data.id, {
+                        userName: data.userName,
+                        userId: data.userId,
+                        action: data.action || 'moving',
+                        color: this.getUserColor(data.userId)
+                    });
+                    
+                    // If another user is manipulating the shape I have selected, clear my selection
+                    if (this.selectedElement && this.selectedElement.id === data.id && data.userId !== this.userId) {
+                        this.selectedElement = null;
+                        this.hideResizeHandles();
+                        this.showTemporaryMessage(`${data.userName} took control of your selected shape`);
+                    }
+                    
+                    this.render();
+                }
+                break;
+                
+            case 'shapeSelect':
+                // Another user selected a shape
+                this.shapeUsers.set(data.id, {
+                    userName: data.userName,
+                    userId: data.userId,
+                    action: data.action || 'selected',
+                    color: this.getUserColor(data.userId)
+                });
+                
+                // If another user selected the shape I have selected, clear my selection
+                if (this.selectedElement && this.selectedElement.id === data.id && data.userId !== this.userId) {
+                    this.selectedElement = null;
+                    this.hideResizeHandles();
+                    this.showTemporaryMessage(`${data.userName} selected your shape`);
+                }
+                
+                this.render();
+                break;
+                
+            case 'shapeRelease':
+                // Another user released a shape
+                this.shapeUsers.delete(data.id);
+                this.render();
+                break;
+                
+            case 'cursor':
+                // Another user's cursor position
+                this.updateOtherUserCursor(data);
+                break;
+                
+            case 'userJoined':
+                // New user joined
+                this.updateCollaborator(data.userId, { userName: data.userName });
+                this.updateUserCount(data.userCount);
+                console.log(`User ${data.userName} joined`);
+                break;
+                
+            case 'userLeft':
+                // User left
+                this.otherUsers.delete(data.userId);
+                this.removeCollaborator(data.userId);
+                this.updateUserCount(data.userCount);
+                this.render();
+                console.log(`User ${data.userName} left`);
+                break;
+                
+            case 'roomRestored':
+                // An admin put the room back to a snapshot: everything is replaced
+                this.elements = data.elements || [];
+                this.layers = CanvasCRDT.normalizeLayerOrder(data.layers || []);
+                this.views = data.views || [];
+                this.comments = data.comments || [];
+                if (!this.layers.some(layer => layer.id === this.activeLayerId)) {
+                    this.activeLayerId = this.layers.length > 0 ? this.layers[0].id : null;
+                }
+                this.resetSyncedState();
+                this.rebuildSpatialIndex();
+                this.rebuildLayerElementRelationships();
+                this.selectedElement = null;
+                this.selectedElements.clear();
+                if (this.activeComment && this.activeComment.threadId && !this.getCommentThread(this.activeComment.threadId)) {
+                    this.closeCommentPopup();
+                }
+                
+                this.updateLayerUI();
+                this.updateViewList();
+                this.updateCommentList();
+                this.render();
+                
+                // The restore also saved the replaced state as a new snapshot
+                if (this.isHistoryDialogOpen()) {
+                    this.loadSnapshots();
+                }
+                this.showTemporaryMessage(`${data.userName || 'Someone'} restored the board to "${data.snapshot.name}"`);
+                console.log(`Room restored to snapshot ${data.snapshot.id}`);
+                break;
+                
+            case 'addLayer':
+                // Another user added a layer
+                const existingLayer = this.layers.find(l => l.id === data.id);
+                if (!existingLayer) {
+                    this.clock.observe(data.clocks);
+                    this.layers.push(data);
+                    CanvasCRDT.normalizeLayerOrder(this.layers);
+                    this.rememberSynced(this.syncedLayers, data);
+                    this.updateLayerUI();
+                    console.log(`${data.userName} added layer:`, data.name);
+                }
+                break;
+                
+            case 'deleteLayer':
+                // Another user deleted a layer
+                const layerIndex = this.layers.findIndex(l => l.id === data.id);
+                if (layerIndex !== -1) {
+                    const layer = this.layers[layerIndex];
+                    
+                    // Remove elements from this layer
+                    layer.elements.forEach(elementId => {
+                        const elementIndex = this.elements.findIndex(el => el.id === elementId);
+                        if (elementIndex !== -1) {
+                            this.elements.splice(elementIndex, 1);
+                            this.syncedElements.delete(elementId);
+                            this.spatialIndex.remove(elementId);
+                        }
+                    });
+                    
+                    // Remove layer
+                    this.layers.splice(layerIndex, 1);
+                    this.syncedLayers.delete(data.id);
+                    
+                    // Update active layer if needed
+                    if (this.activeLayerId === data.id) {
+                        this.activeLayerId = this.layers[0]?.id || 'layer_0';
+                    }
+                    
+                    this.updateLayerUI();
+                    this.render();
+                    console.log(`${data.userName} deleted layer:`, layer.name);
+                }
+                break;
+                
+            case 'updateLayer':
+                // Another user updated a layer
+                const updatedLayer = this.layers.find(l => l.id === data.id);
+                if (updatedLayer) {
+                    this.applyRegisterPatch(this.syncedLayers, updatedLayer, data);
+                    CanvasCRDT.normalizeLayerOrder(this.layers);
+                    
+                    // Clear selections if layer is now hidden or locked
+                    if (!updatedLayer.visible || updatedLayer.locked) {
+                        this.deselectElementsInLayer(data.id);
+                    }
+                    
+                    this.updateLayerUI();
+                    this.render();
+                    console.log(`${data.userName} updated layer:`, updatedLayer.name);
+                }
+                break;
+                
+            case 'roomPasswordChanged':
+                // Another user changed the room password protection
+                this.isPasswordProtected = data.isPasswordProtected;
+                this.updateLockIcon();
+                const passwordStatus = data.isPasswordProtected ? 'enabled' : 'disabled';
+                this.showTemporaryMessage(`Room password protection ${passwordStatus} by another user`);
+                break;
+                
+            case 'addView':
+                // Another user saved a view
+                if (!this.views.some(view => view.id === data.id)) {
+                    this.views.push(data);
+                    this.updateViewList();
+                }
+                break;
+                
+            case 'deleteView':
+                this.views = this.views.filter(view => view.id !== data.id);
+                this.updateViewList();
+                break;
+                
+            case 'addComment':
+            case 'replyComment':
+            case 'resolveComment':
+            case 'deleteComment':
+                this.handleCommentMessage(type, data);
+                break;
+                
+            case 'presentation':
+                this.handlePresentationMessage(data);
+                break;
+                
+            case 'viewport':
+                this.handleViewportMessage(data);
+                break;
+                
+            case 'userInfo':
+                // Someone announced themselves or changed their name
+                this.updateCollaborator(data.userId, { userName: data.userName });
+                break;
+                
+            case 'camera':
+                // Another user changed camera view (optional - could be disabled for privacy)
+                // this.camera = data;
+                // this.render();
+                break;
+        }
+        
+        // Keep other users' changes out of our undo history
+        this.syncHistoryBaseline(type, data);
+    }
+    
+    // Finish joining a room: announce ourselves and flush updates queued while offline
+    completeRoomJoin() {
+        if (!this.isJoiningRoom) return;
+        
+        this.isJoiningRoom = false;
+        console.log(`Successfully joined room: ${this.roomName}`);
+        
+        // Send user info after joining room
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({
+                type: 'userInfo',
+                data: {
+                    userId: this.userId,
+                    userName: this.userName
+                }
+            }));
+        }
+        
+        // Send any pending updates
+        while (this.pendingUpdates.length > 0) {
+            const update = this.pendingUpdates.shift();
+            this.ws.send(JSON.stringify(update));
+        }
+        
+        // Share our view with the room we just joined
+        this.lastViewportSent = null;
+        this.broadcastViewport();
+    }
+    
+    // Remember the merged state of an element/layer so later local edits can be diffed against it
+    rememberSynced(syncedMap, object) {
+        syncedMap.set(object.id, JSON.parse(JSON.stringify(object)));
+    }
+    
+    // Rebuild the synced copies after the whole room state was replaced
+    resetSyncedState() {
+        this.syncedElements.clear();
+        this.syncedLayers.clear();
+        this.elements.forEach(element => {
+            this.clock.observe(element.clocks);
+            this.rememberSynced(this.syncedElements, element);
+        });
+        this.layers.forEach(layer => {
+            this.clock.observe(layer.clocks);
+            this.rememberSynced(this.syncedLayers, layer);
+        });
+    }
+    
+    // Stamp the properties changed since the last synced state and build a patch with only those
+    buildRegisterPatch(syncedMap, object, ignore = []) {
+        const changed = CanvasCRDT.diffProperties(syncedMap.get(object.id), object, ignore);
+        if (changed.length === 0) return null;
+        
+        const stamp = this.clock.tick();
+        const patch = { id: object.id, clocks: {} };
+        if (!object.clocks) {
+            object.clocks = {};
+        }
+        changed.forEach(prop => {
+            patch[prop] = object[prop] === undefined ? null : object[prop]; // null = property removed
+            patch.clocks[prop] = stamp;
+            object.clocks[prop] = stamp;
+        });
+        
+        this.rememberSynced(syncedMap, object);
+        return patch;
+    }
+    
+    // Merge a remote patch into our synced copy, then show the merged values. Registers the
+    // patch lost are restored too, undoing any live 'move' preview of a losing edit.
+    applyRegisterPatch(syncedMap, object, patch) {
+        this.clock.observe(patch.clocks);
+        
+        const synced = syncedMap.get(object.id) || JSON.parse(JSON.stringify(object));
+        const changed = CanvasCRDT.mergeRegisters(synced, patch);
+        syncedMap.set(object.id, synced);
+        
+        const props = patch.clocks ? Object.keys(patch.clocks) : changed;
+        props.forEach(prop => {
+            if (prop in synced) {
+                object[prop] = synced[prop];
+            } else {
+                delete object[prop];
+            }
+        });
+        object.clocks = { ...synced.clocks };
+        
+        return changed;
+    }
+    
+    // Stamp element and layer writes before they leave; returns null when nothing changed
+    stampOutgoingUpdate(type, data) {
+        switch (type) {
+            case 'add':
+                CanvasCRDT.stampAll(data, this.clock.tick());
+                this.rememberSynced(this.syncedElements, data);
+                return data;
+            case 'update':
+                return this.buildRegisterPatch(this.syncedElements, data, this.getDerivedProps(data));
+            case 'delete':
+                this.syncedElements.delete(data.id);
+                return data;
+            case 'clear':
+                this.syncedElements.clear();
+                return data;
+            case 'addLayer':
+                CanvasCRDT.stampAll(data, this.clock.tick(), ['elements']);
+                this.rememberSynced(this.syncedLayers, data);
+                return data;
+            case 'updateLayer':
+                return this.buildRegisterPatch(this.syncedLayers, data, ['elements']);
+            case 'deleteLayer':
+                this.syncedLayers.delete(data.id);
+                return data;
+            default:
+                return data;
+        }
+    }
+    
+    sendUpdate(type, data) {
+        data = this.stampOutgoingUpdate(type, data);
+        if (!data) return;
+        this.updateSpatialIndex(type, data);
+        
+        const update = { 
+            type, 
+            data: {
+                ...data,
+                userId: this.userId,
+                userName: this.userName
+            }
+        };
+        
+        // Live cursor/move traffic goes out once per animation frame
+        if (CanvasWire.BINARY_TYPES.includes(type)) {
+            this.queueBatchedUpdate(update);
+            return;
+        }
+        
+        // Anything else must not overtake the live updates queued before it
+        this.flushOutgoingBatch();
+        
+        if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
+            try {
+                this.ws.send(JSON.stringify(update));
+            } catch (error) {
+                console.error('Error sending update:', error);
+                this.pendingUpdates.push(update);
+            }
+        } else {
+            // Store update for when connection is restored
+            if (this.pendingUpdates.length < 100) { // Prevent memory issues
+                this.pendingUpdates.push(update);
+            }
+        }
+    }
+    
+    // Queue a cursor/move message for the next frame; a newer one for the same
+    // cursor or element replaces the queued one
+    queueBatchedUpdate(update) {
+        const key = update.type === 'cursor' ? 'cursor' : `move:${update.data.id}`;
+        this.outgoingBatch.delete(key);
+        this.outgoingBatch.set(key, update);
+        
+        if (!this.outgoingBatchFrame) {
+            this.outgoingBatchFrame = requestAnimationFrame(() => this.flushOutgoingBatch());
+        }
+    }
+    
+    flushOutgoingBatch() {
+        if (this.outgoingBatchFrame) {
+            cancelAnimationFrame(this.outgoingBatchFrame);
+            this.outgoingBatchFrame = null;
+        }
+        if (this.outgoingBatch.size === 0) return;
+        
+        const updates = Array.from(this.outgoingBatch.values());
+        this.outgoingBatch.clear();
+        
+        // Live positions are stale by the time we reconnect, so they aren't kept for later
+        if (!this.isConnected || this.ws.readyState !== WebSocket.OPEN) return;
+        
+        try {
+            if (this.wireEncoding === CanvasWire.ENCODING) {
+                for (let i = 0; i < updates.length; i += CanvasWire.MAX_RECORDS) {
+                    this.ws.send(CanvasWire.encodeBatch(updates.slice(i, i + CanvasWire.MAX_RECORDS)));
+                }
+            } else {
+                updates.forEach(update => this.ws.send(JSON.stringify(update)));
+            }
+        } catch (error) {
+            console.error('Error sending batched updates:', error);
+        }
+    }
+    
+    updateConnectionStatus(status) {
+        const statusColors = {
+            'Connected': '#28a745',
+            'Disconnected': '#dc3545',
+            'Error': '#ffc107',
+            'Failed': '#dc3545'
+        };
+        
+        const statusElement = document.getElementById('connectionStatus');
+        if (statusElement) {
+            statusElement.textContent = status;
+            statusElement.style.color = statusColors[status] || '#666';
+            statusElement.className = `connection-status ${status.toLowerCase()}`;
+        }
+        
+        // Update mode display color
+        const modeElement = document.getElementById('mode');
+        if (modeElement && status !== 'Connected') {
+            modeElement.style.color = statusColors[status] || '#666';
+        }
+    }
+    
+    startConnectionMonitoring() {
+        // Clear any existing interval
+        this.stopConnectionMonitoring();
+        
+        this.heartbeatInterval = setInterval(() => {
+            const now = Date.now();
+            const timeSinceLastHeartbeat = now - this.lastHeartbeat;
+            
+            // If we haven't received a ping in 75 seconds (50s ping interval + 25s buffer)
+            if (timeSinceLastHeartbeat > 75000) {
+                console.log('Connection appears stale, forcing reconnect');
+                this.ws.close(1000, 'Heartbeat timeout');
+            }
+        }, this.connectionCheckInterval);
+    }
+    
+    stopConnectionMonitoring() {
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+    }
+    
+    showTemporaryMessage(message) {
+        const modeElement = document.getElementById('mode');
+        const originalText = modeElement.textContent;
+        const originalColor = modeElement.style.color;
+        
+        // Show temporary message
+        modeElement.textContent = message;
+        modeElement.style.color = '#ff6b35';
+        
+        // Restore original after 2 seconds
+        setTimeout(() => {
+            modeElement.textContent = originalText;
+            modeElement.style.color = originalColor;
+        }, 2000);
+    }
+    
+    generateRandomName() {
+        const adjectives = ['Quick', 'Clever', 'Bright', 'Swift', 'Bold', 'Calm', 'Brave', 'Sharp', 'Smart', 'Cool', 'Fast', 'Wild', 'Strong', 'Wise', 'Silent'];
+        const animals = ['Fox', 'Wolf', 'Eagle', 'Hawk', 'Bear', 'Lion', 'Tiger', 'Owl', 'Deer', 'Cat', 'Falcon', 'Shark', 'Raven', 'Lynx', 'Panther'];
+        const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
+        const animal = animals[Math.floor(Math.random() * animals.length)];
+        return `${adj} ${animal}`;
+    }
+    
+    editUsername() {
+        const newName = prompt('Enter your name:', this.userName);
+        if (newName && newName.trim() && newName.trim() !== this.userName) {
+            this.userName = newName.trim();
+            document.getElementById('username').textContent = `👤 ${this.userName}`;
+            
+            
+            // Send updated name to server (without duplicating in sendUpdate)
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                this.ws.send(JSON.stringify({
+                    type: 'userInfo',
+                    data: {
+                        userId: this.userId,
+                        userName: this.userName
+                    }
+                }));
+            }
+        }
+    }
+    
+    editRoomName() {
+        const currentRoom = this.roomName;
+        const newRoomName = prompt(
+            'Enter room name to join:\n\n' +
+            'Rules:\n' +
+            '• Only letters, numbers, and hyphens (-) allowed\n' +
+            '• Between 3-50 characters\n' +
+            '• Examples: my-room, team-canvas-2024, project-alpha\n\n' +
+            'Current room:', 
+            currentRoom
+        );
+        
+        if (!newRoomName) {
+            return; // User cancelled
+        }
+        
+        const trimmedName = newRoomName.trim();
+        
+        // Check if room name actually changed
+        if (trimmedName === currentRoom) {
+            return; // No change
+        }
+        
+        // Validate room name
+        if (!this.validateRoomName(trimmedName)) {
+            alert(
+                'Invalid room name!\n\n' +
+                'Please use only:\n' +
+                '• Letters (a-z, A-Z)\n' +
+                '• Numbers (0-9)\n' +
+                '• Hyphens (-)\n' +
+                '• Length: 3-50 characters\n\n' +
+                'Examples: my-room, team-canvas-2024, project-alpha'
+            );
+            return;
+        }
+        
+        // Confirm room switch
+        const confirmed = confirm(
+            `Switch to room "${trimmedName}"?\n\n` +
+            `You will leave "${currentRoom}" and join "${trimmedName}".\n` +
+            'Any unsaved work in the current room will remain in that room.'
+        );
+        
+        if (confirmed) {
+            // Update URL hash to trigger room switch
+            window.location.hash = trimmedName;
+        }
+    }
+    
+    async toggleRoomPassword() {
+        // Check if user is readonly and wants to upgrade to admin
+        if (this.userRole === 'readonly') {
+            this.showAdminUpgradeDialog();
+            return;
+        }
+        
+        // Only admin users can change passwords
+        if (this.userRole !== 'admin') {
+            alert('Only administrators can change room passwords.');
+            return;
+        }
+        
+        if (this.isPasswordProtected) {
+            // Room is currently password protected - ask to remove passwords
+            const confirmed = confirm(
+                'Remove password protection from this room?\n\n' +
+                'Anyone will be able to access this room without a password.'
+            );
+            
+            if (confirmed) {
+                await this.setRoomPasswords('', '');
+            }
+        } else {
+            // Room is not password protected - show password setup dialog
+            this.showPasswordSetupPopup();
+        }
+    }
+    
+    showPasswordSetupPopup() {
+        // Hide any existing password popup
+        this.hidePasswordPopup();
+        
+        // Create password popup container
+        const passwordPopup = document.createElement('div');
+        passwordPopup.id = 'passwordPopup';
+        passwordPopup.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 3000;
+        `;
+        
+        const popupContent = document.createElement('div');
+        popupContent.style.cssText = `
+            background: white;
+            border-radius: 8px;
+            padding: 24px;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+            width: 400px;
+            max-width: 90vw;
+            font-family: Arial, sans-serif;
+        `;
+        
+        popupContent.innerHTML = `
+            <h2 style="margin: 0 0 16px 0; color: #333; font-size: 18px;">
+                ${this.isPasswordProtected ? 'Manage Room Passwords' : 'Set Room Passwords'}
+            </h2>
+            
+            <div style="margin-bottom: 16px;">
+                <label style="display: block; margin-bottom: 8px; font-weight: bold; color: #333;">
+                    Admin Password:
+                </label>
+                <input type="password" id="adminPasswordInput" placeholder="Full access + password management" 
+                       style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
+                <div style="font-size: 12px; color: #666; margin-top: 4px;">
+                    Admin users can edit everything and change passwords
+                </div>
+            </div>
+            
+            <div style="margin-bottom: 20px;">
+                <label style="display: block; margin-bottom: 8px; font-weight: bold; color: #333;">
+                    Read-only Password:
+                </label>
+                <input type="password" id="readonlyPasswordInput" placeholder="View-only access" 
+                       style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
+                <div style="font-size: 12px; color: #666; margin-top: 4px;">
+                    Read-only users can view but not edit the canvas
+                </div>
+            </div>
+            
+            <div style="font-size: 12px; color: #666; margin-bottom: 20px; padding: 8px; background: #f8f9fa; border-radius: 4px;">
+                💡 At least one password must be set. Leave empty to skip that password type.
+            </div>
+            
+            <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                <button id="cancelPasswordBtn" style="padding: 8px 16px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer;">
+                    Cancel
+                </button>
+                <button id="savePasswordBtn" style="padding: 8px 16px; border: none; border-radius: 4px; background: #007bff; color: white; cursor: pointer;">
+                    Save Passwords
+                </button>
+            </div>
+        `;
+        
+        passwordPopup.appendChild(popupContent);
+        
+        // Add event listeners
+        const cancelBtn = popupContent.querySelector('#cancelPasswordBtn');
+        const saveBtn = popupContent.querySelector('#savePasswordBtn');
+        const adminInput = popupContent.querySelector('#adminPasswordInput');
+        const readonlyInput = popupContent.querySelector('#readonlyPasswordInput');
+        
+        cancelBtn.addEventListener('click', () => this.hidePasswordPopup());
+        
+        saveBtn.addEventListener('click', () => {
+            const adminPwd = adminInput.value.trim();
+            const readonlyPwd = readonlyInput.value.trim();
+            
+            if (!adminPwd && !readonlyPwd) {
+                alert('At least one password must be set.');
+                return;
+            }
+            
+            this.hidePasswordPopup();
+            this.setRoomPasswords(adminPwd, readonlyPwd);
+        });
+        
+        // Close popup when clicking outside
+        passwordPopup.addEventListener('click', (e) => {
+            if (e.target === passwordPopup) {
+                this.hidePasswordPopup();
+            }
+        });
+        
+        // Handle Enter key
+        const handleEnter = (e) => {
+            if (e.key === 'Enter') {
+                saveBtn.click();
+            }
+        };
+        
+        adminInput.addEventListener('keydown', handleEnter);
+        readonlyInput.addEventListener('keydown', handleEnter);
+        
+        // Add to document and focus first input
+        document.body.appendChild(passwordPopup);
+        adminInput.focus();
+    }
+    
+    hidePasswordPopup() {
+        const popup = document.getElementById('passwordPopup');
+        if (popup) {
+            popup.remove();
+        }
+    }
+    
+    showAdminUpgradeDialog() {
+        // Hide any existing password popup
+        this.hidePasswordPopup();
+        
+        // Create admin upgrade popup
+        const passwordPopup = document.createElement('div');
+        passwordPopup.id = 'passwordPopup';
+        passwordPopup.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 3000;
+        `;
+        
+        const popupContent = document.createElement('div');
+        popupContent.style.cssText = `
+            background: white;
+            border-radius: 8px;
+            padding: 24px;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+            width: 400px;
+            max-width: 90vw;
+            font-family: Arial, sans-serif;
+        `;
+        
+        popupContent.innerHTML = `
+            <h2 style="margin: 0 0 16px 0; color: #333; font-size: 18px;">
+                Upgrade to Admin Access
+            </h2>
+            
+            <div style="margin-bottom: 16px; padding: 12px; background: #fff3cd; border-radius: 4px; border: 1px solid #ffeaa7;">
+                <div style="font-size: 14px; color: #856404; margin-bottom: 8px;">
+                    <strong>Current Access:</strong> Read-only
+                </div>
+                <div style="font-size: 12px; color: #856404;">
+                    Enter the admin password to upgrade to full editing access
+                </div>
+            </div>
+            
+            <div style="margin-bottom: 20px;">
+                <label style="display: block; margin-bottom: 8px; font-weight: bold; color: #333;">
+                    Admin Password:
+                </label>
+                <input type="password" id="adminUpgradeInput" placeholder="Enter admin password" 
+                       style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
+                <div style="font-size: 12px; color: #666; margin-top: 4px;">
+                    Admin access allows full editing and password management
+                </div>
+            </div>
+            
+            <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                <button id="cancelUpgradeBtn" style="padding: 8px 16px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer;">
+                    Cancel
+                </button>
+                <button id="upgradeBtn" style="padding: 8px 16px; border: none; border-radius: 4px; background: #28a745; color: white; cursor: pointer;">
+                    Upgrade Access
+                </button>
+            </div>
+        `;
+        
+        passwordPopup.appendChild(popupContent);
+        
+        // Add event listeners
+        const cancelBtn = popupContent.querySelector('#cancelUpgradeBtn');
+        const upgradeBtn = popupContent.querySelector('#upgradeBtn');
+        const adminInput = popupContent.querySelector('#adminUpgradeInput');
+        
+        cancelBtn.addEventListener('click', () => this.hidePasswordPopup());
+        
+        upgradeBtn.addEventListener('click', () => {
+            const adminPassword = adminInput.value.trim();
+            
+            if (!adminPassword) {
+                alert('Please enter the admin password.');
+                return;
+            }
+            
+            this.hidePasswordPopup();
+            this.upgradeToAdminAccess(adminPassword);
+        });
+        
+        // Close popup when clicking outside
+        passwordPopup.addEventListener('click', (e) => {
+            if (e.target === passwordPopup) {
+                this.hidePasswordPopup();
+            }
+        });
+        
+        // Handle Enter key
+        adminInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                upgradeBtn.click();
+            }
+        });
+        
+        // Add to document and focus input
+        document.body.appendChild(passwordPopup);
+        adminInput.focus();
+    }
+    
+    async upgradeToAdminAccess(adminPassword) {
+        try {
+            // Exchange the password for an admin token
+            const session = await this.loginToRoom(this.roomName, adminPassword);
+            if (!session || session.role !== 'admin') {
+                alert('Incorrect admin password.');
+                return;
+            }
+            
+            // Close current WebSocket connection
+            if (this.ws) {
+                this.ws.close();
+            }
+            
+            // Store the admin token
+            localStorage.setItem(`room_token_${this.roomName}`, session.token);
+            
+            // Reconnect with admin password - setupWebSocket will automatically call joinRoomWithPassword
+            this.setupWebSocket();
+            
+            // Show success message
+            this.showTemporaryMessage('Access upgraded to Admin!', 'success');
+            
+        } catch (error) {
+            console.error('Error upgrading to admin access:', error);
+            alert('Failed to upgrade access. Please try again.');
+        }
+    }
+    
+    async setRoomPasswords(adminPassword, readonlyPassword) {
+        try {
+            const response = await fetch(`/api/room/${this.roomName}/password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getRoomAuthHeaders()
+                },
+                body: JSON.stringify({ 
+                    adminPassword: adminPassword,
+                    readonlyPassword: readonlyPassword 
+                })
+            });
+            
+            if (response.ok) {
+                const result = await response.json();
+                this.isPasswordProtected = result.isPasswordProtected;
+                this.updateLockIcon();
                 
-            case 'updateLayer':
-                // Another user updated a layer
-                const updateLayerIndex = this.layers.findIndex(l => l.id === data.id);
-                if (updateLayerIndex !== -1) {
-                    this.layers[updateLayerIndex] = { ...this.layers[updateLayerIndex], ...data };
-                    
-                    // Clear selections if layer is now hidden or locked
-                    if (!data.visible || data.locked) {
-                        this.deselectElementsInLayer(data.id);
-                    }
-                    
-                    this.updateLayerUI();
-                    this.render();
-                    console.log(`${data.userName} updated layer:`, data.name);
+                // Changing the passwords invalidates old tokens; keep the fresh one for this room
+                if (result.token) {
+                    localStorage.setItem(`room_token_${this.roomName}`, result.token);
+                } else {
+                    localStorage.removeItem(`room_token_${this.roomName}`);
                 }
-                break;
                 
-            case 'roomPasswordChanged':
-                // Another user changed the room password protection
-                this.isPasswordProtected = data.isPasswordProtected;
-                this.updateLockIcon();
-                const passwordStatus = data.isPasswordProtected ? 'enabled' : 'disabled';
-                this.showTemporaryMessage(`Room password protection ${passwordStatus} by another user`);
-                break;
+                // Send update to other users
+                this.sendUpdate('roomPasswordChanged', {
+                    isPasswordProtected: this.isPasswordProtected
+                });
                 
-            case 'camera':
-                // Another user changed camera view (optional - could be disabled for privacy)
-                // this.camera = data;
-                // this.render();
-                break;
+                const message = this.isPasswordProtected ? 
+                    'Password protection enabled for this room.' : 
+                    'Password protection removed from this room.';
+                alert(message);
+            } else {
+                const error = await response.json();
+                alert('Failed to update room passwords: ' + error.error);
+            }
+        } catch (error) {
+            console.error('Error setting room passwords:', error);
+            alert('Failed to update room passwords. Please try again.');
         }
     }
     
-    sendUpdate(type, data) {
-        const update = { 
-            type, 
-            data: {
-                ...data,
-                userId: this.userId,
-                userName: this.userName
+    // Get a room token: the stored one, or log in with a password from the user.
+    // Returns null if the user cancels.
+    async getRoomToken(roomName) {
+        // Older versions kept the raw password here
+        localStorage.removeItem(`room_password_${roomName}`);
+        
+        const storedToken = localStorage.getItem(`room_token_${roomName}`);
+        if (storedToken) {
+            return storedToken;
+        }
+        
+        while (true) {
+            const password = this.promptForRoomPassword(roomName);
+            if (password === null) return null;
+            
+            const session = await this.loginToRoom(roomName, password);
+            if (session) {
+                localStorage.setItem(`room_token_${roomName}`, session.token);
+                return session.token;
+            }
+            alert('Incorrect password. Please try again.');
+        }
+    }
+    
+    promptForRoomPassword(roomName) {
+        // Prompt user for password
+        const password = prompt(
+            `Room "${roomName}" is password protected.\n\n` +
+            'Enter the password to access this room:'
+        );
+        
+        return password;
+    }
+    
+    // Exchange a password for a signed room token ({ token, role, expiresAt }), or null if it's wrong
+    async loginToRoom(roomName, password) {
+        const response = await fetch(`/api/room/${roomName}/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ password })
+        });
+        
+        if (response.status === 401) return null;
+        if (!response.ok) {
+            throw new Error('Failed to log in to room');
+        }
+        return response.json();
+    }
+    
+    // Authorization header for room REST calls (empty for rooms we hold no token for)
+    getRoomAuthHeaders() {
+        const token = localStorage.getItem(`room_token_${this.roomName}`);
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+    
+    updateLockIcon() {
+        const lockIcon = document.getElementById('lockIcon');
+        if (this.isPasswordProtected) {
+            lockIcon.textContent = '🔒';
+            lockIcon.className = 'lock-icon locked';
+            lockIcon.title = 'Room is password protected - click to manage passwords';
+        } else {
+            lockIcon.textContent = '🔓';
+            lockIcon.className = 'lock-icon unlocked';
+            lockIcon.title = 'Room is not protected - click to set passwords';
+        }
+    }
+    
+    updateUserRoleDisplay() {
+        const userRoleElement = document.getElementById('userRole');
+        if (userRoleElement) {
+            if (this.userRole === 'readonly') {
+                userRoleElement.textContent = '👁️ Read-only';
+                userRoleElement.className = 'user-role readonly';
+                userRoleElement.title = 'You have read-only access to this room';
+            } else {
+                userRoleElement.textContent = '✏️ Admin';
+                userRoleElement.className = 'user-role admin';
+                userRoleElement.title = 'You have full access to this room';
+            }
+        }
+        
+        // Update UI elements based on user role
+        this.updateUIForUserRole();
+    }
+    
+    canUserWrite() {
+        return this.userRole === 'admin';
+    }
+    
+    showReadOnlyError() {
+        alert('You have read-only access to this room. Only administrators can make changes.');
+    }
+    
+    updateUIForUserRole() {
+        const readonlyElements = [
+            'squareBtn', 'circleBtn', 'triangleBtn', 'textBtn', 'starBtn',
+            'clearBtn', 'uploadBtn', 'addLayerBtn', 'deleteLayerBtn',
+            'saveViewBtn', 'lockIcon'
+        ];
+        
+        readonlyElements.forEach(elementId => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                if (this.userRole === 'readonly') {
+                    element.disabled = true;
+                    element.style.opacity = '0.5';
+                    element.style.cursor = 'not-allowed';
+                    element.title = 'Read-only access - cannot edit';
+                } else {
+                    element.disabled = false;
+                    element.style.opacity = '';
+                    element.style.cursor = '';
+                    element.title = element.getAttribute('data-original-title') || '';
+                }
+            }
+        });
+    }
+    
+    async joinRoomWithPassword() {
+        try {
+            this.isJoiningRoom = true;
+            
+            // First, check if the room requires a password
+            const checkResponse = await fetch(`/api/room/${this.roomName}/check`);
+            const checkData = await checkResponse.json();
+            
+            let token = null;
+            if (checkData.requiresPassword) {
+                token = await this.getRoomToken(this.roomName);
+                if (token === null) {
+                    // User cancelled password prompt
+                    alert('Access cancelled. You will be redirected to a new room.');
+                    window.location.hash = '';
+                    window.location.reload();
+                    return;
+                }
+            }
+            
+            // Send join room request with the room token if needed
+            this.ws.send(JSON.stringify({
+                type: 'joinRoom',
+                data: {
+                    roomName: this.roomName,
+                    token: token,
+                    sinceVersion: this.roomVersion,
+                    encodings: [CanvasWire.ENCODING]
+                }
+            }));
+            
+        } catch (error) {
+            console.error('Error joining room:', error);
+            this.isJoiningRoom = false;
+            alert('Failed to join room. Please try again.');
+        }
+    }
+    
+    throttledSendCursor(e) {
+        const now = Date.now();
+        if (now - this.lastMouseUpdate < 50) return; // Throttle to 20fps
+        
+        this.lastMouseUpdate = now;
+        this.updateMousePosition(e);
+        
+        this.sendUpdate('cursor', {
+            x: this.mouse.x,
+            y: this.mouse.y,
+            worldX: this.mouse.worldX,
+            worldY: this.mouse.worldY,
+            action: this.getCurrentAction()
+        });
+    }
+    
+    getCurrentAction() {
+        if (this.isSizing) return `sizing ${this.selectedShape}`;
+        if (this.isPlacing) return `placing ${this.selectedShape}`;
+        if (this.isResizing) return 'resizing';
+        if (this.isRotating) return 'rotating';
+        if (this.mouse.isDragging && this.selectedElement) return 'moving';
+        if (this.mouse.isDragging) return 'panning';
+        return 'idle';
+    }
+    
+    updateOtherUserCursor(data) {
+        if (data.userId === this.userId) return; // Don't show own cursor
+        
+        this.otherUsers.set(data.userId, {
+            userName: data.userName,
+            x: data.x,
+            y: data.y,
+            worldX: data.worldX,
+            worldY: data.worldY,
+            action: data.action,
+            lastUpdate: Date.now(),
+            color: this.getUserColor(data.userId)
+        });
+        
+        // Remove old cursor positions
+        setTimeout(() => {
+            const user = this.otherUsers.get(data.userId);
+            if (user && Date.now() - user.lastUpdate > 3000) {
+                this.otherUsers.delete(data.userId);
+                this.render();
             }
+        }, 3000);
+    }
+    
+    getUserColor(userId) {
+        const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FECA57', '#FF9FF3', '#54A0FF', '#5F27CD', '#00D2D3', '#FF9F43'];
+        const hash = userId.split('').reduce((a, b) => {
+            a = ((a << 5) - a) + b.charCodeAt(0);
+            return a & a;
+        }, 0);
+        return colors[Math.abs(hash) % colors.length];
+    }
+    
+    drawOtherUsersCursors() {
+        this.otherUsers.forEach((user, userId) => {
+            this.drawUserCursor(user);
+        });
+    }
+    
+    // Comments
+    
+    getCommentThread(threadId) {
+        return this.comments.find(thread => thread.id === threadId) || null;
+    }
+    
+    // Where a thread's pin goes: its element's top-right corner, or the point it was left at.
+    // The element's position is remembered so the pin stays put if the element is deleted.
+    getCommentAnchor(thread) {
+        const element = thread.elementId !== null ? this.getElementById(thread.elementId) : null;
+        if (element) {
+            thread.x = element.x + element.width / 2;
+            thread.y = element.y - element.height / 2;
+        }
+        return { x: thread.x, y: thread.y };
+    }
+    
+    getVisibleCommentThreads() {
+        return this.comments.filter(thread => !thread.resolved || this.showResolvedComments);
+    }
+    
+    // Keep our copy of the threads in step with a comment message (ours or from the server)
+    applyCommentUpdate(type, data) {
+        const comment = {
+            id: data.id,
+            text: data.text,
+            mentions: data.mentions || [],
+            authorId: data.userId || null,
+            authorName: data.userName || 'Anonymous',
+            createdAt: data.createdAt || new Date().toISOString()
         };
         
-        if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
-            try {
-                this.ws.send(JSON.stringify(update));
-            } catch (error) {
-                console.error('Error sending update:', error);
-                this.pendingUpdates.push(update);
+        switch (type) {
+            case 'addComment':
+                if (this.getCommentThread(data.id)) return false;
+                this.comments.push({
+                    id: data.id,
+                    elementId: data.elementId ?? null,
+                    x: data.x,
+                    y: data.y,
+                    resolved: false,
+                    resolvedBy: null,
+                    createdAt: comment.createdAt,
+                    comments: [comment]
+                });
+                return true;
+            case 'replyComment': {
+                const thread = this.getCommentThread(data.threadId);
+                if (!thread || thread.comments.some(c => c.id === data.id)) return false;
+                thread.comments.push(comment);
+                return true;
             }
-        } else {
-            // Store update for when connection is restored
-            if (this.pendingUpdates.length < 100) { // Prevent memory issues
-                this.pendingUpdates.push(update);
+            case 'resolveComment': {
+                const thread = this.getCommentThread(data.threadId);
+                if (!thread) return false;
+                thread.resolved = data.resolved;
+                thread.resolvedBy = data.resolved ? (data.userName || 'Anonymous') : null;
+                return true;
             }
+            case 'deleteComment':
+                if (!this.getCommentThread(data.threadId)) return false;
+                this.comments = this.comments.filter(thread => thread.id !== data.threadId);
+                return true;
         }
+        return false;
     }
     
-    updateConnectionStatus(status) {
-        const statusColors = {
-            'Connected': '#28a745',
-            'Disconnected': '#dc3545',
-            'Error': '#ffc107',
-            'Failed': '#dc3545'
-        };
+    handleCommentMessage(type, data) {
+        if (!this.applyCommentUpdate(type, data)) return;
         
-        const statusElement = document.getElementById('connectionStatus');
-        if (statusElement) {
-            statusElement.textContent = status;
-            statusElement.style.color = statusColors[status] || '#666';
-            statusElement.className = `connection-status ${status.toLowerCase()}`;
+        // Let people know when someone mentions them
+        const mentionsMe = (data.mentions || []).some(mention => mention.userId === this.userId);
+        if (mentionsMe && data.userId !== this.userId) {
+            this.showTemporaryMessage(`💬 ${data.userName || 'Someone'} mentioned you in a comment`);
         }
         
-        // Update mode display color
-        const modeElement = document.getElementById('mode');
-        if (modeElement && status !== 'Connected') {
-            modeElement.style.color = statusColors[status] || '#666';
+        if (this.activeComment && this.activeComment.threadId === (data.threadId || data.id)) {
+            if (type === 'deleteComment') {
+                this.closeCommentPopup();
+            } else {
+                this.showCommentPopup();
+            }
         }
+        this.updateCommentList();
+        this.render();
     }
     
-    startConnectionMonitoring() {
-        // Clear any existing interval
-        this.stopConnectionMonitoring();
+    toggleCommentTool() {
+        if (this.isCommenting) {
+            this.stopCommentTool();
+            return;
+        }
         
-        this.heartbeatInterval = setInterval(() => {
-            const now = Date.now();
-            const timeSinceLastHeartbeat = now - this.lastHeartbeat;
-            
-            // If we haven't received a ping in 75 seconds (50s ping interval + 25s buffer)
-            if (timeSinceLastHeartbeat > 75000) {
-                console.log('Connection appears stale, forcing reconnect');
-                this.ws.close(1000, 'Heartbeat timeout');
-            }
-        }, this.connectionCheckInterval);
+        this.exitPlacementMode();
+        this.isCommenting = true;
+        this.canvas.className = 'placing';
+        document.getElementById('commentToolBtn').classList.add('active');
+        document.getElementById('mode').textContent = 'Click an element or anywhere on the board to comment (click 💬 again to exit)';
     }
     
-    stopConnectionMonitoring() {
-        if (this.heartbeatInterval) {
-            clearInterval(this.heartbeatInterval);
-            this.heartbeatInterval = null;
-        }
+    stopCommentTool() {
+        if (!this.isCommenting) return;
+        
+        this.isCommenting = false;
+        this.canvas.className = '';
+        document.getElementById('commentToolBtn').classList.remove('active');
+        document.getElementById('mode').textContent = 'Select a shape or click existing shapes to edit';
     }
     
-    showTemporaryMessage(message) {
-        const modeElement = document.getElementById('mode');
-        const originalText = modeElement.textContent;
-        const originalColor = modeElement.style.color;
-        
-        // Show temporary message
-        modeElement.textContent = message;
-        modeElement.style.color = '#ff6b35';
-        
-        // Restore original after 2 seconds
-        setTimeout(() => {
-            modeElement.textContent = originalText;
-            modeElement.style.color = originalColor;
-        }, 2000);
+    // Open an empty thread pinned to the element under the point, or to the point itself
+    startNewComment(worldX, worldY) {
+        const element = this.getElementAtPosition(worldX, worldY);
+        this.activeComment = {
+            threadId: null,
+            elementId: element ? element.id : null,
+            x: element ? element.x + element.width / 2 : worldX,
+            y: element ? element.y - element.height / 2 : worldY
+        };
+        this.stopCommentTool();
+        this.showCommentPopup();
+        this.render();
     }
     
-    generateRandomName() {
-        const adjectives = ['Quick', 'Clever', 'Bright', 'Swift', 'Bold', 'Calm', 'Brave', 'Sharp', 'Smart', 'Cool', 'Fast', 'Wild', 'Strong', 'Wise', 'Silent'];
-        const animals = ['Fox', 'Wolf', 'Eagle', 'Hawk', 'Bear', 'Lion', 'Tiger', 'Owl', 'Deer', 'Cat', 'Falcon', 'Shark', 'Raven', 'Lynx', 'Panther'];
-        const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
-        const animal = animals[Math.floor(Math.random() * animals.length)];
-        return `${adj} ${animal}`;
+    openCommentThread(threadId) {
+        if (!this.getCommentThread(threadId)) return;
+        this.activeComment = { threadId };
+        this.showCommentPopup();
+        this.render();
     }
     
-    editUsername() {
-        const newName = prompt('Enter your name:', this.userName);
-        if (newName && newName.trim() && newName.trim() !== this.userName) {
-            this.userName = newName.trim();
-            document.getElementById('username').textContent = `👤 ${this.userName}`;
-            
-            
-            // Send updated name to server (without duplicating in sendUpdate)
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-                this.ws.send(JSON.stringify({
-                    type: 'userInfo',
-                    data: {
-                        userId: this.userId,
-                        userName: this.userName
-                    }
-                }));
-            }
-        }
+    // Glide to a thread and open it
+    focusCommentThread(threadId) {
+        const thread = this.getCommentThread(threadId);
+        if (!thread) return;
+        
+        const anchor = this.getCommentAnchor(thread);
+        const element = thread.elementId !== null ? this.getElementById(thread.elementId) : null;
+        const rect = element ?
+            { x: element.x, y: element.y, width: Math.max(element.width * 2, 600), height: Math.max(element.height * 2, 400) } :
+            { x: anchor.x, y: anchor.y, width: 600, height: 400 };
+        this.animateCameraTo(this.getCameraForRect(rect));
+        this.openCommentThread(threadId);
     }
     
-    editRoomName() {
-        const currentRoom = this.roomName;
-        const newRoomName = prompt(
-            'Enter room name to join:\n\n' +
-            'Rules:\n' +
-            '• Only letters, numbers, and hyphens (-) allowed\n' +
-            '• Between 3-50 characters\n' +
-            '• Examples: my-room, team-canvas-2024, project-alpha\n\n' +
-            'Current room:', 
-            currentRoom
-        );
+    closeCommentPopup() {
+        this.activeComment = null;
+        document.getElementById('commentPopup').style.display = 'none';
+        document.getElementById('commentMentions').style.display = 'none';
+        this.render();
+    }
+    
+    // Fill the popup for the active thread (or a new one) and show it
+    showCommentPopup() {
+        const popup = document.getElementById('commentPopup');
+        const thread = this.activeComment.threadId ? this.getCommentThread(this.activeComment.threadId) : null;
         
-        if (!newRoomName) {
-            return; // User cancelled
-        }
+        document.getElementById('commentPopupTitle').textContent = thread ?
+            (thread.resolved ? `Resolved${thread.resolvedBy ? ' by ' + thread.resolvedBy : ''}` : 'Comment') :
+            'New comment';
         
-        const trimmedName = newRoomName.trim();
+        const resolveButton = document.getElementById('commentResolveBtn');
+        resolveButton.style.display = thread ? '' : 'none';
+        resolveButton.textContent = thread && thread.resolved ? 'Reopen' : '✓ Resolve';
+        document.getElementById('commentDeleteBtn').style.display = thread && this.canUserWrite() ? '' : 'none';
+        document.getElementById('commentSendBtn').textContent = thread ? 'Reply' : 'Comment';
         
-        // Check if room name actually changed
-        if (trimmedName === currentRoom) {
-            return; // No change
+        const messages = document.getElementById('commentMessages');
+        messages.innerHTML = '';
+        if (thread) {
+            thread.comments.forEach(comment => messages.appendChild(this.createCommentElement(comment)));
         }
+        messages.style.display = thread ? 'block' : 'none';
         
-        // Validate room name
-        if (!this.validateRoomName(trimmedName)) {
-            alert(
-                'Invalid room name!\n\n' +
-                'Please use only:\n' +
-                '• Letters (a-z, A-Z)\n' +
-                '• Numbers (0-9)\n' +
-                '• Hyphens (-)\n' +
-                '• Length: 3-50 characters\n\n' +
-                'Examples: my-room, team-canvas-2024, project-alpha'
-            );
-            return;
-        }
+        popup.style.display = 'flex';
+        this.positionCommentPopup();
+        messages.scrollTop = messages.scrollHeight;
+        document.getElementById('commentInput').focus();
+    }
+    
+    createCommentElement(comment) {
+        const item = document.createElement('div');
+        item.className = 'comment-message';
         
-        // Confirm room switch
-        const confirmed = confirm(
-            `Switch to room "${trimmedName}"?\n\n` +
-            `You will leave "${currentRoom}" and join "${trimmedName}".\n` +
-            'Any unsaved work in the current room will remain in that room.'
-        );
+        const header = document.createElement('div');
+        header.className = 'comment-meta';
+        const author = document.createElement('strong');
+        author.textContent = comment.authorName;
+        const time = document.createElement('span');
+        time.textContent = new Date(comment.createdAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        header.appendChild(author);
+        header.appendChild(time);
+        
+        // Mentions stand out, and more so when they are of us
+        const body = document.createElement('div');
+        body.className = 'comment-text';
+        const escape = name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const names = comment.mentions.map(mention => mention.userName).sort((a, b) => b.length - a.length);
+        const pattern = names.length > 0 ? new RegExp(`(@(?:${names.map(escape).join('|')}))`) : null;
+        (pattern ? comment.text.split(pattern) : [comment.text]).forEach((part, index) => {
+            if (index % 2 === 1) {
+                const mention = document.createElement('span');
+                const mentioned = comment.mentions.find(m => '@' + m.userName === part);
+                mention.className = 'comment-mention' + (mentioned && mentioned.userId === this.userId ? ' me' : '');
+                mention.textContent = part;
+                body.appendChild(mention);
+            } else if (part) {
+                body.appendChild(document.createTextNode(part));
+            }
+        });
         
-        if (confirmed) {
-            // Update URL hash to trigger room switch
-            window.location.hash = trimmedName;
-        }
+        item.appendChild(header);
+        item.appendChild(body);
+        return item;
     }
     
-    async toggleRoomPassword() {
-        // Check if user is readonly and wants to upgrade to admin
-        if (this.userRole === 'readonly') {
-            this.showAdminUpgradeDialog();
-            return;
-        }
+    // Keep the popup next to its pin as the camera moves
+    positionCommentPopup() {
+        if (!this.activeComment) return;
         
-        // Only admin users can change passwords
-        if (this.userRole !== 'admin') {
-            alert('Only administrators can change room passwords.');
-            return;
-        }
+        const popup = document.getElementById('commentPopup');
+        const thread = this.activeComment.threadId ? this.getCommentThread(this.activeComment.threadId) : null;
+        const anchor = thread ? this.getCommentAnchor(thread) : this.activeComment;
+        const screen = this.worldToScreen(anchor.x, anchor.y);
         
-        if (this.isPasswordProtected) {
-            // Room is currently password protected - ask to remove passwords
-            const confirmed = confirm(
-                'Remove password protection from this room?\n\n' +
-                'Anyone will be able to access this room without a password.'
-            );
-            
-            if (confirmed) {
-                await this.setRoomPasswords('', '');
-            }
-        } else {
-            // Room is not password protected - show password setup dialog
-            this.showPasswordSetupPopup();
-        }
+        const width = popup.offsetWidth || 300;
+        const height = popup.offsetHeight || 200;
+        const left = Math.max(10, Math.min(window.innerWidth - width - 10, screen.x + 24));
+        const top = Math.max(10, Math.min(window.innerHeight - height - 10, screen.y - 30));
+        popup.style.left = `${left}px`;
+        popup.style.top = `${top}px`;
     }
     
-    showPasswordSetupPopup() {
-        // Hide any existing password popup
-        this.hidePasswordPopup();
+    submitComment() {
+        const input = document.getElementById('commentInput');
+        const text = input.value.trim().slice(0, 2000);
+        if (!text || !this.activeComment) return;
         
-        // Create password popup container
-        const passwordPopup = document.createElement('div');
-        passwordPopup.id = 'passwordPopup';
-        passwordPopup.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.5);
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            z-index: 3000;
-        `;
+        const id = 'comment_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+        const mentions = this.findMentions(text);
+        const sender = { userId: this.userId, userName: this.userName };
         
-        const popupContent = document.createElement('div');
-        popupContent.style.cssText = `
-            background: white;
-            border-radius: 8px;
-            padding: 24px;
-            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
-            width: 400px;
-            max-width: 90vw;
-            font-family: Arial, sans-serif;
-        `;
+        if (this.activeComment.threadId) {
+            const data = { threadId: this.activeComment.threadId, id, text, mentions };
+            this.applyCommentUpdate('replyComment', { ...data, ...sender });
+            this.sendUpdate('replyComment', data);
+        } else {
+            const data = { id, x: this.activeComment.x, y: this.activeComment.y, text, mentions };
+            if (this.activeComment.elementId !== null) {
+                data.elementId = this.activeComment.elementId;
+            }
+            this.applyCommentUpdate('addComment', { ...data, ...sender });
+            this.sendUpdate('addComment', data);
+            this.activeComment = { threadId: id };
+        }
         
-        popupContent.innerHTML = `
-            <h2 style="margin: 0 0 16px 0; color: #333; font-size: 18px;">
-                ${this.isPasswordProtected ? 'Manage Room Passwords' : 'Set Room Passwords'}
-            </h2>
-            
-            <div style="margin-bottom: 16px;">
-                <label style="display: block; margin-bottom: 8px; font-weight: bold; color: #333;">
-                    Admin Password:
-                </label>
-                <input type="password" id="adminPasswordInput" placeholder="Full access + password management" 
-                       style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
-                <div style="font-size: 12px; color: #666; margin-top: 4px;">
-                    Admin users can edit everything and change passwords
-                </div>
-            </div>
-            
-            <div style="margin-bottom: 20px;">
-                <label style="display: block; margin-bottom: 8px; font-weight: bold; color: #333;">
-                    Read-only Password:
-                </label>
-                <input type="password" id="readonlyPasswordInput" placeholder="View-only access" 
-                       style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
-                <div style="font-size: 12px; color: #666; margin-top: 4px;">
-                    Read-only users can view but not edit the canvas
-                </div>
-            </div>
-            
-            <div style="font-size: 12px; color: #666; margin-bottom: 20px; padding: 8px; background: #f8f9fa; border-radius: 4px;">
-                💡 At least one password must be set. Leave empty to skip that password type.
-            </div>
-            
-            <div style="display: flex; gap: 12px; justify-content: flex-end;">
-                <button id="cancelPasswordBtn" style="padding: 8px 16px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer;">
-                    Cancel
-                </button>
-                <button id="savePasswordBtn" style="padding: 8px 16px; border: none; border-radius: 4px; background: #007bff; color: white; cursor: pointer;">
-                    Save Passwords
-                </button>
-            </div>
-        `;
+        input.value = '';
+        document.getElementById('commentMentions').style.display = 'none';
+        this.showCommentPopup();
+        this.updateCommentList();
+        this.render();
+    }
+    
+    toggleActiveCommentResolved() {
+        const thread = this.activeComment && this.getCommentThread(this.activeComment.threadId);
+        if (!thread) return;
         
-        passwordPopup.appendChild(popupContent);
+        const data = { threadId: thread.id, resolved: !thread.resolved };
+        this.applyCommentUpdate('resolveComment', { ...data, userName: this.userName });
+        this.sendUpdate('resolveComment', data);
         
-        // Add event listeners
-        const cancelBtn = popupContent.querySelector('#cancelPasswordBtn');
-        const saveBtn = popupContent.querySelector('#savePasswordBtn');
-        const adminInput = popupContent.querySelector('#adminPasswordInput');
-        const readonlyInput = popupContent.querySelector('#readonlyPasswordInput');
+        // Resolved threads drop off the board unless they're being shown
+        if (thread.resolved && !this.showResolvedComments) {
+            this.closeCommentPopup();
+        } else {
+            this.showCommentPopup();
+        }
+        this.updateCommentList();
+        this.render();
+    }
+    
+    deleteActiveCommentThread() {
+        const thread = this.activeComment && this.getCommentThread(this.activeComment.threadId);
+        if (!thread) return;
+        if (!this.canUserWrite()) {
+            this.showReadOnlyError();
+            return;
+        }
+        if (!confirm(`Delete this thread and its ${thread.comments.length} comment(s)?`)) return;
         
-        cancelBtn.addEventListener('click', () => this.hidePasswordPopup());
+        this.applyCommentUpdate('deleteComment', { threadId: thread.id });
+        this.sendUpdate('deleteComment', { threadId: thread.id });
+        this.closeCommentPopup();
+        this.updateCommentList();
+    }
+    
+    // People who can be @mentioned: ourselves and everyone we've seen in the room
+    getMentionCandidates() {
+        const candidates = [{ userId: this.userId, userName: this.userName }];
+        this.collaborators.forEach((user, userId) => {
+            candidates.push({ userId, userName: user.userName });
+        });
+        return candidates;
+    }
+    
+    // @Name for anyone in the room, longest names first so "@Ann Lee" wins over "@Ann"
+    findMentions(text) {
+        const mentions = [];
+        let remaining = text;
+        this.getMentionCandidates()
+            .sort((a, b) => b.userName.length - a.userName.length)
+            .forEach(candidate => {
+                const tag = '@' + candidate.userName;
+                if (remaining.includes(tag)) {
+                    mentions.push(candidate);
+                    remaining = remaining.split(tag).join('');
+                }
+            });
+        return mentions.slice(0, 50);
+    }
+    
+    // Suggest names while an @mention is being typed
+    updateMentionSuggestions() {
+        const input = document.getElementById('commentInput');
+        const suggestions = document.getElementById('commentMentions');
+        const match = input.value.slice(0, input.selectionStart).match(/@([^\s@]*)$/);
+        
+        const query = match ? match[1].toLowerCase() : null;
+        const candidates = query === null ? [] : this.getMentionCandidates()
+            .filter(candidate => candidate.userName.toLowerCase().startsWith(query))
+            .slice(0, 5);
+        
+        suggestions.innerHTML = '';
+        suggestions.style.display = candidates.length > 0 ? 'block' : 'none';
+        candidates.forEach(candidate => {
+            const option = document.createElement('button');
+            option.className = 'comment-mention-option';
+            option.textContent = '@' + candidate.userName;
+            option.addEventListener('mousedown', (e) => {
+                // Keep the focus in the text box
+                e.preventDefault();
+                const start = input.selectionStart - match[0].length;
+                input.value = input.value.slice(0, start) + `@${candidate.userName} ` + input.value.slice(input.selectionStart);
+                input.selectionStart = input.selectionEnd = start + candidate.userName.length + 2;
+                suggestions.style.display = 'none';
+            });
+            suggestions.appendChild(option);
+        });
+    }
+    
+    // Speech-bubble pins for threads, drawn over the elements
+    drawCommentPins() {
+        this.commentPins = [];
+        if (this.presentation) return;
+        const radius = 11;
         
-        saveBtn.addEventListener('click', () => {
-            const adminPwd = adminInput.value.trim();
-            const readonlyPwd = readonlyInput.value.trim();
+        this.getVisibleCommentThreads().forEach(thread => {
+            const anchor = this.getCommentAnchor(thread);
+            const tip = this.worldToScreen(anchor.x, anchor.y);
+            const x = tip.x + radius;
+            const y = tip.y - radius - 6;
+            if (x < -radius || y < -radius || x > this.canvas.width + radius || y > this.canvas.height + radius) return;
             
-            if (!adminPwd && !readonlyPwd) {
-                alert('At least one password must be set.');
-                return;
-            }
+            const isActive = this.activeComment && this.activeComment.threadId === thread.id;
+            const mentionsMe = thread.comments.some(comment => comment.mentions.some(mention => mention.userId === this.userId));
             
-            this.hidePasswordPopup();
-            this.setRoomPasswords(adminPwd, readonlyPwd);
-        });
-        
-        // Close popup when clicking outside
-        passwordPopup.addEventListener('click', (e) => {
-            if (e.target === passwordPopup) {
-                this.hidePasswordPopup();
-            }
+            this.ctx.save();
+            this.ctx.fillStyle = thread.resolved ? '#adb5bd' : (mentionsMe ? '#fd7e14' : '#ffc107');
+            this.ctx.strokeStyle = isActive ? '#007bff' : '#fff';
+            this.ctx.lineWidth = isActive ? 3 : 2;
+            this.ctx.shadowColor = 'rgba(0, 0, 0, 0.25)';
+            this.ctx.shadowBlur = 4;
+            
+            // Bubble with its tail on the anchor point
+            this.ctx.beginPath();
+            this.ctx.moveTo(tip.x, tip.y);
+            this.ctx.lineTo(x - radius * 0.2, y + radius * 0.8);
+            this.ctx.arc(x, y, radius, Math.PI * 0.6, Math.PI * 0.4 + Math.PI * 2);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.shadowBlur = 0;
+            this.ctx.stroke();
+            
+            this.ctx.fillStyle = '#333';
+            this.ctx.font = 'bold 11px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(thread.comments.length > 9 ? '9+' : String(thread.comments.length), x, y + 1);
+            this.ctx.restore();
+            
+            this.commentPins.push({ threadId: thread.id, x, y, radius });
         });
         
-        // Handle Enter key
-        const handleEnter = (e) => {
-            if (e.key === 'Enter') {
-                saveBtn.click();
-            }
-        };
-        
-        adminInput.addEventListener('keydown', handleEnter);
-        readonlyInput.addEventListener('keydown', handleEnter);
+        // The new comment being written gets a pin too
+        if (this.activeComment && !this.activeComment.threadId) {
+            const tip = this.worldToScreen(this.activeComment.x, this.activeComment.y);
+            this.ctx.save();
+            this.ctx.fillStyle = '#007bff';
+            this.ctx.beginPath();
+            this.ctx.moveTo(tip.x, tip.y);
+            this.ctx.arc(tip.x + radius, tip.y - radius - 6, radius, Math.PI * 0.6, Math.PI * 0.4 + Math.PI * 2);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.restore();
+        }
         
-        // Add to document and focus first input
-        document.body.appendChild(passwordPopup);
-        adminInput.focus();
+        this.positionCommentPopup();
     }
     
-    hidePasswordPopup() {
-        const popup = document.getElementById('passwordPopup');
-        if (popup) {
-            popup.remove();
+    // The thread whose pin is under a screen point (topmost first)
+    getCommentPinAt(screenX, screenY) {
+        for (let i = this.commentPins.length - 1; i >= 0; i--) {
+            const pin = this.commentPins[i];
+            if (Math.hypot(screenX - pin.x, screenY - pin.y) <= pin.radius + 3) {
+                return pin.threadId;
+            }
         }
+        return null;
     }
     
-    showAdminUpgradeDialog() {
-        // Hide any existing password popup
-        this.hidePasswordPopup();
+    // Side panel list of threads, newest first
+    updateCommentList() {
+        const commentsList = document.getElementById('commentsList');
+        if (!commentsList) return;
         
-        // Create admin upgrade popup
-        const passwordPopup = document.createElement('div');
-        passwordPopup.id = 'passwordPopup';
-        passwordPopup.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.5);
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            z-index: 3000;
-        `;
+        const threads = this.getVisibleCommentThreads()
+            .slice()
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
         
-        const popupContent = document.createElement('div');
-        popupContent.style.cssText = `
-            background: white;
-            border-radius: 8px;
-            padding: 24px;
-            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
-            width: 400px;
-            max-width: 90vw;
-            font-family: Arial, sans-serif;
-        `;
+        commentsList.innerHTML = '';
+        if (threads.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'frames-empty';
+            empty.textContent = this.comments.length > 0 ? 'No open comments.' : 'No comments yet. Use the 💬 tool to add one.';
+            commentsList.appendChild(empty);
+            return;
+        }
         
-        popupContent.innerHTML = `
-            <h2 style="margin: 0 0 16px 0; color: #333; font-size: 18px;">
-                Upgrade to Admin Access
-            </h2>
+        threads.forEach(thread => {
+            const first = thread.comments[0];
+            const item = document.createElement('div');
+            item.className = 'comment-item' + (thread.resolved ? ' resolved' : '');
+            item.title = 'Click to go to this comment';
+            item.addEventListener('click', () => this.focusCommentThread(thread.id));
             
-            <div style="margin-bottom: 16px; padding: 12px; background: #fff3cd; border-radius: 4px; border: 1px solid #ffeaa7;">
-                <div style="font-size: 14px; color: #856404; margin-bottom: 8px;">
-                    <strong>Current Access:</strong> Read-only
-                </div>
-                <div style="font-size: 12px; color: #856404;">
-                    Enter the admin password to upgrade to full editing access
-                </div>
-            </div>
+            const text = document.createElement('div');
+            text.className = 'comment-item-text';
+            text.textContent = first ? first.text : '';
             
-            <div style="margin-bottom: 20px;">
-                <label style="display: block; margin-bottom: 8px; font-weight: bold; color: #333;">
-                    Admin Password:
-                </label>
-                <input type="password" id="adminUpgradeInput" placeholder="Enter admin password" 
-                       style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
-                <div style="font-size: 12px; color: #666; margin-top: 4px;">
-                    Admin access allows full editing and password management
-                </div>
-            </div>
+            const replies = thread.comments.length - 1;
+            const meta = document.createElement('div');
+            meta.className = 'comment-item-meta';
+            meta.textContent = `${first ? first.authorName : 'Anonymous'}` +
+                (replies > 0 ? ` · ${replies} ${replies === 1 ? 'reply' : 'replies'}` : '') +
+                (thread.resolved ? ' · resolved' : '');
             
-            <div style="display: flex; gap: 12px; justify-content: flex-end;">
-                <button id="cancelUpgradeBtn" style="padding: 8px 16px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer;">
-                    Cancel
-                </button>
-                <button id="upgradeBtn" style="padding: 8px 16px; border: none; border-radius: 4px; background: #28a745; color: white; cursor: pointer;">
-                    Upgrade Access
-                </button>
-            </div>
-        `;
+            item.appendChild(text);
+            item.appendChild(meta);
+            commentsList.appendChild(item);
+        });
+    }
+    
+    setupComments() {
+        document.getElementById('commentToolBtn').addEventListener('click', () => this.toggleCommentTool());
+        document.getElementById('commentSendBtn').addEventListener('click', () => this.submitComment());
+        document.getElementById('commentResolveBtn').addEventListener('click', () => this.toggleActiveCommentResolved());
+        document.getElementById('commentDeleteBtn').addEventListener('click', () => this.deleteActiveCommentThread());
+        document.getElementById('commentCloseBtn').addEventListener('click', () => this.closeCommentPopup());
+        
+        const input = document.getElementById('commentInput');
+        input.addEventListener('input', () => this.updateMentionSuggestions());
+        input.addEventListener('keydown', (e) => {
+            // Enter sends, Shift+Enter starts a new line
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.submitComment();
+            } else if (e.key === 'Escape') {
+                this.closeCommentPopup();
+            }
+        });
         
-        passwordPopup.appendChild(popupContent);
+        document.getElementById('showResolvedComments').addEventListener('change', (e) => {
+            this.showResolvedComments = e.target.checked;
+            this.updateCommentList();
+            this.render();
+        });
+    }
+    
+    // Version history: automatic snapshots and named checkpoints kept by the server
+    
+    isHistoryDialogOpen() {
+        return document.getElementById('historyDialog').style.display !== 'none';
+    }
+    
+    showHistoryDialog() {
+        // Only admins can save checkpoints or restore
+        const canWrite = this.canUserWrite();
+        document.getElementById('checkpointControls').style.display = canWrite ? '' : 'none';
+        document.getElementById('restoreSnapshotBtn').style.display = canWrite ? '' : 'none';
         
-        // Add event listeners
-        const cancelBtn = popupContent.querySelector('#cancelUpgradeBtn');
-        const upgradeBtn = popupContent.querySelector('#upgradeBtn');
-        const adminInput = popupContent.querySelector('#adminUpgradeInput');
+        this.previewedSnapshot = null;
+        this.renderSnapshotPreview();
+        document.getElementById('historyDialog').style.display = 'flex';
+        this.loadSnapshots();
+    }
+    
+    hideHistoryDialog() {
+        document.getElementById('historyDialog').style.display = 'none';
+        this.previewedSnapshot = null;
+    }
+    
+    async loadSnapshots() {
+        try {
+            const response = await fetch(`/api/room/${this.roomName}/snapshots`, {
+                headers: this.getRoomAuthHeaders()
+            });
+            if (!response.ok) {
+                throw new Error((await response.json()).error || 'Failed to load snapshots');
+            }
+            this.snapshots = (await response.json()).snapshots;
+            this.updateSnapshotList();
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+            this.snapshots = [];
+            this.updateSnapshotList(error.message);
+        }
+    }
+    
+    updateSnapshotList(errorMessage) {
+        const list = document.getElementById('snapshotList');
+        list.innerHTML = '';
         
-        cancelBtn.addEventListener('click', () => this.hidePasswordPopup());
+        if (errorMessage || this.snapshots.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'frames-empty';
+            empty.textContent = errorMessage || 'No snapshots yet. They are taken automatically as the board changes.';
+            list.appendChild(empty);
+            return;
+        }
         
-        upgradeBtn.addEventListener('click', () => {
-            const adminPassword = adminInput.value.trim();
-            
-            if (!adminPassword) {
-                alert('Please enter the admin password.');
-                return;
+        this.snapshots.forEach(snapshot => {
+            const item = document.createElement('div');
+            item.className = 'snapshot-item' + (snapshot.auto ? ' auto' : '') +
+                (this.previewedSnapshot && this.previewedSnapshot.id === snapshot.id ? ' selected' : '');
+            item.title = 'Click to preview';
+            item.addEventListener('click', () => this.previewSnapshot(snapshot.id));
+            
+            const name = document.createElement('div');
+            name.className = 'snapshot-item-name';
+            name.textContent = (snapshot.auto ? '🕘 ' : '📌 ') + snapshot.name;
+            
+            const meta = document.createElement('div');
+            meta.className = 'snapshot-item-meta';
+            meta.textContent = new Date(snapshot.createdAt).toLocaleString() +
+                (snapshot.createdBy ? ` · ${snapshot.createdBy}` : '') +
+                ` · ${snapshot.elementCount} ${snapshot.elementCount === 1 ? 'element' : 'elements'}`;
+            
+            item.appendChild(name);
+            item.appendChild(meta);
+            
+            // Checkpoints stay until someone deletes them; automatic snapshots rotate on their own
+            if (!snapshot.auto && this.canUserWrite()) {
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'snapshot-delete';
+                deleteButton.textContent = '✕';
+                deleteButton.title = 'Delete this checkpoint';
+                deleteButton.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.deleteSnapshot(snapshot);
+                });
+                item.appendChild(deleteButton);
             }
             
-            this.hidePasswordPopup();
-            this.upgradeToAdminAccess(adminPassword);
+            list.appendChild(item);
         });
-        
-        // Close popup when clicking outside
-        passwordPopup.addEventListener('click', (e) => {
-            if (e.target === passwordPopup) {
-                this.hidePasswordPopup();
+    }
+    
+    async previewSnapshot(snapshotId) {
+        try {
+            const response = await fetch(`/api/room/${this.roomName}/snapshots/${snapshotId}`, {
+                headers: this.getRoomAuthHeaders()
+            });
+            if (!response.ok) {
+                throw new Error((await response.json()).error || 'Failed to load snapshot');
             }
-        });
+            this.previewedSnapshot = (await response.json()).snapshot;
+        } catch (error) {
+            console.error('Error loading snapshot:', error);
+            this.previewedSnapshot = null;
+            this.showTemporaryMessage(error.message);
+        }
         
-        // Handle Enter key
-        adminInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                upgradeBtn.click();
-            }
+        this.updateSnapshotList();
+        this.renderSnapshotPreview();
+    }
+    
+    // Draw the previewed snapshot, fitted to the preview canvas, with the export renderer
+    renderSnapshotPreview() {
+        const preview = document.getElementById('snapshotPreview');
+        const ctx = preview.getContext('2d');
+        const snapshot = this.previewedSnapshot;
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, preview.width, preview.height);
+        document.getElementById('restoreSnapshotBtn').disabled = !snapshot;
+        document.getElementById('snapshotPreviewInfo').textContent = snapshot ?
+            `${snapshot.name} — ${new Date(snapshot.createdAt).toLocaleString()}` :
+            'Select a snapshot to preview it';
+        if (!snapshot) return;
+        
+        this.withBoardState(snapshot.state, () => {
+            const [view] = this.getExportViews({ width: preview.width, height: preview.height });
+            view.elements.forEach(element => this.drawExportElement(ctx, element, view));
         });
+    }
+    
+    // Run draw() with another board's elements and layers swapped in, so the regular
+    // rendering code can draw it without touching the live board
+    withBoardState(state, draw) {
+        const live = { elements: this.elements, layers: this.layers, spatialIndex: this.spatialIndex };
         
-        // Add to document and focus input
-        document.body.appendChild(passwordPopup);
-        adminInput.focus();
+        this.elements = state.elements || [];
+        this.layers = CanvasCRDT.normalizeLayerOrder(state.layers || []);
+        this.spatialIndex = new QuadTree(element => this.getElementWorldBounds(element));
+        this.spatialIndex.rebuild(this.elements);
+        try {
+            return draw();
+        } finally {
+            this.elements = live.elements;
+            this.layers = live.layers;
+            this.spatialIndex = live.spatialIndex;
+        }
     }
     
-    async upgradeToAdminAccess(adminPassword) {
+    async saveCheckpoint() {
+        const input = document.getElementById('checkpointName');
+        const name = input.value.trim();
+        if (!name) {
+            input.focus();
+            return;
+        }
+        
         try {
-            // Close current WebSocket connection
-            if (this.ws) {
-                this.ws.close();
+            const response = await fetch(`/api/room/${this.roomName}/snapshots`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getRoomAuthHeaders()
+                },
+                body: JSON.stringify({ name, userName: this.userName })
+            });
+            if (!response.ok) {
+                throw new Error((await response.json()).error || 'Failed to save checkpoint');
             }
             
-            // Store the admin password
-            localStorage.setItem(`room_password_${this.roomName}`, adminPassword);
-            
-            // Reconnect with admin password - setupWebSocket will automatically call joinRoomWithPassword
-            this.setupWebSocket();
-            
-            // Show success message
-            this.showTemporaryMessage('Access upgraded to Admin!', 'success');
+            input.value = '';
+            this.showTemporaryMessage(`Saved checkpoint "${name}"`);
+            await this.loadSnapshots();
+        } catch (error) {
+            console.error('Error saving checkpoint:', error);
+            alert(error.message);
+        }
+    }
+    
+    async deleteSnapshot(snapshot) {
+        if (!confirm(`Delete the checkpoint "${snapshot.name}"?`)) return;
+        
+        try {
+            const response = await fetch(`/api/room/${this.roomName}/snapshots/${snapshot.id}`, {
+                method: 'DELETE',
+                headers: this.getRoomAuthHeaders()
+            });
+            if (!response.ok) {
+                throw new Error((await response.json()).error || 'Failed to delete checkpoint');
+            }
             
+            if (this.previewedSnapshot && this.previewedSnapshot.id === snapshot.id) {
+                this.previewedSnapshot = null;
+                this.renderSnapshotPreview();
+            }
+            await this.loadSnapshots();
         } catch (error) {
-            console.error('Error upgrading to admin access:', error);
-            alert('Failed to upgrade access. Please try again.');
+            console.error('Error deleting checkpoint:', error);
+            alert(error.message);
         }
     }
     
-    async setRoomPasswords(adminPassword, readonlyPassword) {
+    // Put the whole room back to the previewed snapshot. The board itself is
+    // replaced when the server's roomRestored broadcast comes back.
+    async restoreSnapshot() {
+        const snapshot = this.previewedSnapshot;
+        if (!snapshot || !this.canUserWrite()) return;
+        
+        const when = new Date(snapshot.createdAt).toLocaleString();
+        if (!confirm(`Restore "${snapshot.name}" (${when}) for everyone in the room?\n\nThe current board is saved as a snapshot first, so you can go back.`)) {
+            return;
+        }
+        
         try {
-            const response = await fetch(`/api/room/${this.roomName}/password`, {
+            const response = await fetch(`/api/room/${this.roomName}/snapshots/${snapshot.id}/restore`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...this.getRoomAuthHeaders()
                 },
-                body: JSON.stringify({ 
-                    adminPassword: adminPassword,
-                    readonlyPassword: readonlyPassword 
-                })
+                body: JSON.stringify({ userName: this.userName })
             });
-            
-            if (response.ok) {
-                this.isPasswordProtected = adminPassword.length > 0 || readonlyPassword.length > 0;
-                this.updateLockIcon();
-                
-                // Store admin password in localStorage for this room (if set)
-                if (adminPassword) {
-                    localStorage.setItem(`room_password_${this.roomName}`, adminPassword);
-                } else if (readonlyPassword) {
-                    localStorage.setItem(`room_password_${this.roomName}`, readonlyPassword);
-                } else {
-                    localStorage.removeItem(`room_password_${this.roomName}`);
-                }
-                
-                // Send update to other users
-                this.sendUpdate('roomPasswordChanged', {
-                    isPasswordProtected: this.isPasswordProtected
-                });
-                
-                const message = this.isPasswordProtected ? 
-                    'Password protection enabled for this room.' : 
-                    'Password protection removed from this room.';
-                alert(message);
-            } else {
-                const error = await response.json();
-                alert('Failed to update room passwords: ' + error.message);
+            if (!response.ok) {
+                throw new Error((await response.json()).error || 'Failed to restore snapshot');
             }
+            this.hideHistoryDialog();
         } catch (error) {
-            console.error('Error setting room passwords:', error);
-            alert('Failed to update room passwords. Please try again.');
+            console.error('Error restoring snapshot:', error);
+            alert(error.message);
         }
     }
     
-    async promptForRoomPassword(roomName) {
-        // Check if we have a stored password for this room
-        const storedPassword = localStorage.getItem(`room_password_${roomName}`);
-        if (storedPassword) {
-            return storedPassword;
+    // Viewport awareness and follow mode
+    
+    // Tell the room what we're looking at (at most 10 times a second, always ending on the latest view)
+    broadcastViewport() {
+        if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN || this.isJoiningRoom) return;
+        
+        const view = this.getViewRect();
+        const last = this.lastViewportSent;
+        if (last && last.x === view.x && last.y === view.y && last.width === view.width && last.height === view.height) return;
+        
+        const wait = 100 - (Date.now() - this.lastViewportSentAt);
+        if (wait > 0) {
+            if (!this.viewportTimer) {
+                this.viewportTimer = setTimeout(() => {
+                    this.viewportTimer = null;
+                    this.broadcastViewport();
+                }, wait);
+            }
+            return;
         }
         
-        // Prompt user for password
-        const password = prompt(
-            `Room "${roomName}" is password protected.\n\n` +
-            'Enter the password to access this room:'
-        );
+        this.lastViewportSent = view;
+        this.lastViewportSentAt = Date.now();
+        this.sendUpdate('viewport', view);
+    }
+    
+    // Add or update someone in the room. Returns their entry (null for ourselves).
+    updateCollaborator(userId, fields) {
+        if (!userId || userId === this.userId) return null;
         
-        return password;
+        const collaborator = this.collaborators.get(userId) || {
+            userName: 'User',
+            color: this.getUserColor(userId),
+            viewport: null
+        };
+        Object.assign(collaborator, fields);
+        this.collaborators.set(userId, collaborator);
+        this.updateUserList();
+        return collaborator;
     }
     
-    updateLockIcon() {
-        const lockIcon = document.getElementById('lockIcon');
-        if (this.isPasswordProtected) {
-            lockIcon.textContent = '🔒';
-            lockIcon.className = 'lock-icon locked';
-            lockIcon.title = 'Room is password protected - click to manage passwords';
+    removeCollaborator(userId) {
+        const collaborator = this.collaborators.get(userId);
+        this.collaborators.delete(userId);
+        if (this.followedUser === userId) {
+            this.stopFollowingUser();
+            this.showTemporaryMessage(`${collaborator ? collaborator.userName : 'The user you followed'} left the room`);
+        }
+        this.updateUserList();
+    }
+    
+    handleViewportMessage(data) {
+        const collaborator = this.updateCollaborator(data.userId, {
+            userName: data.userName,
+            viewport: { x: data.x, y: data.y, width: data.width, height: data.height }
+        });
+        if (!collaborator) return;
+        
+        if (this.followedUser === data.userId) {
+            // A short glide smooths out the gaps between viewport updates
+            this.animateCameraTo(this.getCameraForRect(collaborator.viewport), 150);
         } else {
-            lockIcon.textContent = '🔓';
-            lockIcon.className = 'lock-icon unlocked';
-            lockIcon.title = 'Room is not protected - click to set passwords';
+            this.render();
         }
     }
     
-    updateUserRoleDisplay() {
-        const userRoleElement = document.getElementById('userRole');
-        if (userRoleElement) {
-            if (this.userRole === 'readonly') {
-                userRoleElement.textContent = '👁️ Read-only';
-                userRoleElement.className = 'user-role readonly';
-                userRoleElement.title = 'You have read-only access to this room';
-            } else {
-                userRoleElement.textContent = '✏️ Admin';
-                userRoleElement.className = 'user-role admin';
-                userRoleElement.title = 'You have full access to this room';
-            }
+    // Center on what a collaborator is looking at
+    goToUser(userId) {
+        const collaborator = this.collaborators.get(userId);
+        if (collaborator && collaborator.viewport) {
+            this.animateCameraTo(this.getCameraForRect(collaborator.viewport));
         }
-        
-        // Update UI elements based on user role
-        this.updateUIForUserRole();
     }
     
-    canUserWrite() {
-        return this.userRole === 'admin';
+    // Track a collaborator's camera live until we pan or zoom ourselves
+    followUser(userId) {
+        const collaborator = this.collaborators.get(userId);
+        if (!collaborator || this.presentation) return;
+        
+        this.stopFollowingPresenter();
+        this.followedUser = userId;
+        this.goToUser(userId);
+        
+        const banner = document.getElementById('followBanner');
+        if (banner) {
+            document.getElementById('followText').textContent = `Following ${collaborator.userName}`;
+            banner.style.display = 'flex';
+        }
+        this.updateUserList();
     }
     
-    showReadOnlyError() {
-        alert('You have read-only access to this room. Only administrators can make changes.');
+    stopFollowingUser() {
+        if (this.followedUser === null) return;
+        
+        this.followedUser = null;
+        const banner = document.getElementById('followBanner');
+        if (banner) {
+            banner.style.display = 'none';
+        }
+        this.updateUserList();
     }
     
-    updateUIForUserRole() {
-        const readonlyElements = [
-            'squareBtn', 'circleBtn', 'triangleBtn', 'textBtn', 'starBtn',
-            'clearBtn', 'uploadBtn', 'addLayerBtn', 'deleteLayerBtn',
-            'lockIcon'
-        ];
+    toggleUserList() {
+        const userList = document.getElementById('userList');
+        if (!userList) return;
         
-        readonlyElements.forEach(elementId => {
-            const element = document.getElementById(elementId);
-            if (element) {
-                if (this.userRole === 'readonly') {
-                    element.disabled = true;
-                    element.style.opacity = '0.5';
-                    element.style.cursor = 'not-allowed';
-                    element.title = 'Read-only access - cannot edit';
-                } else {
-                    element.disabled = false;
-                    element.style.opacity = '';
-                    element.style.cursor = '';
-                    element.title = element.getAttribute('data-original-title') || '';
-                }
-            }
-        });
+        const show = userList.style.display === 'none';
+        userList.style.display = show ? 'block' : 'none';
+        if (show) {
+            this.userListKey = null;
+            this.updateUserList();
+        }
     }
     
-    async joinRoomWithPassword() {
-        try {
-            this.isJoiningRoom = true;
+    // Rebuild the user list when people come, go, rename or change who we follow
+    updateUserList() {
+        const userList = document.getElementById('userList');
+        if (!userList || userList.style.display === 'none') return;
+        
+        const users = Array.from(this.collaborators.entries())
+            .sort((a, b) => a[1].userName.localeCompare(b[1].userName));
+        const key = users.map(([userId, user]) => `${userId}:${user.userName}:${Boolean(user.viewport)}`).join('|') + `|${this.followedUser}`;
+        if (key === this.userListKey) return;
+        this.userListKey = key;
+        
+        userList.innerHTML = '';
+        if (users.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'frames-empty';
+            empty.textContent = 'Nobody else is here right now.';
+            userList.appendChild(empty);
+            return;
+        }
+        
+        users.forEach(([userId, user]) => {
+            const item = document.createElement('div');
+            item.className = 'user-list-item';
             
-            // First, check if the room requires a password
-            const checkResponse = await fetch(`/api/room/${this.roomName}/check`);
-            const checkData = await checkResponse.json();
+            const dot = document.createElement('span');
+            dot.className = 'user-dot';
+            dot.style.background = user.color;
             
-            let password = null;
-            if (checkData.requiresPassword) {
-                password = await this.promptForRoomPassword(this.roomName);
-                if (password === null) {
-                    // User cancelled password prompt
-                    alert('Access cancelled. You will be redirected to a new room.');
-                    window.location.hash = '';
-                    window.location.reload();
-                    return;
-                }
-            }
+            const name = document.createElement('span');
+            name.className = 'user-list-name';
+            name.textContent = user.userName;
+            name.title = user.viewport ? 'Click to go to where they are looking' : "Hasn't shared their view yet";
+            name.addEventListener('click', () => this.goToUser(userId));
             
-            // Send join room request with password if needed
-            this.ws.send(JSON.stringify({
-                type: 'joinRoom',
-                data: {
-                    roomName: this.roomName,
-                    password: password
+            const follow = document.createElement('button');
+            follow.className = 'user-follow-btn' + (this.followedUser === userId ? ' active' : '');
+            follow.textContent = this.followedUser === userId ? 'Following' : 'Follow';
+            follow.disabled = !user.viewport;
+            follow.addEventListener('click', () => {
+                if (this.followedUser === userId) {
+                    this.stopFollowingUser();
+                } else {
+                    this.followUser(userId);
                 }
-            }));
+            });
             
-        } catch (error) {
-            console.error('Error joining room:', error);
-            this.isJoiningRoom = false;
-            alert('Failed to join room. Please try again.');
-        }
+            item.appendChild(dot);
+            item.appendChild(name);
+            item.appendChild(follow);
+            userList.appendChild(item);
+        });
     }
     
-    throttledSendCursor(e) {
-        const now = Date.now();
-        if (now - this.lastMouseUpdate < 50) return; // Throttle to 20fps
+    // Screen area for edge indicators: inside the canvas and clear of the toolbar and side panel
+    getIndicatorBounds() {
+        const margin = 28;
+        const bounds = { left: margin, top: margin, right: this.canvas.width - margin, bottom: this.canvas.height - margin };
         
-        this.lastMouseUpdate = now;
-        this.updateMousePosition(e);
+        const toolbar = document.querySelector('.toolbar');
+        if (toolbar && toolbar.offsetParent !== null) {
+            bounds.top = Math.max(bounds.top, toolbar.getBoundingClientRect().bottom + margin);
+        }
+        const sidePanel = document.getElementById('sidePanel');
+        if (sidePanel && sidePanel.offsetParent !== null) {
+            const rect = sidePanel.getBoundingClientRect();
+            if (rect.width > 0 && rect.left > this.canvas.width / 2) {
+                bounds.right = Math.min(bounds.right, rect.left - margin);
+            }
+        }
         
-        this.sendUpdate('cursor', {
-            x: this.mouse.x,
-            y: this.mouse.y,
-            worldX: this.mouse.worldX,
-            worldY: this.mouse.worldY,
-            action: this.getCurrentAction()
-        });
-    }
-    
-    getCurrentAction() {
-        if (this.isSizing) return `sizing ${this.selectedShape}`;
-        if (this.isPlacing) return `placing ${this.selectedShape}`;
-        if (this.isResizing) return 'resizing';
-        if (this.isRotating) return 'rotating';
-        if (this.mouse.isDragging && this.selectedElement) return 'moving';
-        if (this.mouse.isDragging) return 'panning';
-        return 'idle';
+        bounds.bottom = Math.max(bounds.bottom, bounds.top);
+        bounds.right = Math.max(bounds.right, bounds.left);
+        return bounds;
     }
     
-    updateOtherUserCursor(data) {
-        if (data.userId === this.userId) return; // Don't show own cursor
+    // Markers at the edge of the canvas pointing toward collaborators looking elsewhere
+    drawOffscreenIndicators() {
+        this.offscreenIndicators = [];
+        if (this.collaborators.size === 0) return;
         
-        this.otherUsers.set(data.userId, {
-            userName: data.userName,
-            x: data.x,
-            y: data.y,
-            worldX: data.worldX,
-            worldY: data.worldY,
-            action: data.action,
-            lastUpdate: Date.now(),
-            color: this.getUserColor(data.userId)
-        });
+        const view = this.getViewRect();
+        const bounds = this.getIndicatorBounds();
+        const centerX = (bounds.left + bounds.right) / 2;
+        const centerY = (bounds.top + bounds.bottom) / 2;
+        const radius = 14;
         
-        // Remove old cursor positions
-        setTimeout(() => {
-            const user = this.otherUsers.get(data.userId);
-            if (user && Date.now() - user.lastUpdate > 3000) {
-                this.otherUsers.delete(data.userId);
-                this.render();
-            }
-        }, 3000);
-    }
-    
-    getUserColor(userId) {
-        const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FECA57', '#FF9FF3', '#54A0FF', '#5F27CD', '#00D2D3', '#FF9F43'];
-        const hash = userId.split('').reduce((a, b) => {
-            a = ((a << 5) - a) + b.charCodeAt(0);
-            return a & a;
-        }, 0);
-        return colors[Math.abs(hash) % colors.length];
+        this.collaborators.forEach((user, userId) => {
+            const viewport = user.viewport;
+            if (!viewport) return;
+            
+            // Anyone whose view overlaps ours is on screen
+            if (Math.abs(viewport.x - view.x) < (viewport.width + view.width) / 2 &&
+                Math.abs(viewport.y - view.y) < (viewport.height + view.height) / 2) return;
+            
+            // Where the line from the middle of the screen toward them meets the edge
+            const target = this.worldToScreen(viewport.x, viewport.y);
+            const dx = target.x - centerX;
+            const dy = target.y - centerY;
+            const scale = Math.min(
+                dx === 0 ? Infinity : ((dx > 0 ? bounds.right : bounds.left) - centerX) / dx,
+                dy === 0 ? Infinity : ((dy > 0 ? bounds.bottom : bounds.top) - centerY) / dy
+            );
+            const x = centerX + dx * scale;
+            const y = centerY + dy * scale;
+            const angle = Math.atan2(dy, dx);
+            
+            this.ctx.save();
+            this.ctx.fillStyle = user.color;
+            this.ctx.strokeStyle = '#fff';
+            this.ctx.lineWidth = 2;
+            
+            // Arrowhead pointing at them
+            this.ctx.beginPath();
+            this.ctx.moveTo(x + Math.cos(angle) * (radius + 9), y + Math.sin(angle) * (radius + 9));
+            this.ctx.lineTo(x + Math.cos(angle + 0.5) * radius, y + Math.sin(angle + 0.5) * radius);
+            this.ctx.lineTo(x + Math.cos(angle - 0.5) * radius, y + Math.sin(angle - 0.5) * radius);
+            this.ctx.closePath();
+            this.ctx.fill();
+            
+            // Badge with their initial
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+            
+            this.ctx.fillStyle = '#fff';
+            this.ctx.font = 'bold 13px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText((user.userName || '?').charAt(0).toUpperCase(), x, y + 1);
+            
+            // Name on the inward side
+            const labelX = x - Math.cos(angle) * (radius + 6);
+            const labelY = y - Math.sin(angle) * (radius + 6);
+            this.ctx.font = '11px Arial';
+            this.ctx.textAlign = Math.cos(angle) > 0.5 ? 'right' : (Math.cos(angle) < -0.5 ? 'left' : 'center');
+            this.ctx.textBaseline = Math.sin(angle) > 0.5 ? 'bottom' : (Math.sin(angle) < -0.5 ? 'top' : 'middle');
+            const labelWidth = this.ctx.measureText(user.userName).width + 8;
+            const boxX = this.ctx.textAlign === 'right' ? labelX - labelWidth + 4 : (this.ctx.textAlign === 'left' ? labelX - 4 : labelX - labelWidth / 2);
+            const boxY = this.ctx.textBaseline === 'bottom' ? labelY - 15 : (this.ctx.textBaseline === 'top' ? labelY - 1 : labelY - 8);
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            this.ctx.fillRect(boxX, boxY, labelWidth, 16);
+            this.ctx.fillStyle = '#fff';
+            this.ctx.fillText(user.userName, labelX, labelY);
+            this.ctx.restore();
+            
+            this.offscreenIndicators.push({ userId, x, y, radius });
+        });
     }
     
-    drawOtherUsersCursors() {
-        this.otherUsers.forEach((user, userId) => {
-            this.drawUserCursor(user);
-        });
+    // The collaborator whose edge indicator is under a screen point
+    getOffscreenIndicatorAt(screenX, screenY) {
+        const indicator = this.offscreenIndicators.find(item =>
+            Math.hypot(screenX - item.x, screenY - item.y) <= item.radius + 4
+        );
+        return indicator ? indicator.userId : null;
     }
     
     isSelectedElementsManipulatedByOthers() {
@@ -5342,10 +9594,11 @@ class InfiniteCanvas {
     // Layers System
     addLayer() {
         const newLayer = {
-            id: 'layer_' + Date.now(),
+            id: 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
             name: `Layer ${this.layers.length + 1}`,
             visible: true,
             locked: false,
+            order: Math.max(-1, ...this.layers.map(l => l.order || 0)) + 1, // On top of the current layers
             elements: []
         };
         
@@ -5378,6 +9631,7 @@ class InfiniteCanvas {
                 this.sendUpdate('delete', { id: element.id });
             }
         });
+        this.deleteAttachedConnectors([...layer.elements]);
         
         // Remove layer
         this.layers.splice(layerIndex, 1);
@@ -5465,19 +9719,31 @@ class InfiniteCanvas {
         
         layersList.innerHTML = '';
         
+        // Built node by node: layer names come from other users and the REST API
         this.layers.forEach(layer => {
             const layerItem = document.createElement('div');
             layerItem.className = 'layer-item';
-            layerItem.innerHTML = `
-                <button class="layer-visibility" onclick="canvas.toggleLayerVisibility('${layer.id}')">
-                    ${layer.visible ? '👁️' : '🚫'}
-                </button>
-                <button class="layer-lock" onclick="canvas.toggleLayerLock('${layer.id}')">
-                    ${layer.locked ? '🔒' : '🔓'}
-                </button>
-                <span class="layer-name" onclick="canvas.setActiveLayer('${layer.id}')">${layer.name}</span>
-                <span class="layer-count">(${layer.elements.length})</span>
-            `;
+            
+            const visibilityButton = document.createElement('button');
+            visibilityButton.className = 'layer-visibility';
+            visibilityButton.textContent = layer.visible ? '👁️' : '🚫';
+            visibilityButton.addEventListener('click', () => this.toggleLayerVisibility(layer.id));
+            
+            const lockButton = document.createElement('button');
+            lockButton.className = 'layer-lock';
+            lockButton.textContent = layer.locked ? '🔒' : '🔓';
+            lockButton.addEventListener('click', () => this.toggleLayerLock(layer.id));
+            
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.name;
+            name.addEventListener('click', () => this.setActiveLayer(layer.id));
+            
+            const count = document.createElement('span');
+            count.className = 'layer-count';
+            count.textContent = `(${layer.elements.length})`;
+            
+            layerItem.append(visibilityButton, lockButton, name, count);
             layersList.appendChild(layerItem);
         });
         
@@ -5522,13 +9788,37 @@ class InfiniteCanvas {
     }
     
     // Export functionality
-    showExportDialog() {
+    showExportDialog(frameId) {
         const dialog = document.getElementById('exportDialog');
         if (dialog) {
+            this.updateExportFrameOptions(frameId);
             dialog.style.display = 'block';
         }
     }
     
+    // Fill the "what to export" select with the current frames
+    updateExportFrameOptions(frameId) {
+        const select = document.getElementById('exportFrames');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const addOption = (value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        };
+        
+        addOption('', 'Whole canvas');
+        const frames = this.getFrames().filter(frame => this.isElementInVisibleLayer(frame));
+        if (frames.length > 0) {
+            addOption('all', 'All frames (one file each)');
+            frames.forEach(frame => addOption(String(frame.id), frame.name || 'Frame'));
+        }
+        
+        select.value = frameId !== undefined && frames.some(frame => frame.id === frameId) ? String(frameId) : '';
+    }
+    
     hideExportDialog() {
         const dialog = document.getElementById('exportDialog');
         if (dialog) {
@@ -5537,85 +9827,185 @@ class InfiniteCanvas {
     }
     
     exportCanvas(format, options = {}) {
-        const { width = 1920, height = 1080, background = '#ffffff' } = options;
-        
-        // Create temporary canvas
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = width;
-        tempCanvas.height = height;
-        const tempCtx = tempCanvas.getContext('2d');
+        const { background = '#ffffff' } = options;
         
-        // Set background
-        tempCtx.fillStyle = background;
-        tempCtx.fillRect(0, 0, width, height);
-        
-        // Calculate bounds of all elements
-        const bounds = this.calculateElementsBounds();
-        
-        // Calculate scale and offset to fit all elements
-        const scale = Math.min(
-            (width * 0.8) / bounds.width,
-            (height * 0.8) / bounds.height
-        );
-        
-        const offsetX = (width - bounds.width * scale) / 2 - bounds.minX * scale;
-        const offsetY = (height - bounds.height * scale) / 2 - bounds.minY * scale;
+        switch (format) {
+            case 'png':
+            case 'jpg':
+                this.getExportViews(options).forEach(view => {
+                    // Create temporary canvas
+                    const tempCanvas = document.createElement('canvas');
+                    tempCanvas.width = view.width;
+                    tempCanvas.height = view.height;
+                    const tempCtx = tempCanvas.getContext('2d');
+                    
+                    // Set background
+                    tempCtx.fillStyle = background;
+                    tempCtx.fillRect(0, 0, view.width, view.height);
+                    
+                    view.elements.forEach(element => this.drawExportElement(tempCtx, element, view));
+                    
+                    if (format === 'png') {
+                        this.downloadCanvasAsPNG(tempCanvas, view.fileName);
+                    } else {
+                        this.downloadCanvasAsJPG(tempCanvas, view.fileName);
+                    }
+                });
+                break;
+            case 'svg':
+                this.exportAsSVG(options);
+                break;
+            case 'pdf':
+                this.exportAsPDF(options);
+                break;
+            case 'archive':
+                this.exportRoomArchive();
+                break;
+        }
         
-        // Sort elements by layer order and z-index within each layer (same as main render)
-        const sortedElements = [...this.elements].sort((a, b) => {
-            // First sort by layer order
-            const layerAIndex = this.layers.findIndex(l => l.id === a.layerId);
-            const layerBIndex = this.layers.findIndex(l => l.id === b.layerId);
-            if (layerAIndex !== layerBIndex) {
-                return layerAIndex - layerBIndex;
+        this.hideExportDialog();
+    }
+    
+    // Download the whole room (state, layers, comments and images) as one archive,
+    // for backups or for importing into another server
+    async exportRoomArchive() {
+        try {
+            const response = await fetch(`/api/room/${this.roomName}/export`, {
+                headers: this.getRoomAuthHeaders()
+            });
+            if (!response.ok) {
+                throw new Error((await response.json()).error || 'Failed to export room');
             }
             
-            // Then sort by z-index within the same layer
-            const zIndexA = a.zIndex || 0;
-            const zIndexB = b.zIndex || 0;
-            return zIndexA - zIndexB;
-        });
+            const blob = await response.blob();
+            const link = document.createElement('a');
+            link.download = `${this.roomName}.canvas.tar.gz`;
+            link.href = URL.createObjectURL(blob);
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (error) {
+            console.error('Error exporting room archive:', error);
+            alert(`Could not export the room: ${error.message}`);
+        }
+    }
+    
+    // Create a new room from an exported archive and offer to switch to it
+    async importRoomArchive(file) {
+        this.hideExportDialog();
         
-        // Draw elements in correct order
-        sortedElements.forEach(element => {
-            if (!this.isElementInVisibleLayer(element)) return;
+        try {
+            const formData = new FormData();
+            formData.append('bundle', file);
+            
+            const response = await fetch('/api/room/import', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                const details = (result.details || []).slice(0, 5).map(detail => `• ${detail.path} ${detail.message}`);
+                throw new Error([result.error || 'Failed to import room', ...details].join('\n'));
+            }
             
-            tempCtx.save();
-            tempCtx.translate(
-                element.x * scale + offsetX,
-                element.y * scale + offsetY
+            const open = confirm(
+                `Imported ${result.elements} elements and ${result.images} images into the new room "${result.roomName}".\n\n` +
+                'Open it now?'
+            );
+            if (open) {
+                window.location.hash = result.roomName;
+            }
+        } catch (error) {
+            console.error('Error importing room archive:', error);
+            alert(`Could not import the room archive:\n${error.message}`);
+        }
+    }
+    
+    // What an export contains: the whole board fitted to the page, or one view per
+    // frame (options.frame is a frame id or 'all') cropped to the frame and sized to
+    // its aspect ratio within the requested size
+    getExportViews(options = {}) {
+        const { width = 1920, height = 1080 } = options;
+        const visibleElements = this.sortElementsByLayerOrder(this.elements)
+            .filter(element => this.isElementInVisibleLayer(element));
+        
+        let frames = [];
+        if (options.frame === 'all') {
+            frames = this.getFrames().filter(frame => this.isElementInVisibleLayer(frame));
+        } else if (options.frame !== undefined && options.frame !== null && options.frame !== '') {
+            frames = this.getFrames().filter(frame => String(frame.id) === String(options.frame));
+        }
+        
+        if (frames.length === 0) {
+            // Calculate scale and offset to fit all elements
+            const bounds = this.calculateElementsBounds();
+            const scale = Math.min(
+                (width * 0.8) / bounds.width,
+                (height * 0.8) / bounds.height
             );
-            tempCtx.rotate(element.rotation || 0);
-            tempCtx.scale(scale, scale);
+            return [{
+                elements: visibleElements,
+                width,
+                height,
+                scale,
+                offsetX: (width - bounds.width * scale) / 2 - bounds.minX * scale,
+                offsetY: (height - bounds.height * scale) / 2 - bounds.minY * scale,
+                fileName: 'canvas-export',
+                title: this.roomName
+            }];
+        }
+        
+        const usedNames = new Set();
+        return frames.map(frame => {
+            const scale = Math.min(width / frame.width, height / frame.height);
+            
+            // File names come from frame names, kept unique within one export
+            const baseName = 'canvas-' + ((frame.name || 'frame').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'frame');
+            let fileName = baseName;
+            for (let n = 2; usedNames.has(fileName); n++) fileName = `${baseName}-${n}`;
+            usedNames.add(fileName);
             
-            this.drawElementOnContext(tempCtx, element);
-            tempCtx.restore();
+            return {
+                frame,
+                elements: visibleElements.filter(element => element === frame || element.frameId === frame.id),
+                width: Math.max(1, Math.round(frame.width * scale)),
+                height: Math.max(1, Math.round(frame.height * scale)),
+                scale,
+                offsetX: -(frame.x - frame.width / 2) * scale,
+                offsetY: -(frame.y - frame.height / 2) * scale,
+                fileName,
+                title: frame.name || 'Frame'
+            };
         });
+    }
+    
+    // Draw one element into an export view, clipped to its frame
+    drawExportElement(ctx, element, view) {
+        ctx.save();
         
-        // Export based on format
-        switch (format) {
-            case 'png':
-                this.downloadCanvasAsPNG(tempCanvas);
-                break;
-            case 'jpg':
-                this.downloadCanvasAsJPG(tempCanvas);
-                break;
-            case 'svg':
-                this.exportAsSVG(options);
-                break;
+        const frame = this.getElementFrame(element);
+        if (frame) {
+            this.clipToFrame(ctx, frame, view.scale, view.offsetX, view.offsetY);
         }
         
-        this.hideExportDialog();
+        ctx.translate(
+            element.x * view.scale + view.offsetX,
+            element.y * view.scale + view.offsetY
+        );
+        ctx.rotate(element.rotation || 0);
+        ctx.scale(view.scale, view.scale);
+        
+        this.drawElementOnContext(ctx, element);
+        ctx.restore();
     }
     
-    calculateElementsBounds() {
-        if (this.elements.length === 0) {
+    calculateElementsBounds(elements = this.elements) {
+        if (elements.length === 0) {
             return { minX: 0, minY: 0, maxX: 100, maxY: 100, width: 100, height: 100 };
         }
         
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
         
-        this.elements.forEach(element => {
+        elements.forEach(element => {
             if (!this.isElementInVisibleLayer(element)) return;
             
             const left = element.x - element.width / 2;
@@ -5678,41 +10068,26 @@ class InfiniteCanvas {
                 break;
             case 'text':
                 // Draw text on export context
-                const fontSize = element.fontSize || 20;
-                const fontFamily = element.fontFamily || 'Arial';
-                const fontWeight = element.fontWeight || 'normal';
-                const fontStyle = element.fontStyle || 'normal';
-                
-                ctx.font = `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillStyle = element.color;
-                
-                const text = element.text || 'Double-click to edit';
-                const lines = text.split('\n');
-                const lineHeight = fontSize * 1.2;
-                const totalHeight = lines.length * lineHeight;
-                const startY = -(totalHeight / 2) + (lineHeight / 2);
-                
-                lines.forEach((line, index) => {
-                    const y = startY + (index * lineHeight);
-                    ctx.fillText(line, 0, y);
-                    
-                    // Draw strikethrough if enabled
-                    if (element.textDecoration === 'line-through') {
-                        const textWidth = ctx.measureText(line).width;
-                        ctx.strokeStyle = element.color;
-                        ctx.lineWidth = Math.max(1, fontSize * 0.05);
-                        ctx.beginPath();
-                        ctx.moveTo(-textWidth/2, y);
-                        ctx.lineTo(textWidth/2, y);
-                        ctx.stroke();
-                    }
-                });
+                RichText.draw(ctx, this.getExportTextLayout(ctx, element));
+                break;
+            case 'sticky':
+                this.drawStickyOnContext(ctx, element);
+                break;
+            case 'frame':
+                ctx.fillRect(-element.width/2, -element.height/2, element.width, element.height);
+                ctx.strokeStyle = '#ccc';
+                ctx.strokeRect(-element.width/2, -element.height/2, element.width, element.height);
+                break;
+            case 'path':
+                this.drawPathOnContext(ctx, element);
+                break;
+            case 'connector':
+                this.drawConnectorOnContext(ctx, element);
                 break;
         }
         
-        if (element.text) {
+        // Only render text labels for non-text elements
+        if (element.text && !this.isTextShape(element)) {
             ctx.fillStyle = '#333';
             ctx.font = '14px Arial';
             ctx.textAlign = 'center';
@@ -5720,135 +10095,1387 @@ class InfiniteCanvas {
         }
     }
     
-    drawStarOnContext(ctx, x, y, spikes, outerRadius, innerRadius) {
-        let rot = Math.PI / 2 * 3;
-        let step = Math.PI / spikes;
-        
-        ctx.beginPath();
-        ctx.moveTo(x, y - outerRadius);
+    drawStarOnContext(ctx, x, y, spikes, outerRadius, innerRadius) {
+        let rot = Math.PI / 2 * 3;
+        let step = Math.PI / spikes;
+        
+        ctx.beginPath();
+        ctx.moveTo(x, y - outerRadius);
+        
+        for (let i = 0; i < spikes; i++) {
+            let x1 = x + Math.cos(rot) * outerRadius;
+            let y1 = y + Math.sin(rot) * outerRadius;
+            ctx.lineTo(x1, y1);
+            rot += step;
+            
+            x1 = x + Math.cos(rot) * innerRadius;
+            y1 = y + Math.sin(rot) * innerRadius;
+            ctx.lineTo(x1, y1);
+            rot += step;
+        }
+        
+        ctx.lineTo(x, y - outerRadius);
+        ctx.closePath();
+    }
+    
+    downloadCanvasAsPNG(canvas, fileName = 'canvas-export') {
+        const link = document.createElement('a');
+        link.download = `${fileName}.png`;
+        link.href = canvas.toDataURL('image/png');
+        link.click();
+    }
+    
+    downloadCanvasAsJPG(canvas, fileName = 'canvas-export') {
+        const link = document.createElement('a');
+        link.download = `${fileName}.jpg`;
+        link.href = canvas.toDataURL('image/jpeg', 0.9);
+        link.click();
+    }
+    
+    exportAsSVG(options = {}) {
+        const { background = '#ffffff' } = options;
+        
+        this.getExportViews(options).forEach(view => {
+            const { width, height, scale, offsetX, offsetY } = view;
+            
+            // Frame contents are clipped to their frame's box
+            const clipIds = new Map();
+            let clipPaths = '';
+            view.elements.forEach(element => {
+                const frame = this.getElementFrame(element);
+                if (!frame || clipIds.has(frame.id)) return;
+                const clipId = `frameClip${clipIds.size}`;
+                clipIds.set(frame.id, clipId);
+                clipPaths += `<clipPath id="${clipId}"><rect x="${(frame.x - frame.width / 2) * scale + offsetX}" y="${(frame.y - frame.height / 2) * scale + offsetY}" width="${frame.width * scale}" height="${frame.height * scale}"/></clipPath>`;
+            });
+            
+            let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`;
+            svg += `<defs><filter id="stickyShadow" x="-20%" y="-20%" width="140%" height="150%"><feDropShadow dx="${2 * scale}" dy="${5 * scale}" stdDeviation="${6 * scale}" flood-color="#000" flood-opacity="0.25"/></filter>${clipPaths}</defs>`;
+            svg += `<rect width="${width}" height="${height}" fill="${background}"/>`;
+            
+            view.elements.forEach(element => {
+                const x = element.x * scale + offsetX;
+                const y = element.y * scale + offsetY;
+                const w = element.width * scale;
+                const h = element.height * scale;
+                
+                let transform = `translate(${x}, ${y})`;
+                if (element.rotation) {
+                    transform += ` rotate(${element.rotation * 180 / Math.PI})`;
+                }
+                
+                // The clip group sits outside the transform so the clip rect stays in page coordinates
+                const frame = this.getElementFrame(element);
+                if (frame) {
+                    svg += `<g clip-path="url(#${clipIds.get(frame.id)})">`;
+                }
+                svg += `<g transform="${transform}">`;
+                
+                switch (element.shape) {
+                    case 'square':
+                    case 'rectangle':
+                        svg += `<rect x="${-w/2}" y="${-h/2}" width="${w}" height="${h}" fill="${element.color}" stroke="#333" stroke-width="1"/>`;
+                        break;
+                    case 'circle':
+                        svg += `<circle cx="0" cy="0" r="${w/2}" fill="${element.color}" stroke="#333" stroke-width="1"/>`;
+                        break;
+                    case 'triangle':
+                        svg += `<polygon points="0,${-h/2} ${-w/2},${h/2} ${w/2},${h/2}" fill="${element.color}" stroke="#333" stroke-width="1"/>`;
+                        break;
+                    case 'text':
+                        svg += RichText.toSVG(this.getExportTextLayout(this.ctx, element), scale);
+                        break;
+                    case 'sticky':
+                        svg += this.stickyToSVG(element, scale);
+                        break;
+                    case 'frame':
+                        svg += `<rect x="${-w/2}" y="${-h/2}" width="${w}" height="${h}" fill="${element.color}" stroke="#ccc" stroke-width="1"/>`;
+                        break;
+                    case 'path':
+                        svg += this.pathToSVG(element, w, h, scale);
+                        break;
+                    case 'connector':
+                        svg += this.connectorToSVG(element, scale);
+                        break;
+                }
+                
+                if (element.text && !this.isTextShape(element)) {
+                    svg += `<text x="0" y="5" text-anchor="middle" font-family="Arial" font-size="14" fill="#333">${element.text}</text>`;
+                }
+                
+                svg += '</g>';
+                if (frame) {
+                    svg += '</g>';
+                }
+            });
+            
+            svg += '</svg>';
+            
+            const blob = new Blob([svg], { type: 'image/svg+xml' });
+            const link = document.createElement('a');
+            link.download = `${view.fileName}.svg`;
+            link.href = URL.createObjectURL(blob);
+            link.click();
+        });
+    }
+    
+    // Text layout for exports; empty text exports its placeholder, as on screen
+    getExportTextLayout(ctx, element) {
+        if (element.text) {
+            return this.getTextLayout(ctx, element);
+        }
+        return RichText.layout(ctx, { ...element, text: 'Double-click to edit', runs: undefined, listStyles: undefined });
+    }
+    
+    // Sticky note as SVG with the same wrapping and font size as on the canvas
+    stickyToSVG(element, scale) {
+        const layout = this.getStickyLayout(this.ctx, element);
+        const w = element.width * scale;
+        const h = element.height * scale;
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const fontFamily = element.fontFamily || 'Arial';
+        const fontWeight = element.fontWeight || 'normal';
+        const fontStyle = element.fontStyle || 'normal';
+        
+        let svg = `<rect x="${-w/2}" y="${-h/2}" width="${w}" height="${h}" fill="${element.color}" filter="url(#stickyShadow)"/>`;
+        layout.lines.forEach((line, index) => {
+            const y = (layout.startY + index * layout.lineHeight) * scale;
+            svg += `<text x="0" y="${y}" text-anchor="middle" dominant-baseline="middle" font-family="${fontFamily}" font-size="${layout.fontSize * scale}" font-weight="${fontWeight}" font-style="${fontStyle}" fill="#333" xml:space="preserve">${escape(line.text)}</text>`;
+        });
+        
+        if (element.authorName) {
+            const x = (element.width / 2 - layout.padding) * scale;
+            const y = (element.height / 2 - layout.footerHeight / 2) * scale;
+            svg += `<text x="${x}" y="${y}" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="${layout.authorFontSize * scale}" fill="#000" fill-opacity="0.55">${escape(element.authorName)}</text>`;
+        }
+        return svg;
+    }
+    
+    // Freehand stroke as SVG paths (one per segment when the width varies with pressure)
+    pathToSVG(element, width, height, scale) {
+        const { segments, uniform } = this.getPathSegments(element, width, height, scale);
+        if (segments.length === 0) return '';
+        
+        const curve = s => `C ${s.cp1.x} ${s.cp1.y} ${s.cp2.x} ${s.cp2.y} ${s.end.x} ${s.end.y}`;
+        const attributes = `fill="none" stroke="${element.color}" stroke-linecap="round" stroke-linejoin="round"`;
+        
+        if (uniform) {
+            const d = `M ${segments[0].start.x} ${segments[0].start.y} ` + segments.map(curve).join(' ');
+            return `<path d="${d}" ${attributes} stroke-width="${segments[0].width}"/>`;
+        }
+        
+        return segments.map(s =>
+            `<path d="M ${s.start.x} ${s.start.y} ${curve(s)}" ${attributes} stroke-width="${s.width}"/>`
+        ).join('');
+    }
+    
+    // Sort elements by layer order and z-index within each layer (same as main render)
+    sortElementsByLayerOrder(elements) {
+        const layerOrder = new Map(this.layers.map((layer, index) => [layer.id, index]));
+        
+        return [...elements].sort((a, b) => {
+            // Frames are backdrops: they always sit below other elements
+            const frameA = a.shape === 'frame';
+            const frameB = b.shape === 'frame';
+            if (frameA !== frameB) {
+                return frameA ? -1 : 1;
+            }
+            
+            const layerAIndex = layerOrder.has(a.layerId) ? layerOrder.get(a.layerId) : -1;
+            const layerBIndex = layerOrder.has(b.layerId) ? layerOrder.get(b.layerId) : -1;
+            if (layerAIndex !== layerBIndex) {
+                return layerAIndex - layerBIndex;
+            }
+            
+            // Same z-index: fall back to the id so every client stacks them identically
+            return CanvasCRDT.compareZOrder(a, b);
+        });
+    }
+    
+    exportAsPDF(options = {}) {
+        const { width = 1920, height = 1080, background = '#ffffff', pdfPages = 'layers' } = options;
+        
+        // Frames export as single-page documents cropped to the frame
+        if (options.frame !== undefined && options.frame !== null && options.frame !== '') {
+            this.getExportViews(options).forEach(view => {
+                this.downloadPDF([view], view.width, view.height, background, view.fileName);
+            });
+            return;
+        }
+        
+        const visibleElements = this.sortElementsByLayerOrder(this.elements)
+            .filter(element => this.isElementInVisibleLayer(element));
+        
+        // Each page is a list of elements plus the transform that places them on the page
+        const fitPage = (elements) => {
+            const bounds = this.calculateElementsBounds(elements);
+            const scale = Math.min(
+                (width * 0.8) / bounds.width,
+                (height * 0.8) / bounds.height
+            );
+            return {
+                elements,
+                scale,
+                offsetX: (width - bounds.width * scale) / 2 - bounds.minX * scale,
+                offsetY: (height - bounds.height * scale) / 2 - bounds.minY * scale
+            };
+        };
+        
+        let pages = [];
+        
+        if (pdfPages === 'layers') {
+            // One page per visible layer, each fitted to its own content
+            this.layers.forEach(layer => {
+                const layerElements = visibleElements.filter(element => element.layerId === layer.id);
+                if (layerElements.length > 0) {
+                    pages.push({ ...fitPage(layerElements), title: layer.name });
+                }
+            });
+        } else if (pdfPages === 'tiles') {
+            // Keep world units at 1:1 and split the board across as many pages as needed
+            const bounds = this.calculateElementsBounds(visibleElements);
+            const columns = Math.max(1, Math.ceil(bounds.width / width));
+            const rows = Math.max(1, Math.ceil(bounds.height / height));
+            const maxPages = 100;
+            
+            if (columns * rows > maxPages) {
+                alert(`The canvas would need ${columns * rows} pages at this size (max ${maxPages}). Choose a larger page size or a different PDF layout.`);
+                return;
+            }
+            
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const tileX = bounds.minX + column * width;
+                    const tileY = bounds.minY + row * height;
+                    const tileElements = visibleElements.filter(element => {
+                        const radius = Math.max(element.width, element.height);
+                        return element.x + radius >= tileX && element.x - radius <= tileX + width &&
+                               element.y + radius >= tileY && element.y - radius <= tileY + height;
+                    });
+                    pages.push({
+                        elements: tileElements,
+                        scale: 1,
+                        offsetX: -tileX,
+                        offsetY: -tileY,
+                        title: `Page ${row * columns + column + 1}`
+                    });
+                }
+            }
+        } else {
+            pages.push({ ...fitPage(visibleElements), title: this.roomName });
+        }
+        
+        // Always produce at least one (blank) page
+        if (pages.length === 0) {
+            pages = [{ elements: [], scale: 1, offsetX: 0, offsetY: 0, title: this.roomName }];
+        }
+        
+        this.downloadPDF(pages, width, height, background, 'canvas-export');
+    }
+    
+    // Render pages (elements plus the transform that places them) into a PDF and download it
+    downloadPDF(pages, width, height, background, fileName) {
+        const resources = { fonts: new Map(), images: new Map() };
+        const contents = pages.map(page => {
+            const pdfCtx = new PDFRenderContext(resources, width, height);
+            
+            pdfCtx.fillStyle = background;
+            pdfCtx.fillRect(0, 0, width, height);
+            
+            page.elements.forEach(element => this.drawExportElement(pdfCtx, element, page));
+            
+            return pdfCtx.getContent();
+        });
+        
+        const pdfData = this.buildPDFDocument(contents, resources, width, height);
+        
+        const bytes = new Uint8Array(pdfData.length);
+        for (let i = 0; i < pdfData.length; i++) {
+            bytes[i] = pdfData.charCodeAt(i) & 0xff;
+        }
+        
+        const blob = new Blob([bytes], { type: 'application/pdf' });
+        const link = document.createElement('a');
+        link.download = `${fileName}.pdf`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        
+        console.log(`Exported PDF with ${pages.length} page(s)`);
+    }
+    
+    // Assemble page content streams and shared fonts/images into a PDF file.
+    // Returns a binary string (one char per byte) so object offsets can be counted directly.
+    buildPDFDocument(contents, resources, width, height) {
+        const pointsPerPixel = 0.75; // 96 DPI canvas pixels to 72 DPI PDF points
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+        const stream = (dictionary, data) =>
+            `<< ${dictionary} /Length ${data.length} >>\nstream\n${data}\nendstream`;
+        
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        
+        let fontDictionary = '';
+        resources.fonts.forEach((name, baseFont) => {
+            const fontId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+            fontDictionary += `/${name} ${fontId} 0 R `;
+        });
+        
+        let imageDictionary = '';
+        resources.images.forEach(image => {
+            const imageId = addObject(stream(
+                `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+                image.data
+            ));
+            imageDictionary += `/${image.name} ${imageId} 0 R `;
+        });
+        
+        const mediaBox = `[0 0 ${(width * pointsPerPixel).toFixed(2)} ${(height * pointsPerPixel).toFixed(2)}]`;
+        const pageIds = contents.map(content => {
+            // Flip to a top-left origin so page content can use canvas pixel coordinates
+            const pageContent = `${pointsPerPixel} 0 0 ${-pointsPerPixel} 0 ${(height * pointsPerPixel).toFixed(2)} cm\n${content}`;
+            const contentId = addObject(stream('', pageContent));
+            return addObject(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox ${mediaBox} ` +
+                `/Resources << /Font << ${fontDictionary}>> /XObject << ${imageDictionary}>> >> ` +
+                `/Contents ${contentId} 0 R >>`
+            );
+        });
+        
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        const infoId = addObject(`<< /Producer (Infinite Canvas) /Title (${PDFRenderContext.escapeText(this.roomName || 'Canvas')}) >>`);
+        
+        let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = [];
+        objects.forEach((body, index) => {
+            offsets.push(pdf.length);
+            pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        });
+        
+        const xrefOffset = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+        pdf += `startxref\n${xrefOffset}\n%%EOF`;
+        
+        return pdf;
+    }
+    
+}
+
+// Minimal stand-in for CanvasRenderingContext2D that records the calls made by
+// drawElementOnContext as PDF content stream operators, so PDF export produces
+// vector paths, real (selectable) text and embedded images from the same drawing code.
+class PDFRenderContext {
+    constructor(resources, width, height) {
+        this.resources = resources; // Fonts and images shared by every page of the document
+        this.width = width;
+        this.height = height;
+        this.operations = [];
+        this.currentPath = [];
+        this.stateStack = [];
+        this.clipDepth = 0; // Open 'q' groups holding clipping paths
+        
+        this.matrix = [1, 0, 0, 1, 0, 0];
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.font = '10px Arial';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        
+        // Used to measure text and normalize CSS colors the same way the browser does
+        this.measureCtx = document.createElement('canvas').getContext('2d');
+    }
+    
+    static escapeText(text) {
+        let escaped = '';
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            if (char === '(' || char === ')' || char === '\\') {
+                escaped += '\\' + char;
+            } else if (code < 32 || code > 255) {
+                escaped += '?'; // Outside WinAnsiEncoding
+            } else {
+                escaped += char;
+            }
+        }
+        return escaped;
+    }
+    
+    getContent() {
+        // Close any clipping groups left open
+        return this.operations.concat(new Array(this.clipDepth).fill('Q')).join('\n');
+    }
+    
+    // State and transforms
+    save() {
+        this.stateStack.push({
+            matrix: [...this.matrix],
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            lineJoin: this.lineJoin,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            clipDepth: this.clipDepth
+        });
+    }
+    
+    restore() {
+        const state = this.stateStack.pop();
+        if (state) {
+            // Drop clipping paths set since the matching save()
+            while (this.clipDepth > state.clipDepth) {
+                this.operations.push('Q');
+                this.clipDepth--;
+            }
+            Object.assign(this, state);
+        }
+    }
+    
+    transform(a, b, c, d, e, f) {
+        const m = this.matrix;
+        this.matrix = [
+            m[0] * a + m[2] * b,
+            m[1] * a + m[3] * b,
+            m[0] * c + m[2] * d,
+            m[1] * c + m[3] * d,
+            m[0] * e + m[2] * f + m[4],
+            m[1] * e + m[3] * f + m[5]
+        ];
+    }
+    
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+    
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+    
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+    
+    // Paths are stored in page coordinates, since PDF doesn't allow changing the
+    // transformation matrix while a path is under construction
+    point(x, y) {
+        const m = this.matrix;
+        return `${(m[0] * x + m[2] * y + m[4]).toFixed(3)} ${(m[1] * x + m[3] * y + m[5]).toFixed(3)}`;
+    }
+    
+    beginPath() {
+        this.currentPath = [];
+    }
+    
+    moveTo(x, y) {
+        this.currentPath.push(`${this.point(x, y)} m`);
+    }
+    
+    lineTo(x, y) {
+        this.currentPath.push(`${this.point(x, y)} l`);
+    }
+    
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        this.currentPath.push(`${this.point(cp1x, cp1y)} ${this.point(cp2x, cp2y)} ${this.point(x, y)} c`);
+    }
+    
+    closePath() {
+        this.currentPath.push('h');
+    }
+    
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+    
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        let sweep = endAngle - startAngle;
+        if (counterclockwise) {
+            sweep = -Math.min(Math.PI * 2, Math.abs(sweep));
+        } else {
+            sweep = Math.min(Math.PI * 2, sweep);
+        }
+        
+        const startX = x + Math.cos(startAngle) * radius;
+        const startY = y + Math.sin(startAngle) * radius;
+        if (this.currentPath.length === 0) {
+            this.moveTo(startX, startY);
+        } else {
+            this.lineTo(startX, startY);
+        }
+        
+        // Approximate the arc with cubic Bézier segments of at most 90 degrees
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        const step = sweep / segments;
+        const k = (4 / 3) * Math.tan(step / 4);
+        let angle = startAngle;
+        
+        for (let i = 0; i < segments; i++) {
+            const nextAngle = angle + step;
+            const cos1 = Math.cos(angle), sin1 = Math.sin(angle);
+            const cos2 = Math.cos(nextAngle), sin2 = Math.sin(nextAngle);
+            this.bezierCurveTo(
+                x + radius * (cos1 - k * sin1), y + radius * (sin1 + k * cos1),
+                x + radius * (cos2 + k * sin2), y + radius * (sin2 - k * cos2),
+                x + radius * cos2, y + radius * sin2
+            );
+            angle = nextAngle;
+        }
+    }
+    
+    colorOperator(color, operator) {
+        this.measureCtx.fillStyle = '#000000';
+        this.measureCtx.fillStyle = color;
+        const normalized = this.measureCtx.fillStyle;
+        
+        let r = 0, g = 0, b = 0;
+        if (normalized.startsWith('#')) {
+            r = parseInt(normalized.slice(1, 3), 16);
+            g = parseInt(normalized.slice(3, 5), 16);
+            b = parseInt(normalized.slice(5, 7), 16);
+        } else {
+            const channels = normalized.match(/[\d.]+/g) || [];
+            [r, g, b] = channels.map(Number);
+        }
+        
+        return `${(r / 255).toFixed(3)} ${(g / 255).toFixed(3)} ${(b / 255).toFixed(3)} ${operator}`;
+    }
+    
+    // Stroke width scales with the current transform
+    transformedLineWidth() {
+        const m = this.matrix;
+        return this.lineWidth * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    }
+    
+    fill() {
+        if (this.currentPath.length === 0) return;
+        this.operations.push(this.colorOperator(this.fillStyle, 'rg'), ...this.currentPath, 'f');
+    }
+    
+    stroke() {
+        if (this.currentPath.length === 0) return;
+        this.operations.push(
+            this.colorOperator(this.strokeStyle, 'RG'),
+            `${this.transformedLineWidth().toFixed(3)} w`,
+            `${['butt', 'round', 'square'].indexOf(this.lineCap)} J`,
+            `${['miter', 'round', 'bevel'].indexOf(this.lineJoin)} j`,
+            ...this.currentPath,
+            'S'
+        );
+    }
+    
+    // Clipping paths can only be removed by restoring the PDF graphics state,
+    // so each one opens a group that restore() closes
+    clip() {
+        if (this.currentPath.length === 0) return;
+        this.operations.push('q', ...this.currentPath, 'W n');
+        this.clipDepth++;
+    }
+    
+    fillRect(x, y, width, height) {
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        this.beginPath();
+    }
+    
+    strokeRect(x, y, width, height) {
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        this.beginPath();
+    }
+    
+    // Text
+    parseFont() {
+        const sizeMatch = this.font.match(/([\d.]+)px/);
+        const size = sizeMatch ? parseFloat(sizeMatch[1]) : 10;
+        const family = sizeMatch ? this.font.slice(this.font.indexOf(sizeMatch[0]) + sizeMatch[0].length).trim() : '';
+        const bold = /\bbold\b|\b[6-9]00\b/.test(this.font);
+        const italic = /\bitalic\b|\boblique\b/.test(this.font);
+        
+        // Map CSS families onto the standard 14 PDF fonts
+        let baseFont;
+        if (/times|georgia|serif/i.test(family) && !/sans/i.test(family)) {
+            baseFont = bold && italic ? 'Times-BoldItalic' : bold ? 'Times-Bold' : italic ? 'Times-Italic' : 'Times-Roman';
+        } else if (/courier|mono/i.test(family)) {
+            baseFont = bold && italic ? 'Courier-BoldOblique' : bold ? 'Courier-Bold' : italic ? 'Courier-Oblique' : 'Courier';
+        } else {
+            baseFont = bold && italic ? 'Helvetica-BoldOblique' : bold ? 'Helvetica-Bold' : italic ? 'Helvetica-Oblique' : 'Helvetica';
+        }
+        
+        return { size, baseFont };
+    }
+    
+    measureText(text) {
+        this.measureCtx.font = this.font;
+        return this.measureCtx.measureText(text);
+    }
+    
+    fillText(text, x, y) {
+        const { size, baseFont } = this.parseFont();
+        
+        if (!this.resources.fonts.has(baseFont)) {
+            this.resources.fonts.set(baseFont, `F${this.resources.fonts.size + 1}`);
+        }
+        const fontName = this.resources.fonts.get(baseFont);
+        
+        const textWidth = this.measureText(text).width;
+        if (this.textAlign === 'center') {
+            x -= textWidth / 2;
+        } else if (this.textAlign === 'right' || this.textAlign === 'end') {
+            x -= textWidth;
+        }
+        
+        // PDF text is always positioned on the alphabetic baseline
+        if (this.textBaseline === 'middle') {
+            y += size * 0.35;
+        } else if (this.textBaseline === 'top' || this.textBaseline === 'hanging') {
+            y += size * 0.8;
+        } else if (this.textBaseline === 'bottom' || this.textBaseline === 'ideographic') {
+            y -= size * 0.2;
+        }
+        
+        // Text space is y-up, so flip it back inside our y-down page coordinates
+        this.save();
+        this.transform(size, 0, 0, -size, x, y);
+        const m = this.matrix.map(value => value.toFixed(3)).join(' ');
+        this.restore();
+        
+        this.operations.push(
+            'BT',
+            this.colorOperator(this.fillStyle, 'rg'),
+            `/${fontName} 1 Tf`,
+            `${m} Tm`,
+            `(${PDFRenderContext.escapeText(text)}) Tj`,
+            'ET'
+        );
+    }
+    
+    // Images are re-encoded as JPEG and embedded once per source
+    drawImage(img, dx, dy, dWidth = img.naturalWidth, dHeight = img.naturalHeight) {
+        const key = img.src;
         
-        for (let i = 0; i < spikes; i++) {
-            let x1 = x + Math.cos(rot) * outerRadius;
-            let y1 = y + Math.sin(rot) * outerRadius;
-            ctx.lineTo(x1, y1);
-            rot += step;
+        if (!this.resources.images.has(key)) {
+            const imageCanvas = document.createElement('canvas');
+            imageCanvas.width = img.naturalWidth;
+            imageCanvas.height = img.naturalHeight;
+            const imageCtx = imageCanvas.getContext('2d');
             
-            x1 = x + Math.cos(rot) * innerRadius;
-            y1 = y + Math.sin(rot) * innerRadius;
-            ctx.lineTo(x1, y1);
-            rot += step;
+            // JPEG has no alpha channel, so flatten transparent PNGs onto white
+            imageCtx.fillStyle = '#ffffff';
+            imageCtx.fillRect(0, 0, imageCanvas.width, imageCanvas.height);
+            imageCtx.drawImage(img, 0, 0);
+            
+            const dataUrl = imageCanvas.toDataURL('image/jpeg', 0.92);
+            this.resources.images.set(key, {
+                name: `Im${this.resources.images.size + 1}`,
+                width: imageCanvas.width,
+                height: imageCanvas.height,
+                data: atob(dataUrl.split(',')[1])
+            });
         }
         
-        ctx.lineTo(x, y - outerRadius);
-        ctx.closePath();
+        const image = this.resources.images.get(key);
+        
+        // Image space is the y-up unit square
+        this.save();
+        this.transform(dWidth, 0, 0, -dHeight, dx, dy + dHeight);
+        const m = this.matrix.map(value => value.toFixed(3)).join(' ');
+        this.restore();
+        
+        this.operations.push('q', `${m} cm`, `/${image.name} Do`, 'Q');
+    }
+}
+
+// Quadtree over element bounding boxes, so rendering and hit testing only look at the
+// elements near the area of interest. Items that straddle a split stay in the parent node.
+// The root grows when something is added outside of it (the canvas is infinite).
+class QuadTree {
+    constructor(getBounds, maxItems = 16, maxDepth = 12) {
+        this.getBounds = getBounds; // element => { minX, minY, maxX, maxY }
+        this.maxItems = maxItems;
+        this.maxDepth = maxDepth;
+        this.entries = new Map(); // id -> { element, bounds, node }
+        this.root = this.createNode(-4096, -4096, 8192, 0);
+        this.onChange = null; // (bounds, element) => void, for areas that gained or lost an element (null: everything)
     }
     
-    downloadCanvasAsPNG(canvas) {
-        const link = document.createElement('a');
-        link.download = 'canvas-export.png';
-        link.href = canvas.toDataURL('image/png');
-        link.click();
+    createNode(x, y, size, depth) {
+        return { x, y, size, depth, items: [], children: null };
     }
     
-    downloadCanvasAsJPG(canvas) {
-        const link = document.createElement('a');
-        link.download = 'canvas-export.jpg';
-        link.href = canvas.toDataURL('image/jpeg', 0.9);
-        link.click();
+    clear() {
+        this.entries.clear();
+        this.root = this.createNode(-4096, -4096, 8192, 0);
+        if (this.onChange) this.onChange(null);
     }
     
-    exportAsSVG(options = {}) {
-        const { width = 1920, height = 1080, background = '#ffffff' } = options;
-        const bounds = this.calculateElementsBounds();
-        
-        const scale = Math.min(
-            (width * 0.8) / bounds.width,
-            (height * 0.8) / bounds.height
-        );
+    rebuild(elements) {
+        this.clear();
+        elements.forEach(element => this.insert(element));
+    }
+    
+    get(id) {
+        const entry = this.entries.get(id);
+        return entry ? entry.element : null;
+    }
+    
+    get size() {
+        return this.entries.size;
+    }
+    
+    insert(element) {
+        if (this.entries.has(element.id)) {
+            this.remove(element.id);
+        }
         
-        const offsetX = (width - bounds.width * scale) / 2 - bounds.minX * scale;
-        const offsetY = (height - bounds.height * scale) / 2 - bounds.minY * scale;
+        // Elements with broken geometry stay in the root and never match a query
+        const bounds = this.getBounds(element);
+        const finite = [bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(Number.isFinite);
+        if (finite && !this.contains(this.root, bounds)) {
+            this.grow(bounds);
+        }
         
-        let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`;
-        svg += `<rect width="${width}" height="${height}" fill="${background}"/>`;
+        const entry = { element, bounds, node: null };
+        this.entries.set(element.id, entry);
+        this.insertEntry(this.root, entry);
+        if (this.onChange) this.onChange(bounds, element);
+    }
+    
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
         
-        // Sort elements by layer order and z-index within each layer (same as main render)
-        const sortedElements = [...this.elements].sort((a, b) => {
-            // First sort by layer order
-            const layerAIndex = this.layers.findIndex(l => l.id === a.layerId);
-            const layerBIndex = this.layers.findIndex(l => l.id === b.layerId);
-            if (layerAIndex !== layerBIndex) {
-                return layerAIndex - layerBIndex;
+        const index = entry.node.items.indexOf(entry);
+        if (index !== -1) {
+            entry.node.items.splice(index, 1);
+        }
+        this.entries.delete(id);
+        if (this.onChange) this.onChange(entry.bounds, entry.element);
+    }
+    
+    // Re-insert an element whose geometry may have changed (cheap when it didn't)
+    update(element) {
+        const entry = this.entries.get(element.id);
+        if (entry && entry.element === element) {
+            const bounds = this.getBounds(element);
+            if (bounds.minX === entry.bounds.minX && bounds.minY === entry.bounds.minY &&
+                bounds.maxX === entry.bounds.maxX && bounds.maxY === entry.bounds.maxY) {
+                return;
             }
+        }
+        this.insert(element);
+    }
+    
+    // Elements whose bounds intersect the rectangle (in no particular order)
+    query(minX, minY, maxX, maxY) {
+        const result = [];
+        const visit = node => {
+            if (node.x > maxX || node.y > maxY || node.x + node.size < minX || node.y + node.size < minY) return;
             
-            // Then sort by z-index within the same layer
-            const zIndexA = a.zIndex || 0;
-            const zIndexB = b.zIndex || 0;
-            return zIndexA - zIndexB;
-        });
+            node.items.forEach(entry => {
+                const b = entry.bounds;
+                if (b.minX <= maxX && b.maxX >= minX && b.minY <= maxY && b.maxY >= minY) {
+                    result.push(entry.element);
+                }
+            });
+            if (node.children) {
+                node.children.forEach(visit);
+            }
+        };
+        visit(this.root);
+        return result;
+    }
+    
+    contains(node, bounds) {
+        return bounds.minX >= node.x && bounds.maxX <= node.x + node.size &&
+               bounds.minY >= node.y && bounds.maxY <= node.y + node.size;
+    }
+    
+    insertEntry(node, entry) {
+        while (node.children) {
+            const child = node.children.find(c => this.contains(c, entry.bounds));
+            if (!child) break;
+            node = child;
+        }
         
-        sortedElements.forEach(element => {
-            if (!this.isElementInVisibleLayer(element)) return;
-            
-            const x = element.x * scale + offsetX;
-            const y = element.y * scale + offsetY;
-            const w = element.width * scale;
-            const h = element.height * scale;
-            
-            let transform = `translate(${x}, ${y})`;
-            if (element.rotation) {
-                transform += ` rotate(${element.rotation * 180 / Math.PI})`;
+        node.items.push(entry);
+        entry.node = node;
+        
+        if (!node.children && node.items.length > this.maxItems && node.depth < this.maxDepth) {
+            this.split(node);
+        }
+    }
+    
+    split(node) {
+        const half = node.size / 2;
+        node.children = [
+            this.createNode(node.x, node.y, half, node.depth + 1),
+            this.createNode(node.x + half, node.y, half, node.depth + 1),
+            this.createNode(node.x, node.y + half, half, node.depth + 1),
+            this.createNode(node.x + half, node.y + half, half, node.depth + 1)
+        ];
+        
+        const items = node.items;
+        node.items = [];
+        items.forEach(entry => this.insertEntry(node, entry));
+    }
+    
+    // Double the root until the bounds fit, then re-insert everything
+    grow(bounds) {
+        let { x, y, size } = this.root;
+        while (!(bounds.minX >= x && bounds.maxX <= x + size && bounds.minY >= y && bounds.maxY <= y + size)) {
+            x -= size / 2;
+            y -= size / 2;
+            size *= 2;
+        }
+        
+        const entries = Array.from(this.entries.values());
+        this.root = this.createNode(x, y, size, 0);
+        entries.forEach(entry => this.insertEntry(this.root, entry));
+    }
+}
+
+// Rich text for text elements. The content is a list of runs, each a piece of text
+// with optional style overrides: { text, bold, italic, underline, strike, color, size, link }.
+// Whatever a run leaves out comes from the element (fontSize, fontWeight, color, ...),
+// so text from before runs existed is one unstyled run. `element.text` always holds the
+// plain text, and paragraphs (split on newlines) can be list items through
+// `element.listStyles[i]` ('bullet', 'number' or null).
+//
+// Layouts are lists of lines { start, end, y, height, fragments: [{ text, start, x, width, font }] }
+// in element coordinates; sticky notes produce the same shape, so caret placement,
+// selection and hit testing work for both.
+class RichText {
+    static get STYLE_KEYS() {
+        return ['bold', 'italic', 'underline', 'strike', 'color', 'size', 'link'];
+    }
+
+    static get PADDING() {
+        return 6;
+    }
+
+    // The element's runs, or one unstyled run when it has none (or they're out of date)
+    static getRuns(element) {
+        const text = element.text || '';
+        if (Array.isArray(element.runs) && RichText.plainText(element.runs) === text) {
+            return element.runs.map(run => ({ ...run }));
+        }
+        return text ? [{ text }] : [];
+    }
+
+    static getListStyles(element, paragraphCount) {
+        const lists = Array.isArray(element.listStyles) ? element.listStyles : [];
+        return Array.from({ length: paragraphCount }, (_, i) => lists[i] || null);
+    }
+
+    // Runs and list styles together, as edited by the inline text editor
+    static getDocument(element) {
+        const runs = RichText.getRuns(element);
+        const paragraphCount = RichText.plainText(runs).split('\n').length;
+        return { runs, lists: RichText.getListStyles(element, paragraphCount) };
+    }
+
+    // Store a document on the element; formatting fields are dropped when unused
+    static writeDocument(element, doc) {
+        const runs = RichText.normalize(doc.runs);
+        element.text = RichText.plainText(runs);
+
+        if (runs.some(run => Object.keys(run).length > 1)) {
+            element.runs = runs;
+        } else {
+            delete element.runs;
+        }
+
+        if (doc.lists.some(Boolean)) {
+            element.listStyles = doc.lists.slice();
+        } else {
+            delete element.listStyles;
+        }
+    }
+
+    static plainText(runs) {
+        return runs.map(run => run.text).join('');
+    }
+
+    static styleOf(run) {
+        const style = {};
+        RichText.STYLE_KEYS.forEach(key => {
+            if (run[key] !== undefined && run[key] !== null) style[key] = run[key];
+        });
+        return style;
+    }
+
+    static sameStyle(a, b) {
+        return RichText.STYLE_KEYS.every(key => a[key] === b[key]);
+    }
+
+    // Drop empty runs and merge neighbours with the same style
+    static normalize(runs) {
+        const result = [];
+        runs.forEach(run => {
+            if (!run.text) return;
+            const style = RichText.styleOf(run);
+            const previous = result[result.length - 1];
+            if (previous && RichText.sameStyle(previous, style)) {
+                previous.text += run.text;
+            } else {
+                result.push({ text: run.text, ...style });
             }
-            
-            svg += `<g transform="${transform}">`;
-            
-            switch (element.shape) {
-                case 'square':
-                case 'rectangle':
-                    svg += `<rect x="${-w/2}" y="${-h/2}" width="${w}" height="${h}" fill="${element.color}" stroke="#333" stroke-width="1"/>`;
-                    break;
-                case 'circle':
-                    svg += `<circle cx="0" cy="0" r="${w/2}" fill="${element.color}" stroke="#333" stroke-width="1"/>`;
-                    break;
-                case 'triangle':
-                    svg += `<polygon points="0,${-h/2} ${-w/2},${h/2} ${w/2},${h/2}" fill="${element.color}" stroke="#333" stroke-width="1"/>`;
-                    break;
-                case 'text':
-                    const fontSize = (element.fontSize || 20) * scale;
-                    const fontFamily = element.fontFamily || 'Arial';
-                    const fontWeight = element.fontWeight || 'normal';
-                    const fontStyle = element.fontStyle || 'normal';
-                    const textDecoration = element.textDecoration === 'line-through' ? 'line-through' : 'none';
-                    
-                    const text = element.text || 'Double-click to edit';
-                    const lines = text.split('\n');
-                    const lineHeight = fontSize * 1.2;
-                    const totalHeight = lines.length * lineHeight;
-                    const startY = -(totalHeight / 2) + (lineHeight / 2);
-                    
-                    lines.forEach((line, index) => {
-                        const y = startY + (index * lineHeight);
-                        svg += `<text x="0" y="${y}" text-anchor="middle" dominant-baseline="middle" font-family="${fontFamily}" font-size="${fontSize}" font-weight="${fontWeight}" font-style="${fontStyle}" text-decoration="${textDecoration}" fill="${element.color}">${line}</text>`;
+        });
+        return result;
+    }
+
+    // Split runs so that `offset` falls on a run boundary; returns the index of the run starting there
+    static splitAt(runs, offset) {
+        let position = 0;
+        for (let i = 0; i < runs.length; i++) {
+            const run = runs[i];
+            if (offset === position) return i;
+            if (offset < position + run.text.length) {
+                const cut = offset - position;
+                runs.splice(i, 1, { ...run, text: run.text.slice(0, cut) }, { ...run, text: run.text.slice(cut) });
+                return i + 1;
+            }
+            position += run.text.length;
+        }
+        return runs.length;
+    }
+
+    // Style for text typed at `offset`: the character before it, without a link that ends there
+    static styleAt(runs, offset) {
+        let position = 0;
+        let before = null;
+        let after = null;
+        for (const run of runs) {
+            const end = position + run.text.length;
+            if (!before && offset > position && offset <= end) before = run;
+            if (!after && offset >= position && offset < end) after = run;
+            position = end;
+        }
+
+        const style = RichText.styleOf(before || after || {});
+        if (style.link && (!after || after.link !== style.link)) {
+            delete style.link;
+        }
+        return style;
+    }
+
+    static paragraphIndexAt(text, offset) {
+        return text.slice(0, offset).split('\n').length - 1;
+    }
+
+    // Character offsets where each paragraph starts and ends
+    static paragraphBounds(text) {
+        const bounds = [];
+        let start = 0;
+        text.split('\n').forEach(paragraph => {
+            bounds.push({ start, end: start + paragraph.length });
+            start += paragraph.length + 1;
+        });
+        return bounds;
+    }
+
+    static insert(doc, offset, text, style = {}) {
+        const runs = doc.runs.map(run => ({ ...run }));
+        const index = RichText.splitAt(runs, offset);
+        runs.splice(index, 0, { text, ...style });
+
+        // New paragraphs continue the list of the one they were split from
+        const paragraph = RichText.paragraphIndexAt(RichText.plainText(doc.runs), offset);
+        const added = text.split('\n').length - 1;
+        const lists = doc.lists.slice();
+        lists.splice(paragraph + 1, 0, ...Array(added).fill(lists[paragraph] || null));
+
+        return { runs: RichText.normalize(runs), lists };
+    }
+
+    static remove(doc, start, end) {
+        if (end <= start) return doc;
+
+        const runs = doc.runs.map(run => ({ ...run }));
+        const first = RichText.splitAt(runs, start);
+        const last = RichText.splitAt(runs, end);
+        runs.splice(first, last - first);
+
+        // Paragraphs merged into the first one lose their own list style
+        const text = RichText.plainText(doc.runs);
+        const paragraph = RichText.paragraphIndexAt(text, start);
+        const removed = text.slice(start, end).split('\n').length - 1;
+        const lists = doc.lists.slice();
+        lists.splice(paragraph + 1, removed);
+
+        return { runs: RichText.normalize(runs), lists };
+    }
+
+    // Set (or, with null, clear) style keys on a range
+    static applyStyle(doc, start, end, patch) {
+        const runs = doc.runs.map(run => ({ ...run }));
+        const first = RichText.splitAt(runs, start);
+        const last = RichText.splitAt(runs, end);
+        for (let i = first; i < last; i++) {
+            Object.keys(patch).forEach(key => {
+                if (patch[key] === null || patch[key] === undefined) {
+                    delete runs[i][key];
+                } else {
+                    runs[i][key] = patch[key];
+                }
+            });
+        }
+        return { runs: RichText.normalize(runs), lists: doc.lists.slice() };
+    }
+
+    // Whether every character in the range has a style key set to a truthy value
+    static rangeHasStyle(element, doc, start, end, key) {
+        let position = 0;
+        let covered = true;
+        doc.runs.forEach(run => {
+            const runEnd = position + run.text.length;
+            if (runEnd > start && position < end) {
+                const value = RichText.effectiveStyle(element, run)[key];
+                if (!value) covered = false;
+            }
+            position = runEnd;
+        });
+        return covered;
+    }
+
+    static linkAt(runs, offset) {
+        let position = 0;
+        for (const run of runs) {
+            const end = position + run.text.length;
+            if (offset >= position && offset < end) return run.link || null;
+            position = end;
+        }
+        return null;
+    }
+
+    // Run style combined with the element's own formatting
+    static effectiveStyle(element, run) {
+        const decoration = element.textDecoration;
+        const style = {
+            bold: run.bold !== undefined ? run.bold : element.fontWeight === 'bold',
+            italic: run.italic !== undefined ? run.italic : element.fontStyle === 'italic',
+            underline: run.underline !== undefined ? run.underline : (decoration === 'underline' || Boolean(run.link)),
+            strike: run.strike !== undefined ? run.strike : decoration === 'line-through',
+            color: run.color || (run.link ? '#1a73e8' : element.color),
+            size: run.size || element.fontSize || 20,
+            link: run.link || null,
+            fontFamily: element.fontFamily || 'Arial'
+        };
+        style.font = `${style.italic ? 'italic' : 'normal'} ${style.bold ? 'bold' : 'normal'} ${style.size}px ${style.fontFamily}`;
+        return style;
+    }
+
+    // Word-wrap the runs into lines. Lines are centered on the element's center,
+    // list items are aligned to the left edge of the text block.
+    static layout(ctx, element, runs = RichText.getRuns(element)) {
+        const text = RichText.plainText(runs);
+        const paragraphs = RichText.paragraphBounds(text);
+        const lists = RichText.getListStyles(element, paragraphs.length);
+        const baseStyle = RichText.effectiveStyle(element, {});
+        const wrapWidth = element.wrap ? Math.max(20, element.width - RichText.PADDING * 2) : Infinity;
+        const listIndent = baseStyle.size * 1.6;
+
+        const measure = (string, font) => {
+            ctx.font = font;
+            return ctx.measureText(string).width;
+        };
+
+        // Break every run into word and space tokens, grouped by paragraph
+        const tokensByParagraph = paragraphs.map(() => []);
+        let position = 0;
+        let paragraphIndex = 0;
+        runs.forEach(run => {
+            const style = RichText.effectiveStyle(element, run);
+            run.text.split(/(\n| +)/).forEach(piece => {
+                if (piece === '\n') {
+                    position++;
+                    paragraphIndex++;
+                    return;
+                }
+                if (piece) {
+                    tokensByParagraph[paragraphIndex].push({ text: piece, start: position, style, space: piece[0] === ' ' });
+                }
+                position += piece.length;
+            });
+        });
+
+        ctx.save();
+        const lines = [];
+        let number = 0;
+
+        paragraphs.forEach((paragraph, index) => {
+            const list = lists[index];
+            number = list === 'number' ? number + 1 : 0;
+            const indent = list ? listIndent : 0;
+            const available = wrapWidth - indent;
+
+            let line = null;
+            const startLine = start => {
+                line = { start, end: start, fragments: [], width: 0, contentWidth: 0, indent, list, paragraph: index };
+                lines.push(line);
+            };
+            const addFragment = (fragmentText, start, style, space) => {
+                const width = measure(fragmentText, style.font);
+                line.fragments.push({ text: fragmentText, start, style, font: style.font, x: line.width, width });
+                line.width += width;
+                line.end = start + fragmentText.length;
+                if (!space) line.contentWidth = line.width;
+            };
+
+            startLine(paragraph.start);
+            line.marker = list === 'bullet' ? '•' : (list === 'number' ? `${number}.` : null);
+
+            // Group word tokens that touch (a word can span runs) and place them greedily
+            const tokens = tokensByParagraph[index];
+            for (let i = 0; i < tokens.length;) {
+                if (tokens[i].space) {
+                    addFragment(tokens[i].text, tokens[i].start, tokens[i].style, true);
+                    i++;
+                    continue;
+                }
+
+                const word = [];
+                while (i < tokens.length && !tokens[i].space) word.push(tokens[i++]);
+                const wordWidth = word.reduce((sum, token) => sum + measure(token.text, token.style.font), 0);
+
+                if (line.fragments.length > 0 && line.width + wordWidth > available) {
+                    startLine(word[0].start);
+                }
+
+                word.forEach(token => {
+                    // Words wider than the whole line are broken between characters
+                    let remaining = token.text;
+                    let start = token.start;
+                    while (line.width + measure(remaining, token.style.font) > available && remaining.length > 1) {
+                        let fit = 0;
+                        while (fit < remaining.length && line.width + measure(remaining.slice(0, fit + 1), token.style.font) <= available) {
+                            fit++;
+                        }
+                        if (fit === 0 && line.fragments.length === 0) fit = 1;
+                        if (fit > 0) addFragment(remaining.slice(0, fit), start, token.style, false);
+                        remaining = remaining.slice(fit);
+                        start += fit;
+                        startLine(start);
+                    }
+                    addFragment(remaining, start, token.style, false);
+                });
+            }
+        });
+
+        // Line heights follow the largest text on the line
+        lines.forEach(line => {
+            const size = line.fragments.reduce((max, fragment) => Math.max(max, fragment.style.size), line.fragments.length ? 0 : baseStyle.size);
+            line.size = size;
+            line.height = size * 1.2;
+        });
+
+        const blockWidth = Number.isFinite(wrapWidth) ?
+            wrapWidth :
+            lines.reduce((max, line) => Math.max(max, line.contentWidth + line.indent), 0);
+        const totalHeight = lines.reduce((sum, line) => sum + line.height, 0);
+
+        let top = -totalHeight / 2;
+        lines.forEach(line => {
+            line.y = top + line.height / 2;
+            top += line.height;
+
+            line.x = line.list ? -blockWidth / 2 + line.indent : -line.contentWidth / 2;
+            line.fragments.forEach(fragment => {
+                fragment.x += line.x;
+            });
+            if (line.marker) {
+                line.markerX = line.x - baseStyle.size * 0.4;
+                line.markerFont = baseStyle.font;
+            }
+        });
+        ctx.restore();
+
+        return { lines, width: blockWidth, height: totalHeight, baseStyle };
+    }
+
+    // X position of a character offset within one line
+    static lineCaretX(ctx, line, offset) {
+        let x = line.fragments.length ? line.fragments[0].x : (line.x || 0);
+        ctx.save();
+        for (const fragment of line.fragments) {
+            if (offset < fragment.start) break;
+            if (offset <= fragment.start + fragment.text.length) {
+                ctx.font = fragment.font;
+                x = fragment.x + ctx.measureText(fragment.text.slice(0, offset - fragment.start)).width;
+            } else {
+                x = fragment.x + fragment.width;
+            }
+        }
+        ctx.restore();
+        return x;
+    }
+
+    static lineIndexAt(layout, offset) {
+        let lineIndex = 0;
+        layout.lines.forEach((line, index) => {
+            if (line.start <= offset) lineIndex = index;
+        });
+        return lineIndex;
+    }
+
+    // Caret position for a character offset: { x, y, height, line }
+    static caretPosition(ctx, layout, offset) {
+        const lineIndex = RichText.lineIndexAt(layout, offset);
+        const line = layout.lines[lineIndex];
+        return { x: RichText.lineCaretX(ctx, line, offset), y: line.y, height: line.size, line: lineIndex };
+    }
+
+    // Character offset closest to a point in element coordinates
+    static offsetAt(ctx, layout, x, y) {
+        const lines = layout.lines;
+        let line = lines[lines.length - 1];
+        for (const candidate of lines) {
+            if (y <= candidate.y + candidate.height / 2) {
+                line = candidate;
+                break;
+            }
+        }
+
+        let best = line.start;
+        let bestDistance = Infinity;
+        const consider = (offset, caretX) => {
+            const distance = Math.abs(caretX - x);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = offset;
+            }
+        };
+
+        consider(line.start, line.fragments.length ? line.fragments[0].x : (line.x || 0));
+        ctx.save();
+        line.fragments.forEach(fragment => {
+            ctx.font = fragment.font;
+            for (let i = 1; i <= fragment.text.length; i++) {
+                consider(fragment.start + i, fragment.x + ctx.measureText(fragment.text.slice(0, i)).width);
+            }
+        });
+        ctx.restore();
+        return best;
+    }
+
+    // Rectangles covering a selected range, one per line
+    static selectionRects(ctx, layout, start, end) {
+        const rects = [];
+        layout.lines.forEach((line, index) => {
+            const next = layout.lines[index + 1];
+            const lineEnd = next ? next.start : line.end;
+            if (end <= line.start || start > lineEnd || (start === lineEnd && next)) return;
+
+            const from = RichText.lineCaretX(ctx, line, Math.max(start, line.start));
+            let to = RichText.lineCaretX(ctx, line, Math.min(end, line.end));
+            if (end > line.end && next) to += line.size * 0.3; // Show that the line break is selected
+
+            rects.push({ x: from, y: line.y - line.height / 2, width: Math.max(2, to - from), height: line.height });
+        });
+        return rects;
+    }
+
+    // Draw a layout centered on the context origin
+    static draw(ctx, layout) {
+        ctx.save();
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        layout.lines.forEach(line => {
+            if (line.marker) {
+                ctx.font = line.markerFont;
+                ctx.fillStyle = layout.baseStyle.color;
+                ctx.textAlign = 'right';
+                ctx.fillText(line.marker, line.markerX, line.y);
+                ctx.textAlign = 'left';
+            }
+
+            line.fragments.forEach(fragment => {
+                const style = fragment.style;
+                ctx.font = fragment.font;
+                ctx.fillStyle = style.color;
+                ctx.fillText(fragment.text, fragment.x, line.y);
+
+                if (style.underline || style.strike) {
+                    ctx.strokeStyle = style.color;
+                    ctx.lineWidth = Math.max(1, style.size * 0.06);
+                    const offsets = [];
+                    if (style.underline) offsets.push(style.size * 0.45);
+                    if (style.strike) offsets.push(0);
+                    offsets.forEach(offset => {
+                        ctx.beginPath();
+                        ctx.moveTo(fragment.x, line.y + offset);
+                        ctx.lineTo(fragment.x + fragment.width, line.y + offset);
+                        ctx.stroke();
                     });
-                    break;
+                }
+            });
+        });
+
+        ctx.restore();
+    }
+
+    static escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // A layout as SVG <text> lines with one <tspan> per formatting run, scaled by `scale`
+    static toSVG(layout, scale) {
+        const escape = RichText.escapeXML;
+        let svg = '';
+
+        layout.lines.forEach(line => {
+            const y = line.y * scale;
+            let spans = '';
+
+            if (line.marker) {
+                const base = layout.baseStyle;
+                spans += `<tspan x="${line.markerX * scale}" text-anchor="end" font-size="${base.size * scale}" fill="${escape(base.color)}">${escape(line.marker)}</tspan>`;
             }
-            
-            if (element.text) {
-                svg += `<text x="0" y="5" text-anchor="middle" font-family="Arial" font-size="14" fill="#333">${element.text}</text>`;
+
+            line.fragments.forEach(fragment => {
+                const style = fragment.style;
+                const decorations = [style.underline && 'underline', style.strike && 'line-through'].filter(Boolean);
+                let span = `<tspan x="${fragment.x * scale}" text-anchor="start" font-family="${escape(style.fontFamily)}" font-size="${style.size * scale}"` +
+                    ` font-weight="${style.bold ? 'bold' : 'normal'}" font-style="${style.italic ? 'italic' : 'normal'}"` +
+                    ` text-decoration="${decorations.join(' ') || 'none'}" fill="${escape(style.color)}">${escape(fragment.text)}</tspan>`;
+                if (style.link) {
+                    span = `<a href="${escape(style.link)}">${span}</a>`;
+                }
+                spans += span;
+            });
+
+            if (spans) {
+                svg += `<text y="${y}" dominant-baseline="middle" xml:space="preserve">${spans}</text>`;
             }
-            
-            svg += '</g>';
         });
-        
-        svg += '</svg>';
-        
-        const blob = new Blob([svg], { type: 'image/svg+xml' });
-        const link = document.createElement('a');
-        link.download = 'canvas-export.svg';
-        link.href = URL.createObjectURL(blob);
-        link.click();
+
+        return svg;
     }
-    
 }
 
 const canvas = new InfiniteCanvas();
@@ -5879,6 +11506,16 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
+    // Export format selector - PDF has its own page layout options
+    const exportFormat = document.getElementById('exportFormat');
+    const pdfOptions = document.getElementById('pdfOptions');
+    
+    if (exportFormat && pdfOptions) {
+        exportFormat.addEventListener('change', (e) => {
+            pdfOptions.style.display = e.target.value === 'pdf' ? 'flex' : 'none';
+        });
+    }
+    
     // Escape key to close modal
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && document.getElementById('exportDialog').style.display === 'block') {
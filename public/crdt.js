@@ -0,0 +1,174 @@
+// Conflict-free merge rules shared by the browser client and the Node server.
+//
+// Every element (and layer) property is a last-writer-wins register. Writes are
+// stamped with a Lamport clock [counter, replicaId]; the higher stamp wins, with
+// the replica id breaking ties, so every replica converges on the same value no
+// matter in which order the updates arrive. Z-order and layer order are kept as
+// ordered lists keyed by a numeric position (zIndex / order) with the id as a
+// tie-breaker, which gives the same total order everywhere.
+(function (root) {
+    // Fields that describe a message rather than element state
+    const TRANSIENT_FIELDS = ['id', 'clocks', 'userId', 'userName', 'initialPosition', 'action'];
+
+    // Plain code-unit order. Tie-breaks must not depend on the locale (as localeCompare
+    // does), or replicas in different locales would pick different winners.
+    function compareStrings(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    // Compare two stamps; a missing stamp is older than any real one
+    function compareStamps(a, b) {
+        if (!a && !b) return 0;
+        if (!a) return -1;
+        if (!b) return 1;
+        if (a[0] !== b[0]) return a[0] - b[0];
+        return compareStrings(String(a[1]), String(b[1]));
+    }
+
+    class LamportClock {
+        constructor(replicaId) {
+            this.replicaId = replicaId;
+            this.counter = 0;
+        }
+
+        // Stamp a local write
+        tick() {
+            this.counter++;
+            return [this.counter, this.replicaId];
+        }
+
+        // Move past every stamp seen from other replicas
+        observe(clocks) {
+            if (!clocks) return;
+            Object.values(clocks).forEach(stamp => {
+                if (Array.isArray(stamp) && stamp[0] > this.counter) {
+                    this.counter = stamp[0];
+                }
+            });
+        }
+    }
+
+    function isTransient(prop) {
+        return TRANSIENT_FIELDS.includes(prop);
+    }
+
+    function valuesEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a === 'object' || typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return false;
+    }
+
+    // Properties that differ between two versions of the same object.
+    // A property removed in `current` is reported so it can be written as null.
+    function diffProperties(previous, current, ignore = []) {
+        const changed = [];
+        const props = new Set([...Object.keys(previous || {}), ...Object.keys(current)]);
+        props.forEach(prop => {
+            if (isTransient(prop) || ignore.includes(prop)) return;
+            if (!valuesEqual(previous ? previous[prop] : undefined, current[prop])) {
+                changed.push(prop);
+            }
+        });
+        return changed;
+    }
+
+    // Stamp every state property of a freshly created object
+    function stampAll(object, stamp, ignore = []) {
+        object.clocks = {};
+        Object.keys(object).forEach(prop => {
+            if (isTransient(prop) || ignore.includes(prop)) return;
+            object.clocks[prop] = stamp;
+        });
+        return object;
+    }
+
+    // Merge a patch into target, register by register. Returns the properties that changed.
+    // Patches without clocks come from older clients and keep the old shallow-merge behaviour,
+    // except that they can't overwrite a value that has been written with a stamp.
+    function mergeRegisters(target, patch) {
+        const changed = [];
+
+        if (!patch.clocks) {
+            Object.keys(patch).forEach(prop => {
+                if (prop === 'id' || prop === 'clocks') return;
+                if (target.clocks && target.clocks[prop]) return;
+                target[prop] = patch[prop];
+                changed.push(prop);
+            });
+            return changed;
+        }
+
+        if (!target.clocks) {
+            target.clocks = {};
+        }
+
+        Object.keys(patch.clocks).forEach(prop => {
+            if (isTransient(prop)) return;
+            const incoming = patch.clocks[prop];
+            if (compareStamps(incoming, target.clocks[prop]) <= 0) return;
+
+            target.clocks[prop] = incoming;
+            const value = patch[prop];
+            if (value === null || value === undefined) {
+                delete target[prop]; // null marks a removed property (e.g. ungrouped)
+            } else {
+                target[prop] = value;
+            }
+            changed.push(prop);
+        });
+
+        return changed;
+    }
+
+    // Deterministic id ordering for tie-breaks (ids may be numbers or strings)
+    function compareIds(a, b) {
+        return compareStrings(String(a), String(b));
+    }
+
+    // Z-order within a layer: position first, then id
+    function compareZOrder(a, b) {
+        const zIndexA = a.zIndex || 0;
+        const zIndexB = b.zIndex || 0;
+        if (zIndexA !== zIndexB) return zIndexA - zIndexB;
+        return compareIds(a.id, b.id);
+    }
+
+    // Layer stacking order: position first, then id
+    function compareLayers(a, b) {
+        const orderA = typeof a.order === 'number' ? a.order : 0;
+        const orderB = typeof b.order === 'number' ? b.order : 0;
+        if (orderA !== orderB) return orderA - orderB;
+        return compareIds(a.id, b.id);
+    }
+
+    // Give layers without a position one that keeps their current array order
+    function normalizeLayerOrder(layers) {
+        layers.forEach((layer, index) => {
+            if (typeof layer.order !== 'number') {
+                layer.order = index;
+            }
+        });
+        return layers.sort(compareLayers);
+    }
+
+    const CanvasCRDT = {
+        TRANSIENT_FIELDS,
+        LamportClock,
+        compareStamps,
+        diffProperties,
+        stampAll,
+        mergeRegisters,
+        compareIds,
+        compareZOrder,
+        compareLayers,
+        normalizeLayerOrder
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CanvasCRDT;
+    } else {
+        root.CanvasCRDT = CanvasCRDT;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,250 @@
+// Compact binary encoding for high-frequency cursor and move traffic, shared by the
+// browser client and the Node server.
+//
+// JSON stays the default. A client that understands this encoding lists it in
+// joinRoom (`encodings: ['binary-v1']`) and the server confirms it in `init` /
+// `catchUp` (`encoding: 'binary-v1'`). From then on cursor and move messages travel
+// as binary frames, each carrying a batch of them; everything else stays JSON.
+//
+// Frame layout (little-endian):
+//   u8  version (1)
+//   u16 string count, then each string as u16 byte length + UTF-8 bytes
+//   u16 record count, then the records
+//
+// Strings (user ids and names, actions, string element ids) are written once per
+// frame and referenced by index, so a batch from one user names them only once.
+//
+//   cursor: u8 kind=1, u8 flags, [u16 userId, u16 userName], f64 x, f64 y, f64 worldX, f64 worldY, [u16 action]
+//   move:   u8 kind=2, u8 flags, [u16 userId, u16 userName], id, f64 x, f64 y,
+//           [f64 width], [f64 height], [f64 rotation], [u16 action]
+//   id:     u8 0 + f64 number, or u8 1 + u16 string
+(function (root) {
+    const ENCODING = 'binary-v1';
+    const VERSION = 1;
+
+    // Most records a frame may carry
+    const MAX_RECORDS = 1000;
+
+    const KIND_CURSOR = 1;
+    const KIND_MOVE = 2;
+
+    const FLAG_SENDER = 1;
+    const FLAG_ACTION = 2;
+    const FLAG_WIDTH = 4;
+    const FLAG_HEIGHT = 8;
+    const FLAG_ROTATION = 16;
+
+    // Message types that can be sent in binary frames
+    const BINARY_TYPES = ['cursor', 'move'];
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    function isNumber(value) {
+        return typeof value === 'number';
+    }
+
+    // Encode a batch of { type, data } cursor/move messages into one frame
+    function encodeBatch(updates) {
+        if (updates.length > MAX_RECORDS) {
+            throw new Error(`Too many records for one frame (${updates.length})`);
+        }
+
+        const strings = [];
+        const stringIndex = new Map();
+        const intern = value => {
+            const text = String(value);
+            if (!stringIndex.has(text)) {
+                stringIndex.set(text, strings.length);
+                strings.push(encoder.encode(text));
+            }
+            return stringIndex.get(text);
+        };
+
+        // First pass: flags, string references and the frame size
+        let recordBytes = 0;
+        const records = updates.map(({ type, data }) => {
+            if (!BINARY_TYPES.includes(type)) {
+                throw new Error(`Cannot encode ${type} messages`);
+            }
+            const record = { kind: type === 'cursor' ? KIND_CURSOR : KIND_MOVE, data, flags: 0 };
+
+            recordBytes += 2;
+            if (data.userId !== undefined) {
+                record.flags |= FLAG_SENDER;
+                record.userId = intern(data.userId);
+                record.userName = intern(data.userName || '');
+                recordBytes += 4;
+            }
+            if (data.action !== undefined) {
+                record.flags |= FLAG_ACTION;
+                record.action = intern(data.action);
+                recordBytes += 2;
+            }
+
+            if (record.kind === KIND_CURSOR) {
+                recordBytes += 32;
+            } else {
+                record.idIsString = typeof data.id === 'string';
+                if (record.idIsString) record.id = intern(data.id);
+                recordBytes += (record.idIsString ? 3 : 9) + 16;
+                if (isNumber(data.width)) { record.flags |= FLAG_WIDTH; recordBytes += 8; }
+                if (isNumber(data.height)) { record.flags |= FLAG_HEIGHT; recordBytes += 8; }
+                if (isNumber(data.rotation)) { record.flags |= FLAG_ROTATION; recordBytes += 8; }
+            }
+            return record;
+        });
+
+        const stringBytes = strings.reduce((sum, bytes) => sum + 2 + bytes.length, 0);
+        const buffer = new ArrayBuffer(1 + 2 + stringBytes + 2 + recordBytes);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        let offset = 0;
+
+        view.setUint8(offset, VERSION); offset += 1;
+        view.setUint16(offset, strings.length, true); offset += 2;
+        strings.forEach(string => {
+            view.setUint16(offset, string.length, true); offset += 2;
+            bytes.set(string, offset); offset += string.length;
+        });
+
+        view.setUint16(offset, records.length, true); offset += 2;
+        const writeNumber = value => { view.setFloat64(offset, value, true); offset += 8; };
+
+        records.forEach(record => {
+            const data = record.data;
+            view.setUint8(offset, record.kind); offset += 1;
+            view.setUint8(offset, record.flags); offset += 1;
+            if (record.flags & FLAG_SENDER) {
+                view.setUint16(offset, record.userId, true); offset += 2;
+                view.setUint16(offset, record.userName, true); offset += 2;
+            }
+
+            if (record.kind === KIND_CURSOR) {
+                writeNumber(data.x);
+                writeNumber(data.y);
+                writeNumber(data.worldX);
+                writeNumber(data.worldY);
+            } else {
+                if (record.idIsString) {
+                    view.setUint8(offset, 1); offset += 1;
+                    view.setUint16(offset, record.id, true); offset += 2;
+                } else {
+                    view.setUint8(offset, 0); offset += 1;
+                    writeNumber(data.id);
+                }
+                writeNumber(data.x);
+                writeNumber(data.y);
+                if (record.flags & FLAG_WIDTH) writeNumber(data.width);
+                if (record.flags & FLAG_HEIGHT) writeNumber(data.height);
+                if (record.flags & FLAG_ROTATION) writeNumber(data.rotation);
+            }
+
+            if (record.flags & FLAG_ACTION) {
+                view.setUint16(offset, record.action, true); offset += 2;
+            }
+        });
+
+        return new Uint8Array(buffer);
+    }
+
+    // Decode a frame back into { type, data } messages. Throws on malformed frames.
+    function decodeBatch(input) {
+        const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+
+        const need = count => {
+            if (offset + count > bytes.length) {
+                throw new Error('Truncated frame');
+            }
+        };
+        const readUint8 = () => { need(1); return view.getUint8(offset++); };
+        const readUint16 = () => { need(2); const value = view.getUint16(offset, true); offset += 2; return value; };
+        const readNumber = () => { need(8); const value = view.getFloat64(offset, true); offset += 8; return value; };
+
+        const version = readUint8();
+        if (version !== VERSION) {
+            throw new Error(`Unsupported frame version ${version}`);
+        }
+
+        const strings = [];
+        const stringCount = readUint16();
+        for (let i = 0; i < stringCount; i++) {
+            const length = readUint16();
+            need(length);
+            strings.push(decoder.decode(bytes.subarray(offset, offset + length)));
+            offset += length;
+        }
+        const readString = () => {
+            const index = readUint16();
+            if (index >= strings.length) {
+                throw new Error(`Unknown string reference ${index}`);
+            }
+            return strings[index];
+        };
+
+        const recordCount = readUint16();
+        if (recordCount > MAX_RECORDS) {
+            throw new Error(`Too many records in frame (${recordCount})`);
+        }
+
+        const updates = [];
+        for (let i = 0; i < recordCount; i++) {
+            const kind = readUint8();
+            const flags = readUint8();
+            const data = {};
+            let sender = null;
+            if (flags & FLAG_SENDER) {
+                sender = { userId: readString(), userName: readString() };
+            }
+
+            let type;
+            if (kind === KIND_CURSOR) {
+                type = 'cursor';
+                data.x = readNumber();
+                data.y = readNumber();
+                data.worldX = readNumber();
+                data.worldY = readNumber();
+            } else if (kind === KIND_MOVE) {
+                type = 'move';
+                data.id = readUint8() === 1 ? readString() : readNumber();
+                data.x = readNumber();
+                data.y = readNumber();
+                if (flags & FLAG_WIDTH) data.width = readNumber();
+                if (flags & FLAG_HEIGHT) data.height = readNumber();
+                if (flags & FLAG_ROTATION) data.rotation = readNumber();
+            } else {
+                throw new Error(`Unknown record kind ${kind}`);
+            }
+
+            if (flags & FLAG_ACTION) {
+                data.action = readString();
+            }
+            if (sender) {
+                data.userId = sender.userId;
+                data.userName = sender.userName;
+            }
+            updates.push({ type, data });
+        }
+
+        if (offset !== bytes.length) {
+            throw new Error('Trailing bytes after frame');
+        }
+        return updates;
+    }
+
+    const CanvasWire = {
+        ENCODING,
+        BINARY_TYPES,
+        MAX_RECORDS,
+        encodeBatch,
+        decodeBatch
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CanvasWire;
+    } else {
+        root.CanvasWire = CanvasWire;
+    }
+})(typeof window !== 'undefined' ? window : this);
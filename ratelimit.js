@@ -0,0 +1,104 @@
+// Token-bucket rate limiting for WebSocket connections.
+//
+// Every connection gets one bucket for all of its messages plus one per message
+// type. A message goes through only if both buckets have a token left. Messages
+// that get throttled also draw from a "strike" bucket; a client that keeps
+// hammering the server after being throttled empties it and gets disconnected.
+
+// Refill rate (tokens per second) and burst size for each bucket. Cursor and move
+// traffic follows the mouse, so it gets the most headroom.
+const RATE_LIMITS = {
+    all: { rate: 300, burst: 600 },
+    types: {
+        cursor: { rate: 60, burst: 120 },
+        move: { rate: 100, burst: 200 },
+        add: { rate: 50, burst: 500 },
+        update: { rate: 100, burst: 500 },
+        delete: { rate: 50, burst: 500 },
+        clear: { rate: 1, burst: 5 },
+        joinRoom: { rate: 0.5, burst: 5 },
+        camera: { rate: 10, burst: 20 },
+        presentation: { rate: 10, burst: 20 },
+        viewport: { rate: 20, burst: 40 },
+        addComment: { rate: 1, burst: 10 },
+        replyComment: { rate: 2, burst: 20 },
+        roomPasswordChanged: { rate: 1, burst: 5 }
+    },
+    default: { rate: 20, burst: 100 },
+    // Throttled messages allowed before disconnecting: a burst of 200, then 20 per second
+    strikes: { rate: 20, burst: 200 }
+};
+
+// Messages that only show what someone is doing right now. When a client can't
+// keep up they can be coalesced (only the latest one per key is sent) or dropped.
+const VOLATILE_TYPES = {
+    cursor: update => `cursor:${update.data.userId}`,
+    move: update => `move:${update.data.id}`,
+    viewport: update => `viewport:${update.data.userId}`
+};
+
+// Backpressure thresholds on a receiving socket's buffered (unsent) bytes
+const BACKPRESSURE = {
+    coalesceBytes: 64 * 1024,        // Above this, volatile messages are held back and coalesced
+    dropBytes: 1024 * 1024,          // Above this, volatile messages are dropped outright
+    disconnectBytes: 16 * 1024 * 1024 // Above this, the client is too far behind and is disconnected
+};
+
+class TokenBucket {
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.rate);
+        this.lastRefill = now;
+    }
+
+    // Take a token if one is available
+    take() {
+        this.refill();
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+class ConnectionRateLimiter {
+    constructor(limits = RATE_LIMITS) {
+        this.limits = limits;
+        this.all = new TokenBucket(limits.all.rate, limits.all.burst);
+        this.strikes = new TokenBucket(limits.strikes.rate, limits.strikes.burst);
+        this.types = new Map();
+    }
+
+    bucketFor(type) {
+        // Types without their own limit share one bucket, so junk types can't grow the map
+        if (!Object.hasOwn(this.limits.types, type)) type = 'other';
+        if (!this.types.has(type)) {
+            const { rate, burst } = type === 'other' ? this.limits.default : this.limits.types[type];
+            this.types.set(type, new TokenBucket(rate, burst));
+        }
+        return this.types.get(type);
+    }
+
+    // 'allow', 'throttle' or 'disconnect' for one incoming message
+    check(type) {
+        // Check the type bucket first so a flood of one type doesn't use up the shared budget
+        if (this.bucketFor(type).take() && this.all.take()) {
+            return 'allow';
+        }
+        return this.strikes.take() ? 'throttle' : 'disconnect';
+    }
+}
+
+module.exports = {
+    RATE_LIMITS,
+    VOLATILE_TYPES,
+    BACKPRESSURE,
+    TokenBucket,
+    ConnectionRateLimiter
+};
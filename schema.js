@@ -0,0 +1,507 @@
+// Declarative schemas for incoming WebSocket messages. Every message is checked here
+// before the server applies or broadcasts it: unknown types, unknown fields, wrong
+// types, non-finite numbers and oversized values are rejected with a list of errors.
+
+const { WEBHOOK_EVENTS } = require('./webhooks');
+
+const LIMITS = {
+    maxMessageBytes: parseInt(process.env.MAX_MESSAGE_BYTES, 10) || 1024 * 1024,
+    maxElementsPerRoom: parseInt(process.env.MAX_ELEMENTS_PER_ROOM, 10) || 10000,
+    maxLayersPerRoom: 200,
+    maxViewsPerRoom: 200,
+    maxCommentThreadsPerRoom: 1000,
+    maxCommentsPerThread: 200,
+    maxCommentLength: 2000,
+    maxCheckpointsPerRoom: 100,
+    maxSnapshotNameLength: 100,
+    maxTextLength: 10000,
+    maxPathPoints: 10000,
+    maxCoordinate: 1e7
+};
+
+// Fields the client mixes into every message to say who sent it. They are checked
+// and passed on in broadcasts, but never stored on elements or layers.
+const SENDER_FIELDS = ['userId', 'userName'];
+
+// Client-side bookkeeping that has no business in the room state
+const TRANSIENT_ELEMENT_FIELDS = ['initialPosition', 'action'];
+
+// Field specs
+const number = (min, max) => ({ kind: 'number', min, max });
+const integer = (min, max) => ({ kind: 'number', min, max, integer: true });
+const string = (maxLength, pattern) => ({ kind: 'string', maxLength, pattern });
+const oneOf = (...values) => ({ kind: 'enum', values });
+const list = (items, maxItems) => ({ kind: 'array', items, maxItems });
+const tuple = (...items) => ({ kind: 'tuple', items });
+// allowNull: fields may be null (removed) except those in keep; stampedOnly: every clock
+// stamp must belong to a field sent alongside it
+const object = (fields, { required = [], strip = [], allowNull = false, keep = [], stampedOnly = false } = {}) =>
+    ({ kind: 'object', fields, required, strip, allowNull, keep, stampedOnly });
+const nullable = spec => ({ ...spec, nullable: true });
+const boolean = { kind: 'boolean' };
+const id = { kind: 'id' };
+const clocks = { kind: 'clocks' };
+
+const SHAPES = ['square', 'rectangle', 'circle', 'triangle', 'star', 'text', 'sticky', 'image', 'path', 'connector', 'frame'];
+
+const coordinate = number(-LIMITS.maxCoordinate, LIMITS.maxCoordinate);
+const size = number(0, LIMITS.maxCoordinate);
+const color = string(64, /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]{1,30}|(rgb|rgba|hsl|hsla)\([\d\s.,%+-]{1,60}\))$/);
+const name = string(100);
+const anchor = oneOf('top', 'right', 'bottom', 'left', 'auto');
+const arrowhead = oneOf('none', 'arrow', 'triangle', 'circle');
+const commentId = string(100, /^[\w-]+$/);
+const commentText = string(LIMITS.maxCommentLength, /\S/);
+const mentions = list(object({ userId: string(100), userName: string(100) }, { required: ['userId', 'userName'] }), 50);
+
+// Fields every element may have (labels can go on any shape)
+const ELEMENT_FIELDS = {
+    id: id,
+    shape: oneOf(...SHAPES),
+    x: coordinate,
+    y: coordinate,
+    width: size,
+    height: size,
+    rotation: number(-1e4, 1e4),
+    color: color,
+    text: string(LIMITS.maxTextLength),
+    layerId: string(100, /^[\w-]+$/),
+    groupId: id,
+    frameId: id,
+    zIndex: number(-1e9, 1e9),
+    fontSize: number(1, 1000),
+    fontFamily: string(100, /^[\w\s,'"-]*$/),
+    fontWeight: oneOf('normal', 'bold'),
+    fontStyle: oneOf('normal', 'italic'),
+    textDecoration: oneOf('none', 'underline', 'line-through'),
+    clocks: clocks
+};
+
+// Extra fields per shape
+const SHAPE_FIELDS = {
+    text: {
+        // Formatting runs; their texts joined together are the element's text
+        runs: list(object({
+            text: string(LIMITS.maxTextLength),
+            bold: boolean,
+            italic: boolean,
+            underline: boolean,
+            strike: boolean,
+            color: color,
+            size: number(1, 1000),
+            link: string(2000, /^(https?:\/\/|mailto:)/i)
+        }, { required: ['text'] }), LIMITS.maxTextLength),
+        // List style per paragraph
+        listStyles: list(nullable(oneOf('bullet', 'number')), LIMITS.maxTextLength),
+        wrap: boolean
+    },
+    image: {
+        filename: string(100, /^[a-zA-Z0-9_-]+\.(png|jpe?g)$/),
+        originalName: string(255)
+    },
+    path: {
+        strokeWidth: number(0.1, 200),
+        // [x, y, pressure] with x/y as fractions of the element's size
+        points: list(tuple(number(-10, 10), number(-10, 10), number(0, 1)), LIMITS.maxPathPoints)
+    },
+    sticky: {
+        authorId: string(100),
+        authorName: string(100)
+    },
+    connector: {
+        startId: id,
+        endId: id,
+        startAnchor: anchor,
+        endAnchor: anchor,
+        routing: oneOf('straight', 'elbow', 'curved'),
+        startArrow: arrowhead,
+        endArrow: arrowhead,
+        strokeWidth: number(0.1, 200)
+    },
+    frame: {
+        name: name
+    }
+};
+
+const ALL_ELEMENT_FIELDS = Object.assign({}, ELEMENT_FIELDS, ...Object.values(SHAPE_FIELDS));
+
+function elementSchema(shape) {
+    return object({ ...ELEMENT_FIELDS, ...(SHAPE_FIELDS[shape] || {}) }, {
+        required: ['id', 'shape', 'x', 'y', 'width', 'height'],
+        strip: [...SENDER_FIELDS, ...TRANSIENT_ELEMENT_FIELDS]
+    });
+}
+
+// Patches only carry changed properties; null marks a removed property, except for
+// the shape and geometry every element needs
+function elementPatchSchema(shape) {
+    const fields = shape ? { ...ELEMENT_FIELDS, ...(SHAPE_FIELDS[shape] || {}) } : ALL_ELEMENT_FIELDS;
+    return object(fields, {
+        required: ['id'],
+        strip: [...SENDER_FIELDS, ...TRANSIENT_ELEMENT_FIELDS],
+        allowNull: true,
+        keep: ['shape', 'x', 'y', 'width', 'height'],
+        stampedOnly: true
+    });
+}
+
+const LAYER_FIELDS = {
+    id: string(100, /^[\w-]+$/),
+    name: name,
+    visible: boolean,
+    locked: boolean,
+    order: number(-1e9, 1e9),
+    elements: list(id, LIMITS.maxElementsPerRoom),
+    clocks: clocks
+};
+
+// Every layer carries its membership list, even when empty
+const layerSchema = object(LAYER_FIELDS, { required: ['id', 'name', 'elements'], strip: SENDER_FIELDS });
+const layerPatchSchema = object(LAYER_FIELDS, { required: ['id'], strip: SENDER_FIELDS, allowNull: true, keep: ['name', 'elements'], stampedOnly: true });
+
+// The presenter's current slide (a world-space rectangle) and its place in the deck, for followers
+const PRESENTATION_FIELDS = {
+    active: boolean,
+    x: coordinate,
+    y: coordinate,
+    width: number(0.01, LIMITS.maxCoordinate),
+    height: number(0.01, LIMITS.maxCoordinate),
+    index: integer(0, 10000),
+    total: integer(1, 10000)
+};
+
+// Followers move to the slide and show its number, so a running presentation sends all of it
+const activePresentationSchema = object(PRESENTATION_FIELDS, { required: Object.keys(PRESENTATION_FIELDS) });
+
+// Message payloads (sender fields are checked separately). Element payloads are
+// picked per shape in validateMessage.
+const MESSAGE_SCHEMAS = {
+    joinRoom: object({
+        roomName: string(50),
+        token: nullable(string(2000)),
+        password: nullable(string(1000)),
+        sinceVersion: nullable(integer(0, Number.MAX_SAFE_INTEGER)),
+        encodings: list(string(20), 10)
+    }, { required: ['roomName'] }),
+    delete: object({ id: id }, { required: ['id'] }),
+    clear: object({}),
+    move: object({
+        id: id,
+        x: coordinate,
+        y: coordinate,
+        width: size,
+        height: size,
+        rotation: number(-1e4, 1e4),
+        action: string(50)
+    }, { required: ['id', 'x', 'y'] }),
+    cursor: object({
+        x: number(-1e6, 1e6),
+        y: number(-1e6, 1e6),
+        worldX: coordinate,
+        worldY: coordinate,
+        action: string(100)
+    }),
+    userInfo: object({}), // Identifies the connection, so the sender fields are required (see validateMessage)
+    shapeSelect: object({ id: id, action: string(50) }, { required: ['id'] }),
+    shapeRelease: object({ id: id, action: string(50) }, { required: ['id'] }),
+    addLayer: layerSchema,
+    updateLayer: layerPatchSchema,
+    deleteLayer: object({ id: string(100) }, { required: ['id'] }),
+    camera: object({
+        x: coordinate,
+        y: coordinate,
+        zoom: number(0.001, 1000)
+    }, { required: ['x', 'y', 'zoom'] }),
+    // Saved views are world-space rectangles, so they fit any screen
+    addView: object({
+        id: string(100, /^[\w-]+$/),
+        name: name,
+        x: coordinate,
+        y: coordinate,
+        width: number(0.01, LIMITS.maxCoordinate),
+        height: number(0.01, LIMITS.maxCoordinate)
+    }, { required: ['id', 'name', 'x', 'y', 'width', 'height'] }),
+    deleteView: object({ id: string(100) }, { required: ['id'] }),
+    // The world-space rectangle a user has on screen
+    viewport: object({
+        x: coordinate,
+        y: coordinate,
+        width: number(0.01, LIMITS.maxCoordinate),
+        height: number(0.01, LIMITS.maxCoordinate)
+    }, { required: ['x', 'y', 'width', 'height'] }),
+    // Ending a presentation only takes active: false (see activePresentationSchema)
+    presentation: object(PRESENTATION_FIELDS, { required: ['active'] }),
+    // Comment threads are pinned to an element (elementId) or to a point on the board.
+    // The first comment shares the thread's id; replies get their own.
+    addComment: object({
+        id: commentId,
+        elementId: id,
+        x: coordinate,
+        y: coordinate,
+        text: commentText,
+        mentions: mentions
+    }, { required: ['id', 'x', 'y', 'text'] }),
+    replyComment: object({
+        threadId: commentId,
+        id: commentId,
+        text: commentText,
+        mentions: mentions
+    }, { required: ['threadId', 'id', 'text'] }),
+    resolveComment: object({ threadId: commentId, resolved: boolean }, { required: ['threadId', 'resolved'] }),
+    deleteComment: object({ threadId: commentId }, { required: ['threadId'] }),
+    roomPasswordChanged: object({ isPasswordProtected: boolean }, { required: ['isPasswordProtected'] })
+};
+
+const senderSchema = object({ userId: string(100), userName: string(100) });
+const identitySchema = object(senderSchema.fields, { required: SENDER_FIELDS });
+
+// A whole room as stored on the server (from an imported export bundle), checked with
+// the same element, layer and view specs as the live messages that build it
+const storedCommentSchema = object({
+    id: commentId,
+    text: commentText,
+    mentions: mentions,
+    authorId: nullable(string(100)),
+    authorName: string(100),
+    createdAt: nullable(string(40))
+}, { required: ['id', 'text'] });
+
+const ROOM_CONTENT_SCHEMA = object({
+    elements: list({ kind: 'element' }, LIMITS.maxElementsPerRoom),
+    layers: list(layerSchema, LIMITS.maxLayersPerRoom),
+    views: list(MESSAGE_SCHEMAS.addView, LIMITS.maxViewsPerRoom),
+    comments: list(object({
+        id: commentId,
+        elementId: nullable(id),
+        x: coordinate,
+        y: coordinate,
+        resolved: boolean,
+        resolvedBy: nullable(string(100)),
+        createdAt: nullable(string(40)),
+        comments: list(storedCommentSchema, LIMITS.maxCommentsPerThread)
+    }, { required: ['id', 'x', 'y', 'comments'] }), LIMITS.maxCommentThreadsPerRoom),
+    camera: MESSAGE_SCHEMAS.camera
+}, { required: ['elements', 'layers'] });
+
+// Webhook subscriptions as created and edited through the REST API
+const WEBHOOK_FIELDS = {
+    url: string(2000, /^https?:\/\/[^\s/]+\S*$/i),
+    events: list(oneOf('*', ...WEBHOOK_EVENTS), WEBHOOK_EVENTS.length + 1),
+    secret: string(200, /^\S{16,}$/),
+    description: string(200),
+    active: boolean
+};
+const webhookSchema = object(WEBHOOK_FIELDS, { required: ['url'] });
+const webhookPatchSchema = object(WEBHOOK_FIELDS);
+
+const MAX_ERRORS = 20;
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+    return typeof value;
+}
+
+// Check a value against a spec. Returns the sanitized value (stripped fields removed).
+function check(spec, value, path, errors) {
+    if (errors.length >= MAX_ERRORS) return value;
+    const fail = message => {
+        errors.push({ path, message });
+        return value;
+    };
+
+    if (value === null && spec.nullable) return value;
+
+    switch (spec.kind) {
+        case 'number':
+            // JSON turns NaN and Infinity into null, so only finite numbers arrive as numbers
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`must be a finite number, got ${describe(value)}`);
+            if (spec.integer && !Number.isInteger(value)) return fail('must be an integer');
+            if (value < spec.min || value > spec.max) return fail(`must be between ${spec.min} and ${spec.max}`);
+            return value;
+
+        case 'string':
+            if (typeof value !== 'string') return fail(`must be a string, got ${describe(value)}`);
+            if (value.length > spec.maxLength) return fail(`must be at most ${spec.maxLength} characters`);
+            if (spec.pattern && !spec.pattern.test(value)) return fail('has an invalid format');
+            return value;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail(`must be a boolean, got ${describe(value)}`);
+            return value;
+
+        case 'enum':
+            if (!spec.values.includes(value)) return fail(`must be one of: ${spec.values.join(', ')}`);
+            return value;
+
+        case 'id':
+            if (typeof value === 'number' && Number.isFinite(value)) return value;
+            if (typeof value === 'string' && value.length > 0 && value.length <= 100) return value;
+            return fail('must be a finite number or a non-empty string of up to 100 characters');
+
+        case 'array':
+            if (!Array.isArray(value)) return fail(`must be an array, got ${describe(value)}`);
+            if (value.length > spec.maxItems) return fail(`must have at most ${spec.maxItems} items`);
+            return value.map((item, index) => check(spec.items, item, `${path}[${index}]`, errors));
+
+        case 'tuple':
+            if (!Array.isArray(value) || value.length !== spec.items.length) return fail(`must be an array of ${spec.items.length} items`);
+            return value.map((item, index) => check(spec.items[index], item, `${path}[${index}]`, errors));
+
+        case 'clocks':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(`must be an object, got ${describe(value)}`);
+            Object.keys(value).forEach(prop => {
+                const stamp = value[prop];
+                const valid = Array.isArray(stamp) && stamp.length === 2 &&
+                    Number.isInteger(stamp[0]) && stamp[0] >= 0 &&
+                    typeof stamp[1] === 'string' && stamp[1].length <= 100;
+                if (!valid) errors.push({ path: `${path}.${prop}`, message: 'must be a [counter, replicaId] stamp' });
+            });
+            return value;
+
+        case 'element':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(`must be an object, got ${describe(value)}`);
+            return check(elementSchema(value.shape), value, path, errors);
+
+        case 'object': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(`must be an object, got ${describe(value)}`);
+
+            spec.required.forEach(field => {
+                if (value[field] === undefined || value[field] === null) {
+                    errors.push({ path: `${path}.${field}`, message: 'is required' });
+                }
+            });
+
+            const sanitized = {};
+            Object.keys(value).forEach(field => {
+                if (spec.strip.includes(field)) return;
+                if (value[field] === null && spec.required.includes(field)) return; // Reported above
+                const fieldSpec = spec.fields[field];
+                if (!fieldSpec) {
+                    errors.push({ path: `${path}.${field}`, message: 'is not an allowed field' });
+                    return;
+                }
+                if (value[field] === null && spec.keep.includes(field)) {
+                    errors.push({ path: `${path}.${field}`, message: 'cannot be removed' });
+                    return;
+                }
+                if (value[field] === null && spec.allowNull && !spec.required.includes(field)) {
+                    sanitized[field] = null;
+                    return;
+                }
+                sanitized[field] = check(fieldSpec, value[field], `${path}.${field}`, errors);
+            });
+
+            // A stamp without a value would let a patch remove a property it doesn't mention
+            if (spec.stampedOnly && sanitized.clocks && typeof sanitized.clocks === 'object') {
+                Object.keys(sanitized.clocks).forEach(prop => {
+                    if (prop === 'id' || sanitized[prop] === undefined) {
+                        errors.push({ path: `${path}.clocks.${prop}`, message: 'has no value in this patch' });
+                    }
+                });
+            }
+            return sanitized;
+        }
+
+        default:
+            return fail('has no schema');
+    }
+}
+
+// Validate an incoming message. `context.shapeOf(id)` gives the shape of an existing
+// element so update patches are checked against that shape's fields.
+// Returns { valid: true, message } with sanitized data, or { valid: false, errors }.
+function validateMessage(update, context = {}) {
+    const errors = [];
+
+    if (!update || typeof update !== 'object' || Array.isArray(update) || typeof update.type !== 'string') {
+        return { valid: false, errors: [{ path: 'type', message: 'message must be an object with a string type' }] };
+    }
+
+    // Keepalive replies carry no data
+    if (update.type === 'pong') {
+        return { valid: true, message: { type: 'pong' } };
+    }
+
+    const isElementMessage = update.type === 'add' || update.type === 'update';
+    if (!MESSAGE_SCHEMAS[update.type] && !isElementMessage) {
+        return { valid: false, errors: [{ path: 'type', message: `unknown message type "${update.type}"` }] };
+    }
+
+    const data = update.data;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: [{ path: 'data', message: 'must be an object' }] };
+    }
+
+    // Split off who sent the message; it is validated on its own and passed on in broadcasts
+    const sender = {};
+    const payload = {};
+    Object.keys(data).forEach(field => {
+        if (SENDER_FIELDS.includes(field)) {
+            sender[field] = data[field];
+        } else {
+            payload[field] = data[field];
+        }
+    });
+    check(update.type === 'userInfo' ? identitySchema : senderSchema, sender, 'data', errors);
+
+    let schema;
+    if (update.type === 'add') {
+        schema = elementSchema(payload.shape);
+    } else if (update.type === 'update') {
+        schema = elementPatchSchema(context.shapeOf ? context.shapeOf(payload.id) : null);
+    } else if (update.type === 'presentation' && payload.active === true) {
+        schema = activePresentationSchema;
+    } else {
+        schema = MESSAGE_SCHEMAS[update.type];
+    }
+
+    const sanitized = check(schema, payload, 'data', errors);
+    if (errors.length === 0 && schema === activePresentationSchema && sanitized.index >= sanitized.total) {
+        errors.push({ path: 'data.index', message: 'must be less than total' });
+    }
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    return { valid: true, message: { type: update.type, data: { ...sanitized, ...sender } } };
+}
+
+// Validate a whole room's content. Returns { valid: true, content } with sanitized
+// content, or { valid: false, errors }.
+function validateRoomContent(content) {
+    const errors = [];
+    const sanitized = check(ROOM_CONTENT_SCHEMA, content, 'room', errors);
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    return { valid: true, content: sanitized };
+}
+
+// Validate a webhook subscription (or, with `partial`, changes to one). Returns
+// { valid: true, webhook } with sanitized fields, or { valid: false, errors }.
+function validateWebhook(body, { partial = false } = {}) {
+    const errors = [];
+    const sanitized = check(partial ? webhookPatchSchema : webhookSchema, body, 'webhook', errors);
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    return { valid: true, webhook: sanitized };
+}
+
+// Copy of a payload without the sender fields, for storing in the room state
+function withoutSender(data) {
+    const copy = { ...data };
+    SENDER_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+module.exports = {
+    LIMITS,
+    SENDER_FIELDS,
+    validateMessage,
+    validateRoomContent,
+    validateWebhook,
+    withoutSender
+};
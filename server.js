@@ -1,16 +1,25 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs').promises;
 const path = require('path');
 const WebSocket = require('ws');
 const http = require('http');
 const multer = require('multer');
 const cron = require('node-cron');
+const CanvasCRDT = require('./public/crdt');
+const { createStorage } = require('./storage');
+const { canPerform, resolveRoomRole, hashPassword, issueRoomToken, getRequestToken } = require('./auth');
+const { LIMITS, validateMessage, validateRoomContent, validateWebhook, withoutSender } = require('./schema');
+const { ConnectionRateLimiter, VOLATILE_TYPES, BACKPRESSURE } = require('./ratelimit');
+const CanvasWire = require('./public/wire');
+const { BUNDLE_FORMAT, BUNDLE_VERSION, BundleWriter, readBundle, isImageData } = require('./bundle');
+const { WEBHOOK_LIMITS, WebhookDispatcher, checkWebhookUrl, generateSecret, wantsEvent } = require('./webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const DATA_DIR = path.join(__dirname, 'data');
-const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
+
+// Room state, operation logs and uploaded images all go through the storage backend
+const storage = createStorage(DATA_DIR);
 
 app.use(cors());
 app.use(express.json());
@@ -25,46 +34,95 @@ function validateRoomName(roomName) {
     return validPattern.test(roomName) && roomName.length >= 3 && roomName.length <= 50;
 }
 
-// Check if user has write permission for the given operation
-function hasWritePermission(ws, operationType) {
-    // Admin users can do everything
-    if (ws.userRole === 'admin') {
-        return true;
-    }
-    
-    // Readonly users cannot perform write operations
-    if (ws.userRole === 'readonly') {
-        return false;
-    }
-    
-    // Default to admin for non-protected rooms
-    return true;
+// Check if a WebSocket connection's role allows this message type
+function authorizeMessage(ws, messageType) {
+    return canPerform(ws.userRole, messageType);
+}
+
+// Express middleware for room routes: resolves the caller's role from the room token
+// and checks it against the same permissions as WebSocket messages. Must run after
+// body parsing (multer for uploads) since the room name may come from the body.
+function requireRoomPermission(action) {
+    return async (req, res, next) => {
+        try {
+            const roomName = req.params.roomName || (req.body && req.body.roomName);
+            if (!validateRoomName(roomName)) {
+                return res.status(400).json({ error: 'Invalid room name' });
+            }
+            
+            // Reading a room nobody has used yet shows an empty board without creating the room
+            const roomState = req.method === 'GET' ?
+                await findRoomState(roomName) || initRoomState() :
+                await loadRoomState(roomName);
+            const userRole = await resolveRoomRole(roomName, roomState, { token: getRequestToken(req) });
+            if (!userRole) {
+                return res.status(401).json({ error: 'Room token required' });
+            }
+            if (!canPerform(userRole, action)) {
+                return res.status(403).json({ error: 'You do not have permission to perform this action (readonly access)' });
+            }
+            
+            req.roomName = roomName;
+            req.roomState = roomState;
+            req.userRole = userRole;
+            next();
+        } catch (error) {
+            console.error('Error checking room permissions:', error);
+            res.status(500).json({ error: 'Failed to check room permissions' });
+        }
+    };
 }
 
-// Serve uploaded images from room-specific directories
-app.use('/api/uploads', express.static(UPLOADS_DIR));
+// Display name the client sent along with a REST request (for snapshot bookkeeping only)
+function getRequestUserName(req) {
+    const userName = req.body && req.body.userName;
+    return typeof userName === 'string' ? userName.slice(0, 100) : null;
+}
 
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-    destination: async (req, file, cb) => {
-        // Use temporary uploads directory initially
-        await fs.mkdir(UPLOADS_DIR, { recursive: true });
-        cb(null, UPLOADS_DIR);
-    },
-    filename: (req, file, cb) => {
-        // Generate unique filename
-        const timestamp = Date.now();
-        const random = Math.random().toString(36).substring(2, 8);
-        const ext = path.extname(file.originalname);
-        const filename = `${timestamp}-${random}${ext}`;
-        cb(null, filename);
+// Room state as sent to clients: no password hashes or other secrets
+function getPublicRoomState(roomState) {
+    return {
+        elements: roomState.elements,
+        camera: roomState.camera,
+        layers: roomState.layers,
+        views: roomState.views,
+        comments: roomState.comments,
+        isPasswordProtected: roomState.isPasswordProtected,
+        version: roomState.version,
+        timestamp: roomState.timestamp,
+        lastModified: roomState.lastModified
+    };
+}
+
+// Serve uploaded images from the room's storage
+app.get('/api/uploads/:roomName/:filename', async (req, res) => {
+    try {
+        const { roomName, filename } = req.params;
+        if (!validateRoomName(roomName)) {
+            return res.status(400).json({ error: 'Invalid room name' });
+        }
+        
+        const image = await storage.loadImage(roomName, filename);
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        
+        res.type(path.extname(filename));
+        res.send(image);
+    } catch (error) {
+        console.error('Error serving image:', error);
+        res.status(500).json({ error: 'Failed to load image' });
     }
 });
 
+// Configure multer for image uploads (kept in memory until handed to the storage backend)
+// Largest accepted image, for uploads and imported room archives (3MB)
+const IMAGE_SIZE_LIMIT = 3 * 1024 * 1024;
+
 const upload = multer({
-    storage: storage,
+    storage: multer.memoryStorage(),
     limits: {
-        fileSize: 3 * 1024 * 1024 // 3MB limit
+        fileSize: IMAGE_SIZE_LIMIT
     },
     fileFilter: (req, file, cb) => {
         // Only allow JPG and PNG files for security reasons
@@ -81,11 +139,26 @@ const upload = multer({
     }
 });
 
+// Room archives for import (IMPORT_SIZE_LIMIT MB, default 50)
+const IMPORT_SIZE_LIMIT = (parseFloat(process.env.IMPORT_SIZE_LIMIT) || 50) * 1024 * 1024;
+
+// Images barely compress, so an archive unpacks to about its own size plus the room JSON
+const IMPORT_UNPACKED_LIMIT = IMPORT_SIZE_LIMIT + 16 * 1024 * 1024;
+
+const bundleUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: IMPORT_SIZE_LIMIT,
+        files: 1
+    }
+});
+
 // Create HTTP server
 const server = http.createServer(app);
 
 // Create WebSocket server
-const wss = new WebSocket.Server({ server });
+// (oversized messages get an error reply below; far larger ones close the connection)
+const wss = new WebSocket.Server({ server, maxPayload: LIMITS.maxMessageBytes * 4 });
 
 // Store canvas states for different rooms
 let roomStates = new Map();
@@ -93,6 +166,88 @@ let roomStates = new Map();
 // Store connected users per room
 let roomUsers = new Map();
 
+// Recent operations per room, kept in memory so reconnecting clients can catch up
+let roomOpLogs = new Map();
+
+// Rooms currently being read from storage, so concurrent joins share one load
+let roomLoads = new Map();
+
+// Presentation currently being given in each room, so people who join late can follow it
+let roomPresentations = new Map(); // roomName -> { ws, update }
+
+// Number of recent operations kept in memory per room for catch-up
+const OPLOG_MEMORY_LIMIT = 1000;
+
+// Room saves are coalesced: changes mark the room dirty and a timer flushes it later,
+// together with the operation log entries recorded since the last flush
+let roomSaves = new Map(); // roomName -> { dirty, dirtySince, changes, operations, timer, writing, lastFlush }
+
+// Wait this long after the last change before flushing a dirty room
+const SAVE_DEBOUNCE_MS = 500;
+
+// ...but never leave a change unsaved for longer than this
+const SAVE_MAX_DELAY_MS = 5000;
+
+// Minimum time between two flushes of the same room
+const SAVE_MIN_INTERVAL_MS = 1000;
+
+// Automatic snapshots: taken after a save once SNAPSHOT_INTERVAL_MINUTES have passed
+// since the last one, keeping the newest MAX_AUTO_SNAPSHOTS per room
+const SNAPSHOT_INTERVAL_MS = (parseFloat(process.env.SNAPSHOT_INTERVAL_MINUTES) || 30) * 60 * 1000;
+const MAX_AUTO_SNAPSHOTS = parseInt(process.env.MAX_AUTO_SNAPSHOTS, 10) || 48;
+
+// When each room last got an automatic snapshot, and at which version
+let roomAutoSnapshots = new Map(); // roomName -> { at, version }
+
+// Outgoing webhooks: events are batched per subscription once the room has been quiet
+// for WEBHOOK_DEBOUNCE_MS, and failed deliveries retried after WEBHOOK_RETRY_BASE_MS,
+// doubling each time. WEBHOOK_ALLOWED_HOSTS (comma-separated) restricts where they may go;
+// local and private-network receivers need WEBHOOK_ALLOW_PRIVATE_NETWORKS=true.
+const WEBHOOK_TARGETS = {
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+        .split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+    allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true'
+};
+const webhookDispatcher = new WebhookDispatcher({
+    debounceMs: parseInt(process.env.WEBHOOK_DEBOUNCE_MS, 10) || 2000,
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000,
+    allowPrivateNetworks: WEBHOOK_TARGETS.allowPrivateNetworks
+});
+
+// Counters reported by /api/status
+const saveMetrics = {
+    changes: 0,
+    coalesced: 0,
+    flushes: 0,
+    failures: 0,
+    totalFlushMs: 0,
+    lastFlushMs: 0,
+    lastFlushAt: null
+};
+
+// Rate limiting and backpressure counters reported by /api/status
+const trafficMetrics = {
+    throttled: {},              // Incoming messages refused by the rate limiter, per type
+    coalesced: 0,               // Outgoing cursor/move messages replaced by a newer one
+    dropped: 0,                 // Outgoing cursor/move messages dropped for slow clients
+    rateLimitDisconnects: 0,    // Clients disconnected for ignoring rate limits
+    slowClientDisconnects: 0    // Clients disconnected for falling too far behind
+};
+
+// Clients with cursor/move messages waiting to be sent: batched for binary clients,
+// held back until the send buffer drains for slow JSON clients
+const clientsWithPendingVolatile = new Set();
+
+// How often waiting cursor/move messages are sent (one binary frame per client per tick)
+const VOLATILE_FLUSH_INTERVAL = 33;
+
+// Operations that change room state and are recorded in the operation log
+const versionedOperations = ['add', 'update', 'delete', 'clear', 'addLayer', 'deleteLayer', 'updateLayer', 'camera', 'addView', 'deleteView',
+    'addComment', 'replyComment', 'resolveComment', 'deleteComment'];
+
+// Messages that don't change the saved room state
+const readOnlyOperations = ['move', 'cursor', 'userInfo', 'shapeSelect', 'shapeRelease', 'presentation', 'viewport'];
+
 // Keepalive ping interval (45 seconds)
 const PING_INTERVAL = 45000;
 
@@ -110,6 +265,53 @@ function startKeepalive() {
     }, PING_INTERVAL);
 }
 
+// Send waiting cursor/move messages to clients that have caught up
+function startVolatileFlush() {
+    setInterval(() => {
+        clientsWithPendingVolatile.forEach(client => {
+            if (client.readyState !== WebSocket.OPEN) {
+                clientsWithPendingVolatile.delete(client);
+                return;
+            }
+            if (client.bufferedAmount > BACKPRESSURE.coalesceBytes) return;
+            
+            const updates = Array.from(client.pendingVolatile.values());
+            client.pendingVolatile.clear();
+            clientsWithPendingVolatile.delete(client);
+            
+            if (client.wireEncoding) {
+                // Only cursor/move messages have a binary form; the rest stay JSON
+                const binary = updates.filter(update => CanvasWire.BINARY_TYPES.includes(update.type));
+                for (let i = 0; i < binary.length; i += CanvasWire.MAX_RECORDS) {
+                    client.send(CanvasWire.encodeBatch(binary.slice(i, i + CanvasWire.MAX_RECORDS)));
+                }
+                updates.filter(update => !CanvasWire.BINARY_TYPES.includes(update.type))
+                    .forEach(update => client.send(JSON.stringify(update)));
+            } else {
+                updates.forEach(update => client.send(JSON.stringify(update)));
+            }
+        });
+    }, VOLATILE_FLUSH_INTERVAL);
+}
+
+function getTrafficStatus() {
+    const throttledTotal = Object.values(trafficMetrics.throttled).reduce((sum, count) => sum + count, 0);
+    let pending = 0;
+    clientsWithPendingVolatile.forEach(client => {
+        pending += client.pendingVolatile.size;
+    });
+    
+    return {
+        throttled: throttledTotal,
+        throttledByType: trafficMetrics.throttled,
+        coalesced: trafficMetrics.coalesced,
+        dropped: trafficMetrics.dropped,
+        pending: pending,
+        rateLimitDisconnects: trafficMetrics.rateLimitDisconnects,
+        slowClientDisconnects: trafficMetrics.slowClientDisconnects
+    };
+}
+
 // Generate a safe random room name
 function generateRoomName() {
     const adjectives = ['happy', 'creative', 'bright', 'swift', 'clever', 'cool', 'calm', 'bold', 'warm', 'quick'];
@@ -120,12 +322,12 @@ function generateRoomName() {
     return `${adjective}-${noun}-${number}`;
 }
 
-// Get file path for room
-function getRoomFilePath(roomName) {
-    if (!validateRoomName(roomName)) {
-        throw new Error('Invalid room name');
-    }
-    return path.join(DATA_DIR, `${roomName}.json`);
+// Unique filename for a stored image, keeping the original extension
+function generateImageFilename(originalName) {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8);
+    const ext = path.extname(originalName).toLowerCase();
+    return `${timestamp}-${random}${ext}`;
 }
 
 // Initialize room state
@@ -138,35 +340,70 @@ function initRoomState() {
             name: 'Layer 1',
             visible: true,
             locked: false,
+            order: 0,
             elements: []
         }],
-        adminPassword: '',
-        readonlyPassword: '',
+        views: [],
+        comments: [],
+        webhooks: [],
+        adminPasswordHash: '',
+        readonlyPasswordHash: '',
         isPasswordProtected: false,
+        passwordVersion: 0,
+        version: 0,
         timestamp: new Date().toISOString(),
         lastModified: new Date().toISOString()
     };
 }
 
-// Ensure data directory exists
-async function ensureDataDir() {
+// Prepare the storage backend (data directory or database)
+async function initStorage() {
     try {
-        await fs.mkdir(DATA_DIR, { recursive: true });
+        await storage.init();
+        console.log(`Using ${storage.constructor.name} for room persistence`);
     } catch (error) {
-        console.error('Error creating data directory:', error);
+        console.error('Error initializing storage:', error);
+        process.exit(1);
     }
 }
 
-// Load room state from file
+// Load room state (from memory, or from storage on first use)
 async function loadRoomState(roomName) {
     if (!validateRoomName(roomName)) {
         throw new Error('Invalid room name');
     }
     
+    // The in-memory state is authoritative; storage may be behind by unsaved changes
+    if (roomStates.has(roomName)) {
+        return roomStates.get(roomName);
+    }
+    
+    if (!roomLoads.has(roomName)) {
+        const load = readRoomState(roomName).finally(() => roomLoads.delete(roomName));
+        roomLoads.set(roomName, load);
+    }
+    return roomLoads.get(roomName);
+}
+
+// Like loadRoomState, but null for a room that has never been used instead of creating it,
+// so lookups of made-up room names don't keep empty rooms in memory
+async function findRoomState(roomName) {
+    if (roomStates.has(roomName) || roomLoads.has(roomName) || await storage.loadRoom(roomName)) {
+        return loadRoomState(roomName);
+    }
+    return null;
+}
+
+// Read a room from storage into memory, upgrading older formats
+async function readRoomState(roomName) {
     try {
-        const filePath = getRoomFilePath(roomName);
-        const data = await fs.readFile(filePath, 'utf8');
-        const loadedState = JSON.parse(data);
+        const loadedState = await storage.loadRoom(roomName);
+        if (!loadedState) {
+            console.log(`No existing data for room "${roomName}", creating new room`);
+            const newState = initRoomState();
+            roomStates.set(roomName, newState);
+            return newState;
+        }
         
         // Ensure backward compatibility with old format
         if (!loadedState.layers) {
@@ -190,20 +427,43 @@ async function loadRoomState(roomName) {
             }];
         }
         
+        ensureLayerMembership(loadedState.layers);
+        
+        // Saved views and comments came later
+        if (!Array.isArray(loadedState.views)) {
+            loadedState.views = [];
+        }
+        if (!Array.isArray(loadedState.comments)) {
+            loadedState.comments = [];
+        }
+        if (!Array.isArray(loadedState.webhooks)) {
+            loadedState.webhooks = [];
+        }
+        
         // Ensure password fields exist (backward compatibility)
         if (loadedState.password !== undefined) {
             // Migrate old password to admin password
             loadedState.adminPassword = loadedState.password;
             delete loadedState.password;
         }
-        if (loadedState.adminPassword === undefined) {
-            loadedState.adminPassword = '';
-        }
-        if (loadedState.readonlyPassword === undefined) {
-            loadedState.readonlyPassword = '';
+        
+        // Hash passwords that older versions stored in plain text
+        let passwordsMigrated = false;
+        for (const field of ['adminPassword', 'readonlyPassword']) {
+            if (loadedState[field] !== undefined) {
+                loadedState[`${field}Hash`] = loadedState[field] ? await hashPassword(loadedState[field]) : '';
+                delete loadedState[field];
+                passwordsMigrated = true;
+            }
+            if (loadedState[`${field}Hash`] === undefined) {
+                loadedState[`${field}Hash`] = '';
+            }
         }
         if (loadedState.isPasswordProtected === undefined) {
-            loadedState.isPasswordProtected = loadedState.adminPassword.length > 0 || loadedState.readonlyPassword.length > 0;
+            loadedState.isPasswordProtected = loadedState.adminPasswordHash.length > 0 || loadedState.readonlyPasswordHash.length > 0;
+        }
+        if (typeof loadedState.passwordVersion !== 'number') {
+            loadedState.passwordVersion = 0;
         }
         
         // Ensure lastModified field exists (backward compatibility)
@@ -211,23 +471,29 @@ async function loadRoomState(roomName) {
             loadedState.lastModified = new Date().toISOString();
         }
         
+        // Ensure version field exists (backward compatibility)
+        if (typeof loadedState.version !== 'number') {
+            loadedState.version = 0;
+        }
+        
+        // Give older layers a stable position so concurrent layer edits order the same everywhere
+        CanvasCRDT.normalizeLayerOrder(loadedState.layers);
+        
         roomStates.set(roomName, loadedState);
+        await loadRoomOpLog(roomName);
+        if (passwordsMigrated) {
+            markRoomDirty(roomName);
+            console.log(`Hashed plain-text passwords for room "${roomName}"`);
+        }
         console.log(`Loaded room "${roomName}" with ${loadedState.elements.length} elements and ${loadedState.layers.length} layers`);
         return loadedState;
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log(`No existing data for room "${roomName}", creating new room`);
-            const newState = initRoomState();
-            roomStates.set(roomName, newState);
-            return newState;
-        } else {
-            console.error(`Error loading room "${roomName}":`, error);
-            throw error;
-        }
+        console.error(`Error loading room "${roomName}":`, error);
+        throw error;
     }
 }
 
-// Save room state to file
+// Save room state to storage
 async function saveRoomState(roomName) {
     if (!validateRoomName(roomName)) {
         throw new Error('Invalid room name');
@@ -240,11 +506,288 @@ async function saveRoomState(roomName) {
         // Update last modified timestamp
         state.lastModified = new Date().toISOString();
         
-        const filePath = getRoomFilePath(roomName);
-        await fs.writeFile(filePath, JSON.stringify(state, null, 2));
+        await storage.saveRoom(roomName, state);
     } catch (error) {
         console.error(`Error saving room "${roomName}":`, error);
+        throw error;
+    }
+}
+
+// A room's save bookkeeping, created on its first change
+function getRoomSave(roomName) {
+    if (!roomSaves.has(roomName)) {
+        roomSaves.set(roomName, { dirty: false, dirtySince: 0, changes: 0, operations: [], timer: null, writing: null, lastFlush: 0 });
+    }
+    return roomSaves.get(roomName);
+}
+
+// Note that a room changed; the save happens later, together with any changes that follow
+function markRoomDirty(roomName) {
+    const entry = getRoomSave(roomName);
+    
+    saveMetrics.changes++;
+    if (entry.dirty) {
+        saveMetrics.coalesced++;
+    } else {
+        entry.dirty = true;
+        entry.dirtySince = Date.now();
+    }
+    entry.changes++;
+    
+    scheduleRoomFlush(roomName, entry);
+}
+
+// (Re)arm the flush timer: debounce bursts, but respect the max delay and the min interval
+function scheduleRoomFlush(roomName, entry) {
+    if (entry.writing) return; // Rescheduled when the running write finishes
+    
+    const now = Date.now();
+    let delay = Math.min(SAVE_DEBOUNCE_MS, entry.dirtySince + SAVE_MAX_DELAY_MS - now);
+    delay = Math.max(delay, entry.lastFlush + SAVE_MIN_INTERVAL_MS - now, 0);
+    
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+        flushRoom(roomName).catch(() => {});
+    }, delay);
+}
+
+// Write a dirty room now. Never runs two writes for the same room at once.
+async function flushRoom(roomName) {
+    const entry = roomSaves.get(roomName);
+    if (!entry) return;
+    
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    
+    // Let the running write finish, then write again if more changes came in meanwhile
+    if (entry.writing) {
+        await entry.writing.catch(() => {});
+        return flushRoom(roomName);
     }
+    if (!entry.dirty) return;
+    
+    const changes = entry.changes;
+    entry.dirty = false;
+    entry.changes = 0;
+    
+    const startedAt = Date.now();
+    entry.writing = writeRoom(roomName, entry);
+    try {
+        await entry.writing;
+        
+        const duration = Date.now() - startedAt;
+        saveMetrics.flushes++;
+        saveMetrics.totalFlushMs += duration;
+        saveMetrics.lastFlushMs = duration;
+        saveMetrics.lastFlushAt = new Date().toISOString();
+        console.log(`Saved room "${roomName}" (${changes} changes in ${duration}ms)`);
+        
+        takeAutoSnapshot(roomName).catch(error => {
+            console.error(`Error taking automatic snapshot of room "${roomName}":`, error);
+        });
+    } catch (error) {
+        // Keep the changes and try again on the next flush
+        saveMetrics.failures++;
+        if (!entry.dirty) {
+            entry.dirty = true;
+            entry.dirtySince = startedAt;
+        }
+        entry.changes += changes;
+        throw error;
+    } finally {
+        entry.writing = null;
+        entry.lastFlush = Date.now();
+        if (entry.dirty && roomSaves.get(roomName) === entry) {
+            scheduleRoomFlush(roomName, entry);
+        }
+    }
+}
+
+// Append a room's buffered log entries, then save its state. The log goes first so the saved
+// state is never ahead of it; entries that could not be written stay buffered for the next flush.
+async function writeRoom(roomName, entry) {
+    const operations = entry.operations;
+    entry.operations = [];
+    if (operations.length > 0) {
+        try {
+            await storage.appendOperations(roomName, operations);
+        } catch (error) {
+            console.error(`Error appending to operation log for room "${roomName}":`, error);
+            entry.operations = operations.concat(entry.operations);
+            throw error;
+        }
+    }
+    await saveRoomState(roomName);
+}
+
+// Drop a room's pending save (the room is being deleted)
+function cancelRoomSave(roomName) {
+    const entry = roomSaves.get(roomName);
+    if (entry) {
+        clearTimeout(entry.timer);
+        roomSaves.delete(roomName);
+    }
+}
+
+// Write every dirty room along with its buffered operation log entries
+async function flushAllRooms() {
+    const roomNames = Array.from(roomSaves.keys());
+    const results = await Promise.allSettled(roomNames.map(roomName => flushRoom(roomName)));
+    
+    const failed = results.filter(result => result.status === 'rejected').length;
+    if (failed > 0) {
+        console.error(`Failed to save ${failed} of ${roomNames.length} rooms`);
+    }
+    return failed;
+}
+
+// Save metrics for /api/status
+function getSaveStatus() {
+    const entries = Array.from(roomSaves.values());
+    return {
+        dirtyRooms: entries.filter(entry => entry.dirty).length,
+        writesInProgress: entries.filter(entry => entry.writing).length,
+        changes: saveMetrics.changes,
+        coalescedChanges: saveMetrics.coalesced,
+        flushes: saveMetrics.flushes,
+        failedFlushes: saveMetrics.failures,
+        lastFlushAt: saveMetrics.lastFlushAt,
+        lastFlushMs: saveMetrics.lastFlushMs,
+        averageFlushMs: saveMetrics.flushes > 0 ? Math.round(saveMetrics.totalFlushMs / saveMetrics.flushes) : 0
+    };
+}
+
+// Load the recent tail of a room's operation log into memory
+async function loadRoomOpLog(roomName) {
+    if (roomOpLogs.has(roomName)) return roomOpLogs.get(roomName);
+    
+    let operations = [];
+    try {
+        operations = await storage.loadRecentOperations(roomName, OPLOG_MEMORY_LIMIT);
+    } catch (error) {
+        console.error(`Error loading operation log for room "${roomName}":`, error);
+    }
+    
+    roomOpLogs.set(roomName, operations);
+    return operations;
+}
+
+// Record an applied operation: bump the room version and buffer it for the operation log,
+// which is written with the room's next flush (the caller marks the room dirty)
+function recordOperation(roomName, update) {
+    const state = roomStates.get(roomName);
+    if (!state) return null;
+    
+    state.version = (state.version || 0) + 1;
+    
+    const entry = {
+        version: state.version,
+        type: update.type,
+        data: update.data,
+        userId: update.data?.userId || null,
+        userName: update.data?.userName || null,
+        timestamp: new Date().toISOString()
+    };
+    
+    if (!roomOpLogs.has(roomName)) {
+        roomOpLogs.set(roomName, []);
+    }
+    const operations = roomOpLogs.get(roomName);
+    operations.push(entry);
+    if (operations.length > OPLOG_MEMORY_LIMIT) {
+        operations.splice(0, operations.length - OPLOG_MEMORY_LIMIT);
+    }
+    
+    getRoomSave(roomName).operations.push(entry);
+    
+    return entry;
+}
+
+// Get operations after sinceVersion, or null if they are no longer available in memory
+function getOperationsSince(roomName, sinceVersion) {
+    const state = roomStates.get(roomName);
+    const operations = roomOpLogs.get(roomName) || [];
+    if (!state || !Number.isInteger(sinceVersion) || sinceVersion < 0 || sinceVersion > state.version) {
+        return null;
+    }
+    
+    if (sinceVersion === state.version) return [];
+    
+    // The oldest operation we still hold must directly follow the client's version
+    if (operations.length === 0 || operations[0].version > sinceVersion + 1) {
+        return null;
+    }
+    
+    // A restore (or a fullSync logged by older servers) replaces the whole board,
+    // so clients from before it need a full reload
+    const missed = operations.filter(op => op.version > sinceVersion);
+    if (missed.some(op => op.type === 'restoreSnapshot' || op.type === 'fullSync')) {
+        return null;
+    }
+    
+    return missed;
+}
+
+// The parts of a room that a snapshot keeps (never the passwords)
+function getSnapshotContent(state) {
+    return JSON.parse(JSON.stringify({
+        elements: state.elements,
+        layers: state.layers,
+        views: state.views,
+        comments: state.comments,
+        camera: state.camera
+    }));
+}
+
+// Store a snapshot of a room's current state and return its metadata
+async function createSnapshot(roomName, { name, auto = false, createdBy = null }) {
+    const state = roomStates.get(roomName);
+    const random = Math.random().toString(36).substring(2, 8);
+    const metadata = {
+        id: `snap-${Date.now()}-${random}`,
+        name: name,
+        auto: auto,
+        createdAt: new Date().toISOString(),
+        createdBy: createdBy,
+        version: state.version,
+        elementCount: state.elements.length
+    };
+    await storage.saveSnapshot(roomName, { ...metadata, state: getSnapshotContent(state) });
+    
+    // Only the newest automatic snapshots are kept
+    if (auto) {
+        const oldAutoSnapshots = (await storage.listSnapshots(roomName))
+            .filter(existing => existing.auto)
+            .slice(MAX_AUTO_SNAPSHOTS);
+        for (const old of oldAutoSnapshots) {
+            await storage.deleteSnapshot(roomName, old.id);
+        }
+    }
+    
+    return metadata;
+}
+
+// Take an automatic snapshot if the room changed and the last one is old enough
+async function takeAutoSnapshot(roomName) {
+    const state = roomStates.get(roomName);
+    if (!state) return;
+    
+    let last = roomAutoSnapshots.get(roomName);
+    if (!last) {
+        // First save since the room was loaded: carry on from the stored snapshots
+        const latest = (await storage.listSnapshots(roomName)).find(snapshot => snapshot.auto);
+        last = roomAutoSnapshots.get(roomName) || {
+            at: latest ? Date.parse(latest.createdAt) : 0,
+            version: latest ? latest.version : -1
+        };
+        roomAutoSnapshots.set(roomName, last);
+    }
+    if (state.version === last.version || Date.now() - last.at < SNAPSHOT_INTERVAL_MS) return;
+    
+    last.at = Date.now();
+    last.version = state.version;
+    const snapshot = await createSnapshot(roomName, { name: 'Automatic snapshot', auto: true });
+    console.log(`Took automatic snapshot of room "${roomName}" at version ${snapshot.version}`);
 }
 
 // Cleanup old rooms and their assets
@@ -255,57 +798,37 @@ async function cleanupOldRooms() {
     try {
         console.log('Starting room cleanup...');
         
-        // Get all room files
-        const files = await fs.readdir(DATA_DIR);
-        const roomFiles = files.filter(file => file.endsWith('.json'));
+        // Rooms not modified in the last 30 days
+        const oldRooms = await storage.listRoomsModifiedBefore(new Date(now - maxAge));
         
         let cleanedCount = 0;
         
-        for (const file of roomFiles) {
-            const roomName = path.basename(file, '.json');
-            const filePath = path.join(DATA_DIR, file);
-            
+        for (const roomName of oldRooms) {
             try {
-                // Read room data
-                const data = await fs.readFile(filePath, 'utf8');
-                const roomData = JSON.parse(data);
+                console.log(`Cleaning up old room: ${roomName}`);
                 
-                // Check if room is older than 30 days
-                const lastModified = roomData.lastModified || roomData.timestamp;
-                if (lastModified) {
-                    const roomAge = now - new Date(lastModified).getTime();
-                    
-                    if (roomAge > maxAge) {
-                        console.log(`Cleaning up old room: ${roomName} (${Math.floor(roomAge / (24 * 60 * 60 * 1000))} days old)`);
-                        
-                        // Delete room file
-                        await fs.unlink(filePath);
-                        
-                        // Delete room's upload directory
-                        const roomUploadsDir = path.join(UPLOADS_DIR, roomName);
-                        try {
-                            await fs.rmdir(roomUploadsDir, { recursive: true });
-                            console.log(`Deleted uploads directory for room: ${roomName}`);
-                        } catch (err) {
-                            if (err.code !== 'ENOENT') {
-                                console.error(`Failed to delete uploads directory for room ${roomName}:`, err);
-                            }
-                        }
-                        
-                        // Remove from memory if loaded
-                        if (roomStates.has(roomName)) {
-                            roomStates.delete(roomName);
-                        }
-                        
-                        cleanedCount++;
-                    }
+                // Delete room state, operation log and uploaded images
+                cancelRoomSave(roomName);
+                await storage.deleteRoom(roomName);
+                
+                // Remove from memory if loaded
+                if (roomStates.has(roomName)) {
+                    roomStates.delete(roomName);
                 }
+                roomOpLogs.delete(roomName);
+                roomAutoSnapshots.delete(roomName);
+                webhookDispatcher.forgetRoom(roomName);
+                
+                cleanedCount++;
             } catch (error) {
-                console.error(`Error processing room file ${file}:`, error);
+                console.error(`Error cleaning up room ${roomName}:`, error);
             }
         }
         
-        console.log(`Room cleanup completed. Cleaned up ${cleanedCount} old rooms.`);
+        // Snapshots of rooms that are still in use expire just like rooms do
+        const expiredSnapshots = await storage.deleteSnapshotsBefore(new Date(now - maxAge));
+        
+        console.log(`Room cleanup completed. Cleaned up ${cleanedCount} old rooms and ${expiredSnapshots} old snapshots.`);
     } catch (error) {
         console.error('Error during room cleanup:', error);
     }
@@ -328,18 +851,135 @@ function ensureLayersArray(roomName) {
     }
 }
 
-// Apply incremental update to room state
+// Layers saved without a membership list (older servers accepted them) get an empty one
+function ensureLayerMembership(layers) {
+    layers.forEach(layer => {
+        if (!Array.isArray(layer.elements)) {
+            layer.elements = [];
+        }
+    });
+}
+
+// Keep the layer membership lists in line with an element's layerId register
+function moveElementToLayer(state, elementId, layerId) {
+    state.layers.forEach(layer => {
+        const index = layer.elements.indexOf(elementId);
+        if (layer.id === layerId) {
+            if (index === -1) layer.elements.push(elementId);
+        } else if (index !== -1) {
+            layer.elements.splice(index, 1);
+        }
+    });
+}
+
+// A comment as stored in a thread, from an addComment/replyComment message
+function commentFromMessage(data) {
+    return {
+        id: data.id,
+        text: data.text,
+        mentions: data.mentions || [],
+        authorId: data.userId || null,
+        authorName: data.userName || 'Anonymous',
+        createdAt: data.createdAt
+    };
+}
+
+// Threads pinned to elements that are going away stay where the element was (its top-right corner)
+function unpinComments(state, elements) {
+    if (!state.comments || elements.length === 0) return;
+    
+    const removed = new Map(elements.map(element => [element.id, element]));
+    state.comments.forEach(thread => {
+        const element = thread.elementId !== null && removed.get(thread.elementId);
+        if (element) {
+            thread.x = element.x + (element.width || 0) / 2;
+            thread.y = element.y - (element.height || 0) / 2;
+        }
+    });
+}
+
+// Copy of an element or layer for a webhook event: frozen at the time of the event,
+// without the CRDT clocks
+function webhookCopy(object) {
+    const { clocks, ...fields } = withoutSender(object);
+    return JSON.parse(JSON.stringify(fields));
+}
+
+// Queue a webhook event for the room's subscriptions. `sender` carries who caused it
+// (userId/userName); the payload is only built if some subscription is listening.
+function emitRoomEvent(roomName, type, sender, buildData) {
+    const state = roomStates.get(roomName);
+    if (!state || !state.webhooks || !state.webhooks.some(webhook => wantsEvent(webhook, type))) return;
+    
+    webhookDispatcher.emit(roomName, state.webhooks, {
+        type,
+        userId: sender?.userId || null,
+        userName: sender?.userName || null,
+        data: buildData()
+    });
+}
+
+// Queue the element and layer events for a change of the whole board (a snapshot restore),
+// worked out by comparing the board before and after, so subscribers see the same events
+// as if the changes had been made one by one
+function emitBoardChanges(roomName, sender, previous, current) {
+    const byId = items => new Map(items.map(item => [item.id, item]));
+    const previousElements = byId(previous.elements);
+    const currentElements = byId(current.elements);
+    const previousLayers = byId(previous.layers);
+    const currentLayers = byId(current.layers);
+    
+    // Elements that went with their layer are reported with it, as when a layer is deleted
+    let removedIds = previous.elements.filter(el => !currentElements.has(el.id)).map(el => el.id);
+    previous.layers.filter(layer => !currentLayers.has(layer.id)).forEach(layer => {
+        const inLayer = id => layer.elements.includes(id) || previousElements.get(id).layerId === layer.id;
+        const elementIds = removedIds.filter(inLayer);
+        removedIds = removedIds.filter(id => !inLayer(id));
+        emitRoomEvent(roomName, 'layer.deleted', sender, () => ({ layerId: layer.id, elementIds }));
+    });
+    if (removedIds.length > 0) {
+        emitRoomEvent(roomName, 'element.deleted', sender, () => ({ elementIds: removedIds }));
+    }
+    
+    current.layers.forEach(layer => {
+        const before = previousLayers.get(layer.id);
+        const changed = before ? CanvasCRDT.diffProperties(before, layer, ['elements']) : null;
+        if (!before) {
+            emitRoomEvent(roomName, 'layer.added', sender, () => ({ layer: webhookCopy(layer) }));
+        } else if (changed.length > 0) {
+            emitRoomEvent(roomName, 'layer.updated', sender, () => ({ layer: webhookCopy(layer), changed }));
+        }
+    });
+    current.elements.forEach(element => {
+        const before = previousElements.get(element.id);
+        const changed = before ? CanvasCRDT.diffProperties(before, element) : null;
+        if (!before) {
+            emitRoomEvent(roomName, 'element.added', sender, () => ({ element: webhookCopy(element) }));
+        } else if (changed.length > 0) {
+            emitRoomEvent(roomName, 'element.updated', sender, () => ({ element: webhookCopy(element), changed }));
+        }
+    });
+}
+
+// Apply incremental update to room state. Returns false if the operation changed nothing
+// (an add for an id that exists, an update to a missing element or with only stale stamps, ...).
 function applyUpdate(update, roomName) {
     const { type, data } = update;
     const state = roomStates.get(roomName);
-    if (!state) return;
+    if (!state) return false;
+    
+    let applied = true;
     
     // Ensure layers array exists before any operation
     ensureLayersArray(roomName);
     
     switch (type) {
         case 'add':
-            state.elements.push(data);
+            if (state.elements.some(el => el.id === data.id)) {
+                applied = false;
+                break;
+            }
+            state.elements.push(withoutSender(data));
             // Add to layer if specified
             if (data.layerId) {
                 const layer = state.layers.find(l => l.id === data.layerId);
@@ -347,14 +987,31 @@ function applyUpdate(update, roomName) {
                     layer.elements.push(data.id);
                 }
             }
+            emitRoomEvent(roomName, 'element.added', data, () => ({ element: webhookCopy(data) }));
             break;
         case 'update':
-            const updateIndex = state.elements.findIndex(el => el.id === data.id);
-            if (updateIndex !== -1) {
-                state.elements[updateIndex] = { ...state.elements[updateIndex], ...data };
+            // Updates to deleted elements are dropped, so a concurrent delete always wins
+            const updatedElement = state.elements.find(el => el.id === data.id);
+            applied = false;
+            if (updatedElement) {
+                const previousLayerId = updatedElement.layerId;
+                const changed = CanvasCRDT.mergeRegisters(updatedElement, withoutSender(data));
+                if (updatedElement.layerId !== previousLayerId) {
+                    moveElementToLayer(state, updatedElement.id, updatedElement.layerId);
+                }
+                if (changed.length > 0) {
+                    applied = true;
+                    emitRoomEvent(roomName, 'element.updated', data, () => ({ element: webhookCopy(updatedElement), changed }));
+                }
             }
             break;
         case 'delete':
+            if (!state.elements.some(el => el.id === data.id)) {
+                applied = false;
+                break;
+            }
+            emitRoomEvent(roomName, 'element.deleted', data, () => ({ elementIds: [data.id] }));
+            unpinComments(state, state.elements.filter(el => el.id === data.id));
             state.elements = state.elements.filter(el => el.id !== data.id);
             // Remove from layers
             state.layers.forEach(layer => {
@@ -365,6 +1022,13 @@ function applyUpdate(update, roomName) {
             });
             break;
         case 'clear':
+            if (state.elements.length === 0) {
+                applied = false;
+                break;
+            }
+            const clearedIds = state.elements.map(el => el.id);
+            emitRoomEvent(roomName, 'element.deleted', data, () => ({ elementIds: clearedIds }));
+            unpinComments(state, state.elements);
             state.elements = [];
             state.layers.forEach(layer => {
                 layer.elements = [];
@@ -390,48 +1054,165 @@ function applyUpdate(update, roomName) {
                 lastSeen: Date.now()
             });
             break;
-        case 'fullSync':
-            // Full state synchronization for undo/redo
-            if (data.elements) {
-                state.elements = data.elements;
-            }
-            if (data.layers) {
-                state.layers = data.layers;
-                console.log(`Full sync for room "${roomName}": ${data.layers.length} layers, ${data.elements ? data.elements.length : 'unchanged'} elements`);
-            }
-            break;
         case 'addLayer':
-            state.layers.push(data);
+            if (state.layers.some(l => l.id === data.id)) {
+                applied = false;
+                break;
+            }
+            state.layers.push(withoutSender(data));
+            CanvasCRDT.normalizeLayerOrder(state.layers);
+            emitRoomEvent(roomName, 'layer.added', data, () => ({ layer: webhookCopy(data) }));
             console.log(`Added layer to room "${roomName}": ${data.name} (${data.id})`);
             break;
         case 'deleteLayer':
             const layerIndex = state.layers.findIndex(l => l.id === data.id);
-            if (layerIndex !== -1) {
+            applied = layerIndex !== -1;
+            if (applied) {
                 const layer = state.layers[layerIndex];
                 console.log(`Deleting layer from room "${roomName}": ${layer.name} with ${layer.elements.length} elements`);
                 // Remove all elements from this layer
-                layer.elements.forEach(elementId => {
-                    state.elements = state.elements.filter(el => el.id !== elementId);
-                });
+                const inLayer = el => layer.elements.includes(el.id) || el.layerId === layer.id;
+                emitRoomEvent(roomName, 'layer.deleted', data, () => ({
+                    layerId: layer.id,
+                    elementIds: state.elements.filter(inLayer).map(el => el.id)
+                }));
+                unpinComments(state, state.elements.filter(inLayer));
+                state.elements = state.elements.filter(el => !inLayer(el));
                 state.layers.splice(layerIndex, 1);
             }
             break;
         case 'updateLayer':
-            const layerUpdateIndex = state.layers.findIndex(l => l.id === data.id);
-            if (layerUpdateIndex !== -1) {
-                state.layers[layerUpdateIndex] = { ...state.layers[layerUpdateIndex], ...data };
-                console.log(`Updated layer in room "${roomName}": ${data.name || state.layers[layerUpdateIndex].name}`);
+            const updatedLayer = state.layers.find(l => l.id === data.id);
+            const changedLayerProps = updatedLayer ? CanvasCRDT.mergeRegisters(updatedLayer, withoutSender(data)) : [];
+            applied = changedLayerProps.length > 0;
+            if (applied) {
+                CanvasCRDT.normalizeLayerOrder(state.layers);
+                emitRoomEvent(roomName, 'layer.updated', data, () => ({ layer: webhookCopy(updatedLayer), changed: changedLayerProps }));
+                console.log(`Updated layer in room "${roomName}": ${updatedLayer.name}`);
             }
             break;
         case 'roomPasswordChanged':
             // Handle room password change notifications (broadcast only, no state change)
             break;
         case 'camera':
-            state.camera = data;
+            state.camera = withoutSender(data);
+            break;
+        case 'addView':
+            if (!state.views) state.views = [];
+            applied = !state.views.some(view => view.id === data.id);
+            if (applied) {
+                state.views.push(withoutSender(data));
+            }
+            break;
+        case 'deleteView':
+            applied = (state.views || []).some(view => view.id === data.id);
+            if (applied) {
+                state.views = state.views.filter(view => view.id !== data.id);
+            }
+            break;
+        case 'addComment':
+            if (!state.comments) state.comments = [];
+            applied = !state.comments.some(thread => thread.id === data.id);
+            if (applied) {
+                state.comments.push({
+                    id: data.id,
+                    elementId: data.elementId ?? null,
+                    x: data.x,
+                    y: data.y,
+                    resolved: false,
+                    resolvedBy: null,
+                    createdAt: data.createdAt,
+                    comments: [commentFromMessage(data)]
+                });
+            }
+            break;
+        case 'replyComment': {
+            const thread = (state.comments || []).find(t => t.id === data.threadId);
+            applied = Boolean(thread) && !thread.comments.some(comment => comment.id === data.id);
+            if (applied) {
+                thread.comments.push(commentFromMessage(data));
+            }
+            break;
+        }
+        case 'resolveComment': {
+            const thread = (state.comments || []).find(t => t.id === data.threadId);
+            applied = Boolean(thread) && thread.resolved !== data.resolved;
+            if (applied) {
+                thread.resolved = data.resolved;
+                thread.resolvedBy = data.resolved ? (data.userName || 'Anonymous') : null;
+            }
+            break;
+        }
+        case 'deleteComment':
+            applied = (state.comments || []).some(thread => thread.id === data.threadId);
+            if (applied) {
+                state.comments = state.comments.filter(thread => thread.id !== data.threadId);
+            }
+            break;
+        case 'presentation':
+            // Who is presenting is kept in memory only (see roomPresentations)
+            break;
+        case 'viewport':
+            // Viewports are broadcast only; each connection remembers its latest for late joiners
             break;
     }
     
-    state.timestamp = new Date().toISOString();
+    if (applied) {
+        state.timestamp = new Date().toISOString();
+    }
+    return applied;
+}
+
+// Send an error to one client; details (code, errors, ...) are added to the data
+function sendError(ws, message, details = {}) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({
+        type: 'error',
+        data: { message, ...details }
+    }));
+}
+
+// Send a broadcast to one client. Cursor/move messages are batched per tick for binary
+// clients, and held back or dropped when a client isn't reading fast enough.
+function sendWithBackpressure(client, message, update) {
+    if (client.bufferedAmount > BACKPRESSURE.disconnectBytes) {
+        // Too far behind to catch up live; it can rejoin and replay the operation log
+        console.warn(`Disconnecting slow client in room "${client.roomName}" (${client.bufferedAmount} bytes buffered)`);
+        trafficMetrics.slowClientDisconnects++;
+        clientsWithPendingVolatile.delete(client);
+        client.terminate();
+        return;
+    }
+    
+    const volatileKey = VOLATILE_TYPES[update.type] ? VOLATILE_TYPES[update.type](update) : null;
+    
+    if (!volatileKey) {
+        // A held-back move is stale once the element's real state goes out
+        if (update.data && update.data.id !== undefined) {
+            client.pendingVolatile.delete(`move:${update.data.id}`);
+        }
+        client.send(message);
+        return;
+    }
+    
+    if (client.bufferedAmount > BACKPRESSURE.dropBytes) {
+        client.pendingVolatile.delete(volatileKey);
+        trafficMetrics.dropped++;
+        return;
+    }
+    
+    // Binary clients get these batched once per tick. For JSON clients, once anything is
+    // held back, queue behind it so cursor/move messages stay in order.
+    if (client.wireEncoding || client.bufferedAmount > BACKPRESSURE.coalesceBytes || client.pendingVolatile.size > 0) {
+        if (client.pendingVolatile.delete(volatileKey)) {
+            trafficMetrics.coalesced++;
+        }
+        client.pendingVolatile.set(volatileKey, update);
+        clientsWithPendingVolatile.add(client);
+        return;
+    }
+    
+    client.send(message);
 }
 
 // Broadcast update to all connected clients in the same room except sender
@@ -439,11 +1220,112 @@ function broadcastUpdate(update, senderWs, roomName) {
     const message = JSON.stringify(update);
     wss.clients.forEach(client => {
         if (client !== senderWs && client.readyState === WebSocket.OPEN && client.roomName === roomName) {
-            client.send(message);
+            sendWithBackpressure(client, message, update);
+        }
+    });
+}
+
+// Limits a change would break in this room: { message, code } or null if it fits
+function checkRoomLimits(roomName, update) {
+    const state = roomStates.get(roomName);
+    
+    if (update.type === 'add') {
+        if (state.elements.length + 1 > LIMITS.maxElementsPerRoom) {
+            return { message: `Room is full (limit ${LIMITS.maxElementsPerRoom} elements)`, code: 'ROOM_FULL' };
+        }
+    }
+    if (update.type === 'addLayer' && state.layers.length >= LIMITS.maxLayersPerRoom) {
+        return { message: `Too many layers (limit ${LIMITS.maxLayersPerRoom})`, code: 'ROOM_FULL' };
+    }
+    if (update.type === 'addView' && (state.views || []).length >= LIMITS.maxViewsPerRoom) {
+        return { message: `Too many saved views (limit ${LIMITS.maxViewsPerRoom})`, code: 'ROOM_FULL' };
+    }
+    
+    // Replies need a thread with room left in it
+    const comments = state.comments || [];
+    if (update.type === 'addComment' && comments.length >= LIMITS.maxCommentThreadsPerRoom) {
+        return { message: `Too many comment threads (limit ${LIMITS.maxCommentThreadsPerRoom})`, code: 'ROOM_FULL' };
+    }
+    if (update.type === 'replyComment') {
+        const thread = comments.find(t => t.id === update.data.threadId);
+        if (!thread) {
+            return { message: 'That comment thread no longer exists', code: 'NOT_FOUND' };
+        }
+        if (thread.comments.length >= LIMITS.maxCommentsPerThread) {
+            return { message: `Too many replies (limit ${LIMITS.maxCommentsPerThread})`, code: 'ROOM_FULL' };
+        }
+    }
+    
+    return null;
+}
+
+// Apply a validated change to a room, record it in the operation log, schedule the save
+// and send it to everyone in the room but the sender. Used for WebSocket messages and
+// REST writes alike. Returns the operation log entry for state changes, otherwise null.
+function commitUpdate(roomName, update, senderWs = null) {
+    // An operation that changed nothing gets no version, log entry, save or broadcast
+    if (!applyUpdate(update, roomName)) {
+        return null;
+    }
+    
+    // Record state changes in the operation log and tag them with the new room version
+    let entry = null;
+    if (versionedOperations.includes(update.type)) {
+        entry = recordOperation(roomName, update);
+        if (entry) {
+            update.version = entry.version;
+        }
+    }
+    
+    // Schedule a save only for persistent updates
+    if (!readOnlyOperations.includes(update.type)) {
+        markRoomDirty(roomName);
+    }
+    
+    broadcastUpdate(update, senderWs, roomName);
+    return entry;
+}
+
+// Bring a client that just joined up to date on what everyone else is doing:
+// a presentation that is already running and where everyone is looking
+function sendRoomPresence(ws, roomName) {
+    const presentation = roomPresentations.get(roomName);
+    if (presentation && presentation.ws !== ws) {
+        ws.send(JSON.stringify(presentation.update));
+    }
+    
+    wss.clients.forEach(client => {
+        if (client !== ws && client.roomName === roomName && client.lastViewport && client.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(client.lastViewport));
         }
     });
 }
 
+// Apply the connection's rate limits to an incoming message. Returns false if it was refused.
+function checkRateLimit(ws, messageType) {
+    const verdict = ws.rateLimiter.check(messageType);
+    if (verdict === 'allow') return true;
+    
+    trafficMetrics.throttled[messageType] = (trafficMetrics.throttled[messageType] || 0) + 1;
+    
+    if (verdict === 'disconnect') {
+        console.warn(`Disconnecting client in room "${ws.roomName || 'no room'}" for exceeding rate limits`);
+        trafficMetrics.rateLimitDisconnects++;
+        ws.close(1008, 'Rate limit exceeded');
+        return false;
+    }
+    
+    // Dropped cursor/move messages are harmless; tell the client (at most once a second) about anything else
+    if (!VOLATILE_TYPES[messageType] && Date.now() - (ws.lastRateLimitNotice || 0) > 1000) {
+        ws.lastRateLimitNotice = Date.now();
+        sendError(ws, `Too many messages, ${messageType} was not applied`, {
+            code: 'RATE_LIMITED',
+            messageType: messageType
+        });
+    }
+    return false;
+}
+
 // WebSocket connection handling
 wss.on('connection', (ws) => {
     let userId = null;
@@ -452,10 +1334,30 @@ wss.on('connection', (ws) => {
     // Track last pong time for connection health
     ws.lastPong = Date.now();
     
-    // Handle messages from client
-    ws.on('message', async (message) => {
+    // Per-connection rate limits and cursor/move messages held back for this client
+    ws.rateLimiter = new ConnectionRateLimiter();
+    ws.pendingVolatile = new Map();
+    
+    // Check, apply and broadcast one message (a JSON message or one record of a binary frame)
+    const handleUpdate = async (parsed) => {
         try {
-            const update = JSON.parse(message);
+            if (!checkRateLimit(ws, String(parsed?.type))) {
+                return;
+            }
+            
+            // Check the message against its schema before anything is applied or broadcast
+            const validation = validateMessage(parsed, {
+                shapeOf: id => roomStates.get(roomName)?.elements.find(el => el.id === id)?.shape
+            });
+            if (!validation.valid) {
+                sendError(ws, 'Invalid message', {
+                    code: 'INVALID_MESSAGE',
+                    messageType: parsed?.type,
+                    errors: validation.errors
+                });
+                return;
+            }
+            const update = validation.message;
             
             // Handle pong response from client
             if (update.type === 'pong') {
@@ -465,11 +1367,11 @@ wss.on('connection', (ws) => {
             
             // Handle room join
             if (update.type === 'joinRoom') {
-                roomName = update.data.roomName;
-                const providedPassword = update.data.password || '';
+                // The connection only moves to the new room once access is granted
+                const requestedRoom = update.data.roomName;
                 
                 // Validate room name
-                if (!validateRoomName(roomName)) {
+                if (!validateRoomName(requestedRoom)) {
                     ws.send(JSON.stringify({
                         type: 'error',
                         data: { message: 'Invalid room name' }
@@ -478,40 +1380,69 @@ wss.on('connection', (ws) => {
                 }
                 
                 // Load or create room state
-                const roomState = await loadRoomState(roomName);
+                const roomState = await loadRoomState(requestedRoom);
                 
-                // Check password if room is protected
-                let userRole = 'admin'; // default for non-protected rooms
+                // Check the room token (or, from older clients, the password) if room is protected
+                const userRole = await resolveRoomRole(requestedRoom, roomState, {
+                    token: update.data.token,
+                    password: update.data.password
+                });
                 
-                if (roomState.isPasswordProtected) {
-                    if (roomState.adminPassword && providedPassword === roomState.adminPassword) {
-                        userRole = 'admin';
-                    } else if (roomState.readonlyPassword && providedPassword === roomState.readonlyPassword) {
-                        userRole = 'readonly';
-                    } else {
-                        ws.send(JSON.stringify({
-                            type: 'error',
-                            data: { message: 'Incorrect password for this room' }
-                        }));
-                        return;
-                    }
+                if (!userRole) {
+                    // A failed join leaves the connection with no rights anywhere until it joins again
+                    ws.userRole = null;
+                    ws.send(JSON.stringify({
+                        type: 'error',
+                        data: {
+                            message: update.data.token ?
+                                'Room access expired or password changed, please enter the password again' :
+                                'Incorrect password for this room'
+                        }
+                    }));
+                    return;
                 }
                 
                 // Store room name and user role on the WebSocket connection
+                roomName = requestedRoom;
                 ws.roomName = roomName;
                 ws.userRole = userRole;
+                ws.lastViewport = null;
+                
+                // Use the binary encoding for cursor/move traffic if the client supports it
+                const encodings = update.data.encodings || [];
+                ws.wireEncoding = encodings.includes(CanvasWire.ENCODING) ? CanvasWire.ENCODING : null;
                 
                 // Ensure layers array exists before sending to client
                 ensureLayersArray(roomName);
                 
+                // Reconnecting clients only need the operations they missed
+                const sinceVersion = update.data.sinceVersion;
+                const missedOperations = sinceVersion !== undefined && sinceVersion !== null ?
+                    getOperationsSince(roomName, sinceVersion) : null;
+                
+                if (missedOperations) {
+                    ws.send(JSON.stringify({
+                        type: 'catchUp',
+                        data: {
+                            operations: missedOperations.map(op => ({ type: op.type, data: op.data, version: op.version })),
+                            isPasswordProtected: roomState.isPasswordProtected,
+                            userRole: userRole,
+                            encoding: ws.wireEncoding,
+                            version: roomState.version
+                        }
+                    }));
+                    
+                    sendRoomPresence(ws, roomName);
+                    
+                    console.log(`Client rejoined room: ${roomName} (${missedOperations.length} missed operations since version ${sinceVersion})`);
+                    return;
+                }
+                
                 // Send current room state to new client (without passwords)
                 const clientState = {
-                    elements: roomState.elements,
-                    camera: roomState.camera,
-                    layers: roomState.layers,
-                    isPasswordProtected: roomState.isPasswordProtected,
+                    ...getPublicRoomState(roomState),
                     userRole: userRole,
-                    timestamp: roomState.timestamp
+                    encoding: ws.wireEncoding
                 };
                 
                 ws.send(JSON.stringify({
@@ -519,6 +1450,8 @@ wss.on('connection', (ws) => {
                     data: clientState
                 }));
                 
+                sendRoomPresence(ws, roomName);
+                
                 console.log(`Client joined room: ${roomName}`);
                 return;
             }
@@ -532,56 +1465,142 @@ wss.on('connection', (ws) => {
                 return;
             }
             
+            // Only message types the connection's role allows get through
+            if (!authorizeMessage(ws, update.type)) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    data: { message: `You do not have permission to perform this action (${update.type})` }
+                }));
+                return;
+            }
+            
+            // Keep rooms within their limits
+            const limitError = checkRoomLimits(roomName, update);
+            if (limitError) {
+                sendError(ws, limitError.message, { code: limitError.code });
+                return;
+            }
+            
+            // Comments get the server's time
+            if (['addComment', 'replyComment'].includes(update.type)) {
+                update.data.createdAt = new Date().toISOString();
+            }
+            
+            // Remember the running presentation; one presenter per room at a time
+            if (update.type === 'presentation') {
+                const current = roomPresentations.get(roomName);
+                if (update.data.active) {
+                    if (current && current.ws !== ws && current.ws.readyState === WebSocket.OPEN) {
+                        sendError(ws, `${current.update.data.userName || 'Someone'} is already presenting in this room`, { code: 'PRESENTATION_IN_PROGRESS' });
+                        return;
+                    }
+                    roomPresentations.set(roomName, { ws, update });
+                } else if (current && current.ws === ws) {
+                    roomPresentations.delete(roomName);
+                }
+            }
+            
             // Track user ID for this connection
             if (update.type === 'userInfo') {
+                // Name changes resend userInfo; only the first one on a connection is a join
+                const isRename = userId === update.data.userId;
                 userId = update.data.userId;
                 
                 // Get room users
                 const roomUserMap = roomUsers.get(roomName) || new Map();
                 
                 // Broadcast user joined to others in the same room
-                broadcastUpdate({
+                const userJoined = {
                     type: 'userJoined',
                     data: {
                         userId: update.data.userId,
                         userName: update.data.userName,
                         userCount: roomUserMap.size + 1
                     }
-                }, ws, roomName);
+                };
+                broadcastUpdate(userJoined, ws, roomName);
+                if (!isRename) {
+                    emitRoomEvent(roomName, 'user.joined', userJoined.data, () => ({ ...userJoined.data }));
+                }
             }
             
-            // Check permissions for write operations
-            const writeOperations = ['add', 'update', 'delete', 'clear', 'layer', 'paste'];
-            const readOnlyOperations = ['move', 'cursor', 'userInfo', 'shapeSelect', 'shapeRelease'];
-            
-            if (writeOperations.includes(update.type)) {
-                if (!hasWritePermission(ws, update.type)) {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        data: { message: 'You do not have permission to perform this action (readonly access)' }
-                    }));
-                    return;
-                }
+            if (update.type === 'viewport') {
+                ws.lastViewport = update;
             }
             
-            // Apply update to room state
-            applyUpdate(update, roomName);
+            // Apply, log, save and broadcast; state changes are acknowledged with their version
+            const entry = commitUpdate(roomName, update, ws);
+            if (entry) {
+                ws.send(JSON.stringify({
+                    type: 'ack',
+                    version: entry.version
+                }));
+            }
             
-            // Save to file only for persistent updates
-            if (!readOnlyOperations.includes(update.type)) {
-                await saveRoomState(roomName);
+        } catch (error) {
+            console.error('Error processing message:', error);
+        }
+    };
+    
+    // Handle messages from client
+    ws.on('message', async (message, isBinary) => {
+        // Ignore anything still arriving after the connection was closed for abuse
+        if (ws.readyState !== WebSocket.OPEN) return;
+        
+        if (message.length > LIMITS.maxMessageBytes) {
+            sendError(ws, `Message too large (limit ${LIMITS.maxMessageBytes} bytes)`, { code: 'MESSAGE_TOO_LARGE' });
+            return;
+        }
+        
+        // Binary frames carry batches of cursor/move messages once the encoding is negotiated
+        if (isBinary) {
+            if (!ws.wireEncoding) {
+                sendError(ws, 'Binary frames need the binary encoding, request it in joinRoom', { code: 'INVALID_FRAME' });
+                return;
             }
             
-            // Broadcast to other clients in the same room
-            broadcastUpdate(update, ws, roomName);
+            let updates;
+            try {
+                updates = CanvasWire.decodeBatch(message);
+            } catch (error) {
+                sendError(ws, `Invalid binary frame: ${error.message}`, { code: 'INVALID_FRAME' });
+                return;
+            }
             
+            for (const update of updates) {
+                await handleUpdate(update);
+            }
+            return;
+        }
+        
+        let parsed;
+        try {
+            parsed = JSON.parse(message);
         } catch (error) {
-            console.error('Error processing message:', error);
+            sendError(ws, 'Message is not valid JSON', { code: 'INVALID_JSON' });
+            return;
         }
+        
+        await handleUpdate(parsed);
     });
     
     ws.on('close', () => {
         console.log(`Client disconnected from room: ${roomName || 'no room'}`);
+        clientsWithPendingVolatile.delete(ws);
+        
+        // A presenter who leaves ends their presentation
+        const presentation = roomName && roomPresentations.get(roomName);
+        if (presentation && presentation.ws === ws) {
+            roomPresentations.delete(roomName);
+            broadcastUpdate({
+                type: 'presentation',
+                data: {
+                    active: false,
+                    userId: presentation.update.data.userId,
+                    userName: presentation.update.data.userName
+                }
+            }, ws, roomName);
+        }
         
         if (userId && roomName) {
             const roomUserMap = roomUsers.get(roomName);
@@ -590,18 +1609,20 @@ wss.on('connection', (ws) => {
                 roomUserMap.delete(userId);
                 
                 // Broadcast user left to others in the same room
+                const userLeft = {
+                    type: 'userLeft',
+                    data: {
+                        userId: userId,
+                        userName: user?.userName || 'Unknown',
+                        userCount: roomUserMap.size
+                    }
+                };
                 wss.clients.forEach(client => {
                     if (client !== ws && client.readyState === WebSocket.OPEN && client.roomName === roomName) {
-                        client.send(JSON.stringify({
-                            type: 'userLeft',
-                            data: {
-                                userId: userId,
-                                userName: user?.userName || 'Unknown',
-                                userCount: roomUserMap.size
-                            }
-                        }));
+                        client.send(JSON.stringify(userLeft));
                     }
                 });
+                emitRoomEvent(roomName, 'user.left', userLeft.data, () => ({ ...userLeft.data }));
             }
         }
     });
@@ -612,32 +1633,24 @@ wss.on('connection', (ws) => {
 });
 
 // Image upload endpoint
-app.post('/api/upload/image', upload.single('image'), async (req, res) => {
+app.post('/api/upload/image', upload.single('image'), requireRoomPermission('uploadImage'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No image file provided' });
         }
         
-        const roomName = req.body.roomName;
-        if (!validateRoomName(roomName)) {
-            // Clean up uploaded file if room name is invalid
-            await fs.unlink(req.file.path).catch(() => {});
-            return res.status(400).json({ error: 'Invalid room name' });
-        }
+        const roomName = req.roomName;
         
-        // Create room-specific uploads directory
-        const roomUploadsDir = path.join(UPLOADS_DIR, roomName);
-        await fs.mkdir(roomUploadsDir, { recursive: true });
+        const filename = generateImageFilename(req.file.originalname);
         
-        // Move file to room-specific directory
-        const newFilePath = path.join(roomUploadsDir, req.file.filename);
-        await fs.rename(req.file.path, newFilePath);
+        // Store the image with the room's other data
+        await storage.saveImage(roomName, filename, req.file.buffer);
         
-        console.log(`Image uploaded for room "${roomName}": ${req.file.originalname} -> ${req.file.filename}`);
+        console.log(`Image uploaded for room "${roomName}": ${req.file.originalname} -> ${filename}`);
         
         res.json({
             success: true,
-            filename: req.file.filename,
+            filename: filename,
             originalName: req.file.originalname,
             size: req.file.size,
             mimetype: req.file.mimetype
@@ -645,10 +1658,6 @@ app.post('/api/upload/image', upload.single('image'), async (req, res) => {
         
     } catch (error) {
         console.error('Error uploading image:', error);
-        // Clean up uploaded file on error
-        if (req.file && req.file.path) {
-            await fs.unlink(req.file.path).catch(() => {});
-        }
         res.status(500).json({ error: 'Failed to upload image' });
     }
 });
@@ -662,22 +1671,15 @@ app.get('/api/room/:roomName/check', async (req, res) => {
         }
         
         // Check if room exists and if it requires a password
-        try {
-            const filePath = getRoomFilePath(roomName);
-            const data = await fs.readFile(filePath, 'utf8');
-            const roomState = JSON.parse(data);
-            
+        const roomState = roomStates.get(roomName) || await storage.loadRoom(roomName);
+        if (roomState) {
             res.json({ 
                 exists: true, 
                 requiresPassword: roomState.isPasswordProtected || false 
             });
-        } catch (error) {
-            if (error.code === 'ENOENT') {
-                // Room doesn't exist yet
-                res.json({ exists: false, requiresPassword: false });
-            } else {
-                throw error;
-            }
+        } else {
+            // Room doesn't exist yet
+            res.json({ exists: false, requiresPassword: false });
         }
     } catch (error) {
         console.error('Error checking room:', error);
@@ -685,30 +1687,61 @@ app.get('/api/room/:roomName/check', async (req, res) => {
     }
 });
 
-app.post('/api/room/:roomName/password', async (req, res) => {
+// Exchange a room password for a signed, expiring room token
+app.post('/api/room/:roomName/login', async (req, res) => {
     try {
         const roomName = req.params.roomName;
-        const { adminPassword, readonlyPassword } = req.body;
-        
         if (!validateRoomName(roomName)) {
             return res.status(400).json({ error: 'Invalid room name' });
         }
         
-        // Load room state
-        const roomState = await loadRoomState(roomName);
+        const roomState = await findRoomState(roomName) || initRoomState();
+        const userRole = await resolveRoomRole(roomName, roomState, { password: req.body.password });
+        if (!userRole) {
+            return res.status(401).json({ error: 'Incorrect password for this room' });
+        }
+        
+        const { token, expiresAt } = issueRoomToken(roomName, userRole, roomState.passwordVersion);
+        res.json({ token, role: userRole, expiresAt });
         
-        // Update passwords
-        roomState.adminPassword = adminPassword || '';
-        roomState.readonlyPassword = readonlyPassword || '';
-        roomState.isPasswordProtected = roomState.adminPassword.length > 0 || roomState.readonlyPassword.length > 0;
+        console.log(`Issued ${userRole} token for room: ${roomName}`);
+    } catch (error) {
+        console.error('Error logging in to room:', error);
+        res.status(500).json({ error: 'Failed to log in to room' });
+    }
+});
+
+app.post('/api/room/:roomName/password', requireRoomPermission('setPasswords'), async (req, res) => {
+    try {
+        const { roomName, roomState } = req;
+        const { adminPassword, readonlyPassword } = req.body;
+        
+        // Update passwords (stored hashed) and invalidate tokens issued for the old ones
+        roomState.adminPasswordHash = adminPassword ? await hashPassword(adminPassword) : '';
+        roomState.readonlyPasswordHash = readonlyPassword ? await hashPassword(readonlyPassword) : '';
+        roomState.isPasswordProtected = roomState.adminPasswordHash.length > 0 || roomState.readonlyPasswordHash.length > 0;
+        roomState.passwordVersion = (roomState.passwordVersion || 0) + 1;
         roomState.timestamp = new Date().toISOString();
         
-        // Save updated state
-        await saveRoomState(roomName);
+        // Save updated state right away
+        markRoomDirty(roomName);
+        await flushRoom(roomName);
+        
+        // Webhooks hear about it from here rather than from the clients' roomPasswordChanged notice
+        emitRoomEvent(roomName, 'room.password_changed', { userName: getRequestUserName(req) }, () => ({
+            isPasswordProtected: roomState.isPasswordProtected
+        }));
+        
+        // Give the caller a token for the new passwords so they don't have to log in again
+        const callerRole = adminPassword ? 'admin' : (readonlyPassword ? 'readonly' : null);
+        const session = callerRole ? issueRoomToken(roomName, callerRole, roomState.passwordVersion) : null;
         
         res.json({ 
             success: true, 
-            isPasswordProtected: roomState.isPasswordProtected 
+            isPasswordProtected: roomState.isPasswordProtected,
+            token: session ? session.token : null,
+            role: callerRole,
+            expiresAt: session ? session.expiresAt : null
         });
         
         console.log(`Password ${roomState.isPasswordProtected ? 'enabled' : 'disabled'} for room: ${roomName}`);
@@ -724,21 +1757,704 @@ app.get('/api/room/generate', (req, res) => {
     res.json({ roomName });
 });
 
-app.get('/api/room/:roomName/load', async (req, res) => {
+app.get('/api/room/:roomName/load', requireRoomPermission('loadRoom'), async (req, res) => {
     try {
-        const roomName = req.params.roomName;
-        if (!validateRoomName(roomName)) {
-            return res.status(400).json({ error: 'Invalid room name' });
-        }
-        
-        const roomState = await loadRoomState(roomName);
-        res.json(roomState);
+        res.json(getPublicRoomState(req.roomState));
     } catch (error) {
         console.error('Error loading room:', error);
         res.status(500).json({ error: 'Failed to load room' });
     }
 });
 
+app.get('/api/room/:roomName/ops', requireRoomPermission('readOperations'), async (req, res) => {
+    try {
+        const { roomName, roomState } = req;
+        
+        const since = parseInt(req.query.since, 10) || 0;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+        
+        // Read the full log from storage so older operations can be audited too,
+        // after writing out the entries still buffered for the next flush
+        await flushRoom(roomName);
+        const operations = await storage.loadOperations(roomName, since, limit);
+        
+        res.json({
+            version: roomState.version,
+            operations: operations
+        });
+    } catch (error) {
+        console.error('Error loading operation log:', error);
+        res.status(500).json({ error: 'Failed to load operation log' });
+    }
+});
+
+// Elements and layers over REST, for scripts and other tools. Writes need the same role as
+// the matching WebSocket message, go through the same validation and limits, and are
+// broadcast to everyone in the room like any other change.
+
+// Who REST writes are attributed to, unless the request body names someone (userId/userName)
+const API_SENDER = { userId: 'api', userName: 'API' };
+
+// Lamport stamp for a REST write, newer than every stamp the object already carries
+function apiStamp(object) {
+    const clock = new CanvasCRDT.LamportClock(API_SENDER.userId);
+    if (object) clock.observe(object.clocks);
+    return clock.tick();
+}
+
+// The request body without the room token, which may be sent there instead of a header
+function getApiFields(req) {
+    const { token, ...fields } = req.body || {};
+    return fields;
+}
+
+function findElement(state, elementId) {
+    return state.elements.find(el => String(el.id) === elementId) || null;
+}
+
+function findLayer(state, layerId) {
+    return state.layers.find(layer => layer.id === layerId) || null;
+}
+
+// Validate a REST write as the WebSocket message it stands for, stamp it and commit it.
+// Returns the operation log entry, or null after responding with an error.
+function commitApiUpdate(req, res, type, data, target) {
+    const { roomName, roomState } = req;
+    const validation = validateMessage({ type, data: { ...API_SENDER, ...data } }, {
+        shapeOf: id => roomState.elements.find(el => el.id === id)?.shape
+    });
+    if (!validation.valid) {
+        res.status(400).json({ error: 'Invalid request body', details: validation.errors });
+        return null;
+    }
+    const update = validation.message;
+    
+    const limitError = checkRoomLimits(roomName, update);
+    if (limitError) {
+        res.status(limitError.code === 'NOT_FOUND' ? 404 : 409).json({ error: limitError.message, code: limitError.code });
+        return null;
+    }
+    
+    // Every written property gets a stamp, so API writes merge like any client's
+    const senderFields = Object.keys(API_SENDER);
+    switch (type) {
+        case 'add':
+            CanvasCRDT.stampAll(update.data, apiStamp(null), senderFields);
+            break;
+        case 'addLayer':
+            CanvasCRDT.stampAll(update.data, apiStamp(null), ['elements', ...senderFields]);
+            break;
+        case 'update':
+        case 'updateLayer': {
+            const stamp = apiStamp(target);
+            update.data.clocks = {};
+            Object.keys(withoutSender(update.data)).forEach(prop => {
+                if (prop !== 'id' && prop !== 'clocks') update.data.clocks[prop] = stamp;
+            });
+            break;
+        }
+    }
+    
+    // A write that changes nothing (such as an empty patch) is answered with the current version
+    return commitUpdate(roomName, update) || { version: roomState.version };
+}
+
+app.get('/api/room/:roomName/elements', requireRoomPermission('loadRoom'), (req, res) => {
+    const { roomState } = req;
+    const layerId = req.query.layerId;
+    const elements = layerId ? roomState.elements.filter(el => el.layerId === layerId) : roomState.elements;
+    res.json({ version: roomState.version, elements });
+});
+
+app.get('/api/room/:roomName/elements/:elementId', requireRoomPermission('loadRoom'), (req, res) => {
+    const element = findElement(req.roomState, req.params.elementId);
+    if (!element) {
+        return res.status(404).json({ error: 'Element not found' });
+    }
+    res.json({ version: req.roomState.version, element });
+});
+
+// Create an element. The id is generated unless given; the layer defaults to the bottom one.
+app.post('/api/room/:roomName/elements', requireRoomPermission('add'), (req, res) => {
+    try {
+        const { roomState } = req;
+        const data = {
+            id: Date.now() + Math.random(),
+            rotation: 0,
+            layerId: roomState.layers[0]?.id,
+            ...getApiFields(req)
+        };
+        
+        if (roomState.elements.some(el => String(el.id) === String(data.id))) {
+            return res.status(409).json({ error: `Element ${data.id} already exists` });
+        }
+        if (!findLayer(roomState, data.layerId)) {
+            return res.status(400).json({ error: `Layer ${data.layerId} does not exist` });
+        }
+        
+        const entry = commitApiUpdate(req, res, 'add', data);
+        if (!entry) return;
+        
+        res.status(201).json({ version: entry.version, element: findElement(roomState, String(data.id)) });
+    } catch (error) {
+        console.error('Error creating element:', error);
+        res.status(500).json({ error: 'Failed to create element' });
+    }
+});
+
+// Change some of an element's properties; null removes a property
+app.patch('/api/room/:roomName/elements/:elementId', requireRoomPermission('update'), (req, res) => {
+    try {
+        const { roomState } = req;
+        const element = findElement(roomState, req.params.elementId);
+        if (!element) {
+            return res.status(404).json({ error: 'Element not found' });
+        }
+        if (req.body?.layerId !== undefined && !findLayer(roomState, req.body.layerId)) {
+            return res.status(400).json({ error: `Layer ${req.body.layerId} does not exist` });
+        }
+        
+        const entry = commitApiUpdate(req, res, 'update', { ...getApiFields(req), id: element.id }, element);
+        if (!entry) return;
+        
+        res.json({ version: entry.version, element });
+    } catch (error) {
+        console.error('Error updating element:', error);
+        res.status(500).json({ error: 'Failed to update element' });
+    }
+});
+
+app.delete('/api/room/:roomName/elements/:elementId', requireRoomPermission('delete'), (req, res) => {
+    try {
+        const element = findElement(req.roomState, req.params.elementId);
+        if (!element) {
+            return res.status(404).json({ error: 'Element not found' });
+        }
+        
+        const entry = commitApiUpdate(req, res, 'delete', { id: element.id });
+        if (!entry) return;
+        
+        res.json({ success: true, version: entry.version });
+    } catch (error) {
+        console.error('Error deleting element:', error);
+        res.status(500).json({ error: 'Failed to delete element' });
+    }
+});
+
+app.get('/api/room/:roomName/layers', requireRoomPermission('loadRoom'), (req, res) => {
+    res.json({ version: req.roomState.version, layers: req.roomState.layers });
+});
+
+// Create a layer on top of the existing ones (unless an order is given)
+app.post('/api/room/:roomName/layers', requireRoomPermission('addLayer'), (req, res) => {
+    try {
+        const { roomState } = req;
+        if (req.body?.elements !== undefined) {
+            return res.status(400).json({ error: 'Layer contents follow the elements\' layerId and cannot be set here' });
+        }
+        
+        const data = {
+            id: 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+            name: `Layer ${roomState.layers.length + 1}`,
+            visible: true,
+            locked: false,
+            order: Math.max(-1, ...roomState.layers.map(l => l.order || 0)) + 1,
+            ...getApiFields(req),
+            elements: []
+        };
+        if (findLayer(roomState, data.id)) {
+            return res.status(409).json({ error: `Layer ${data.id} already exists` });
+        }
+        
+        const entry = commitApiUpdate(req, res, 'addLayer', data);
+        if (!entry) return;
+        
+        res.status(201).json({ version: entry.version, layer: findLayer(roomState, data.id) });
+    } catch (error) {
+        console.error('Error creating layer:', error);
+        res.status(500).json({ error: 'Failed to create layer' });
+    }
+});
+
+app.patch('/api/room/:roomName/layers/:layerId', requireRoomPermission('updateLayer'), (req, res) => {
+    try {
+        const layer = findLayer(req.roomState, req.params.layerId);
+        if (!layer) {
+            return res.status(404).json({ error: 'Layer not found' });
+        }
+        if (req.body?.elements !== undefined) {
+            return res.status(400).json({ error: 'Layer contents follow the elements\' layerId and cannot be set here' });
+        }
+        
+        const entry = commitApiUpdate(req, res, 'updateLayer', { ...getApiFields(req), id: layer.id }, layer);
+        if (!entry) return;
+        
+        res.json({ version: entry.version, layer });
+    } catch (error) {
+        console.error('Error updating layer:', error);
+        res.status(500).json({ error: 'Failed to update layer' });
+    }
+});
+
+// Delete a layer together with the elements on it
+app.delete('/api/room/:roomName/layers/:layerId', requireRoomPermission('deleteLayer'), (req, res) => {
+    try {
+        const { roomState } = req;
+        const layer = findLayer(roomState, req.params.layerId);
+        if (!layer) {
+            return res.status(404).json({ error: 'Layer not found' });
+        }
+        if (roomState.layers.length <= 1) {
+            return res.status(409).json({ error: 'Cannot delete the last layer' });
+        }
+        
+        const entry = commitApiUpdate(req, res, 'deleteLayer', { id: layer.id });
+        if (!entry) return;
+        
+        res.json({ success: true, version: entry.version });
+    } catch (error) {
+        console.error('Error deleting layer:', error);
+        res.status(500).json({ error: 'Failed to delete layer' });
+    }
+});
+
+// Webhook subscriptions as shown over the API; the secret is only returned when it is set
+function getPublicWebhook(webhook) {
+    const { secret, ...fields } = webhook;
+    return fields;
+}
+
+app.get('/api/room/:roomName/webhooks', requireRoomPermission('manageWebhooks'), (req, res) => {
+    res.json({ webhooks: req.roomState.webhooks.map(getPublicWebhook) });
+});
+
+// Subscribe a URL to room events. The secret used to sign deliveries is generated unless
+// given, and is only returned in this response.
+app.post('/api/room/:roomName/webhooks', requireRoomPermission('manageWebhooks'), async (req, res) => {
+    try {
+        const { roomName, roomState } = req;
+        const validation = validateWebhook(withoutSender(getApiFields(req)));
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid webhook', details: validation.errors });
+        }
+        const urlError = await checkWebhookUrl(validation.webhook.url, WEBHOOK_TARGETS);
+        if (urlError) {
+            return res.status(400).json({ error: urlError });
+        }
+        if (roomState.webhooks.length >= WEBHOOK_LIMITS.maxWebhooksPerRoom) {
+            return res.status(409).json({ error: `Too many webhooks (limit ${WEBHOOK_LIMITS.maxWebhooksPerRoom})` });
+        }
+        
+        const webhook = {
+            id: `hook-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+            events: ['*'],
+            description: '',
+            active: true,
+            secret: generateSecret(),
+            ...validation.webhook,
+            createdAt: new Date().toISOString(),
+            createdBy: getRequestUserName(req)
+        };
+        roomState.webhooks.push(webhook);
+        markRoomDirty(roomName);
+        await flushRoom(roomName);
+        
+        console.log(`Added webhook ${webhook.id} to room "${roomName}"`);
+        res.status(201).json({ webhook: { ...getPublicWebhook(webhook), secret: webhook.secret } });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+// Recent deliveries for the room's webhooks (?webhookId= for one), newest first. The log
+// is kept in memory, so it starts empty when the server restarts.
+app.get('/api/room/:roomName/webhooks/deliveries', requireRoomPermission('manageWebhooks'), (req, res) => {
+    const webhookId = typeof req.query.webhookId === 'string' ? req.query.webhookId : null;
+    res.json({ deliveries: webhookDispatcher.getLog(req.roomName, webhookId) });
+});
+
+// Change a webhook's URL, events, description, secret or pause it (active: false)
+app.patch('/api/room/:roomName/webhooks/:webhookId', requireRoomPermission('manageWebhooks'), async (req, res) => {
+    try {
+        const { roomName, roomState } = req;
+        const webhook = roomState.webhooks.find(hook => hook.id === req.params.webhookId);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        
+        const validation = validateWebhook(withoutSender(getApiFields(req)), { partial: true });
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Invalid webhook', details: validation.errors });
+        }
+        const urlError = validation.webhook.url && await checkWebhookUrl(validation.webhook.url, WEBHOOK_TARGETS);
+        if (urlError) {
+            return res.status(400).json({ error: urlError });
+        }
+        
+        Object.assign(webhook, validation.webhook);
+        markRoomDirty(roomName);
+        await flushRoom(roomName);
+        
+        res.json({ webhook: getPublicWebhook(webhook) });
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// Unsubscribe; events still waiting for this webhook are dropped
+app.delete('/api/room/:roomName/webhooks/:webhookId', requireRoomPermission('manageWebhooks'), async (req, res) => {
+    try {
+        const { roomName, roomState } = req;
+        const index = roomState.webhooks.findIndex(hook => hook.id === req.params.webhookId);
+        if (index === -1) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        
+        const [webhook] = roomState.webhooks.splice(index, 1);
+        webhookDispatcher.cancel(roomName, webhook.id);
+        markRoomDirty(roomName);
+        await flushRoom(roomName);
+        
+        console.log(`Removed webhook ${webhook.id} from room "${roomName}"`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// Queue a "ping" event for one webhook, to check the receiver and its signature handling
+app.post('/api/room/:roomName/webhooks/:webhookId/test', requireRoomPermission('manageWebhooks'), (req, res) => {
+    const { roomName, roomState } = req;
+    const webhook = roomState.webhooks.find(hook => hook.id === req.params.webhookId);
+    if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (webhook.active === false) {
+        return res.status(409).json({ error: 'Webhook is paused' });
+    }
+    
+    webhookDispatcher.emit(roomName, [webhook], {
+        type: 'ping',
+        userId: null,
+        userName: getRequestUserName(req),
+        data: { webhookId: webhook.id }
+    });
+    res.status(202).json({ success: true });
+});
+
+app.get('/api/room/:roomName/snapshots', requireRoomPermission('readSnapshots'), async (req, res) => {
+    try {
+        res.json({ snapshots: await storage.listSnapshots(req.roomName) });
+    } catch (error) {
+        console.error('Error listing snapshots:', error);
+        res.status(500).json({ error: 'Failed to list snapshots' });
+    }
+});
+
+// Checkpoints are kept until someone deletes them, so a room may only have so many
+async function isCheckpointLimitReached(roomName) {
+    const snapshots = await storage.listSnapshots(roomName);
+    return snapshots.filter(snapshot => !snapshot.auto).length >= LIMITS.maxCheckpointsPerRoom;
+}
+
+// Save a named checkpoint of the room as it is now
+app.post('/api/room/:roomName/snapshots', requireRoomPermission('createSnapshot'), async (req, res) => {
+    try {
+        const { roomName } = req;
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name || name.length > LIMITS.maxSnapshotNameLength) {
+            return res.status(400).json({ error: `Checkpoint name must be 1-${LIMITS.maxSnapshotNameLength} characters` });
+        }
+        
+        if (await isCheckpointLimitReached(roomName)) {
+            return res.status(400).json({ error: `This room already has ${LIMITS.maxCheckpointsPerRoom} checkpoints, delete some first` });
+        }
+        
+        const snapshot = await createSnapshot(roomName, { name, createdBy: getRequestUserName(req) });
+        res.json({ snapshot });
+        
+        console.log(`Saved checkpoint "${name}" for room: ${roomName}`);
+    } catch (error) {
+        console.error('Error creating snapshot:', error);
+        res.status(500).json({ error: 'Failed to create snapshot' });
+    }
+});
+
+// A past state of the room, for read-only previews
+app.get('/api/room/:roomName/snapshots/:snapshotId', requireRoomPermission('readSnapshots'), async (req, res) => {
+    try {
+        const snapshot = await storage.loadSnapshot(req.roomName, req.params.snapshotId);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        res.json({ snapshot });
+    } catch (error) {
+        console.error('Error loading snapshot:', error);
+        res.status(500).json({ error: 'Failed to load snapshot' });
+    }
+});
+
+app.delete('/api/room/:roomName/snapshots/:snapshotId', requireRoomPermission('deleteSnapshot'), async (req, res) => {
+    try {
+        const deleted = await storage.deleteSnapshot(req.roomName, req.params.snapshotId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting snapshot:', error);
+        res.status(500).json({ error: 'Failed to delete snapshot' });
+    }
+});
+
+// Put the room back to a snapshot for everyone. The state being replaced is saved
+// as a checkpoint first (automatic snapshots get pruned), so a restore can itself be undone.
+app.post('/api/room/:roomName/snapshots/:snapshotId/restore', requireRoomPermission('restoreSnapshot'), async (req, res) => {
+    try {
+        const { roomName, roomState } = req;
+        const snapshot = await storage.loadSnapshot(roomName, req.params.snapshotId);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        
+        if (await isCheckpointLimitReached(roomName)) {
+            return res.status(400).json({ error: `This room already has ${LIMITS.maxCheckpointsPerRoom} checkpoints, delete some first so the restore can be undone` });
+        }
+        
+        const userName = getRequestUserName(req);
+        const name = `Before restoring "${snapshot.name}"`.slice(0, LIMITS.maxSnapshotNameLength);
+        await createSnapshot(roomName, { name, createdBy: userName });
+        
+        const previous = { elements: roomState.elements, layers: roomState.layers };
+        const content = snapshot.state;
+        roomState.elements = content.elements || [];
+        roomState.layers = content.layers || [];
+        roomState.views = content.views || [];
+        roomState.comments = content.comments || [];
+        ensureLayersArray(roomName);
+        ensureLayerMembership(roomState.layers);
+        
+        const { state, ...metadata } = snapshot;
+        const entry = recordOperation(roomName, {
+            type: 'restoreSnapshot',
+            data: { snapshotId: snapshot.id, name: snapshot.name, userName }
+        });
+        markRoomDirty(roomName);
+        await flushRoom(roomName);
+        
+        emitBoardChanges(roomName, { userName }, previous, roomState);
+        
+        // Everyone, including whoever asked for the restore, reloads the board
+        broadcastUpdate({
+            type: 'roomRestored',
+            version: entry.version,
+            data: {
+                elements: roomState.elements,
+                layers: roomState.layers,
+                views: roomState.views,
+                comments: roomState.comments,
+                version: entry.version,
+                snapshot: metadata,
+                userName: userName
+            }
+        }, null, roomName);
+        
+        res.json({ success: true, version: entry.version, snapshot: metadata });
+        
+        console.log(`Restored room "${roomName}" to snapshot "${snapshot.name}" (${snapshot.id})`);
+    } catch (error) {
+        console.error('Error restoring snapshot:', error);
+        res.status(500).json({ error: 'Failed to restore snapshot' });
+    }
+});
+
+// Filenames of the uploaded images a room's elements use
+function getImageFilenames(elements) {
+    return Array.from(new Set(elements
+        .filter(element => element.shape === 'image' && element.filename)
+        .map(element => element.filename)));
+}
+
+// Whether a room has been used (it is in memory or in storage)
+async function roomExists(roomName) {
+    return roomStates.has(roomName) || Boolean(await storage.loadRoom(roomName));
+}
+
+// Download the room as one archive: room.json (state, layers, views, comments; never
+// passwords) plus every image its elements reference
+app.get('/api/room/:roomName/export', requireRoomPermission('exportRoom'), async (req, res) => {
+    const { roomName, roomState } = req;
+    try {
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            formatVersion: BUNDLE_VERSION,
+            roomName: roomName,
+            exportedAt: new Date().toISOString(),
+            version: roomState.version,
+            room: getSnapshotContent(roomState)
+        };
+        
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="${roomName}.canvas.tar.gz"`);
+        
+        const bundle = new BundleWriter(res);
+        await bundle.addFile('room.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+        
+        let missing = 0;
+        for (const filename of getImageFilenames(manifest.room.elements)) {
+            const image = await storage.loadImage(roomName, filename);
+            if (image) {
+                await bundle.addFile(`images/${filename}`, image);
+            } else {
+                missing++;
+            }
+        }
+        await bundle.finish();
+        
+        console.log(`Exported room "${roomName}" (${manifest.room.elements.length} elements${missing ? `, ${missing} images missing from storage` : ''})`);
+    } catch (error) {
+        console.error(`Error exporting room "${roomName}":`, error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to export room' });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// Create a new room from an export archive. Everything in it is validated like live
+// messages and uploads; images get new filenames and the elements are pointed at them.
+app.post('/api/room/import', (req, res, next) => {
+    bundleUpload.single('bundle')(req, res, error => {
+        if (!error) return next();
+        const message = error.code === 'LIMIT_FILE_SIZE' ?
+            `Room archives can be at most ${IMPORT_SIZE_LIMIT / 1024 / 1024}MB` : error.message;
+        res.status(400).json({ error: message });
+    });
+}, async (req, res) => {
+    let createdRoom = null;
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No room archive provided' });
+        }
+        
+        let files;
+        try {
+            files = await readBundle(req.file.buffer, { maxBytes: IMPORT_UNPACKED_LIMIT });
+        } catch (error) {
+            if (error.code === 'INVALID_BUNDLE') {
+                return res.status(400).json({ error: error.message });
+            }
+            throw error;
+        }
+        
+        let manifest;
+        try {
+            manifest = JSON.parse(files.get('room.json').toString('utf8'));
+        } catch (error) {
+            return res.status(400).json({ error: 'Room archive has no readable room.json' });
+        }
+        if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+            return res.status(400).json({ error: 'Not an Infinite Canvas room archive' });
+        }
+        if (manifest.formatVersion !== BUNDLE_VERSION) {
+            return res.status(400).json({ error: `Unsupported room archive version ${manifest.formatVersion}` });
+        }
+        
+        const validation = validateRoomContent(manifest.room);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Room archive contains invalid data', details: validation.errors });
+        }
+        const content = validation.content;
+        
+        const elementIds = new Set(content.elements.map(element => element.id));
+        if (elementIds.size !== content.elements.length) {
+            return res.status(400).json({ error: 'Room archive contains duplicate element ids' });
+        }
+        if (content.layers.length === 0) {
+            return res.status(400).json({ error: 'Room archive has no layers' });
+        }
+        
+        // Every referenced image must be in the archive and really be an image
+        const renamedImages = new Map();
+        for (const filename of getImageFilenames(content.elements)) {
+            const image = files.get(`images/${filename}`);
+            if (!image) {
+                return res.status(400).json({ error: `Image ${filename} is missing from the room archive` });
+            }
+            if (image.length > IMAGE_SIZE_LIMIT || !isImageData(image, filename)) {
+                return res.status(400).json({ error: `Image ${filename} is not a JPG or PNG file of at most 3MB` });
+            }
+            renamedImages.set(filename, generateImageFilename(filename));
+        }
+        
+        // Import into the requested room name, or a fresh one
+        const requestedName = typeof req.body.roomName === 'string' ? req.body.roomName.trim() : '';
+        let roomName;
+        if (requestedName) {
+            if (!validateRoomName(requestedName)) {
+                return res.status(400).json({ error: 'Invalid room name' });
+            }
+            if (await roomExists(requestedName)) {
+                return res.status(409).json({ error: `Room "${requestedName}" already exists` });
+            }
+            roomName = requestedName;
+        } else {
+            do {
+                roomName = generateRoomName();
+            } while (await roomExists(roomName));
+        }
+        // Checked again right before claiming the name, in case another request took it meanwhile
+        if (roomStates.has(roomName)) {
+            return res.status(409).json({ error: `Room "${roomName}" already exists` });
+        }
+        
+        content.elements.forEach(element => {
+            if (renamedImages.has(element.filename)) {
+                element.filename = renamedImages.get(element.filename);
+            }
+        });
+        // A new room has no webhook subscriptions yet, so there is nobody to send events to
+        const state = {
+            ...initRoomState(),
+            elements: content.elements,
+            layers: CanvasCRDT.normalizeLayerOrder(content.layers),
+            views: content.views || [],
+            comments: content.comments || [],
+            camera: content.camera || { x: 0, y: 0, zoom: 1 }
+        };
+        roomStates.set(roomName, state);
+        createdRoom = roomName;
+        
+        for (const [filename, newFilename] of renamedImages) {
+            await storage.saveImage(roomName, newFilename, files.get(`images/${filename}`));
+        }
+        markRoomDirty(roomName);
+        await flushRoom(roomName);
+        
+        res.json({
+            success: true,
+            roomName: roomName,
+            elements: state.elements.length,
+            images: renamedImages.size
+        });
+        
+        console.log(`Imported room "${roomName}" from ${manifest.roomName ? `an export of "${manifest.roomName}"` : 'an archive'} (${state.elements.length} elements, ${renamedImages.size} images)`);
+    } catch (error) {
+        console.error('Error importing room:', error);
+        // Don't leave a half-imported room behind
+        if (createdRoom) {
+            cancelRoomSave(createdRoom);
+            roomStates.delete(createdRoom);
+            await storage.deleteRoom(createdRoom).catch(() => {});
+        }
+        res.status(500).json({ error: 'Failed to import room' });
+    }
+});
+
 app.get('/api/status', (req, res) => {
     const activeRooms = Array.from(roomStates.keys());
     const totalClients = wss.clients.size;
@@ -749,7 +2465,9 @@ app.get('/api/status', (req, res) => {
         const users = roomUsers.get(roomName) || new Map();
         roomStats[roomName] = {
             elements: state ? state.elements.length : 0,
-            users: users.size
+            users: users.size,
+            version: state ? state.version : 0,
+            dirty: roomSaves.get(roomName)?.dirty || false
         };
     });
     
@@ -758,6 +2476,9 @@ app.get('/api/status', (req, res) => {
         timestamp: new Date().toISOString(),
         totalClients: totalClients,
         activeRooms: activeRooms.length,
+        saves: getSaveStatus(),
+        traffic: getTrafficStatus(),
+        webhooks: webhookDispatcher.getStatus(),
         rooms: roomStats
     });
 });
@@ -775,12 +2496,23 @@ app.post('/api/cleanup', async (req, res) => {
 
 // Start server
 server.listen(PORT, async () => {
-    await ensureDataDir();
+    await initStorage();
     console.log(`Server running on http://localhost:${PORT}`);
     console.log('WebSocket server ready for multiplayer room connections');
     console.log('REST API endpoints:');
     console.log('  GET /api/room/generate - Generate a random room name');
     console.log('  GET /api/room/:roomName/load - Load room data');
+    console.log('  GET /api/room/:roomName/ops - Room operation log');
+    console.log('  GET/POST/PATCH/DELETE /api/room/:roomName/elements[/:id] - Read and edit elements');
+    console.log('  GET/POST/PATCH/DELETE /api/room/:roomName/layers[/:id] - Read and edit layers');
+    console.log('  GET/POST /api/room/:roomName/snapshots - List snapshots, save a checkpoint');
+    console.log('  GET /api/room/:roomName/snapshots/:id - Preview a snapshot');
+    console.log('  POST /api/room/:roomName/snapshots/:id/restore - Restore a snapshot');
+    console.log('  GET /api/room/:roomName/export - Download the room as an archive');
+    console.log('  POST /api/room/import - Create a room from an archive');
+    console.log('  POST /api/room/:roomName/login - Exchange a room password for a token');
+    console.log('  GET/POST/PATCH/DELETE /api/room/:roomName/webhooks[/:id] - Webhook subscriptions');
+    console.log('  GET /api/room/:roomName/webhooks/deliveries - Webhook delivery log');
     console.log('  GET /api/status - Server status');
     
     // Schedule daily cleanup at 2 AM
@@ -794,5 +2526,29 @@ server.listen(PORT, async () => {
     // Start keepalive ping mechanism
     startKeepalive();
     console.log(`WebSocket keepalive pings started (every ${PING_INTERVAL/1000}s)`);
+    
+    // Retry cursor/move messages held back for slow clients
+    startVolatileFlush();
     console.log('Application-level ping/pong will be visible in browser network inspector');
-});
\ No newline at end of file
+});
+
+// Save every dirty room before exiting
+let isShuttingDown = false;
+async function shutdown(signal) {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+    
+    console.log(`${signal} received, saving rooms before exit...`);
+    const failed = await flushAllRooms();
+    if (failed > 0) {
+        console.error(`${failed} rooms could not be saved, sending pending webhooks...`);
+    } else {
+        console.log('All rooms saved, sending pending webhooks...');
+    }
+    await webhookDispatcher.flushAll();
+    console.log('Exiting');
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,508 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Operations kept in each room's log (OPLOG_KEEP_ENTRIES, default 10000). Older ones are
+// dropped: the json backend starts a new log file every that many versions and keeps the
+// previous one, the sqlite backend deletes them as new ones come in.
+const DEFAULT_LOG_ENTRIES = 10000;
+
+// Storage backends for room persistence. Both implement the same async interface:
+//
+//   init()                                  prepare the backing store
+//   loadRoom(roomName)                      room state object, or null if the room doesn't exist
+//   saveRoom(roomName, state)               replace the room state atomically
+//   deleteRoom(roomName)                    remove state, operation log and images
+//   listRoomsModifiedBefore(cutoff)         names of rooms last modified before a Date
+//   appendOperations(roomName, entries)     add entries to the room's operation log (older entries may be dropped)
+//   loadOperations(roomName, since, limit)  log entries with version > since, oldest first
+//   loadRecentOperations(roomName, count)   the last `count` log entries, oldest first
+//   saveImage(roomName, filename, buffer)   store an uploaded image
+//   loadImage(roomName, filename)           image bytes, or null if missing
+//   saveSnapshot(roomName, snapshot)        store a snapshot ({ id, createdAt, ...metadata, state })
+//   listSnapshots(roomName)                 snapshot metadata (everything but the state), newest first
+//   loadSnapshot(roomName, snapshotId)      full snapshot, or null if missing
+//   deleteSnapshot(roomName, snapshotId)    remove one snapshot, returns false if there was none
+//   deleteSnapshotsBefore(cutoff)           remove every room's snapshots taken before a Date, returns the count
+//
+// Room names are validated by the server before they get here; image filenames and
+// snapshot ids are checked here.
+
+// Uploaded files are named by the server (timestamp-random.ext), so anything else is rejected
+function validateFilename(filename) {
+    return typeof filename === 'string' && /^[a-zA-Z0-9_-]+\.[a-zA-Z0-9]+$/.test(filename);
+}
+
+// Snapshot ids are made by the server too
+function validateSnapshotId(snapshotId) {
+    return typeof snapshotId === 'string' && /^[\w-]{1,100}$/.test(snapshotId);
+}
+
+// Everything about a snapshot except the (large) room state
+function snapshotMetadata(snapshot) {
+    const { state, ...metadata } = snapshot;
+    return metadata;
+}
+
+// Read the last `count` lines of a file, reading backwards from the end in chunks
+async function readLastLines(filePath, count) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const chunkSize = 64 * 1024;
+        let position = size;
+        let text = '';
+        let newlines = 0;
+        // One more line than asked for, since the first one read may be cut off
+        while (position > 0 && newlines <= count) {
+            const length = Math.min(chunkSize, position);
+            position -= length;
+            const { buffer } = await handle.read(Buffer.alloc(length), 0, length, position);
+            const chunk = buffer.toString('latin1');
+            newlines += chunk.split('\n').length - 1;
+            text = chunk + text;
+        }
+        const lines = Buffer.from(text, 'latin1').toString('utf8').split('\n');
+        if (position > 0) lines.shift();
+        return lines.filter(line => line.trim()).slice(-count);
+    } finally {
+        await handle.close();
+    }
+}
+
+function parseLogLines(lines) {
+    return lines
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                // Skip a partially written last line
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+// One JSON file per room plus an append-only operation log, images and snapshots on disk:
+//   data/{room}.json, data/{room}.ops.jsonl (and the previous log, {room}.ops.1.jsonl),
+//   data/uploads/{room}/{filename},
+//   data/snapshots/{room}/{id}.json (state) and {id}.meta.json (written last, so listed snapshots are complete)
+class JsonFileStorage {
+    constructor(dataDir, { logEntries = DEFAULT_LOG_ENTRIES } = {}) {
+        this.dataDir = dataDir;
+        this.logEntries = logEntries;
+        this.uploadsDir = path.join(dataDir, 'uploads');
+        this.snapshotsDir = path.join(dataDir, 'snapshots');
+        this.roomWrites = new Map(); // Pending save per room, so saves land in order
+    }
+
+    async init() {
+        await fs.mkdir(this.uploadsDir, { recursive: true });
+        await fs.mkdir(this.snapshotsDir, { recursive: true });
+    }
+
+    roomPath(roomName) {
+        return path.join(this.dataDir, `${roomName}.json`);
+    }
+
+    logPath(roomName) {
+        return path.join(this.dataDir, `${roomName}.ops.jsonl`);
+    }
+
+    previousLogPath(roomName) {
+        return path.join(this.dataDir, `${roomName}.ops.1.jsonl`);
+    }
+
+    imagePath(roomName, filename) {
+        if (!validateFilename(filename)) {
+            throw new Error('Invalid filename');
+        }
+        return path.join(this.uploadsDir, roomName, filename);
+    }
+
+    snapshotPath(roomName, snapshotId, suffix = '.json') {
+        if (!validateSnapshotId(snapshotId)) {
+            throw new Error('Invalid snapshot id');
+        }
+        return path.join(this.snapshotsDir, roomName, `${snapshotId}${suffix}`);
+    }
+
+    // Write to a temp file next to the target, flush it, then rename over the target.
+    // A crash leaves either the old file or the new one, never half of each.
+    async writeAtomic(filePath, contents) {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        let handle;
+        try {
+            handle = await fs.open(tempPath, 'w');
+            await handle.writeFile(contents);
+            await handle.sync();
+            await handle.close();
+            handle = null;
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            if (handle) await handle.close().catch(() => {});
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    async loadRoom(roomName) {
+        try {
+            const data = await fs.readFile(this.roomPath(roomName), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    saveRoom(roomName, state) {
+        // Serialize now so later changes to the state don't leak into this write
+        const contents = JSON.stringify(state, null, 2);
+        const previousWrite = this.roomWrites.get(roomName) || Promise.resolve();
+        const write = previousWrite
+            .catch(() => {})
+            .then(() => this.writeAtomic(this.roomPath(roomName), contents));
+        this.roomWrites.set(roomName, write);
+        write.finally(() => {
+            if (this.roomWrites.get(roomName) === write) {
+                this.roomWrites.delete(roomName);
+            }
+        }).catch(() => {});
+        return write;
+    }
+
+    async deleteRoom(roomName) {
+        await this.roomWrites.get(roomName)?.catch(() => {});
+
+        for (const filePath of [this.roomPath(roomName), this.logPath(roomName), this.previousLogPath(roomName)]) {
+            await fs.unlink(filePath).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }
+        await fs.rm(path.join(this.uploadsDir, roomName), { recursive: true, force: true });
+        await fs.rm(path.join(this.snapshotsDir, roomName), { recursive: true, force: true });
+    }
+
+    async listRoomsModifiedBefore(cutoff) {
+        const files = await fs.readdir(this.dataDir);
+        const rooms = [];
+
+        for (const file of files.filter(file => file.endsWith('.json'))) {
+            const roomName = path.basename(file, '.json');
+            try {
+                const roomData = JSON.parse(await fs.readFile(path.join(this.dataDir, file), 'utf8'));
+                const lastModified = roomData.lastModified || roomData.timestamp;
+                if (lastModified && new Date(lastModified) < cutoff) {
+                    rooms.push(roomName);
+                }
+            } catch (error) {
+                console.error(`Error reading room file ${file}:`, error);
+            }
+        }
+
+        return rooms;
+    }
+
+    async appendOperations(roomName, entries) {
+        if (entries.length === 0) return;
+        await fs.appendFile(this.logPath(roomName), entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+
+        // Every logEntries versions the log moves aside, replacing the one moved aside before
+        const first = entries[0].version;
+        const last = entries[entries.length - 1].version;
+        if (Math.floor((first - 1) / this.logEntries) !== Math.floor(last / this.logEntries)) {
+            await fs.rename(this.logPath(roomName), this.previousLogPath(roomName));
+        }
+    }
+
+    // Lines of a log file (all of them, or the last `count`), [] if there is no such file
+    async readLogLines(filePath, count = null) {
+        try {
+            if (count !== null) return await readLastLines(filePath, count);
+            return (await fs.readFile(filePath, 'utf8')).split('\n');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async loadOperations(roomName, since = 0, limit = Infinity) {
+        const operations = parseLogLines([
+            ...await this.readLogLines(this.previousLogPath(roomName)),
+            ...await this.readLogLines(this.logPath(roomName))
+        ]);
+        return operations.filter(op => op.version > since).slice(0, limit);
+    }
+
+    // Only the end of the log is read; the previous log only if the current one is short
+    async loadRecentOperations(roomName, count) {
+        let lines = await this.readLogLines(this.logPath(roomName), count);
+        if (lines.length < count) {
+            lines = [...await this.readLogLines(this.previousLogPath(roomName), count - lines.length), ...lines];
+        }
+        return parseLogLines(lines).slice(-count);
+    }
+
+    async saveImage(roomName, filename, buffer) {
+        const filePath = this.imagePath(roomName, filename);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await this.writeAtomic(filePath, buffer);
+    }
+
+    async loadImage(roomName, filename) {
+        if (!validateFilename(filename)) return null;
+        try {
+            return await fs.readFile(this.imagePath(roomName, filename));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async saveSnapshot(roomName, snapshot) {
+        const statePath = this.snapshotPath(roomName, snapshot.id);
+        await fs.mkdir(path.dirname(statePath), { recursive: true });
+        await this.writeAtomic(statePath, JSON.stringify(snapshot.state));
+        await this.writeAtomic(this.snapshotPath(roomName, snapshot.id, '.meta.json'), JSON.stringify(snapshotMetadata(snapshot), null, 2));
+    }
+
+    async listSnapshots(roomName) {
+        let files;
+        try {
+            files = await fs.readdir(path.join(this.snapshotsDir, roomName));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const snapshots = [];
+        for (const file of files.filter(file => file.endsWith('.meta.json'))) {
+            try {
+                snapshots.push(JSON.parse(await fs.readFile(path.join(this.snapshotsDir, roomName, file), 'utf8')));
+            } catch (error) {
+                console.error(`Error reading snapshot ${roomName}/${file}:`, error);
+            }
+        }
+        return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async loadSnapshot(roomName, snapshotId) {
+        if (!validateSnapshotId(snapshotId)) return null;
+        try {
+            const metadata = JSON.parse(await fs.readFile(this.snapshotPath(roomName, snapshotId, '.meta.json'), 'utf8'));
+            const state = JSON.parse(await fs.readFile(this.snapshotPath(roomName, snapshotId), 'utf8'));
+            return { ...metadata, state };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async deleteSnapshot(roomName, snapshotId) {
+        if (!validateSnapshotId(snapshotId)) return false;
+
+        // Metadata first, so a half-deleted snapshot is never listed
+        let existed = false;
+        for (const suffix of ['.meta.json', '.json']) {
+            await fs.unlink(this.snapshotPath(roomName, snapshotId, suffix)).then(() => {
+                existed = true;
+            }, error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }
+        return existed;
+    }
+
+    async deleteSnapshotsBefore(cutoff) {
+        const rooms = await fs.readdir(this.snapshotsDir).catch(() => []);
+        let deleted = 0;
+
+        for (const roomName of rooms) {
+            for (const snapshot of await this.listSnapshots(roomName)) {
+                if (new Date(snapshot.createdAt) < cutoff) {
+                    await this.deleteSnapshot(roomName, snapshot.id);
+                    deleted++;
+                }
+            }
+        }
+        return deleted;
+    }
+}
+
+// Everything in a single SQLite database; each write is one statement or transaction
+class SqliteStorage {
+    constructor(databasePath, { logEntries = DEFAULT_LOG_ENTRIES } = {}) {
+        this.databasePath = databasePath;
+        this.logEntries = logEntries;
+        this.db = null;
+    }
+
+    async init() {
+        // Optional dependency, only needed when this backend is selected
+        const Database = require('better-sqlite3');
+
+        await fs.mkdir(path.dirname(this.databasePath), { recursive: true });
+        this.db = new Database(this.databasePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS rooms (
+                name TEXT PRIMARY KEY,
+                state TEXT NOT NULL,
+                last_modified TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS operations (
+                room TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                entry TEXT NOT NULL,
+                PRIMARY KEY (room, version)
+            );
+            CREATE TABLE IF NOT EXISTS images (
+                room TEXT NOT NULL,
+                filename TEXT NOT NULL,
+                data BLOB NOT NULL,
+                PRIMARY KEY (room, filename)
+            );
+            CREATE TABLE IF NOT EXISTS snapshots (
+                room TEXT NOT NULL,
+                id TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                metadata TEXT NOT NULL,
+                state TEXT NOT NULL,
+                PRIMARY KEY (room, id)
+            );
+        `);
+
+        this.statements = {
+            loadRoom: this.db.prepare('SELECT state FROM rooms WHERE name = ?'),
+            saveRoom: this.db.prepare(`
+                INSERT INTO rooms (name, state, last_modified) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET state = excluded.state, last_modified = excluded.last_modified
+            `),
+            deleteRoom: this.db.prepare('DELETE FROM rooms WHERE name = ?'),
+            deleteOperations: this.db.prepare('DELETE FROM operations WHERE room = ?'),
+            deleteImages: this.db.prepare('DELETE FROM images WHERE room = ?'),
+            listRoomsModifiedBefore: this.db.prepare('SELECT name FROM rooms WHERE last_modified < ?'),
+            appendOperation: this.db.prepare('INSERT OR REPLACE INTO operations (room, version, entry) VALUES (?, ?, ?)'),
+            trimOperations: this.db.prepare('DELETE FROM operations WHERE room = ? AND version <= ?'),
+            loadOperations: this.db.prepare('SELECT entry FROM operations WHERE room = ? AND version > ? ORDER BY version LIMIT ?'),
+            loadRecentOperations: this.db.prepare('SELECT entry FROM operations WHERE room = ? ORDER BY version DESC LIMIT ?'),
+            saveImage: this.db.prepare('INSERT OR REPLACE INTO images (room, filename, data) VALUES (?, ?, ?)'),
+            loadImage: this.db.prepare('SELECT data FROM images WHERE room = ? AND filename = ?'),
+            saveSnapshot: this.db.prepare('INSERT OR REPLACE INTO snapshots (room, id, created_at, metadata, state) VALUES (?, ?, ?, ?, ?)'),
+            listSnapshots: this.db.prepare('SELECT metadata FROM snapshots WHERE room = ? ORDER BY created_at DESC'),
+            loadSnapshot: this.db.prepare('SELECT metadata, state FROM snapshots WHERE room = ? AND id = ?'),
+            deleteSnapshot: this.db.prepare('DELETE FROM snapshots WHERE room = ? AND id = ?'),
+            deleteSnapshots: this.db.prepare('DELETE FROM snapshots WHERE room = ?'),
+            deleteSnapshotsBefore: this.db.prepare('DELETE FROM snapshots WHERE created_at < ?')
+        };
+
+        this.appendOperationsTransaction = this.db.transaction((roomName, entries) => {
+            entries.forEach(entry => {
+                this.statements.appendOperation.run(roomName, entry.version, JSON.stringify(entry));
+            });
+            this.statements.trimOperations.run(roomName, entries[entries.length - 1].version - this.logEntries);
+        });
+
+        this.deleteRoomTransaction = this.db.transaction(roomName => {
+            this.statements.deleteRoom.run(roomName);
+            this.statements.deleteOperations.run(roomName);
+            this.statements.deleteImages.run(roomName);
+            this.statements.deleteSnapshots.run(roomName);
+        });
+    }
+
+    async loadRoom(roomName) {
+        const row = this.statements.loadRoom.get(roomName);
+        return row ? JSON.parse(row.state) : null;
+    }
+
+    async saveRoom(roomName, state) {
+        const lastModified = new Date(state.lastModified || state.timestamp || Date.now()).toISOString();
+        this.statements.saveRoom.run(roomName, JSON.stringify(state), lastModified);
+    }
+
+    async deleteRoom(roomName) {
+        this.deleteRoomTransaction(roomName);
+    }
+
+    async listRoomsModifiedBefore(cutoff) {
+        return this.statements.listRoomsModifiedBefore.all(cutoff.toISOString()).map(row => row.name);
+    }
+
+    async appendOperations(roomName, entries) {
+        if (entries.length === 0) return;
+        this.appendOperationsTransaction(roomName, entries);
+    }
+
+    async loadOperations(roomName, since = 0, limit = Infinity) {
+        const rowLimit = Number.isFinite(limit) ? limit : -1; // -1 means no limit in SQLite
+        return this.statements.loadOperations.all(roomName, since, rowLimit).map(row => JSON.parse(row.entry));
+    }
+
+    async loadRecentOperations(roomName, count) {
+        return this.statements.loadRecentOperations.all(roomName, count).map(row => JSON.parse(row.entry)).reverse();
+    }
+
+    async saveImage(roomName, filename, buffer) {
+        if (!validateFilename(filename)) {
+            throw new Error('Invalid filename');
+        }
+        this.statements.saveImage.run(roomName, filename, buffer);
+    }
+
+    async loadImage(roomName, filename) {
+        if (!validateFilename(filename)) return null;
+        const row = this.statements.loadImage.get(roomName, filename);
+        return row ? row.data : null;
+    }
+
+    async saveSnapshot(roomName, snapshot) {
+        if (!validateSnapshotId(snapshot.id)) {
+            throw new Error('Invalid snapshot id');
+        }
+        const metadata = snapshotMetadata(snapshot);
+        this.statements.saveSnapshot.run(roomName, snapshot.id, snapshot.createdAt, JSON.stringify(metadata), JSON.stringify(snapshot.state));
+    }
+
+    async listSnapshots(roomName) {
+        return this.statements.listSnapshots.all(roomName).map(row => JSON.parse(row.metadata));
+    }
+
+    async loadSnapshot(roomName, snapshotId) {
+        if (!validateSnapshotId(snapshotId)) return null;
+        const row = this.statements.loadSnapshot.get(roomName, snapshotId);
+        return row ? { ...JSON.parse(row.metadata), state: JSON.parse(row.state) } : null;
+    }
+
+    async deleteSnapshot(roomName, snapshotId) {
+        return this.statements.deleteSnapshot.run(roomName, snapshotId).changes > 0;
+    }
+
+    async deleteSnapshotsBefore(cutoff) {
+        return this.statements.deleteSnapshotsBefore.run(cutoff.toISOString()).changes;
+    }
+}
+
+// Pick the backend from STORAGE_DRIVER ('json' by default, or 'sqlite')
+function createStorage(dataDir) {
+    const driver = (process.env.STORAGE_DRIVER || 'json').toLowerCase();
+    const options = { logEntries: parseInt(process.env.OPLOG_KEEP_ENTRIES, 10) || DEFAULT_LOG_ENTRIES };
+
+    switch (driver) {
+        case 'json':
+            return new JsonFileStorage(dataDir, options);
+        case 'sqlite':
+            return new SqliteStorage(process.env.SQLITE_PATH || path.join(dataDir, 'canvas.db'), options);
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "sqlite")`);
+    }
+}
+
+module.exports = {
+    JsonFileStorage,
+    SqliteStorage,
+    createStorage,
+    validateFilename,
+    validateSnapshotId
+};
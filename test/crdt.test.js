@@ -0,0 +1,97 @@
+// Register merges (public/crdt.js): every replica must end up with the same element,
+// whatever order concurrent updates reach it in
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const CanvasCRDT = require('../public/crdt');
+
+const element = () => CanvasCRDT.stampAll({ id: 7, shape: 'square', x: 0, y: 0, color: '#000000' }, [1, 'alice']);
+
+// Apply the patches to a fresh element in the given order
+const replay = patches => {
+    const target = element();
+    patches.forEach(patch => CanvasCRDT.mergeRegisters(target, JSON.parse(JSON.stringify(patch))));
+    return target;
+};
+
+// Every order of a list of patches
+const orders = patches => patches.length <= 1 ? [patches] :
+    patches.flatMap((patch, index) => orders(patches.filter((_, i) => i !== index)).map(rest => [patch, ...rest]));
+
+describe('mergeRegisters', () => {
+    it('converges on the same element whatever order concurrent updates arrive in', () => {
+        const patches = [
+            { id: 7, color: '#ff0000', x: 10, clocks: { color: [2, 'alice'], x: [2, 'alice'] } },
+            { id: 7, color: '#00ff00', clocks: { color: [3, 'bob'] } },
+            { id: 7, x: 20, y: 5, clocks: { x: [2, 'carol'], y: [2, 'carol'] } },
+            { id: 7, color: '#0000ff', clocks: { color: [2, 'dave'] } }
+        ];
+
+        const results = orders(patches).map(replay);
+        results.forEach(result => assert.deepStrictEqual(result, results[0]));
+
+        // Highest counter wins the color; the x tie at counter 2 goes to the higher replica id
+        assert.strictEqual(results[0].color, '#00ff00');
+        assert.strictEqual(results[0].x, 20);
+        assert.strictEqual(results[0].y, 5);
+        assert.deepStrictEqual(results[0].clocks.x, [2, 'carol']);
+    });
+
+    it('only touches the registers a patch carries', () => {
+        const target = element();
+        const changed = CanvasCRDT.mergeRegisters(target, { id: 7, x: 4, clocks: { x: [2, 'bob'] } });
+        assert.deepStrictEqual(changed, ['x']);
+        assert.strictEqual(target.color, '#000000');
+        assert.strictEqual(target.y, 0);
+    });
+
+    it('ignores writes that are older than or equal to the current stamp', () => {
+        const target = element();
+        CanvasCRDT.mergeRegisters(target, { id: 7, x: 4, clocks: { x: [5, 'bob'] } });
+
+        assert.deepStrictEqual(CanvasCRDT.mergeRegisters(target, { id: 7, x: 9, clocks: { x: [4, 'zed'] } }), []);
+        assert.deepStrictEqual(CanvasCRDT.mergeRegisters(target, { id: 7, x: 9, clocks: { x: [5, 'bob'] } }), []);
+        assert.strictEqual(target.x, 4);
+    });
+
+    it('removes a property written as null, and a later write brings it back', () => {
+        const target = element();
+        target.groupId = 'g1';
+        target.clocks.groupId = [1, 'alice'];
+
+        CanvasCRDT.mergeRegisters(target, { id: 7, groupId: null, clocks: { groupId: [2, 'bob'] } });
+        assert.strictEqual('groupId' in target, false);
+        assert.deepStrictEqual(target.clocks.groupId, [2, 'bob']);
+
+        CanvasCRDT.mergeRegisters(target, { id: 7, groupId: 'g2', clocks: { groupId: [3, 'alice'] } });
+        assert.strictEqual(target.groupId, 'g2');
+    });
+});
+
+describe('compareStamps', () => {
+    it('orders by counter, then by replica id in code-unit order', () => {
+        assert.ok(CanvasCRDT.compareStamps([3, 'a'], [2, 'z']) > 0);
+        assert.ok(CanvasCRDT.compareStamps([2, 'bob'], [2, 'alice']) > 0);
+        // Uppercase sorts before lowercase by code unit, whatever the locale says
+        assert.ok(CanvasCRDT.compareStamps([2, 'Zed'], [2, 'alice']) < 0);
+        assert.strictEqual(CanvasCRDT.compareStamps([2, 'bob'], [2, 'bob']), 0);
+    });
+
+    it('treats a missing stamp as older than any real one', () => {
+        assert.ok(CanvasCRDT.compareStamps([0, ''], undefined) > 0);
+        assert.ok(CanvasCRDT.compareStamps(undefined, [0, '']) < 0);
+        assert.strictEqual(CanvasCRDT.compareStamps(undefined, undefined), 0);
+    });
+});
+
+describe('LamportClock', () => {
+    it('stamps local writes after every stamp it has seen', () => {
+        const clock = new CanvasCRDT.LamportClock('alice');
+        assert.deepStrictEqual(clock.tick(), [1, 'alice']);
+
+        clock.observe({ x: [9, 'bob'], color: [4, 'carol'] });
+        const stamp = clock.tick();
+        assert.deepStrictEqual(stamp, [10, 'alice']);
+        assert.ok(CanvasCRDT.compareStamps(stamp, [9, 'bob']) > 0);
+    });
+});
@@ -0,0 +1,93 @@
+// Shared by the server tests: start server.js on a spare port with a temporary data
+// directory, talk to it over REST and WebSocket, and clean up once it has exited.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const ROOT = path.join(__dirname, '..');
+
+// Start the server with extra environment variables; resolves once it is listening
+async function startServer(env = {}) {
+    const port = 40000 + Math.floor(Math.random() * 20000);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-test-'));
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: { ...process.env, PORT: String(port), STORAGE_DRIVER: 'json', DATA_DIR: dataDir, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => {
+            if (String(chunk).includes('Server running')) resolve();
+        });
+        child.once('exit', code => reject(new Error(`Server exited with code ${code}`)));
+    });
+
+    const server = {
+        port,
+        dataDir,
+        baseUrl: `http://localhost:${port}`,
+
+        async api(method, route, { token, body } = {}) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) headers.Authorization = `Bearer ${token}`;
+            const response = await fetch(server.baseUrl + route, { method, headers, body: body && JSON.stringify(body) });
+            return { status: response.status, body: await response.json().catch(() => null) };
+        },
+
+        connect: () => connect(port),
+
+        // The server saves pending rooms on the way out, so only clean up once it is gone
+        async stop() {
+            child.kill();
+            await exited;
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+    return server;
+}
+
+// Open a socket and collect what it receives; `next(type)` waits (up to 5s) for a message type
+async function connect(port) {
+    const ws = new WebSocket(`ws://localhost:${port}`);
+    const received = [];
+    const waiting = [];
+    ws.on('message', message => {
+        const update = JSON.parse(message);
+        const waiter = waiting.find(w => w.type === update.type);
+        if (waiter) {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            waiter.resolve(update);
+        } else {
+            received.push(update);
+        }
+    });
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    ws.received = received;
+    ws.next = type => {
+        const seen = received.findIndex(update => update.type === type);
+        if (seen !== -1) return Promise.resolve(received.splice(seen, 1)[0]);
+        return new Promise((resolve, reject) => {
+            const waiter = { type, resolve };
+            waiting.push(waiter);
+            setTimeout(() => {
+                if (!waiting.includes(waiter)) return;
+                waiting.splice(waiting.indexOf(waiter), 1);
+                reject(new Error(`No ${type} message received`));
+            }, 5000).unref();
+        });
+    };
+    ws.sendUpdate = (type, data) => ws.send(JSON.stringify({ type, data }));
+    return ws;
+}
+
+module.exports = {
+    startServer
+};
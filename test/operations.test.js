@@ -0,0 +1,59 @@
+// Operations that change nothing must not get a version, land in the operation log or
+// reach other clients, or catch-up would replay changes that never happened
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('no-op operations', () => {
+    const room = 'noop-room';
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('are neither versioned, logged, acknowledged nor broadcast', async () => {
+        const alice = await server.connect();
+        const bob = await server.connect();
+        for (const ws of [alice, bob]) {
+            ws.sendUpdate('joinRoom', { roomName: room });
+            await ws.next('init');
+        }
+
+        const square = { id: 'a', shape: 'square', x: 0, y: 0, width: 10, height: 10, clocks: { x: [5, 'alice'] } };
+        alice.sendUpdate('add', square);
+        assert.strictEqual((await alice.next('ack')).version, 1);
+        assert.strictEqual((await bob.next('add')).data.id, 'a');
+
+        // An add for an existing id, an update to a missing element and one with a stale stamp
+        alice.sendUpdate('add', { ...square, color: '#ff0000' });
+        alice.sendUpdate('update', { id: 'missing', x: 5, clocks: { x: [9, 'alice'] } });
+        alice.sendUpdate('update', { id: 'a', x: 50, clocks: { x: [4, 'alice'] } });
+        alice.sendUpdate('delete', { id: 'missing' });
+
+        // The next real change gets the next version, and is all bob hears about
+        alice.sendUpdate('update', { id: 'a', x: 20, clocks: { x: [6, 'alice'] } });
+        assert.strictEqual((await alice.next('ack')).version, 2);
+        const update = await bob.next('update');
+        assert.deepStrictEqual([update.data.x, update.version], [20, 2]);
+        assert.deepStrictEqual(bob.received.filter(message => ['add', 'update', 'delete'].includes(message.type)), []);
+        assert.deepStrictEqual(alice.received.filter(message => message.type === 'ack'), []);
+
+        const ops = await server.api('GET', `/api/room/${room}/ops`);
+        assert.deepStrictEqual(ops.body.operations.map(op => [op.version, op.type]), [[1, 'add'], [2, 'update']]);
+        alice.close();
+        bob.close();
+    });
+
+    it('leave the version alone when made over REST', async () => {
+        const before = await server.api('GET', `/api/room/${room}/elements/a`);
+        const patched = await server.api('PATCH', `/api/room/${room}/elements/a`, { body: {} });
+        assert.strictEqual(patched.status, 200);
+        assert.strictEqual(patched.body.version, before.body.version);
+    });
+});
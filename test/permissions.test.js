@@ -0,0 +1,170 @@
+// Role permissions: a readonly user must not be able to change anything, over
+// WebSocket or REST, and a failed join must not leave a connection with rights
+// in a room it was refused. The server tests start server.js on a spare port
+// with a temporary data directory that is removed once the server has exited.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { ROLE_PERMISSIONS, canPerform } = require('../auth');
+const { startServer } = require('./helpers');
+
+// Everything a readonly user may do: presence, comments and reading the room
+const READONLY_ACTIONS = [
+    'cursor', 'userInfo', 'shapeSelect', 'shapeRelease', 'presentation', 'viewport',
+    'addComment', 'replyComment', 'resolveComment',
+    'loadRoom', 'readOperations', 'readSnapshots', 'exportRoom'
+];
+
+// Messages and route actions that change a room
+const MUTATING_ACTIONS = [
+    'add', 'update', 'delete', 'clear', 'move',
+    'addLayer', 'deleteLayer', 'updateLayer', 'camera', 'roomPasswordChanged',
+    'addView', 'deleteView', 'deleteComment',
+    'uploadImage', 'setPasswords', 'createSnapshot', 'deleteSnapshot', 'restoreSnapshot',
+    'manageWebhooks'
+];
+
+describe('ROLE_PERMISSIONS', () => {
+    it('gives readonly users exactly the presence, comment and read actions', () => {
+        assert.deepStrictEqual([...ROLE_PERMISSIONS.readonly].sort(), [...READONLY_ACTIONS].sort());
+    });
+
+    it('refuses every mutating action to readonly users and allows it to admins', () => {
+        MUTATING_ACTIONS.forEach(action => {
+            assert.strictEqual(canPerform('readonly', action), false, `readonly may ${action}`);
+            assert.strictEqual(canPerform('admin', action), true, `admin may not ${action}`);
+        });
+    });
+
+    it('gives admins everything readonly users have', () => {
+        ROLE_PERMISSIONS.readonly.forEach(action => {
+            assert.ok(ROLE_PERMISSIONS.admin.has(action), `admin lacks ${action}`);
+        });
+    });
+
+    it('refuses everything to unknown or missing roles', () => {
+        assert.strictEqual(canPerform(null, 'loadRoom'), false);
+        assert.strictEqual(canPerform('owner', 'add'), false);
+        assert.strictEqual(canPerform('admin', 'notAnAction'), false);
+        assert.strictEqual(canPerform('admin', 'fullSync'), false);
+    });
+});
+
+describe('server', () => {
+    const suffix = crypto.randomBytes(4).toString('hex');
+    const openRoom = `perm-open-${suffix}`;
+    const lockedRoom = `perm-locked-${suffix}`;
+    let server;
+    let readonlyToken;
+
+    const api = (...args) => server.api(...args);
+    const connect = () => server.connect();
+
+    const elementCount = async room => {
+        const { body } = await api('GET', `/api/room/${room}/elements`, { token: readonlyToken });
+        return body.elements.length;
+    };
+
+    before(async () => {
+        server = await startServer();
+
+        // The locked room gets an element, then admin and readonly passwords
+        await api('POST', `/api/room/${lockedRoom}/elements`, {
+            body: { id: 'keep-me', shape: 'square', x: 0, y: 0, width: 10, height: 10 }
+        });
+        const locked = await api('POST', `/api/room/${lockedRoom}/password`, {
+            body: { adminPassword: 'admin-pass', readonlyPassword: 'read-pass' }
+        });
+        assert.strictEqual(locked.status, 200);
+
+        const login = await api('POST', `/api/room/${lockedRoom}/login`, { body: { password: 'read-pass' } });
+        assert.strictEqual(login.body.role, 'readonly');
+        readonlyToken = login.body.token;
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('answers 403 to readonly tokens on every REST write', async () => {
+        const room = `/api/room/${lockedRoom}`;
+        const writes = [
+            ['POST', `${room}/elements`, { shape: 'square', x: 1, y: 1, width: 5, height: 5 }],
+            ['PATCH', `${room}/elements/keep-me`, { x: 50 }],
+            ['DELETE', `${room}/elements/keep-me`],
+            ['POST', `${room}/layers`, { name: 'Sneaky' }],
+            ['PATCH', `${room}/layers/layer_0`, { name: 'Renamed' }],
+            ['DELETE', `${room}/layers/layer_0`],
+            ['POST', `${room}/password`, { adminPassword: '', readonlyPassword: '' }],
+            ['POST', `${room}/snapshots`, { name: 'Mine now' }],
+            ['DELETE', `${room}/snapshots/snap-1`],
+            ['POST', `${room}/snapshots/snap-1/restore`],
+            ['GET', `${room}/webhooks`],
+            ['POST', `${room}/webhooks`, { url: 'https://example.com/hook' }]
+        ];
+
+        for (const [method, route, body] of writes) {
+            const response = await api(method, route, { token: readonlyToken, body });
+            assert.strictEqual(response.status, 403, `${method} ${route} answered ${response.status}`);
+        }
+
+        const upload = new FormData();
+        upload.append('roomName', lockedRoom);
+        upload.append('image', new Blob([Buffer.from('89504e470d0a1a0a', 'hex')], { type: 'image/png' }), 'x.png');
+        const uploaded = await fetch(`${server.baseUrl}/api/upload/image`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${readonlyToken}` },
+            body: upload
+        });
+        assert.strictEqual(uploaded.status, 403);
+
+        // Reads still work, and nothing changed
+        const elements = await api('GET', `${room}/elements`, { token: readonlyToken });
+        assert.strictEqual(elements.status, 200);
+        assert.deepStrictEqual(elements.body.elements.map(el => [el.id, el.x]), [['keep-me', 0]]);
+        const layers = await api('GET', `${room}/layers`, { token: readonlyToken });
+        assert.deepStrictEqual(layers.body.layers.map(layer => layer.name), ['Layer 1']);
+    });
+
+    it('refuses mutating WebSocket messages from readonly users', async () => {
+        const ws = await connect();
+        ws.sendUpdate('joinRoom', { roomName: lockedRoom, token: readonlyToken });
+        assert.strictEqual((await ws.next('init')).data.userRole, 'readonly');
+
+        const attempts = [
+            ['add', { id: 'new-one', shape: 'square', x: 1, y: 1, width: 5, height: 5 }],
+            ['update', { id: 'keep-me', x: 99 }],
+            ['delete', { id: 'keep-me' }],
+            ['addLayer', { id: 'layer_x', name: 'Sneaky', elements: [] }],
+            ['deleteLayer', { id: 'layer_0' }],
+            ['clear', {}]
+        ];
+        for (const [type, data] of attempts) {
+            ws.sendUpdate(type, data);
+            const error = await ws.next('error');
+            assert.match(error.data.message, /permission/, `${type} was not refused`);
+        }
+        ws.close();
+
+        const elements = await api('GET', `/api/room/${lockedRoom}/elements`, { token: readonlyToken });
+        assert.deepStrictEqual(elements.body.elements.map(el => [el.id, el.x]), [['keep-me', 0]]);
+        const layers = await api('GET', `/api/room/${lockedRoom}/layers`, { token: readonlyToken });
+        assert.strictEqual(layers.body.layers.length, 1);
+    });
+
+    it('keeps no rights after a failed join into another room', async () => {
+        const ws = await connect();
+        ws.sendUpdate('joinRoom', { roomName: openRoom });
+        assert.strictEqual((await ws.next('init')).data.userRole, 'admin');
+
+        ws.sendUpdate('joinRoom', { roomName: lockedRoom, password: 'wrong' });
+        assert.match((await ws.next('error')).data.message, /Incorrect password/);
+
+        ws.sendUpdate('clear', {});
+        assert.match((await ws.next('error')).data.message, /permission/);
+        ws.close();
+
+        assert.strictEqual(await elementCount(lockedRoom), 1);
+    });
+});
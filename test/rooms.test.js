@@ -0,0 +1,44 @@
+// Looking at a room nobody has used must not create it: every made-up name would
+// otherwise stay in memory for good and block importing a room under that name
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('unused rooms', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    const exists = async room => (await server.api('GET', `/api/room/${room}/check`)).body.exists;
+
+    it('are not created by reads or logins', async () => {
+        const room = 'never-used';
+        for (const route of ['load', 'elements', 'layers', 'ops', 'snapshots', 'webhooks']) {
+            const read = await server.api('GET', `/api/room/${room}/${route}`);
+            assert.strictEqual(read.status, 200, route);
+        }
+        const elements = await server.api('GET', `/api/room/${room}/elements`);
+        assert.deepStrictEqual(elements.body.elements, []);
+
+        const login = await server.api('POST', `/api/room/${room}/login`, { body: {} });
+        assert.strictEqual(login.body.role, 'admin');
+        assert.strictEqual(await exists(room), false);
+    });
+
+    it('are created by the first write', async () => {
+        const room = 'first-write';
+        await server.api('POST', `/api/room/${room}/elements`, {
+            body: { id: 'a', shape: 'square', x: 0, y: 0, width: 10, height: 10 }
+        });
+        assert.strictEqual(await exists(room), true);
+        const elements = await server.api('GET', `/api/room/${room}/elements`);
+        assert.deepStrictEqual(elements.body.elements.map(element => element.id), ['a']);
+    });
+});
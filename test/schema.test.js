@@ -0,0 +1,68 @@
+// Message schemas: payloads the server would trip over later must be refused up front
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { validateMessage, validateRoomContent } = require('../schema');
+
+const errorPaths = result => result.errors.map(error => error.path);
+
+describe('layer schemas', () => {
+    const layer = { id: 'layer_1', name: 'Sketches', visible: true, locked: false, order: 1, elements: [] };
+
+    it('accepts a new layer with its membership list', () => {
+        const result = validateMessage({ type: 'addLayer', data: { ...layer, userId: 'u1' } });
+        assert.ok(result.valid, JSON.stringify(result.errors));
+        assert.deepStrictEqual(result.message.data.elements, []);
+    });
+
+    it('refuses a new layer without a membership list', () => {
+        const { elements, ...withoutElements } = layer;
+        const result = validateMessage({ type: 'addLayer', data: withoutElements });
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(errorPaths(result), ['data.elements']);
+    });
+
+    it('refuses layer patches that remove the membership list', () => {
+        const result = validateMessage({ type: 'updateLayer', data: { id: 'layer_1', elements: null } });
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(errorPaths(result), ['data.elements']);
+    });
+
+    it('refuses layers without a membership list in imported rooms', () => {
+        const { elements, ...withoutElements } = layer;
+        const imported = validateRoomContent({ elements: [], layers: [withoutElements] });
+        assert.deepStrictEqual(errorPaths(imported), ['room.layers[0].elements']);
+    });
+});
+
+describe('userInfo', () => {
+    it('accepts a sender that says who they are', () => {
+        const result = validateMessage({ type: 'userInfo', data: { userId: 'u1', userName: 'Ann' } });
+        assert.ok(result.valid, JSON.stringify(result.errors));
+        assert.deepStrictEqual(result.message.data, { userId: 'u1', userName: 'Ann' });
+    });
+
+    it('refuses a sender without an id or a name', () => {
+        assert.deepStrictEqual(errorPaths(validateMessage({ type: 'userInfo', data: {} })), ['data.userId', 'data.userName']);
+        assert.deepStrictEqual(errorPaths(validateMessage({ type: 'userInfo', data: { userId: 'u1' } })), ['data.userName']);
+    });
+});
+
+describe('presentation', () => {
+    const slide = { active: true, x: 0, y: 0, width: 800, height: 600, index: 1, total: 3 };
+
+    it('accepts a slide and the end of a presentation', () => {
+        assert.ok(validateMessage({ type: 'presentation', data: slide }).valid);
+        assert.ok(validateMessage({ type: 'presentation', data: { active: false } }).valid);
+    });
+
+    it('refuses a running presentation without its slide number', () => {
+        const { index, ...withoutIndex } = slide;
+        assert.deepStrictEqual(errorPaths(validateMessage({ type: 'presentation', data: withoutIndex })), ['data.index']);
+    });
+
+    it('refuses a slide number past the end of the deck', () => {
+        const result = validateMessage({ type: 'presentation', data: { ...slide, index: 3 } });
+        assert.deepStrictEqual(errorPaths(result), ['data.index']);
+    });
+});
@@ -0,0 +1,44 @@
+// Restoring a snapshot keeps the board it replaces as a checkpoint, which automatic
+// snapshot retention never prunes, so the restore can always be undone
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('snapshot restore', () => {
+    const room = 'restore-room';
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    const elementIds = async () => (await server.api('GET', `/api/room/${room}/elements`)).body.elements.map(element => element.id);
+
+    it('can be undone by restoring the checkpoint it saved', async () => {
+        await server.api('POST', `/api/room/${room}/elements`, {
+            body: { id: 'a', shape: 'square', x: 0, y: 0, width: 10, height: 10 }
+        });
+        const checkpoint = await server.api('POST', `/api/room/${room}/snapshots`, { body: { name: 'One square' } });
+        await server.api('POST', `/api/room/${room}/elements`, {
+            body: { id: 'b', shape: 'circle', x: 5, y: 5, width: 10, height: 10 }
+        });
+
+        const restored = await server.api('POST', `/api/room/${room}/snapshots/${checkpoint.body.snapshot.id}/restore`, {
+            body: { userName: 'Ann' }
+        });
+        assert.strictEqual(restored.status, 200);
+        assert.deepStrictEqual(await elementIds(), ['a']);
+
+        const { snapshots } = (await server.api('GET', `/api/room/${room}/snapshots`)).body;
+        const before = snapshots.find(snapshot => snapshot.name === 'Before restoring "One square"');
+        assert.deepStrictEqual([before.auto, before.createdBy, before.elementCount], [false, 'Ann', 2]);
+
+        await server.api('POST', `/api/room/${room}/snapshots/${before.id}/restore`, { body: { userName: 'Ann' } });
+        assert.deepStrictEqual(await elementIds(), ['a', 'b']);
+    });
+});
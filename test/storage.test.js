@@ -0,0 +1,63 @@
+// Operation logs of the json backend: loading a room reads only the end of its log,
+// and old entries are dropped once the log has grown past its limit
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStorage } = require('../storage');
+
+const entry = (version, data = {}) => ({ version, type: 'update', data: { id: 1, ...data }, timestamp: new Date().toISOString() });
+const versions = operations => operations.map(op => op.version);
+
+describe('JsonFileStorage operation log', () => {
+    let dataDir;
+
+    before(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-storage-'));
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('moves the log aside every logEntries versions and keeps only the previous one', async () => {
+        const storage = new JsonFileStorage(dataDir, { logEntries: 5 });
+        await storage.init();
+        // Appended in batches, as rooms are flushed: the 4-7 batch crosses version 5 and moves
+        // 1-7 aside, then 10 moves 8-10 aside (replacing 1-7)
+        for (const batch of [[1, 2, 3], [4, 5, 6, 7], [8, 9], [10], [11, 12]]) {
+            await storage.appendOperations('rotating', batch.map(version => entry(version)));
+        }
+
+        assert.deepStrictEqual(versions(await storage.loadOperations('rotating')), [8, 9, 10, 11, 12]);
+        assert.deepStrictEqual(versions(await storage.loadOperations('rotating', 9, 2)), [10, 11]);
+        assert.deepStrictEqual(versions(await storage.loadRecentOperations('rotating', 3)), [10, 11, 12]);
+        assert.deepStrictEqual(versions(await storage.loadRecentOperations('rotating', 100)), [8, 9, 10, 11, 12]);
+
+        await storage.deleteRoom('rotating');
+        assert.deepStrictEqual(await storage.loadOperations('rotating'), []);
+        assert.deepStrictEqual(fs.readdirSync(dataDir).filter(file => file.startsWith('rotating')), []);
+    });
+
+    it('reads the most recent entries from the end of a long log', async () => {
+        const storage = new JsonFileStorage(dataDir);
+        await storage.init();
+        // Entries of about 10KB with multi-byte text, so reads cross chunk and character boundaries
+        const text = 'ä€'.repeat(3000);
+        for (let version = 1; version <= 40; version++) {
+            await storage.appendOperations('long', [entry(version, { text })]);
+        }
+
+        const recent = await storage.loadRecentOperations('long', 15);
+        assert.deepStrictEqual(versions(recent), Array.from({ length: 15 }, (_, i) => 26 + i));
+        recent.forEach(op => assert.strictEqual(op.data.text, text));
+    });
+
+    it('returns nothing for a room without a log', async () => {
+        const storage = new JsonFileStorage(dataDir);
+        assert.deepStrictEqual(await storage.loadRecentOperations('missing', 10), []);
+        assert.deepStrictEqual(await storage.loadOperations('missing'), []);
+    });
+});
@@ -0,0 +1,113 @@
+// Webhook deliveries against a local receiver: events are batched, signed with the
+// subscription's secret and retried until the receiver answers with a 2xx
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { startServer } = require('./helpers');
+
+const SECRET = 'receiver-secret-0123456789';
+
+// Resolve once `check()` is true, polling every 50ms for up to 5s
+async function waitFor(check, what) {
+    for (let waited = 0; waited < 5000; waited += 50) {
+        if (check()) return;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+}
+
+describe('webhooks', () => {
+    const room = 'hook-room';
+    const requests = []; // { headers, body, status } for every POST the receiver got
+    let failures = 0;    // Requests still to be answered with a 500
+    let receiver;
+    let server;
+
+    // Events of the deliveries the receiver accepted
+    const acceptedEvents = () => requests.filter(request => request.status === 204)
+        .flatMap(request => JSON.parse(request.body).events);
+
+    before(async () => {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const status = failures > 0 ? 500 : 204;
+                if (failures > 0) failures--;
+                requests.push({ headers: req.headers, body, status });
+                res.statusCode = status;
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+        server = await startServer({
+            WEBHOOK_ALLOW_PRIVATE_NETWORKS: 'true',
+            WEBHOOK_DEBOUNCE_MS: '300',
+            WEBHOOK_RETRY_BASE_MS: '200'
+        });
+
+        const created = await server.api('POST', `/api/room/${room}/webhooks`, {
+            body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, secret: SECRET }
+        });
+        assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+        if (receiver) await new Promise(resolve => receiver.close(resolve));
+    });
+
+    it('batches events into one signed delivery and retries it after a non-2xx answer', async () => {
+        failures = 1;
+        await server.api('POST', `/api/room/${room}/elements`, {
+            body: { id: 'a', shape: 'square', x: 0, y: 0, width: 10, height: 10 }
+        });
+        await server.api('PATCH', `/api/room/${room}/elements/a`, { body: { x: 50 } });
+        await waitFor(() => requests.length === 2, 'the retried delivery');
+
+        // The same batch both times, with both changes in it
+        const [failed, retried] = requests;
+        assert.deepStrictEqual([failed.status, retried.status], [500, 204]);
+        assert.strictEqual(retried.body, failed.body);
+        assert.strictEqual(retried.headers['x-canvas-delivery'], failed.headers['x-canvas-delivery']);
+        const delivery = JSON.parse(retried.body);
+        assert.strictEqual(delivery.room, room);
+        assert.deepStrictEqual(delivery.events.map(event => event.type), ['element.added', 'element.updated']);
+        assert.deepStrictEqual(delivery.events[1].data.changed, ['x']);
+
+        // Every attempt is signed over "<timestamp>.<body>" with the subscription's secret
+        requests.forEach(request => {
+            const timestamp = request.headers['x-canvas-timestamp'];
+            const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+            assert.strictEqual(request.headers['x-canvas-signature'], expected);
+        });
+
+        const log = await server.api('GET', `/api/room/${room}/webhooks/deliveries`);
+        assert.strictEqual(log.body.deliveries[0].status, 'delivered');
+        assert.deepStrictEqual(log.body.deliveries[0].attempts.map(attempt => attempt.statusCode), [500, 204]);
+    });
+
+    it('sends the changes a snapshot restore makes', async () => {
+        const checkpoint = await server.api('POST', `/api/room/${room}/snapshots`, { body: { name: 'One square' } });
+        await server.api('PATCH', `/api/room/${room}/elements/a`, { body: { x: 99 } });
+        await server.api('POST', `/api/room/${room}/elements`, {
+            body: { id: 'b', shape: 'circle', x: 5, y: 5, width: 10, height: 10 }
+        });
+        await waitFor(() => acceptedEvents().length === 4, 'the edits after the checkpoint');
+
+        const restored = await server.api('POST', `/api/room/${room}/snapshots/${checkpoint.body.snapshot.id}/restore`, {
+            body: { userName: 'Ann' }
+        });
+        assert.strictEqual(restored.status, 200);
+        await waitFor(() => acceptedEvents().length === 6, 'the restore events');
+
+        const [deleted, updated] = acceptedEvents().slice(4);
+        assert.deepStrictEqual([deleted.type, deleted.data.elementIds, deleted.userName], ['element.deleted', ['b'], 'Ann']);
+        assert.deepStrictEqual([updated.type, updated.data.element.x, updated.data.changed], ['element.updated', 50, ['x']]);
+    });
+});
@@ -0,0 +1,386 @@
+// Outgoing webhooks. Each room can subscribe URLs to room events; events are queued per
+// subscription and delivered in batches once the room has been quiet for a moment.
+//
+// A delivery is a POST with a JSON body { id, room, webhookId, events: [...] } and the
+// headers X-Canvas-Delivery (the delivery id), X-Canvas-Timestamp (unix seconds) and
+// X-Canvas-Signature: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" keyed with
+// the subscription's secret. Any 2xx response counts as delivered; anything else is
+// retried with exponential backoff. Deliveries to one subscription go out one at a time
+// and in order, so a receiver that is down holds back later batches instead of
+// receiving them out of order.
+//
+// Webhooks are never sent to loopback, private-network or link-local addresses (which
+// include cloud metadata services) unless private networks are explicitly allowed. The
+// address is checked when a subscription is saved and again on every connection, so a
+// hostname that starts resolving to an internal address later is refused as well.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_EVENTS = [
+    'element.added',
+    'element.updated',
+    'element.deleted',
+    'layer.added',
+    'layer.updated',
+    'layer.deleted',
+    'user.joined',
+    'user.left',
+    'room.password_changed'
+];
+
+const WEBHOOK_LIMITS = {
+    maxWebhooksPerRoom: 10,
+    maxBatchEvents: 100,      // Events per delivery; larger backlogs go out in several
+    maxQueuedEvents: 1000,    // Per subscription; beyond this the oldest events are dropped
+    maxAttempts: 6,           // First try plus retries
+    logSize: 100,             // Deliveries kept per room for the delivery log
+    timeoutMs: 10000          // A receiver that doesn't answer in time counts as failed
+};
+
+// Addresses webhooks may not reach unless private networks are allowed. IPv4-mapped IPv6
+// addresses (::ffff:127.0.0.1) match the IPv4 ranges.
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function getHostname(url) {
+    return url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+// Why a webhook URL can't be used, or null if it can. Options:
+//   allowedHosts          hostnames webhooks may go to (any if empty)
+//   allowPrivateNetworks  allow loopback, private-network and link-local addresses
+async function checkWebhookUrl(url, { allowedHosts = [], allowPrivateNetworks = false } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'Webhook URL is not a valid URL';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return 'Webhook URLs must use http or https';
+    }
+    if (parsed.username || parsed.password) {
+        return 'Webhook URLs cannot contain credentials, use the signature to authenticate deliveries';
+    }
+
+    const hostname = getHostname(parsed);
+    if (allowedHosts.length > 0 && !allowedHosts.includes(hostname)) {
+        return `Webhooks may only be sent to: ${allowedHosts.join(', ')}`;
+    }
+    if (allowPrivateNetworks) return null;
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        return `Webhook host ${hostname} could not be resolved`;
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        return 'Webhooks cannot be sent to local or private network addresses';
+    }
+    return null;
+}
+
+// POST a body and resolve with the response status. Unless private networks are allowed,
+// the connection is refused if the host resolves to a private address.
+function postWebhook(url, { headers, body, allowPrivateNetworks = false }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const refused = () => Object.assign(new Error('Refused: private network address'), { code: 'EPRIVATEADDRESS' });
+        const hostname = getHostname(target);
+        if (!allowPrivateNetworks && net.isIP(hostname) && isPrivateAddress(hostname)) {
+            reject(refused());
+            return;
+        }
+
+        // Check every address the hostname resolves to before connecting to it
+        const lookup = (host, options, callback) => {
+            dns.lookup(host, options, (error, address, family) => {
+                if (error || allowPrivateNetworks) return callback(error, address, family);
+                const addresses = Array.isArray(address) ? address : [{ address, family }];
+                if (addresses.some(entry => isPrivateAddress(entry.address))) return callback(refused());
+                callback(null, address, family);
+            });
+        };
+
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            timeout: WEBHOOK_LIMITS.timeoutMs,
+            lookup
+        }, response => {
+            // The response body is not used, but has to be read for the socket to be released
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        request.on('timeout', () => request.destroy(Object.assign(new Error('Timed out'), { code: 'ETIMEDOUT' })));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Whether a subscription gets an event. Test pings go to every active subscription.
+function wantsEvent(webhook, type) {
+    if (webhook.active === false) return false;
+    if (type === 'ping') return true;
+    const events = webhook.events || ['*'];
+    return events.includes('*') || events.includes(type);
+}
+
+// Queues, batches and delivers events for every room's subscriptions. Options:
+//   debounceMs   quiet time after the last event before a batch is sent
+//   maxWaitMs    longest an event waits while events keep coming
+//   retryBaseMs           delay before the first retry; it doubles with every failed attempt
+//   allowPrivateNetworks  deliver to loopback, private-network and link-local addresses too
+//   post                  HTTP client, postWebhook by default
+class WebhookDispatcher {
+    constructor({ debounceMs = 2000, maxWaitMs = 10000, retryBaseMs = 5000, allowPrivateNetworks = false, post = postWebhook } = {}) {
+        this.debounceMs = debounceMs;
+        this.maxWaitMs = maxWaitMs;
+        this.retryBaseMs = retryBaseMs;
+        this.allowPrivateNetworks = allowPrivateNetworks;
+        this.post = post;
+
+        // `${roomName}/${webhookId}` -> { roomName, webhook, events, timer, firstQueuedAt, busy, dropped }
+        this.queues = new Map();
+        // roomName -> delivery records, newest last
+        this.logs = new Map();
+        this.stats = { delivered: 0, failed: 0, retried: 0, dropped: 0 };
+    }
+
+    // Queue an event for each of the room's subscriptions that wants it
+    emit(roomName, webhooks, event) {
+        if (!webhooks || webhooks.length === 0) return;
+        const subscribers = webhooks.filter(webhook => wantsEvent(webhook, event.type));
+        if (subscribers.length === 0) return;
+
+        const queuedEvent = {
+            id: `evt-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+            timestamp: new Date().toISOString(),
+            ...event
+        };
+        subscribers.forEach(webhook => {
+            const queue = this.getQueue(roomName, webhook);
+            queue.events.push(queuedEvent);
+            if (queue.events.length > WEBHOOK_LIMITS.maxQueuedEvents) {
+                const overflow = queue.events.length - WEBHOOK_LIMITS.maxQueuedEvents;
+                queue.events.splice(0, overflow);
+                queue.dropped += overflow;
+                this.stats.dropped += overflow;
+            }
+            this.schedule(queue);
+        });
+    }
+
+    getQueue(roomName, webhook) {
+        const key = `${roomName}/${webhook.id}`;
+        let queue = this.queues.get(key);
+        if (!queue) {
+            queue = { key, roomName, webhook, events: [], timer: null, firstQueuedAt: null, busy: false, dropped: 0 };
+            this.queues.set(key, queue);
+        }
+        // Pick up edits to the subscription (new URL, secret, ...) for the next delivery
+        queue.webhook = webhook;
+        return queue;
+    }
+
+    // Debounce: wait for a quiet moment, but never longer than maxWaitMs after the first event
+    schedule(queue) {
+        if (queue.busy) return; // Sent once the delivery in flight is done
+        const now = Date.now();
+        if (queue.firstQueuedAt === null) queue.firstQueuedAt = now;
+        const delay = Math.max(0, Math.min(this.debounceMs, queue.firstQueuedAt + this.maxWaitMs - now));
+
+        clearTimeout(queue.timer);
+        queue.timer = setTimeout(() => this.flush(queue), delay);
+        queue.timer.unref();
+    }
+
+    // Send the next batch of a queue and keep retrying it until it goes through or gives up
+    async flush(queue) {
+        clearTimeout(queue.timer);
+        queue.timer = null;
+        if (queue.busy || queue.events.length === 0) return;
+
+        queue.busy = true;
+        queue.firstQueuedAt = null;
+        const events = queue.events.splice(0, WEBHOOK_LIMITS.maxBatchEvents);
+        const record = {
+            id: `dlv-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+            webhookId: queue.webhook.id,
+            url: queue.webhook.url,
+            eventCount: events.length,
+            eventTypes: [...new Set(events.map(event => event.type))],
+            droppedBefore: queue.dropped,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            nextAttemptAt: null,
+            attempts: []
+        };
+        queue.dropped = 0;
+        this.addToLog(queue.roomName, record);
+
+        try {
+            for (let attempt = 1; attempt <= WEBHOOK_LIMITS.maxAttempts; attempt++) {
+                if (this.queues.get(queue.key) !== queue) {
+                    record.status = 'cancelled';
+                    return;
+                }
+
+                const result = await this.send(queue.roomName, queue.webhook, record.id, events);
+                record.attempts.push(result);
+                if (result.ok) {
+                    record.status = 'delivered';
+                    record.nextAttemptAt = null;
+                    this.stats.delivered++;
+                    return;
+                }
+
+                if (attempt === WEBHOOK_LIMITS.maxAttempts) {
+                    record.status = 'failed';
+                    record.nextAttemptAt = null;
+                    this.stats.failed++;
+                    console.error(`Webhook ${queue.webhook.id} for room "${queue.roomName}" failed after ${attempt} attempts: ${result.error}`);
+                    return;
+                }
+
+                const delay = this.retryBaseMs * 2 ** (attempt - 1);
+                record.status = 'retrying';
+                record.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                this.stats.retried++;
+                await new Promise(resolve => setTimeout(resolve, delay).unref());
+            }
+        } finally {
+            queue.busy = false;
+            if (this.queues.get(queue.key) === queue) {
+                if (queue.events.length > 0) {
+                    this.schedule(queue);
+                } else {
+                    this.queues.delete(queue.key);
+                }
+            }
+        }
+    }
+
+    // One signed POST. Resolves with the attempt's outcome, never rejects.
+    async send(roomName, webhook, deliveryId, events) {
+        const body = JSON.stringify({ id: deliveryId, room: roomName, webhookId: webhook.id, events });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        const attempt = { at: new Date(startedAt).toISOString(), ok: false, statusCode: null, error: null, durationMs: 0 };
+
+        try {
+            const status = await this.post(webhook.url, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'InfiniteCanvas-Webhooks/1',
+                    'X-Canvas-Delivery': deliveryId,
+                    'X-Canvas-Timestamp': String(timestamp),
+                    'X-Canvas-Signature': signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                allowPrivateNetworks: this.allowPrivateNetworks
+            });
+            attempt.statusCode = status;
+            attempt.ok = status >= 200 && status < 300;
+            if (!attempt.ok) attempt.error = `HTTP ${status}`;
+        } catch (error) {
+            attempt.error = error.code === 'ETIMEDOUT' ? 'Timed out' : (error.code || error.message);
+        }
+
+        attempt.durationMs = Date.now() - startedAt;
+        return attempt;
+    }
+
+    addToLog(roomName, record) {
+        if (!this.logs.has(roomName)) {
+            this.logs.set(roomName, []);
+        }
+        const log = this.logs.get(roomName);
+        log.push(record);
+        if (log.length > WEBHOOK_LIMITS.logSize) {
+            log.splice(0, log.length - WEBHOOK_LIMITS.logSize);
+        }
+    }
+
+    // Delivery records for a room (optionally one subscription), newest first
+    getLog(roomName, webhookId = null) {
+        const log = this.logs.get(roomName) || [];
+        return log.filter(record => !webhookId || record.webhookId === webhookId).reverse();
+    }
+
+    // Drop everything queued for a subscription that was deleted; a delivery in flight stops
+    // before its next attempt
+    cancel(roomName, webhookId) {
+        const key = `${roomName}/${webhookId}`;
+        const queue = this.queues.get(key);
+        if (queue) {
+            clearTimeout(queue.timer);
+            this.queues.delete(key);
+        }
+    }
+
+    // Forget a deleted room: its queues and its delivery log
+    forgetRoom(roomName) {
+        this.queues.forEach(queue => {
+            if (queue.roomName === roomName) this.cancel(roomName, queue.webhook.id);
+        });
+        this.logs.delete(roomName);
+    }
+
+    // Send every waiting batch now (one attempt each), e.g. before the server exits
+    async flushAll() {
+        const pending = [...this.queues.values()].filter(queue => !queue.busy && queue.events.length > 0);
+        await Promise.all(pending.map(async queue => {
+            clearTimeout(queue.timer);
+            while (queue.events.length > 0) {
+                const events = queue.events.splice(0, WEBHOOK_LIMITS.maxBatchEvents);
+                const deliveryId = `dlv-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+                await this.send(queue.roomName, queue.webhook, deliveryId, events);
+            }
+        }));
+    }
+
+    getStatus() {
+        let queuedEvents = 0;
+        this.queues.forEach(queue => {
+            queuedEvents += queue.events.length;
+        });
+        return { ...this.stats, queuedEvents };
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_LIMITS,
+    WebhookDispatcher,
+    checkWebhookUrl,
+    signPayload,
+    generateSecret,
+    wantsEvent
+};